@@ -0,0 +1,209 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { getStorageStats } from '../services/localStorage';
+import { getObjectNameSuggestions } from '../utils/objectEditUtils';
+
+/**
+ * Bottom sheet for naming an object the AI missed. Works on every platform, unlike Alert.prompt.
+ * Suggests names the AI offered for the picture (aiLabels) and names the user already gave objects.
+ * onSubmit receives the trimmed name; the sheet closes itself afterwards.
+ */
+export const AddObjectSheet = ({ visible, userId, message, aiLabels = [], onSubmit, onClose }) => {
+  const [name, setName] = useState('');
+  const [objectCounts, setObjectCounts] = useState({});
+
+  useEffect(() => {
+    if (visible) {
+      loadVocabulary();
+    } else {
+      setName('');
+    }
+  }, [visible, userId]);
+
+  const loadVocabulary = async () => {
+    const stats = await getStorageStats(userId);
+    setObjectCounts(stats.objectCounts || {});
+  };
+
+  const handleSubmit = (value = name) => {
+    const trimmed = value.trim();
+    if (!trimmed) return;
+
+    onSubmit?.(trimmed);
+    onClose?.();
+  };
+
+  const suggestions = getObjectNameSuggestions(name, { aiLabels, objectCounts });
+  const aiLabelSet = new Set(aiLabels.map(label => label.toLowerCase().trim()));
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        style={styles.modalOverlay}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <View style={styles.modalContent}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>Add Object</Text>
+            <TouchableOpacity style={styles.modalCloseButton} onPress={onClose}>
+              <Ionicons name="close" size={24} color="#666" />
+            </TouchableOpacity>
+          </View>
+
+          {message ? <Text style={styles.messageText}>{message}</Text> : null}
+
+          <View style={styles.inputRow}>
+            <TextInput
+              style={styles.input}
+              value={name}
+              onChangeText={setName}
+              placeholder="Object name..."
+              placeholderTextColor="#999"
+              maxLength={60}
+              autoFocus
+              autoCapitalize="none"
+              returnKeyType="done"
+              onSubmitEditing={() => handleSubmit()}
+            />
+            <TouchableOpacity
+              style={[styles.addButton, !name.trim() && styles.addButtonDisabled]}
+              onPress={() => handleSubmit()}
+              disabled={!name.trim()}
+            >
+              <Text style={styles.addButtonText}>Add</Text>
+            </TouchableOpacity>
+          </View>
+
+          {suggestions.length > 0 && (
+            <ScrollView style={styles.suggestions} keyboardShouldPersistTaps="handled">
+              <View style={styles.suggestionList}>
+                {suggestions.map(suggestion => (
+                  <TouchableOpacity
+                    key={suggestion}
+                    style={styles.suggestionChip}
+                    onPress={() => handleSubmit(suggestion)}
+                  >
+                    {aiLabelSet.has(suggestion) && (
+                      <Ionicons name="sparkles" size={14} color="#2196F3" style={styles.suggestionIcon} />
+                    )}
+                    <Text style={styles.suggestionText}>{suggestion}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </ScrollView>
+          )}
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    maxHeight: '80%',
+    paddingBottom: 20,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+  },
+  modalCloseButton: {
+    padding: 4,
+  },
+  messageText: {
+    fontSize: 14,
+    color: '#666',
+    paddingHorizontal: 16,
+    paddingTop: 12,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 12,
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 16,
+    color: '#333',
+  },
+  addButton: {
+    marginLeft: 8,
+    backgroundColor: '#4CAF50',
+    paddingHorizontal: 16,
+    paddingVertical: 11,
+    borderRadius: 8,
+  },
+  addButtonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  addButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  suggestions: {
+    flexGrow: 0,
+    marginTop: 12,
+  },
+  suggestionList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingHorizontal: 12,
+  },
+  suggestionChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(33, 150, 243, 0.1)',
+    borderWidth: 1,
+    borderColor: 'rgba(33, 150, 243, 0.3)',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    margin: 4,
+  },
+  suggestionIcon: {
+    marginRight: 4,
+  },
+  suggestionText: {
+    fontSize: 14,
+    color: '#2196F3',
+  },
+});
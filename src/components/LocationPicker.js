@@ -0,0 +1,297 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { getLocations, createLocation, deleteLocation } from '../services/locationService';
+import {
+  flattenLocationTree,
+  getChildKind,
+  LOCATION_KIND_LABELS,
+  LOCATION_KIND_ICONS,
+} from '../utils/locationUtils';
+
+/**
+ * Bottom sheet for choosing where a picture was taken.
+ * Shows the home → room → furniture → container tree and lets the user add or delete locations.
+ * onSelect receives the chosen location (or null for none) and the current location list.
+ */
+export const LocationPicker = ({ visible, userId, selectedLocationId, onSelect, onClose }) => {
+  const [locations, setLocations] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [addingUnder, setAddingUnder] = useState(undefined); // undefined: not adding, null: new home
+  const [newName, setNewName] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      loadLocations();
+    } else {
+      setAddingUnder(undefined);
+      setNewName('');
+    }
+  }, [visible, userId]);
+
+  const loadLocations = async () => {
+    setIsLoading(true);
+    setLocations(await getLocations(userId));
+    setIsLoading(false);
+  };
+
+  const handleSelect = (location) => {
+    onSelect?.(location, locations);
+    onClose?.();
+  };
+
+  const startAdding = (parent) => {
+    setAddingUnder(parent);
+    setNewName('');
+  };
+
+  const handleAdd = async () => {
+    if (!newName.trim()) return;
+
+    setIsSaving(true);
+    const location = await createLocation(userId, newName, addingUnder);
+    setIsSaving(false);
+
+    if (!location) {
+      Alert.alert('Error', 'Failed to add the location. Please check your connection and try again.');
+      return;
+    }
+
+    const updatedLocations = [...locations, location];
+    setLocations(updatedLocations);
+    setAddingUnder(undefined);
+    setNewName('');
+    onSelect?.(location, updatedLocations);
+  };
+
+  const handleDelete = (location) => {
+    Alert.alert(
+      'Delete Location',
+      `Delete "${location.name}" and everything inside it? Pictures stored there will keep their objects but lose their location.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            const success = await deleteLocation(userId, location.id);
+            if (!success) {
+              Alert.alert('Error', 'Failed to delete the location. Please try again.');
+              return;
+            }
+            await loadLocations();
+          },
+        },
+      ]
+    );
+  };
+
+  const newKind = addingUnder !== undefined ? getChildKind(addingUnder) : null;
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>Choose Location</Text>
+            <TouchableOpacity style={styles.modalCloseButton} onPress={onClose}>
+              <Ionicons name="close" size={24} color="#666" />
+            </TouchableOpacity>
+          </View>
+
+          {isLoading ? (
+            <ActivityIndicator style={styles.loading} color="#2196F3" />
+          ) : (
+            <ScrollView style={styles.list} keyboardShouldPersistTaps="handled">
+              <TouchableOpacity style={styles.row} onPress={() => handleSelect(null)}>
+                <Ionicons name="close-circle-outline" size={20} color="#999" />
+                <Text style={[styles.rowName, styles.noLocationText]}>No location</Text>
+                {!selectedLocationId && <Ionicons name="checkmark" size={20} color="#2196F3" />}
+              </TouchableOpacity>
+
+              {flattenLocationTree(locations).map(location => (
+                <TouchableOpacity
+                  key={location.id}
+                  style={[styles.row, { paddingLeft: 16 + location.depth * 20 }]}
+                  onPress={() => handleSelect(location)}
+                  onLongPress={() => handleDelete(location)}
+                >
+                  <Ionicons name={LOCATION_KIND_ICONS[location.kind] || 'location'} size={20} color="#2196F3" />
+                  <Text style={styles.rowName} numberOfLines={1}>{location.name}</Text>
+                  {location.id === selectedLocationId && (
+                    <Ionicons name="checkmark" size={20} color="#2196F3" />
+                  )}
+                  {getChildKind(location) && (
+                    <TouchableOpacity style={styles.addChildButton} onPress={() => startAdding(location)}>
+                      <Ionicons name="add-circle-outline" size={22} color="#4CAF50" />
+                    </TouchableOpacity>
+                  )}
+                </TouchableOpacity>
+              ))}
+
+              <TouchableOpacity style={styles.row} onPress={() => startAdding(null)}>
+                <Ionicons name="add" size={20} color="#4CAF50" />
+                <Text style={[styles.rowName, styles.addHomeText]}>Add home</Text>
+              </TouchableOpacity>
+
+              {locations.length > 0 && (
+                <Text style={styles.hintText}>Tap + to add a place inside another. Long-press to delete.</Text>
+              )}
+            </ScrollView>
+          )}
+
+          {newKind && (
+            <View style={styles.addContainer}>
+              <Text style={styles.addLabel}>
+                New {LOCATION_KIND_LABELS[newKind].toLowerCase()}{addingUnder ? ` in ${addingUnder.name}` : ''}
+              </Text>
+              <View style={styles.addRow}>
+                <TextInput
+                  style={styles.addInput}
+                  value={newName}
+                  onChangeText={setNewName}
+                  placeholder={`${LOCATION_KIND_LABELS[newKind]} name...`}
+                  placeholderTextColor="#999"
+                  maxLength={60}
+                  autoFocus
+                  onSubmitEditing={handleAdd}
+                />
+                <TouchableOpacity
+                  style={[styles.addButton, (!newName.trim() || isSaving) && styles.addButtonDisabled]}
+                  onPress={handleAdd}
+                  disabled={!newName.trim() || isSaving}
+                >
+                  <Text style={styles.addButtonText}>{isSaving ? 'Adding...' : 'Add'}</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    maxHeight: '80%',
+    paddingBottom: 20,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+  },
+  modalCloseButton: {
+    padding: 4,
+  },
+  loading: {
+    padding: 40,
+  },
+  list: {
+    flexGrow: 0,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f5f5f5',
+  },
+  rowName: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+    marginLeft: 10,
+  },
+  noLocationText: {
+    color: '#999',
+  },
+  addHomeText: {
+    color: '#4CAF50',
+    fontWeight: '500',
+  },
+  addChildButton: {
+    marginLeft: 8,
+    padding: 2,
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#999',
+    textAlign: 'center',
+    paddingVertical: 12,
+  },
+  addContainer: {
+    paddingHorizontal: 16,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: '#f0f0f0',
+  },
+  addLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  addRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  addInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 16,
+    color: '#333',
+  },
+  addButton: {
+    marginLeft: 8,
+    backgroundColor: '#4CAF50',
+    paddingHorizontal: 16,
+    paddingVertical: 11,
+    borderRadius: 8,
+  },
+  addButtonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  addButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,200 @@
+import React, { useRef, useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, PanResponder } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+const DRAG_THRESHOLD = 4; // Pixels a finger moves before a tap becomes a drag
+const MIN_RECT_SIZE = 16; // Smallest box shown while resizing, in pixels
+
+/**
+ * Marker for a detected object on top of a picture.
+ * Draws a bounding box when the object has one, otherwise a floating label at its position.
+ * With onMove the marker can be dragged, and with onResize a box gets a corner handle; both
+ * are called once the finger lifts, with the distance moved in pixels. onDragStateChange tells
+ * the screen when a drag starts and ends, e.g. to stop its scroll view from scrolling meanwhile.
+ */
+export const ObjectMarker = ({
+  name,
+  rect,
+  position,
+  hasCoords,
+  confidence,
+  onPress,
+  onMove,
+  onResize,
+  onDragStateChange,
+}) => {
+  const [drag, setDrag] = useState(null); // { mode: 'move' | 'resize', dx, dy } while dragging
+
+  // Responders are created once, so they call the latest handlers through a ref
+  const handlersRef = useRef({});
+  handlersRef.current = { move: onMove, resize: onResize, dragState: onDragStateChange };
+
+  const createDragResponder = (mode, claimOnStart) => PanResponder.create({
+    onStartShouldSetPanResponder: () => claimOnStart,
+    // Take the gesture from the touchable (and the scroll view) once the finger really moves
+    onMoveShouldSetPanResponderCapture: (_, gesture) =>
+      !!handlersRef.current[mode] && Math.abs(gesture.dx) + Math.abs(gesture.dy) > DRAG_THRESHOLD,
+    onPanResponderTerminationRequest: () => false,
+    onPanResponderGrant: () => handlersRef.current.dragState?.(true),
+    onPanResponderMove: (_, gesture) => setDrag({ mode, dx: gesture.dx, dy: gesture.dy }),
+    onPanResponderRelease: (_, gesture) => {
+      setDrag(null);
+      handlersRef.current.dragState?.(false);
+      if (Math.abs(gesture.dx) + Math.abs(gesture.dy) > DRAG_THRESHOLD) {
+        handlersRef.current[mode]?.(gesture.dx, gesture.dy);
+      }
+    },
+    onPanResponderTerminate: () => {
+      setDrag(null);
+      handlersRef.current.dragState?.(false);
+    },
+  });
+
+  const [moveResponder] = useState(() => createDragResponder('move', false));
+  const [resizeResponder] = useState(() => createDragResponder('resize', true));
+
+  const moveOffset = drag?.mode === 'move' ? drag : { dx: 0, dy: 0 };
+  const sizeOffset = drag?.mode === 'resize' ? drag : { dx: 0, dy: 0 };
+
+  if (rect) {
+    const confidenceText = confidence !== null && confidence !== undefined
+      ? ` ${Math.round(confidence * 100)}%`
+      : '';
+
+    return (
+      <View
+        style={[
+          styles.boxFrame,
+          {
+            left: rect.left + moveOffset.dx,
+            top: rect.top + moveOffset.dy,
+            width: Math.max(MIN_RECT_SIZE, rect.width + sizeOffset.dx),
+            height: Math.max(MIN_RECT_SIZE, rect.height + sizeOffset.dy),
+          },
+          drag && styles.dragging,
+        ]}
+        {...moveResponder.panHandlers}
+      >
+        <TouchableOpacity style={styles.box} onPress={onPress} activeOpacity={0.7}>
+          <View style={styles.boxLabel}>
+            <Text style={styles.boxLabelText} numberOfLines={1}>
+              {name}{confidenceText}
+            </Text>
+          </View>
+        </TouchableOpacity>
+        {onResize && (
+          <View style={styles.resizeHandle} {...resizeResponder.panHandlers} />
+        )}
+      </View>
+    );
+  }
+
+  return (
+    <View
+      style={[
+        styles.labelFrame,
+        {
+          left: position.left + moveOffset.dx,
+          top: position.top + moveOffset.dy,
+        },
+        drag && styles.dragging,
+      ]}
+      {...moveResponder.panHandlers}
+    >
+      <TouchableOpacity style={styles.label} onPress={onPress}>
+        <View style={styles.labelContent}>
+          <Ionicons
+            name={hasCoords ? "location" : "pricetag"}
+            size={12}
+            color="white"
+          />
+          <Text style={styles.labelText}>{name}</Text>
+        </View>
+        <View style={styles.labelPointer} />
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  boxFrame: {
+    position: 'absolute',
+  },
+  box: {
+    flex: 1,
+    borderWidth: 2,
+    borderColor: 'rgba(33, 150, 243, 0.9)',
+    borderRadius: 4,
+    backgroundColor: 'rgba(33, 150, 243, 0.1)',
+  },
+  boxLabel: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    maxWidth: 140,
+    backgroundColor: 'rgba(33, 150, 243, 0.9)',
+    borderBottomRightRadius: 4,
+    paddingHorizontal: 4,
+    paddingVertical: 1,
+  },
+  boxLabelText: {
+    color: 'white',
+    fontSize: 11,
+    fontWeight: 'bold',
+    textTransform: 'capitalize',
+  },
+  resizeHandle: {
+    position: 'absolute',
+    right: -2,
+    bottom: -2,
+    width: 18,
+    height: 18,
+    borderRadius: 9,
+    borderWidth: 2,
+    borderColor: 'white',
+    backgroundColor: 'rgba(33, 150, 243, 1)',
+  },
+  dragging: {
+    opacity: 0.8,
+    zIndex: 10,
+  },
+  labelFrame: {
+    position: 'absolute',
+  },
+  label: {
+    backgroundColor: 'rgba(33, 150, 243, 0.9)',
+    borderRadius: 15,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.3,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  labelContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  labelText: {
+    color: 'white',
+    fontSize: 12,
+    fontWeight: 'bold',
+    marginLeft: 4,
+    textTransform: 'capitalize',
+  },
+  labelPointer: {
+    position: 'absolute',
+    bottom: -4,
+    left: '50%',
+    marginLeft: -4,
+    width: 0,
+    height: 0,
+    borderLeftWidth: 4,
+    borderRightWidth: 4,
+    borderTopWidth: 4,
+    borderLeftColor: 'transparent',
+    borderRightColor: 'transparent',
+    borderTopColor: 'rgba(33, 150, 243, 0.9)',
+  },
+});
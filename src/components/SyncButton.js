@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import { TouchableOpacity, Text, StyleSheet, Alert, ActivityIndicator } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { clearAndSyncFromSupabase } from '../services/localStorage';
+import { syncWithSupabase } from '../services/localStorage';
 import { useAuth } from '../contexts/AuthContext';
 
 export const SyncButton = ({ onSyncComplete, style }) => {
@@ -16,22 +16,25 @@ export const SyncButton = ({ onSyncComplete, style }) => {
 
     Alert.alert(
       'Sync with Supabase',
-      'This will clear your local data and sync with the server. Your local changes may be lost. Continue?',
+      'This will upload your pending local changes and download the latest changes from the server. Continue?',
       [
         { text: 'Cancel', style: 'cancel' },
         {
           text: 'Sync',
-          style: 'destructive',
           onPress: async () => {
             setIsSyncing(true);
             try {
-              console.log('🔄 Starting clear and sync from Supabase...');
-              const syncedObjects = await clearAndSyncFromSupabase(user.id);
+              console.log('🔄 Starting two-way sync with Supabase...');
+              const { pushed, failed, objects } = await syncWithSupabase(user.id);
+              
+              const pendingText = failed > 0
+                ? `\n\n${failed} change${failed !== 1 ? 's' : ''} couldn't be uploaded and will be retried next time.`
+                : '';
               
               Alert.alert(
                 'Sync Complete',
-                `Successfully synced ${syncedObjects.length} objects from Supabase.`,
-                [{ text: 'OK', onPress: () => onSyncComplete?.(syncedObjects) }]
+                `Uploaded ${pushed} local change${pushed !== 1 ? 's' : ''}. You now have ${objects.length} objects.${pendingText}`,
+                [{ text: 'OK', onPress: () => onSyncComplete?.(objects) }]
               );
             } catch (error) {
               console.error('❌ Sync error:', error);
@@ -58,7 +61,7 @@ export const SyncButton = ({ onSyncComplete, style }) => {
       {isSyncing ? (
         <ActivityIndicator size="small" color="white" />
       ) : (
-        <Ionicons name="cloud-download" size={20} color="white" />
+        <Ionicons name="sync" size={20} color="white" />
       )}
       <Text style={styles.syncButtonText}>
         {isSyncing ? 'Syncing...' : 'Sync with Server'}
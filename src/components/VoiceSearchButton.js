@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { ExpoSpeechRecognitionModule, useSpeechRecognitionEvent } from 'expo-speech-recognition';
+
+/**
+ * Microphone button that listens for one spoken query.
+ * Reports the live transcript while listening and the final transcript when speech ends.
+ */
+export const VoiceSearchButton = ({ onTranscript, onPartialTranscript, disabled, style }) => {
+  const [isListening, setIsListening] = useState(false);
+
+  useSpeechRecognitionEvent('start', () => setIsListening(true));
+  useSpeechRecognitionEvent('end', () => setIsListening(false));
+
+  useSpeechRecognitionEvent('result', (event) => {
+    const transcript = event.results[0]?.transcript || '';
+    if (event.isFinal) {
+      console.log('🎤 Heard:', transcript);
+      onTranscript?.(transcript);
+    } else {
+      onPartialTranscript?.(transcript);
+    }
+  });
+
+  useSpeechRecognitionEvent('error', (event) => {
+    setIsListening(false);
+    // Stopping early or saying nothing is not worth an alert
+    if (event.error === 'aborted' || event.error === 'no-speech') return;
+
+    console.error('❌ Speech recognition error:', event.error, event.message);
+    Alert.alert('Voice Search', 'Sorry, I couldn\'t understand that. Please try again or type your search.');
+  });
+
+  const handlePress = async () => {
+    if (isListening) {
+      ExpoSpeechRecognitionModule.stop();
+      return;
+    }
+
+    try {
+      if (!ExpoSpeechRecognitionModule.isRecognitionAvailable()) {
+        Alert.alert('Voice Search Unavailable', 'Speech recognition is not available on this device.');
+        return;
+      }
+
+      const { granted } = await ExpoSpeechRecognitionModule.requestPermissionsAsync();
+      if (!granted) {
+        Alert.alert(
+          'Microphone Permission Required',
+          'Please allow microphone and speech recognition access to search by voice.'
+        );
+        return;
+      }
+
+      ExpoSpeechRecognitionModule.start({
+        lang: 'en-US',
+        interimResults: true,
+        continuous: false,
+      });
+    } catch (error) {
+      console.error('❌ Error starting voice search:', error);
+      Alert.alert('Voice Search', 'Failed to start listening. Please try again.');
+    }
+  };
+
+  return (
+    <TouchableOpacity
+      style={[styles.voiceButton, isListening && styles.voiceButtonListening, style]}
+      onPress={handlePress}
+      disabled={disabled}
+    >
+      <Ionicons name={isListening ? 'stop' : 'mic'} size={20} color={isListening ? 'white' : '#2196F3'} />
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  voiceButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: 'rgba(33, 150, 243, 0.1)',
+  },
+  voiceButtonListening: {
+    backgroundColor: '#F44336',
+  },
+});
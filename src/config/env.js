@@ -20,6 +20,34 @@ export const config = {
   // Get your API key from: https://makersuite.google.com/app/apikey
   gemini: {
     apiKey: 'your-gemini-api-key-here',
+    model: 'gemini-1.5-flash',
+  },
+
+  // AI Vision Provider
+  // Which provider analyzes pictures: 'openai', 'gemini' or 'local' (offline demo stand-in)
+  ai: {
+    provider: 'openai',
+    // Demo mode: use the local provider's made-up objects when the selected provider has no
+    // API key or fails. Off, those cases are reported as errors.
+    demoMode: false,
+  },
+
+  // Text Embeddings (semantic search)
+  // Which backend embeds object and picture text: 'openai' or 'local' (deterministic stand-in)
+  embeddings: {
+    provider: 'openai',
+    openaiModel: 'text-embedding-3-small',
+    dimensions: 256, // Must match the vector(256) columns in Supabase
+    fallbackToLocal: true,
+  },
+
+  // Image Preprocessing
+  // Pictures are shrunk and recompressed on the device before upload (and before AI analysis)
+  images: {
+    maxDimension: 1600, // Longest side in pixels
+    quality: 0.8, // JPEG quality, 0-1
+    thumbnailSize: 320, // Longest side of the thumbnail shown in lists
+    thumbnailQuality: 0.6,
   },
 
   // App Settings
@@ -28,6 +56,10 @@ export const config = {
     version: '1.0.0',
     enableOfflineMode: true,
     maxImagesPerUser: 100,
+    trashRetentionDays: 30, // Deleted pictures are purged for good after this many days
+    galleryPageSize: 30, // Pictures loaded per gallery page
+    maxBatchCapture: 20, // Photos per batch capture
+    batchConcurrency: 3, // Uploads and AI analyses running at the same time in a batch
     supportedImageFormats: ['jpg', 'jpeg', 'png', 'webp'],
   },
 
@@ -9,6 +9,11 @@ import ImageViewerScreen from '../screens/ImageViewerScreen';
 import GalleryScreen from '../screens/GalleryScreen';
 import ProfileScreen from '../screens/ProfileScreen';
 import PictureDetailsScreen from '../screens/PictureDetailsScreen';
+import PendingCapturesScreen from '../screens/PendingCapturesScreen';
+import ObjectHistoryScreen from '../screens/ObjectHistoryScreen';
+import ImportScreen from '../screens/ImportScreen';
+import TrashScreen from '../screens/TrashScreen';
+import ReanalyzeScreen from '../screens/ReanalyzeScreen';
 
 const Stack = createStackNavigator();
 
@@ -96,6 +101,42 @@ export default function AppNavigator() {
         }}
       />
       
+      <Stack.Screen 
+        name="PendingCaptures" 
+        component={PendingCapturesScreen}
+        options={{
+          title: 'Pending Pictures',
+          headerShown: false,
+        }}
+      />
+      
+      <Stack.Screen 
+        name="ObjectHistory" 
+        component={ObjectHistoryScreen}
+        options={{
+          title: 'Object History',
+          headerShown: false,
+        }}
+      />
+      
+      <Stack.Screen 
+        name="Import" 
+        component={ImportScreen}
+        options={{
+          title: 'Import',
+          headerShown: false,
+        }}
+      />
+      
+      <Stack.Screen 
+        name="Trash" 
+        component={TrashScreen}
+        options={{
+          title: 'Trash',
+          headerShown: false,
+        }}
+      />
+      
       <Stack.Screen 
         name="ImageViewer" 
         component={ImageViewerScreen}
@@ -107,7 +148,16 @@ export default function AppNavigator() {
       />
       
       <Stack.Screen 
-        name="PictureDetails" 
+        name="Reanalyze" 
+        component={ReanalyzeScreen}
+        options={{
+          title: 'Re-analyze Picture',
+          headerShown: false,
+        }}
+      />
+      
+      <Stack.Screen 
+        name="PictureDetails"  
         component={PictureDetailsScreen}
         options={{
           title: 'Picture Details',
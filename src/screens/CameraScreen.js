@@ -6,9 +6,22 @@ import * as MediaLibrary from 'expo-media-library';
 import * as FileSystem from 'expo-file-system';
 import * as ImagePicker from 'expo-image-picker';
 import { supabase } from '../services/supabase';
-import { analyzeImageWithAI } from '../services/aiService';
-import { uploadImageToUserFolder, generateSignedUrlForAI } from '../services/storageService';
-import { checkDailyPictureLimit } from '../services/localStorage';
+import { config } from '../config/env';
+import { analyzeImageWithAI, getAnalysisErrorTitle, AI_ERROR_CODES } from '../services/aiService';
+import { uploadImageToUserFolder, generateSignedUrlForAI, discardUploadedImage } from '../services/storageService';
+import {
+  QUOTA_METRICS,
+  QUOTA_EXCEEDED,
+  checkQuota,
+  consumeQuota,
+  getQuotaExceededMessage,
+} from '../services/quotaService';
+import { enqueueCapture, isOfflineCaptureEnabled } from '../services/captureQueue';
+import { processBatchCaptures, BATCH_ITEM_STATUS } from '../services/batchCaptureService';
+import { isOnline } from '../utils/networkUtils';
+import { getLocations } from '../services/locationService';
+import { formatLocationPath } from '../utils/locationUtils';
+import { LocationPicker } from '../components/LocationPicker';
 import { useAuth } from '../contexts/AuthContext';
 
 export default function CameraScreen({ navigation }) {
@@ -19,6 +32,11 @@ export default function CameraScreen({ navigation }) {
   const [capturedImage, setCapturedImage] = useState(null);
   const [processingStep, setProcessingStep] = useState('');
   const [processingProgress, setProcessingProgress] = useState(0);
+  const [locationId, setLocationId] = useState(null);
+  const [locations, setLocations] = useState([]);
+  const [showLocationPicker, setShowLocationPicker] = useState(false);
+  const [isBatchMode, setIsBatchMode] = useState(false);
+  const [batchPhotos, setBatchPhotos] = useState([]);
   const cameraRef = useRef(null);
 
   // Animation references
@@ -34,6 +52,17 @@ export default function CameraScreen({ navigation }) {
     })();
   }, []);
 
+  useEffect(() => {
+    if (user) {
+      getLocations(user.id).then(setLocations);
+    }
+  }, [user]);
+
+  const handleLocationSelect = (location, updatedLocations) => {
+    setLocations(updatedLocations);
+    setLocationId(location?.id || null);
+  };
+
   // Start animations when processing
   useEffect(() => {
     if (isLoading) {
@@ -98,6 +127,315 @@ export default function CameraScreen({ navigation }) {
     }).start();
   };
 
+  const showLimitAlert = (title, message) => {
+    Alert.alert(title, `${message}\n\nThank you for understanding! 😊`, [{ text: 'Got it', style: 'default' }]);
+  };
+  
+  // Stop before capturing if the plan's picture limit is already used up
+  const hasPictureQuota = async () => {
+    const quota = await checkQuota(user.id, QUOTA_METRICS.PICTURES);
+    if (!quota.allowed) {
+      showLimitAlert('Picture Limit Reached 📸', getQuotaExceededMessage(QUOTA_METRICS.PICTURES, quota));
+      return false;
+    }
+    return true;
+  };
+  
+  // Keep the photo in the offline queue instead of losing it
+  const queueForLater = async (localImageUri, imageUrl = null, { quotaConsumptionId = null, message = null } = {}) => {
+    const job = await enqueueCapture(localImageUri, user.id, imageUrl, { locationId, quotaConsumptionId });
+    
+    if (!job) {
+      Alert.alert('Error', 'Failed to save the picture for later. Please try again.');
+      return;
+    }
+    
+    Alert.alert(
+      'Saved for Later 📥',
+      message || 'We couldn\'t finish processing this picture right now. It will be uploaded and analyzed automatically when you\'re back online, and you can confirm its objects from the pending list.',
+      [
+        { text: 'OK', style: 'default' },
+        { text: 'View Pending', onPress: () => navigation.navigate('PendingCaptures') },
+      ]
+    );
+  };
+
+  // Shared pipeline for camera and gallery images: upload → signed URL → AI analysis → confirmation
+  const processImage = async (localImageUri) => {
+    const offlineEnabled = isOfflineCaptureEnabled();
+    
+    if (offlineEnabled && !(await isOnline())) {
+      console.log('📴 No connection, queueing capture');
+      await queueForLater(localImageUri);
+      return;
+    }
+    
+    // The server counts the picture and refuses once the plan's limit is reached
+    const pictureQuota = await consumeQuota(user.id, QUOTA_METRICS.PICTURES);
+    if (!pictureQuota.allowed) {
+      if (pictureQuota.error && offlineEnabled) {
+        await queueForLater(localImageUri);
+      } else if (pictureQuota.error) {
+        Alert.alert('Error', 'Couldn\'t check your usage limit. Please check your connection and try again.');
+      } else {
+        showLimitAlert('Picture Limit Reached 📸', getQuotaExceededMessage(QUOTA_METRICS.PICTURES, pictureQuota));
+      }
+      return;
+    }
+    
+    const quotaConsumptionId = pictureQuota.consumptionId;
+    let imageUrl = null;
+    
+    // Without the offline queue a picture that doesn't get through is dropped: its file is
+    // removed and it doesn't count
+    const discardPicture = () => discardUploadedImage(user.id, imageUrl, quotaConsumptionId);
+    
+    try {
+      // Upload to user-specific folder in Supabase Storage
+      console.log('📁 Uploading image to user folder...');
+      imageUrl = await uploadImageToUserFolder(localImageUri, user.id, { showAlerts: !offlineEnabled });
+      
+      if (!imageUrl) {
+        if (offlineEnabled) {
+          await queueForLater(localImageUri, null, { quotaConsumptionId });
+        } else {
+          await discardPicture();
+          Alert.alert('Upload Error', 'Failed to upload image. Please check your Supabase configuration.');
+        }
+        return;
+      }
+      
+      console.log('✅ Image uploaded successfully:', imageUrl);
+      updateProgress('Upload complete! Preparing for AI analysis...', 40);
+      
+      // Generate signed URL for AI analysis
+      console.log('🔐 Generating secure URL for AI analysis...');
+      const aiSignedUrl = await generateSignedUrlForAI(imageUrl);
+      
+      if (!aiSignedUrl) {
+        if (offlineEnabled) {
+          await queueForLater(localImageUri, imageUrl, { quotaConsumptionId });
+        } else {
+          await discardPicture();
+          Alert.alert('Error', 'Failed to generate secure URL for AI analysis.');
+        }
+        return;
+      }
+      
+      updateProgress('Analyzing image with AI...', 60);
+      
+      // Analyze with the configured vision provider using signed URL
+      console.log('🤖 Analyzing image with AI provider...');
+      let analysis;
+      try {
+        analysis = await analyzeImageWithAI(aiSignedUrl, { userId: user.id });
+      } catch (analysisError) {
+        if (!offlineEnabled) {
+          await discardPicture();
+          Alert.alert(getAnalysisErrorTitle(analysisError), analysisError.message);
+          return;
+        }
+        
+        // The picture is already uploaded, so keep it and analyze it once the user can again.
+        // A used-up quota or a missing API key needs the user, so say why instead of "offline".
+        const needsUser = [QUOTA_EXCEEDED, AI_ERROR_CODES.NOT_CONFIGURED].includes(analysisError.code);
+        console.warn('⚠️ AI analysis failed, queueing capture:', analysisError.message);
+        await queueForLater(localImageUri, imageUrl, {
+          quotaConsumptionId,
+          message: needsUser
+            ? `${analysisError.message}\n\nYour picture is saved and will be analyzed automatically after that.`
+            : null,
+        });
+        return;
+      }
+      
+      updateProgress('AI analysis complete! Processing results...', 90);
+      
+      // Brief delay to show completion
+      await new Promise(resolve => setTimeout(resolve, 500));
+      updateProgress('Ready! Opening object confirmation...', 100);
+      
+      // Navigate to confirmation screen with results; leaving it without saving discards the picture
+      navigation.navigate('ObjectConfirmation', {
+        imageUrl,
+        detectedObjects: analysis.detections,
+        analysisStatus: analysis.status,
+        isDemoAnalysis: analysis.demo,
+        localImageUri,
+        userId: user.id,
+        locationId,
+        quotaConsumptionId,
+      });
+    } catch (error) {
+      console.error('❌ Error processing picture:', error);
+      if (offlineEnabled) {
+        await queueForLater(localImageUri, imageUrl, { quotaConsumptionId });
+      } else {
+        await discardPicture();
+        Alert.alert('Error', 'Failed to process the picture. Please try again.');
+      }
+    }
+  };
+
+  const showBatchFullAlert = () => {
+    Alert.alert('Batch Full', `A batch holds up to ${config.app.maxBatchCapture} photos. Tap "Analyze" to process them.`);
+  };
+
+  // Batch mode: keep snapping, the photos are processed together afterwards
+  const snapBatchPhoto = async () => {
+    if (batchPhotos.length >= config.app.maxBatchCapture) {
+      showBatchFullAlert();
+      return;
+    }
+
+    const photo = await cameraRef.current.takePictureAsync({
+      quality: 0.8,
+      base64: false,
+    });
+
+    setBatchPhotos(prev => [...prev, photo.uri].slice(0, config.app.maxBatchCapture));
+  };
+
+  const pickBatchPhotos = async () => {
+    const remaining = config.app.maxBatchCapture - batchPhotos.length;
+    if (remaining <= 0) {
+      showBatchFullAlert();
+      return;
+    }
+
+    const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
+    if (status !== 'granted') {
+      Alert.alert('Permission Required', 'Please allow access to your photos to upload images.');
+      return;
+    }
+
+    const result = await ImagePicker.launchImageLibraryAsync({
+      mediaTypes: ImagePicker.MediaTypeOptions.Images,
+      allowsMultipleSelection: true,
+      selectionLimit: remaining,
+      quality: 0.8,
+    });
+
+    if (result.canceled) {
+      console.log('📱 User canceled batch selection');
+      return;
+    }
+
+    const uris = result.assets.map(asset => asset.uri);
+    setBatchPhotos(prev => [...prev, ...uris].slice(0, config.app.maxBatchCapture));
+  };
+
+  const toggleBatchMode = () => {
+    if (!isBatchMode) {
+      setIsBatchMode(true);
+      return;
+    }
+
+    if (batchPhotos.length === 0) {
+      setIsBatchMode(false);
+      return;
+    }
+
+    Alert.alert(
+      'Leave Batch Mode?',
+      `The ${batchPhotos.length} photo${batchPhotos.length !== 1 ? 's' : ''} in this batch haven't been analyzed yet and will be discarded.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: () => {
+            setBatchPhotos([]);
+            setIsBatchMode(false);
+          },
+        },
+      ]
+    );
+  };
+
+  const clearBatch = () => {
+    Alert.alert('Clear Batch', 'Remove all photos from this batch?', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Clear', style: 'destructive', onPress: () => setBatchPhotos([]) },
+    ]);
+  };
+
+  const showBatchResults = (items, stoppedReason) => {
+    const ready = items.filter(item => item.status === BATCH_ITEM_STATUS.READY);
+    const queued = items.filter(item => item.status === BATCH_ITEM_STATUS.QUEUED).length;
+    const failed = items.filter(item => item.status === BATCH_ITEM_STATUS.FAILED);
+    const skipped = items.filter(item => item.status === BATCH_ITEM_STATUS.SKIPPED).length;
+
+    // Step through every analyzed photo on the confirmation screen
+    const reviewBatch = () => {
+      navigation.navigate('ObjectConfirmation', {
+        batch: ready.map(item => ({
+          imageUrl: item.imageUrl,
+          detectedObjects: item.detectedObjects,
+          analysisStatus: item.analysisStatus,
+          isDemoAnalysis: item.isDemoAnalysis,
+          localImageUri: item.localImageUri,
+        })),
+        batchIndex: 0,
+        userId: user.id,
+        locationId,
+      });
+    };
+
+    if (ready.length === items.length) {
+      reviewBatch();
+      return;
+    }
+
+    const lines = [];
+    if (ready.length > 0) {
+      lines.push(`${ready.length} photo${ready.length !== 1 ? 's are' : ' is'} ready to review.`);
+    }
+    if (queued > 0) {
+      lines.push(`${queued} saved for later. They will be uploaded and analyzed automatically and appear in the pending list.`);
+    }
+    if (failed.length > 0) {
+      lines.push(`${failed.length} failed: ${[...new Set(failed.map(item => item.error))].join(', ')}`);
+    }
+    if (skipped > 0) {
+      lines.push(`${skipped} not uploaded. ${stoppedReason}`);
+    }
+
+    const buttons = ready.length > 0
+      ? [{ text: 'Review', onPress: reviewBatch }]
+      : [
+          { text: 'OK', style: 'default' },
+          ...(queued > 0 ? [{ text: 'View Pending', onPress: () => navigation.navigate('PendingCaptures') }] : []),
+        ];
+
+    Alert.alert(ready.length > 0 ? 'Batch Processed' : 'Batch Not Processed', lines.join('\n\n'), buttons);
+  };
+
+  // Upload and analyze the whole batch with a few photos in flight at once
+  const analyzeBatch = async () => {
+    if (!(await hasPictureQuota())) {
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      updateProgress(`Uploading and analyzing ${batchPhotos.length} photos...`, 0);
+
+      const { items, stoppedReason } = await processBatchCaptures(user.id, batchPhotos, {
+        locationId,
+        onProgress: (done, total) => updateProgress(`Processed ${done} of ${total} photos...`, (done / total) * 100),
+      });
+
+      setBatchPhotos([]);
+      showBatchResults(items, stoppedReason);
+    } catch (error) {
+      console.error('❌ Error processing batch:', error);
+      Alert.alert('Error', 'Failed to process the batch. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const takePicture = async () => {
     if (cameraRef.current) {
       try {
@@ -108,21 +446,20 @@ export default function CameraScreen({ navigation }) {
           return;
         }
         
-        // Check daily picture limit
-        const limitCheck = await checkDailyPictureLimit(user.id);
-        if (!limitCheck.canTakePicture) {
-          Alert.alert(
-            'Daily Limit Reached 📸',
-            `You've reached your daily limit of ${limitCheck.limit} pictures (${limitCheck.todayCount}/${limitCheck.limit} used today).\n\nThis helps us provide the best service for everyone. The limit resets at midnight.\n\nThank you for understanding! 😊`,
-            [{ text: 'Got it', style: 'default' }]
-          );
+        if (isBatchMode) {
+          await snapBatchPhoto();
+          return;
+        }
+        
+        // Check the plan's picture limit
+        if (!(await hasPictureQuota())) {
           return;
         }
         
         setIsLoading(true);
         updateProgress('Capturing image...', 0);
         
-        console.log('📸 Taking picture for user:', user.id, `(${limitCheck.todayCount + 1}/${limitCheck.limit} today)`);
+        console.log('📸 Taking picture for user:', user.id);
         
         const photo = await cameraRef.current.takePictureAsync({
           quality: 0.8,
@@ -132,45 +469,7 @@ export default function CameraScreen({ navigation }) {
         setCapturedImage(photo.uri);
         updateProgress('Image captured! Uploading to cloud...', 15);
         
-        // Upload to user-specific folder in Supabase Storage
-        console.log('📁 Uploading image to user folder...');
-        const imageUrl = await uploadImageToUserFolder(photo.uri, user.id);
-        
-        if (imageUrl) {
-          console.log('✅ Image uploaded successfully:', imageUrl);
-          updateProgress('Upload complete! Preparing for AI analysis...', 40);
-          
-          // Generate signed URL for AI analysis
-          console.log('🔐 Generating secure URL for AI analysis...');
-          const aiSignedUrl = await generateSignedUrlForAI(imageUrl);
-          
-          if (!aiSignedUrl) {
-            Alert.alert('Error', 'Failed to generate secure URL for AI analysis.');
-            return;
-          }
-          
-          updateProgress('Analyzing image with AI...', 60);
-          
-          // Analyze with OpenAI Vision API using signed URL
-          console.log('🤖 Analyzing image with OpenAI...');
-          const detectedObjects = await analyzeImageWithAI(aiSignedUrl);
-          
-          updateProgress('AI analysis complete! Processing results...', 90);
-          
-          // Brief delay to show completion
-          await new Promise(resolve => setTimeout(resolve, 500));
-          updateProgress('Ready! Opening object confirmation...', 100);
-          
-          // Navigate to confirmation screen with results
-          navigation.navigate('ObjectConfirmation', {
-            imageUrl,
-            detectedObjects,
-            localImageUri: photo.uri,
-            userId: user.id,
-          });
-        } else {
-          Alert.alert('Upload Error', 'Failed to upload image. Please check your Supabase configuration.');
-        }
+        await processImage(photo.uri);
       } catch (error) {
         console.error('❌ Error taking picture:', error);
         Alert.alert('Error', 'Failed to capture image. Please try again.');
@@ -191,21 +490,20 @@ export default function CameraScreen({ navigation }) {
         return;
       }
 
-      // Check daily picture limit
-      const limitCheck = await checkDailyPictureLimit(user.id);
-      if (!limitCheck.canTakePicture) {
-        Alert.alert(
-          'Daily Limit Reached 📸',
-          `You've reached your daily limit of ${limitCheck.limit} pictures (${limitCheck.todayCount}/${limitCheck.limit} used today).\n\nThis helps us provide the best service for everyone. The limit resets at midnight.\n\nThank you for understanding! 😊`,
-          [{ text: 'Got it', style: 'default' }]
-        );
+      if (isBatchMode) {
+        await pickBatchPhotos();
+        return;
+      }
+
+      // Check the plan's picture limit
+      if (!(await hasPictureQuota())) {
         return;
       }
 
       setIsLoading(true);
       updateProgress('Opening gallery...', 0);
 
-      console.log('📱 Opening image picker for user:', user.id, `(${limitCheck.todayCount + 1}/${limitCheck.limit} today)`);
+      console.log('📱 Opening image picker for user:', user.id);
 
       // Request media library permissions
       const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
@@ -233,45 +531,7 @@ export default function CameraScreen({ navigation }) {
       setCapturedImage(selectedImage.uri);
       updateProgress('Image selected! Uploading to cloud...', 15);
 
-      // Upload to user-specific folder in Supabase Storage
-      console.log('📁 Uploading selected image to user folder...');
-      const imageUrl = await uploadImageToUserFolder(selectedImage.uri, user.id);
-
-      if (imageUrl) {
-        console.log('✅ Image uploaded successfully:', imageUrl);
-        updateProgress('Upload complete! Preparing for AI analysis...', 40);
-
-        // Generate signed URL for AI analysis
-        console.log('🔐 Generating secure URL for AI analysis...');
-        const aiSignedUrl = await generateSignedUrlForAI(imageUrl);
-
-        if (!aiSignedUrl) {
-          Alert.alert('Error', 'Failed to generate secure URL for AI analysis.');
-          return;
-        }
-
-        updateProgress('Analyzing image with AI...', 60);
-
-        // Analyze with OpenAI Vision API using signed URL
-        console.log('🤖 Analyzing uploaded image with OpenAI...');
-        const detectedObjects = await analyzeImageWithAI(aiSignedUrl);
-
-        updateProgress('AI analysis complete! Processing results...', 90);
-
-        // Brief delay to show completion
-        await new Promise(resolve => setTimeout(resolve, 500));
-        updateProgress('Ready! Opening object confirmation...', 100);
-
-        // Navigate to confirmation screen with results
-        navigation.navigate('ObjectConfirmation', {
-          imageUrl,
-          detectedObjects,
-          localImageUri: selectedImage.uri,
-          userId: user.id,
-        });
-      } else {
-        Alert.alert('Upload Error', 'Failed to upload image. Please check your Supabase configuration.');
-      }
+      await processImage(selectedImage.uri);
     } catch (error) {
       console.error('❌ Error uploading from gallery:', error);
       Alert.alert('Error', 'Failed to upload image. Please try again.');
@@ -335,6 +595,43 @@ export default function CameraScreen({ navigation }) {
           </TouchableOpacity>
         </View>
         
+        <View style={styles.locationChipContainer}>
+          <TouchableOpacity
+            style={styles.locationChip}
+            onPress={() => setShowLocationPicker(true)}
+            disabled={isLoading}
+          >
+            <Ionicons name="location" size={16} color="white" />
+            <Text style={styles.locationChipText} numberOfLines={1}>
+              {formatLocationPath(locations, locationId) || 'Set location'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+        
+        {isBatchMode && (
+          <View style={styles.batchBar}>
+            {batchPhotos.length > 0 && (
+              <Image source={{ uri: batchPhotos[batchPhotos.length - 1] }} style={styles.batchThumbnail} />
+            )}
+            <Text style={styles.batchText} numberOfLines={2}>
+              {batchPhotos.length > 0
+                ? `${batchPhotos.length}/${config.app.maxBatchCapture} photos`
+                : 'Batch mode: snap or pick several photos, then analyze them together'}
+            </Text>
+            {batchPhotos.length > 0 && (
+              <>
+                <TouchableOpacity style={styles.batchClearButton} onPress={clearBatch} disabled={isLoading}>
+                  <Ionicons name="close" size={20} color="white" />
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.batchAnalyzeButton} onPress={analyzeBatch} disabled={isLoading}>
+                  <Ionicons name="sparkles" size={16} color="white" />
+                  <Text style={styles.batchAnalyzeText}>Analyze</Text>
+                </TouchableOpacity>
+              </>
+            )}
+          </View>
+        )}
+        
         <View style={styles.captureContainer}>
           <TouchableOpacity
             style={[styles.uploadButton, isLoading && styles.captureButtonDisabled]}
@@ -356,7 +653,13 @@ export default function CameraScreen({ navigation }) {
             )}
           </TouchableOpacity>
           
-          <View style={styles.placeholderButton} />
+          <TouchableOpacity
+            style={[styles.uploadButton, isBatchMode && styles.batchButtonActive]}
+            onPress={toggleBatchMode}
+            disabled={isLoading}
+          >
+            <Ionicons name="albums" size={24} color="white" />
+          </TouchableOpacity>
         </View>
         
         {/* Fancy AI Processing Animation Overlay */}
@@ -441,6 +744,14 @@ export default function CameraScreen({ navigation }) {
           <Image source={{ uri: capturedImage }} style={styles.previewImage} />
         </View>
       )}
+
+      <LocationPicker
+        visible={showLocationPicker}
+        userId={user?.id}
+        selectedLocationId={locationId}
+        onSelect={handleLocationSelect}
+        onClose={() => setShowLocationPicker(false)}
+      />
     </View>
   );
 }
@@ -471,6 +782,26 @@ const styles = StyleSheet.create({
     borderRadius: 25,
     padding: 10,
   },
+  locationChipContainer: {
+    alignItems: 'center',
+    marginBottom: 20,
+    paddingHorizontal: 40,
+  },
+  locationChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    borderRadius: 20,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    maxWidth: '100%',
+  },
+  locationChipText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: '500',
+    marginLeft: 6,
+  },
   captureContainer: {
     flex: 0,
     flexDirection: 'row',
@@ -499,9 +830,49 @@ const styles = StyleSheet.create({
     borderWidth: 2,
     borderColor: 'rgba(255, 255, 255, 0.5)',
   },
-  placeholderButton: {
-    width: 60,
-    height: 60,
+  batchButtonActive: {
+    backgroundColor: '#2196F3',
+    borderColor: 'white',
+  },
+  batchBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    borderRadius: 15,
+    marginHorizontal: 20,
+    marginBottom: 20,
+    padding: 8,
+  },
+  batchThumbnail: {
+    width: 44,
+    height: 44,
+    borderRadius: 8,
+    marginRight: 10,
+  },
+  batchText: {
+    flex: 1,
+    color: 'white',
+    fontSize: 14,
+    fontWeight: '500',
+    marginHorizontal: 4,
+  },
+  batchClearButton: {
+    padding: 8,
+    marginRight: 4,
+  },
+  batchAnalyzeButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#2196F3',
+    borderRadius: 20,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+  },
+  batchAnalyzeText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginLeft: 6,
   },
   captureButtonDisabled: {
     backgroundColor: '#999',
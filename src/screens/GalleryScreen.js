@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   View,
   Text,
@@ -9,39 +9,121 @@ import {
   Dimensions,
   Alert,
   RefreshControl,
+  ScrollView,
+  ActivityIndicator,
+  Modal,
+  TextInput,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useFocusEffect } from '@react-navigation/native';
 
+import { config } from '../config/env';
 import { supabase } from '../services/supabase';
-import { getUserPicturesWithObjectCounts, deletePictureAndObjects, generateSignedUrlForDisplay, extractFilePathFromUrl } from '../services/storageService';
+import { getPicturesPage, deletePictureAndObjects } from '../services/storageService';
+import { getImageDisplayUrls } from '../services/signedUrlCache';
+import {
+  setPicturesDeleted,
+  setPicturesLocation,
+  renamePictures,
+  reanalyzePictures,
+} from '../services/bulkPictureService';
+import { syncWithSupabase } from '../services/localStorage';
+import { getLocations } from '../services/locationService';
+import { LocationPicker } from '../components/LocationPicker';
+import { formatLocationPath, getDescendantIds } from '../utils/locationUtils';
+import {
+  PICTURE_SORTS,
+  PICTURE_DATE_RANGES,
+  DEFAULT_PICTURE_SORT,
+  getDateRangeStart,
+} from '../utils/galleryUtils';
 import { useAuth } from '../contexts/AuthContext';
 
 const { width } = Dimensions.get('window');
 const imageSize = (width - 60) / 2; // 2 columns with padding
+const ROW_HEIGHT = imageSize + 20; // Image plus its bottom margin
+
+// "Has objects" filter values, in the order the chip cycles through them
+const OBJECT_FILTERS = [
+  { value: null, label: 'Any objects' },
+  { value: true, label: 'With objects' },
+  { value: false, label: 'No objects' },
+];
+
+const countPictures = (count) => `${count} picture${count !== 1 ? 's' : ''}`;
 
 export default function GalleryScreen({ navigation }) {
   const { user } = useAuth();
   const [images, setImages] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [isRefreshing, setIsRefreshing] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
   const [deletingImageId, setDeletingImageId] = useState(null);
+  const [sort, setSort] = useState(DEFAULT_PICTURE_SORT);
+  const [dateRange, setDateRange] = useState('all');
+  const [objectFilter, setObjectFilter] = useState(null);
+  const [locationFilterId, setLocationFilterId] = useState(null);
+  const [locations, setLocations] = useState([]);
+  const [openMenu, setOpenMenu] = useState(null); // 'sort' or 'date' while its options are shown
+  const [showLocationPicker, setShowLocationPicker] = useState(false);
+  const [isSelecting, setIsSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkProgress, setBulkProgress] = useState(null); // { label, done, total } while a bulk action runs
+  const [showMovePicker, setShowMovePicker] = useState(false);
+  const [showRenameModal, setShowRenameModal] = useState(false);
+  const [renameText, setRenameText] = useState('');
+  const loadRequestRef = useRef(0);
 
   useEffect(() => {
-    loadImages();
-  }, []);
+    if (user) {
+      getLocations(user.id).then(setLocations);
+    }
+  }, [user]);
 
   // Refresh gallery when screen comes into focus (e.g., after syncing in other screens)
+  // and start over from the first page whenever the sort or a filter changes
   useFocusEffect(
     useCallback(() => {
       console.log('📸 Gallery screen focused, refreshing...');
       loadImages();
-    }, [])
+    }, [sort, dateRange, objectFilter, locationFilterId])
   );
 
+  const hasActiveFilters = dateRange !== 'all' || objectFilter !== null || !!locationFilterId;
+
+  const buildFilters = () => ({
+    dateFrom: getDateRangeStart(dateRange),
+    hasObjects: objectFilter,
+    // A room also shows what's filed in its furniture and containers
+    locationIds: locationFilterId ? [...getDescendantIds(locations, locationFilterId)] : null,
+  });
+
+  // Transform pictures to the gallery format; signed URLs come from the cache and only
+  // missing or expiring ones are signed, in one request per page
+  const toGalleryImages = async (pictures) => {
+    const displayUrls = await getImageDisplayUrls(pictures.map(pic => pic.url));
+
+    return pictures.map((pic, i) => ({
+      id: pic.id || pic.url,
+      uri: displayUrls[i].url || pic.url, // Use fresh URL or fallback to stored URL
+      thumbnailUri: displayUrls[i].thumbnailUrl || pic.url, // Small copy for the grid
+      created_at: pic.created_at,
+      objectCount: pic.objectCount,
+      hasObjects: pic.hasObjects,
+      fileName: pic.name, // Store filename for deletion
+      pictureName: pic.pictureName, // Add picture name from database
+      description: pic.description,
+      originalUrl: pic.url, // Keep original for deletion purposes
+    }));
+  };
+
   const loadImages = async () => {
+    // A newer load (e.g. another filter tapped) makes this one's results stale
+    const requestId = ++loadRequestRef.current;
+
     try {
-      console.log('📸 Loading all images...');
+      console.log('📸 Loading first page of images...');
       
       if (!user) {
         console.warn('⚠️ No user authenticated, cannot load images');
@@ -49,73 +131,67 @@ export default function GalleryScreen({ navigation }) {
         return;
       }
       
-      // Get pictures with object counts from storage service
-      const picturesWithCounts = await getUserPicturesWithObjectCounts(user.id);
-      
-      console.log('🔍 DEBUG: Raw picturesWithCounts from storage service:', picturesWithCounts.length);
-      picturesWithCounts.forEach((pic, i) => {
-        console.log(`  Raw ${i + 1}. ${pic.name}: ${pic.objectCount} objects, URL: ${pic.url ? 'present' : 'missing'}`);
-      });
+      const page = await getPicturesPage(user.id, { sort, filters: buildFilters() });
+      const pageImages = await toGalleryImages(page.pictures);
 
-      // Transform to match expected format and generate fresh signed URLs
-      const transformedImages = await Promise.all(picturesWithCounts.map(async (pic) => {
-        // Generate fresh signed URL for display
-        const freshSignedUrl = await generateSignedUrlForDisplay(extractFilePathFromUrl(pic.url));
-        
-        return {
-          id: pic.id || pic.url,
-          uri: freshSignedUrl || pic.url, // Use fresh URL or fallback to stored URL
-          created_at: pic.created_at,
-          objectCount: pic.objectCount,
-          hasObjects: pic.hasObjects,
-          fileName: pic.name, // Store filename for deletion
-          pictureName: pic.pictureName, // Add picture name from database
-          originalUrl: pic.url, // Keep original for deletion purposes
-        };
-      }));
-      
-      console.log('🔍 DEBUG: After transformation:', transformedImages.length);
-      transformedImages.forEach((img, i) => {
-        console.log(`  Transformed ${i + 1}. ${img.fileName}: ${img.objectCount} objects, URI: ${img.uri ? 'present' : 'missing'}, ID: ${img.id ? 'present' : 'missing'}`);
-      });
-      
-      // Sort by creation date (newest first)
-      transformedImages.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-      
-      console.log('🔍 DEBUG: After sorting:', transformedImages.length);
-      transformedImages.forEach((img, i) => {
-        console.log(`  Sorted ${i + 1}. ${img.fileName}: ${img.objectCount} objects, DATE: ${img.created_at}`);
-      });
-      
-      // Debug object counts
-      const totalObjects = transformedImages.reduce((sum, img) => sum + img.objectCount, 0);
-      console.log('📊 Found', transformedImages.length, 'pictures with', totalObjects, 'total objects');
-      transformedImages.forEach((img, i) => {
-        console.log(`  ${i + 1}. ${img.fileName}: ${img.objectCount} objects`);
-      });
-      
-      console.log('🔍 DEBUG: About to call setImages with:', transformedImages.length, 'items');
-      setImages(transformedImages);
-      console.log('🔍 DEBUG: setImages called successfully');
-      
-      // Speech removed - was annoying when opening gallery
-      // if (transformedImages.length > 0) {
-      //   Speech.speak(`Gallery loaded with ${transformedImages.length} pictures`, {
-      //     language: 'en-US',
-      //     pitch: 1.0,
-      //     rate: 0.9,
-      //   });
-      // }
+      if (requestId !== loadRequestRef.current) return;
       
+      console.log('📊 Showing', pageImages.length, 'pictures', page.nextCursor ? '(more to load)' : '');
+      setImages(pageImages);
+      setNextCursor(page.nextCursor);
     } catch (error) {
       console.error('❌ Error loading images:', error);
       Alert.alert('Error', 'Failed to load images from gallery.');
     } finally {
-      setIsLoading(false);
-      setIsRefreshing(false);
+      if (requestId === loadRequestRef.current) {
+        setIsLoading(false);
+        setIsRefreshing(false);
+      }
     }
   };
 
+  // Infinite scroll: fetch the page after the last picture shown
+  const loadMoreImages = async () => {
+    if (!user || !nextCursor || isLoadingMore || isLoading) return;
+
+    const requestId = loadRequestRef.current;
+    setIsLoadingMore(true);
+
+    try {
+      const page = await getPicturesPage(user.id, { sort, filters: buildFilters(), cursor: nextCursor });
+      const pageImages = await toGalleryImages(page.pictures);
+
+      if (requestId !== loadRequestRef.current) return;
+
+      setImages(prevImages => [
+        ...prevImages,
+        ...pageImages.filter(img => !prevImages.some(prev => prev.id === img.id)),
+      ]);
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      console.error('❌ Error loading more images:', error);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
+  const clearFilters = () => {
+    setDateRange('all');
+    setObjectFilter(null);
+    setLocationFilterId(null);
+    setOpenMenu(null);
+  };
+
+  const cycleObjectFilter = () => {
+    const index = OBJECT_FILTERS.findIndex(option => option.value === objectFilter);
+    setObjectFilter(OBJECT_FILTERS[(index + 1) % OBJECT_FILTERS.length].value);
+  };
+
+  const handleLocationFilterSelect = (location, updatedLocations) => {
+    setLocations(updatedLocations);
+    setLocationFilterId(location?.id || null);
+  };
+
   const handleRefresh = () => {
     setIsRefreshing(true);
     loadImages();
@@ -141,7 +217,7 @@ export default function GalleryScreen({ navigation }) {
 
     Alert.alert(
       'Delete Picture',
-      `Are you sure you want to delete this picture? This will also remove ${image.objectCount} associated object${image.objectCount !== 1 ? 's' : ''}.`,
+      `Move this picture and its ${image.objectCount} object${image.objectCount !== 1 ? 's' : ''} to the Trash? You can restore it from there for ${config.app.trashRetentionDays} days.`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
@@ -175,48 +251,349 @@ export default function GalleryScreen({ navigation }) {
     );
   };
 
-  const renderImageItem = ({ item }) => (
-    <View style={styles.imageContainer}>
-      <TouchableOpacity style={styles.imagePress} onPress={() => handleImagePress(item)}>
-        <Image source={{ uri: item.uri }} style={styles.image} resizeMode="cover" />
-        <View style={styles.imageOverlay}>
-          <Text style={styles.pictureName} numberOfLines={1}>
-            {item.pictureName || 'Untitled'}
-          </Text>
-          <Text style={styles.objectCount}>{item.objectCount} objects</Text>
-          <Text style={styles.imageDate}>
-            {new Date(item.created_at).toLocaleDateString()}
-          </Text>
-        </View>
-      </TouchableOpacity>
-      
-      {/* Picture Details Button */}
-      <TouchableOpacity 
-        style={styles.detailsButton}
-        onPress={() => navigation.navigate('PictureDetails', {
-          imageUrl: item.uri,
-          imageSource: { uri: item.uri }
-        })}
-      >
-        <Ionicons name="document-text" size={14} color="white" />
-      </TouchableOpacity>
-      
-      {/* Delete Button */}
-      <TouchableOpacity 
-        style={[styles.deleteButton, deletingImageId === item.id && styles.deletingButton]}
-        onPress={() => handleDeleteImage(item)}
-        disabled={deletingImageId === item.id}
-      >
-        {deletingImageId === item.id ? (
-          <Ionicons name="hourglass" size={16} color="white" />
+  // ====== SELECTION MODE ======
+
+  const selectedImages = images.filter(img => selectedIds.includes(img.id));
+
+  const startSelecting = (image = null) => {
+    setIsSelecting(true);
+    setSelectedIds(image ? [image.id] : []);
+    setOpenMenu(null);
+  };
+
+  const stopSelecting = () => {
+    setIsSelecting(false);
+    setSelectedIds([]);
+  };
+
+  const toggleSelected = (image) => {
+    setSelectedIds(prevIds => prevIds.includes(image.id)
+      ? prevIds.filter(id => id !== image.id)
+      : [...prevIds, image.id]);
+  };
+
+  const toggleSelectAll = () => {
+    setSelectedIds(selectedIds.length === images.length ? [] : images.map(img => img.id));
+  };
+
+  // Run a bulk action on the selected pictures with a progress bar; afterwards only the
+  // pictures that failed stay selected, so the action can be tried again on them
+  const runBulkAction = async (label, action) => {
+    const targets = selectedImages;
+    setBulkProgress({ label, done: 0, total: targets.length });
+
+    try {
+      const result = await action(targets, (done, total) => setBulkProgress({ label, done, total }));
+      const failedUrls = result.failed.map(failure => failure.imageUrl);
+      const failedIds = targets.filter(img => failedUrls.includes(img.originalUrl)).map(img => img.id);
+
+      if (failedIds.length > 0) {
+        setSelectedIds(failedIds);
+      } else {
+        stopSelecting();
+      }
+
+      // The cached objects already show the changes; syncing moves the sync cursor past them.
+      // Queued changes go out with the next sync anyway.
+      if (result.succeeded.length > 0 && !result.queued) {
+        syncWithSupabase(user.id).catch(error => {
+          console.warn('⚠️ Sync after bulk action failed, will retry later:', error.message);
+        });
+      }
+
+      return result;
+    } catch (error) {
+      console.error('❌ Error running bulk action:', error);
+      Alert.alert('Error', `${label} failed. Please try again.`);
+      return null;
+    } finally {
+      setBulkProgress(null);
+    }
+  };
+
+  // Summary of a bulk action, with the reasons for any pictures that failed
+  const getBulkSummary = (result, successText) => {
+    const lines = [successText];
+
+    if (result.queued) {
+      lines.push('You\'re offline. The changes will be saved when you\'re back online.');
+    }
+    if (result.failed.length > 0) {
+      const reasons = [...new Set(result.failed.map(failure => failure.error))];
+      lines.push(`${countPictures(result.failed.length)} failed and ${result.failed.length !== 1 ? 'are' : 'is'} still selected:\n${reasons.join('\n')}`);
+    }
+
+    return lines.join('\n\n');
+  };
+
+  const handleBulkRestore = async (imageUrls) => {
+    setBulkProgress({ label: 'Restoring', done: 0, total: imageUrls.length });
+
+    try {
+      const result = await setPicturesDeleted(user.id, imageUrls, false, {
+        onProgress: (done, total) => setBulkProgress({ label: 'Restoring', done, total }),
+      });
+
+      if (result.failed.length > 0) {
+        Alert.alert('Restore', `${countPictures(result.failed.length)} could not be restored. You can restore them from the Trash.`);
+      }
+      if (result.succeeded.length > 0 && !result.queued) {
+        syncWithSupabase(user.id).catch(error => {
+          console.warn('⚠️ Sync after restore failed, will retry later:', error.message);
+        });
+      }
+    } finally {
+      setBulkProgress(null);
+      loadImages();
+    }
+  };
+
+  const handleBulkDelete = () => {
+    if (selectedImages.length === 0) return;
+
+    Alert.alert(
+      'Delete Pictures',
+      `Move ${countPictures(selectedImages.length)} and their objects to the Trash? You can restore them from there for ${config.app.trashRetentionDays} days.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await runBulkAction('Deleting', (targets, onProgress) =>
+              setPicturesDeleted(user.id, targets.map(img => img.originalUrl), true, { onProgress })
+            );
+            if (!result) return;
+
+            const deletedUrls = result.succeeded;
+            setImages(prevImages => prevImages.filter(img => !deletedUrls.includes(img.originalUrl)));
+
+            Alert.alert(
+              'Moved to Trash',
+              getBulkSummary(result, `Moved ${countPictures(deletedUrls.length)} to the Trash.`),
+              deletedUrls.length > 0
+                ? [
+                    { text: 'Undo', onPress: () => handleBulkRestore(deletedUrls) },
+                    { text: 'OK' },
+                  ]
+                : undefined
+            );
+          },
+        },
+      ]
+    );
+  };
+
+  const handleBulkMove = async (location, updatedLocations) => {
+    setLocations(updatedLocations);
+
+    const result = await runBulkAction('Moving', (targets, onProgress) =>
+      setPicturesLocation(user.id, targets.map(img => img.originalUrl), location?.id || null, { onProgress })
+    );
+    if (!result) return;
+
+    const destination = location ? formatLocationPath(updatedLocations, location.id) : 'no location';
+    Alert.alert('Moved', getBulkSummary(result, `Moved ${countPictures(result.succeeded.length)} to ${destination}.`));
+    loadImages();
+  };
+
+  const openRenameModal = () => {
+    if (selectedImages.length === 0) return;
+    setRenameText('');
+    setShowRenameModal(true);
+  };
+
+  const handleBulkRename = async () => {
+    const baseName = renameText.trim();
+    if (!baseName) return;
+    setShowRenameModal(false);
+
+    const result = await runBulkAction('Renaming', (targets, onProgress) =>
+      renamePictures(
+        user.id,
+        targets.map(img => ({ imageUrl: img.originalUrl, description: img.description })),
+        baseName,
+        { onProgress }
+      )
+    );
+    if (!result) return;
+
+    Alert.alert('Renamed', getBulkSummary(result, `Renamed ${countPictures(result.succeeded.length)}.`));
+    loadImages();
+  };
+
+  const handleBulkReanalyze = () => {
+    if (selectedImages.length === 0) return;
+
+    Alert.alert(
+      'Re-analyze Pictures',
+      `Look for new objects in ${countPictures(selectedImages.length)}? Objects you already have are kept. Each picture counts as one AI analysis.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Re-analyze',
+          onPress: async () => {
+            const result = await runBulkAction('Analyzing', (targets, onProgress) =>
+              reanalyzePictures(user.id, targets.map(img => img.originalUrl), { onProgress })
+            );
+            if (!result) return;
+
+            const found = `Found ${result.objectsAdded} new object${result.objectsAdded !== 1 ? 's' : ''} in ${countPictures(result.succeeded.length)}.`;
+            Alert.alert('Re-analysis Complete', getBulkSummary(result, found));
+            loadImages();
+          },
+        },
+      ]
+    );
+  };
+
+  const renderImageItem = ({ item }) => {
+    const isSelected = selectedIds.includes(item.id);
+
+    return (
+      <View style={[styles.imageContainer, isSelected && styles.imageContainerSelected]}>
+        <TouchableOpacity
+          style={styles.imagePress}
+          onPress={() => (isSelecting ? toggleSelected(item) : handleImagePress(item))}
+          onLongPress={() => !isSelecting && startSelecting(item)}
+        >
+          <Image source={{ uri: item.thumbnailUri }} style={styles.image} resizeMode="cover" />
+          <View style={styles.imageOverlay}>
+            <Text style={styles.pictureName} numberOfLines={1}>
+              {item.pictureName || 'Untitled'}
+            </Text>
+            <Text style={styles.objectCount}>{item.objectCount} objects</Text>
+            <Text style={styles.imageDate}>
+              {new Date(item.created_at).toLocaleDateString()}
+            </Text>
+          </View>
+        </TouchableOpacity>
+
+        {isSelecting ? (
+          <View style={[styles.selectionMark, isSelected && styles.selectionMarkSelected]} pointerEvents="none">
+            {isSelected && <Ionicons name="checkmark" size={18} color="white" />}
+          </View>
         ) : (
-          <Ionicons name="trash" size={16} color="white" />
+          <>
+            {/* Picture Details Button */}
+            <TouchableOpacity 
+              style={styles.detailsButton}
+              onPress={() => navigation.navigate('PictureDetails', {
+                imageUrl: item.uri,
+                imageSource: { uri: item.uri }
+              })}
+            >
+              <Ionicons name="document-text" size={14} color="white" />
+            </TouchableOpacity>
+            
+            {/* Delete Button */}
+            <TouchableOpacity 
+              style={[styles.deleteButton, deletingImageId === item.id && styles.deletingButton]}
+              onPress={() => handleDeleteImage(item)}
+              disabled={deletingImageId === item.id}
+            >
+              {deletingImageId === item.id ? (
+                <Ionicons name="hourglass" size={16} color="white" />
+              ) : (
+                <Ionicons name="trash" size={16} color="white" />
+              )}
+            </TouchableOpacity>
+          </>
         )}
-      </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderFilterChip = ({ icon, label, active, onPress, onClear }) => (
+    <TouchableOpacity style={[styles.filterChip, active && styles.filterChipActive]} onPress={onPress}>
+      <Ionicons name={icon} size={14} color={active ? 'white' : '#333'} />
+      <Text style={[styles.filterChipText, active && styles.filterChipTextActive]} numberOfLines={1}>
+        {label}
+      </Text>
+      {onClear && (
+        <TouchableOpacity onPress={onClear} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+          <Ionicons name="close-circle" size={14} color="white" />
+        </TouchableOpacity>
+      )}
+    </TouchableOpacity>
+  );
+
+  // Options of the open sort or date menu, shown as a second row of chips
+  const renderMenuOptions = () => {
+    const [options, selected, select] = openMenu === 'sort'
+      ? [PICTURE_SORTS, sort, setSort]
+      : [PICTURE_DATE_RANGES, dateRange, setDateRange];
+
+    return (
+      <View style={styles.menuOptions}>
+        {Object.entries(options).map(([key, option]) => (
+          <TouchableOpacity
+            key={key}
+            style={[styles.menuOption, key === selected && styles.menuOptionSelected]}
+            onPress={() => {
+              select(key);
+              setOpenMenu(null);
+            }}
+          >
+            <Text style={[styles.menuOptionText, key === selected && styles.menuOptionTextSelected]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    );
+  };
+
+  const renderFilterBar = () => (
+    <View style={styles.filterBar}>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.filterBarContent}>
+        {renderFilterChip({
+          icon: 'swap-vertical',
+          label: PICTURE_SORTS[sort].label,
+          active: false,
+          onPress: () => setOpenMenu(openMenu === 'sort' ? null : 'sort'),
+        })}
+        {renderFilterChip({
+          icon: 'calendar-outline',
+          label: PICTURE_DATE_RANGES[dateRange].label,
+          active: dateRange !== 'all',
+          onPress: () => setOpenMenu(openMenu === 'date' ? null : 'date'),
+        })}
+        {renderFilterChip({
+          icon: 'cube-outline',
+          label: OBJECT_FILTERS.find(option => option.value === objectFilter).label,
+          active: objectFilter !== null,
+          onPress: cycleObjectFilter,
+        })}
+        {renderFilterChip({
+          icon: 'location-outline',
+          label: locationFilterId ? formatLocationPath(locations, locationFilterId) || 'Location' : 'Any location',
+          active: !!locationFilterId,
+          onPress: () => setShowLocationPicker(true),
+          onClear: locationFilterId ? () => setLocationFilterId(null) : null,
+        })}
+      </ScrollView>
+      {openMenu && renderMenuOptions()}
     </View>
   );
 
-  const renderEmptyState = () => (
+  const renderListFooter = () => (
+    isLoadingMore ? <ActivityIndicator style={styles.listFooter} size="small" color="#2196F3" /> : null
+  );
+
+  const renderEmptyState = () => hasActiveFilters ? (
+    <View style={styles.emptyState}>
+      <Ionicons name="filter-outline" size={80} color="#ccc" />
+      <Text style={styles.emptyStateText}>No Matching Pictures</Text>
+      <Text style={styles.emptyStateSubtext}>
+        No pictures match these filters
+      </Text>
+      <TouchableOpacity style={styles.takePictureButton} onPress={clearFilters}>
+        <Ionicons name="close-circle" size={20} color="white" />
+        <Text style={styles.takePictureButtonText}>Clear Filters</Text>
+      </TouchableOpacity>
+    </View>
+  ) : (
     <View style={styles.emptyState}>
       <Ionicons name="camera-outline" size={80} color="#ccc" />
       <Text style={styles.emptyStateText}>No Pictures Yet</Text>
@@ -233,30 +610,100 @@ export default function GalleryScreen({ navigation }) {
     </View>
   );
 
-  // Debug what's being rendered
-  console.log('🎨 RENDER DEBUG: images state has', images.length, 'items');
-  console.log('🎨 RENDER DEBUG: isLoading =', isLoading);
-  images.forEach((img, i) => {
-    console.log(`  Render ${i + 1}. ${img.fileName}: ${img.objectCount} objects, ID: ${img.id}`);
-  });
+  const renderBulkAction = ({ icon, label, onPress, destructive }) => (
+    <TouchableOpacity
+      style={[styles.bulkAction, selectedIds.length === 0 && styles.bulkActionDisabled]}
+      onPress={onPress}
+      disabled={selectedIds.length === 0}
+    >
+      <Ionicons name={icon} size={22} color={destructive ? '#F44336' : '#2196F3'} />
+      <Text style={[styles.bulkActionText, destructive && styles.bulkActionTextDestructive]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  // Bottom bar in selection mode: the actions, or the progress of the one running
+  const renderSelectionBar = () => (
+    <View style={styles.selectionBar}>
+      {bulkProgress ? (
+        <View style={styles.bulkProgress}>
+          <ActivityIndicator size="small" color="#2196F3" />
+          <Text style={styles.bulkProgressText}>
+            {bulkProgress.label} {bulkProgress.done} of {countPictures(bulkProgress.total)}...
+          </Text>
+          <View style={styles.bulkProgressTrack}>
+            <View
+              style={[
+                styles.bulkProgressFill,
+                { width: `${bulkProgress.total ? (bulkProgress.done / bulkProgress.total) * 100 : 0}%` },
+              ]}
+            />
+          </View>
+        </View>
+      ) : (
+        <View style={styles.bulkActions}>
+          {renderBulkAction({ icon: 'trash-outline', label: 'Delete', onPress: handleBulkDelete, destructive: true })}
+          {renderBulkAction({ icon: 'location-outline', label: 'Move', onPress: () => setShowMovePicker(true) })}
+          {renderBulkAction({ icon: 'create-outline', label: 'Rename', onPress: openRenameModal })}
+          {renderBulkAction({ icon: 'sparkles-outline', label: 'Re-analyze', onPress: handleBulkReanalyze })}
+        </View>
+      )}
+    </View>
+  );
 
   return (
     <View style={styles.container}>
-      <View style={styles.header}>
-        <TouchableOpacity
-          style={styles.backButton}
-          onPress={() => navigation.goBack()}
-        >
-          <Ionicons name="arrow-back" size={24} color="#333" />
-        </TouchableOpacity>
-        <Text style={styles.title}>Picture Gallery</Text>
-        <TouchableOpacity
-          style={styles.refreshButton}
-          onPress={handleRefresh}
-        >
-          <Ionicons name="refresh" size={24} color="#333" />
-        </TouchableOpacity>
-      </View>
+      {isSelecting ? (
+        <View style={styles.header}>
+          <TouchableOpacity
+            style={styles.backButton}
+            onPress={stopSelecting}
+            disabled={!!bulkProgress}
+          >
+            <Ionicons name="close" size={24} color="#333" />
+          </TouchableOpacity>
+          <Text style={styles.title}>{selectedIds.length} Selected</Text>
+          <View style={styles.headerActions}>
+            <TouchableOpacity onPress={toggleSelectAll} disabled={!!bulkProgress}>
+              <Text style={styles.selectAllText}>
+                {selectedIds.length === images.length && images.length > 0 ? 'None' : 'All'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      ) : (
+        <View style={styles.header}>
+          <TouchableOpacity
+            style={styles.backButton}
+            onPress={() => navigation.goBack()}
+          >
+            <Ionicons name="arrow-back" size={24} color="#333" />
+          </TouchableOpacity>
+          <Text style={styles.title}>Picture Gallery</Text>
+          <View style={styles.headerActions}>
+            <TouchableOpacity
+              style={styles.selectButton}
+              onPress={() => startSelecting()}
+              disabled={images.length === 0}
+            >
+              <Ionicons name="checkmark-circle-outline" size={24} color="#333" />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.trashButton}
+              onPress={() => navigation.navigate('Trash')}
+            >
+              <Ionicons name="trash-outline" size={24} color="#333" />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.refreshButton}
+              onPress={handleRefresh}
+            >
+              <Ionicons name="refresh" size={24} color="#333" />
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+
+      {renderFilterBar()}
 
       {images.length === 0 && !isLoading ? (
         renderEmptyState()
@@ -264,16 +711,101 @@ export default function GalleryScreen({ navigation }) {
         <FlatList
           data={images}
           renderItem={renderImageItem}
-          keyExtractor={(item) => item.id}
+          extraData={selectedIds}
+          keyExtractor={(item) => String(item.id)}
           numColumns={2}
           contentContainerStyle={styles.imageGrid}
           columnWrapperStyle={styles.imageRow}
           refreshControl={
             <RefreshControl refreshing={isRefreshing} onRefresh={handleRefresh} />
           }
+          onEndReached={loadMoreImages}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={renderListFooter}
+          // Fixed-size rows let the list skip measuring and only keep nearby rows mounted
+          getItemLayout={(data, index) => ({ length: ROW_HEIGHT, offset: 20 + ROW_HEIGHT * index, index })}
+          initialNumToRender={8}
+          maxToRenderPerBatch={8}
+          windowSize={7}
+          removeClippedSubviews
           showsVerticalScrollIndicator={false}
         />
       )}
+
+      <LocationPicker
+        visible={showLocationPicker}
+        userId={user?.id}
+        selectedLocationId={locationFilterId}
+        onSelect={handleLocationFilterSelect}
+        onClose={() => setShowLocationPicker(false)}
+      />
+
+      {isSelecting && renderSelectionBar()}
+
+      {/* Where the selected pictures go */}
+      <LocationPicker
+        visible={showMovePicker}
+        userId={user?.id}
+        selectedLocationId={null}
+        onSelect={handleBulkMove}
+        onClose={() => setShowMovePicker(false)}
+      />
+
+      {/* Bulk Rename Modal */}
+      <Modal
+        visible={showRenameModal}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setShowRenameModal(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>Rename {countPictures(selectedImages.length)}</Text>
+              <TouchableOpacity
+                style={styles.modalCloseButton}
+                onPress={() => setShowRenameModal(false)}
+              >
+                <Ionicons name="close" size={24} color="#666" />
+              </TouchableOpacity>
+            </View>
+
+            <View style={styles.modalBody}>
+              <TextInput
+                style={styles.modalInput}
+                placeholder="e.g. Kitchen Drawer"
+                value={renameText}
+                onChangeText={setRenameText}
+                maxLength={100}
+                autoFocus
+                returnKeyType="done"
+                onSubmitEditing={handleBulkRename}
+              />
+              {selectedImages.length > 1 && renameText.trim() !== '' && (
+                <Text style={styles.modalHint}>
+                  Pictures will be named "{renameText.trim()} 1" to "{renameText.trim()} {selectedImages.length}"
+                </Text>
+              )}
+
+              <View style={styles.modalActions}>
+                <TouchableOpacity
+                  style={styles.cancelButton}
+                  onPress={() => setShowRenameModal(false)}
+                >
+                  <Text style={styles.cancelButtonText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.renameButton, !renameText.trim() && styles.disabledButton]}
+                  onPress={handleBulkRename}
+                  disabled={!renameText.trim()}
+                >
+                  <Text style={styles.renameButtonText}>Rename</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </View>
+        </View>
+      </Modal>
     </View>
   );
 }
@@ -293,7 +825,7 @@ const styles = StyleSheet.create({
     backgroundColor: 'white',
   },
   backButton: {
-    width: 40,
+    width: 104,
   },
   title: {
     fontSize: 20,
@@ -302,13 +834,91 @@ const styles = StyleSheet.create({
     flex: 1,
     textAlign: 'center',
   },
+  headerActions: {
+    width: 104,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+  },
+  selectButton: {
+    marginRight: 16,
+  },
+  trashButton: {
+    marginRight: 16,
+  },
+  selectAllText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#2196F3',
+  },
   refreshButton: {
-    width: 40,
     alignItems: 'flex-end',
   },
+  filterBar: {
+    backgroundColor: 'white',
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+    paddingVertical: 10,
+  },
+  filterBarContent: {
+    paddingHorizontal: 20,
+  },
+  filterChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#f0f0f0',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    maxWidth: 200,
+    gap: 4,
+  },
+  filterChipActive: {
+    backgroundColor: '#2196F3',
+  },
+  filterChipText: {
+    fontSize: 13,
+    color: '#333',
+    flexShrink: 1,
+  },
+  filterChipTextActive: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  menuOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingHorizontal: 20,
+    paddingTop: 10,
+  },
+  menuOption: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  menuOptionSelected: {
+    borderColor: '#2196F3',
+    backgroundColor: '#E3F2FD',
+  },
+  menuOptionText: {
+    fontSize: 13,
+    color: '#333',
+  },
+  menuOptionTextSelected: {
+    color: '#2196F3',
+    fontWeight: '600',
+  },
   imageGrid: {
     padding: 20,
   },
+  listFooter: {
+    paddingBottom: 20,
+  },
   imageRow: {
     justifyContent: 'space-between',
   },
@@ -326,6 +936,26 @@ const styles = StyleSheet.create({
     elevation: 5,
     position: 'relative',
   },
+  imageContainerSelected: {
+    borderWidth: 3,
+    borderColor: '#2196F3',
+  },
+  selectionMark: {
+    position: 'absolute',
+    top: 8,
+    right: 8,
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    borderWidth: 2,
+    borderColor: 'white',
+    backgroundColor: 'rgba(0, 0, 0, 0.2)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  selectionMarkSelected: {
+    backgroundColor: '#2196F3',
+  },
   imagePress: {
     width: '100%',
     height: '100%',
@@ -422,4 +1052,128 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginLeft: 8,
   },
+  selectionBar: {
+    backgroundColor: 'white',
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+    paddingHorizontal: 20,
+    paddingTop: 12,
+    paddingBottom: 30,
+  },
+  bulkActions: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+  },
+  bulkAction: {
+    alignItems: 'center',
+    minWidth: 64,
+  },
+  bulkActionDisabled: {
+    opacity: 0.4,
+  },
+  bulkActionText: {
+    fontSize: 12,
+    color: '#2196F3',
+    marginTop: 4,
+  },
+  bulkActionTextDestructive: {
+    color: '#F44336',
+  },
+  bulkProgress: {
+    alignItems: 'center',
+  },
+  bulkProgressText: {
+    fontSize: 14,
+    color: '#333',
+    marginVertical: 8,
+  },
+  bulkProgressTrack: {
+    width: '100%',
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#eee',
+    overflow: 'hidden',
+  },
+  bulkProgressFill: {
+    height: '100%',
+    backgroundColor: '#2196F3',
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingBottom: 20,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  modalCloseButton: {
+    padding: 5,
+  },
+  modalBody: {
+    padding: 20,
+  },
+  modalInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: '#f9f9f9',
+  },
+  modalHint: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 8,
+  },
+  modalActions: {
+    flexDirection: 'row',
+    gap: 10,
+    marginTop: 20,
+  },
+  cancelButton: {
+    flex: 1,
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    alignItems: 'center',
+  },
+  cancelButtonText: {
+    fontSize: 16,
+    color: '#666',
+    fontWeight: '600',
+  },
+  renameButton: {
+    flex: 1,
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+    borderRadius: 8,
+    backgroundColor: '#2196F3',
+    alignItems: 'center',
+  },
+  renameButtonText: {
+    fontSize: 16,
+    color: 'white',
+    fontWeight: '600',
+  },
+  disabledButton: {
+    opacity: 0.6,
+  },
 }); 
\ No newline at end of file
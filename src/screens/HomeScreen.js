@@ -1,13 +1,88 @@
-import React from 'react';
-import { View, Text, TouchableOpacity, StyleSheet, SafeAreaView, Dimensions } from 'react-native';
+import React, { useState, useEffect, useCallback } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, SafeAreaView, Dimensions, Alert } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
+import { useFocusEffect } from '@react-navigation/native';
 import { useAuth } from '../contexts/AuthContext';
+import { getPendingCaptures, startCaptureQueueSync } from '../services/captureQueue';
+import { syncWithSupabase, backfillEmbeddings } from '../services/localStorage';
+import { getAccountDeletionStatus, cancelAccountDeletion } from '../services/accountService';
+import { purgeExpiredTrash } from '../services/trashService';
+import { subscribeToReconnect } from '../utils/networkUtils';
 
 const { width, height } = Dimensions.get('window');
 
 export default function HomeScreen({ navigation }) {
-  const { user } = useAuth();
+  const { user, signOut } = useAuth();
+  const [pendingCount, setPendingCount] = useState(0);
+  const [deletionStatus, setDeletionStatus] = useState(null);
+
+  const refreshPendingCount = async () => {
+    if (!user) return;
+    const pending = await getPendingCaptures(user.id);
+    setPendingCount(pending.length);
+  };
+
+  // Retry offline captures now and whenever the connection comes back
+  useEffect(() => {
+    if (!user) return;
+    return startCaptureQueueSync(user.id, refreshPendingCount);
+  }, [user?.id]);
+
+  // Push changes made offline, pull server changes, embed anything new for semantic search
+  // and purge expired trash, on launch and after reconnecting
+  useEffect(() => {
+    if (!user) return;
+    
+    const sync = () => syncWithSupabase(user.id)
+      .then(() => backfillEmbeddings(user.id))
+      .then(() => purgeExpiredTrash(user.id))
+      .catch(error => {
+        console.warn('⚠️ Background sync failed, will retry later:', error.message);
+      });
+    
+    sync();
+    return subscribeToReconnect(sync);
+  }, [user?.id]);
+
+  useFocusEffect(
+    useCallback(() => {
+      refreshPendingCount();
+    }, [user?.id])
+  );
+
+  // Signing in during the deletion grace period: offer to keep the account
+  useEffect(() => {
+    if (!user) return;
+
+    getAccountDeletionStatus(user.id).then(status => {
+      setDeletionStatus(status);
+      if (status) {
+        promptKeepAccount(status);
+      }
+    });
+  }, [user?.id]);
+
+  const promptKeepAccount = (status) => {
+    Alert.alert(
+      'Account Scheduled for Deletion',
+      `Your account and all its data will be deleted on ${new Date(status.purgeAfter).toLocaleDateString()}. Do you want to keep it?`,
+      [
+        { text: 'Sign Out', style: 'destructive', onPress: () => signOut() },
+        {
+          text: 'Keep Account',
+          onPress: async () => {
+            const result = await cancelAccountDeletion();
+            if (result.success) {
+              setDeletionStatus(null);
+            } else {
+              Alert.alert('Error', `Could not cancel the deletion: ${result.error}`);
+            }
+          },
+        },
+      ]
+    );
+  };
 
   const handleTakePicture = () => {
     navigation.navigate('Camera');
@@ -25,6 +100,10 @@ export default function HomeScreen({ navigation }) {
     navigation.navigate('Profile');
   };
 
+  const handlePendingCaptures = () => {
+    navigation.navigate('PendingCaptures');
+  };
+
   return (
     <LinearGradient 
       colors={['#667eea', '#764ba2']} 
@@ -48,6 +127,34 @@ export default function HomeScreen({ navigation }) {
           </View>
         )}
 
+        {/* Pending Account Deletion */}
+        {deletionStatus && (
+          <TouchableOpacity 
+            style={[styles.pendingBanner, styles.deletionBanner]}
+            onPress={() => promptKeepAccount(deletionStatus)}
+          >
+            <Ionicons name="warning" size={18} color="white" />
+            <Text style={styles.pendingBannerText}>
+              Account will be deleted on {new Date(deletionStatus.purgeAfter).toLocaleDateString()}
+            </Text>
+            <Ionicons name="chevron-forward" size={18} color="white" />
+          </TouchableOpacity>
+        )}
+
+        {/* Pending Offline Captures */}
+        {pendingCount > 0 && (
+          <TouchableOpacity 
+            style={styles.pendingBanner}
+            onPress={handlePendingCaptures}
+          >
+            <Ionicons name="cloud-offline" size={18} color="white" />
+            <Text style={styles.pendingBannerText}>
+              {pendingCount} picture{pendingCount !== 1 ? 's' : ''} waiting to be processed
+            </Text>
+            <Ionicons name="chevron-forward" size={18} color="white" />
+          </TouchableOpacity>
+        )}
+
         {/* Main Content */}
         <View style={styles.mainContent}>
           {/* Central Camera Button */}
@@ -149,6 +256,26 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     fontWeight: '400',
   },
+  pendingBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    alignSelf: 'center',
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    borderRadius: 20,
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+  },
+  pendingBannerText: {
+    fontSize: 14,
+    color: 'white',
+    fontWeight: '500',
+    marginHorizontal: 8,
+  },
+  deletionBanner: {
+    backgroundColor: 'rgba(244, 67, 54, 0.8)',
+    marginBottom: 8,
+  },
   mainContent: {
     flex: 1,
     justifyContent: 'center',
@@ -11,11 +11,18 @@ import {
   ScrollView,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import { config } from '../config/env';
 import { deletePictureAndObjects } from '../services/storageService';
-import { getObjectsForImage, getPictureMetadata } from '../services/localStorage';
+import { getObjectsForImage, getPictureMetadata, saveObject } from '../services/localStorage';
 import { useAuth } from '../contexts/AuthContext';
+import { ObjectMarker } from '../components/ObjectMarker';
+import { AddObjectSheet } from '../components/AddObjectSheet';
+import { getObjectBox, boxToPixelRect } from '../utils/boundingBoxUtils';
+import { toEditableObject, toObjectColumns } from '../utils/objectEditUtils';
 
 const { width, height } = Dimensions.get('window');
+const IMAGE_WIDTH = width - 40; // Image container has 20px margin on each side
+const IMAGE_HEIGHT = 250; // Image container height
 
 export default function ImageViewerScreen({ navigation, route }) {
   const { user } = useAuth();
@@ -25,6 +32,7 @@ export default function ImageViewerScreen({ navigation, route }) {
   const [isLoadingObjects, setIsLoadingObjects] = useState(true);
   const [showObjectLabels, setShowObjectLabels] = useState(true);
   const [loadedPictureName, setLoadedPictureName] = useState(pictureName || '');
+  const [showAddObject, setShowAddObject] = useState(false);
 
   useEffect(() => {
     loadObjects();
@@ -53,14 +61,18 @@ export default function ImageViewerScreen({ navigation, route }) {
         }
       }
       
-      // Add positions for object labels (use saved coordinates if available, otherwise fallback)
-      const objectsWithPositions = imageObjects.map((obj, index) => ({
-        ...obj,
-        position: obj.x_position !== null && obj.y_position !== null 
-          ? convertPercentageToPixelPosition(obj.x_position, obj.y_position)
-          : generateRandomPosition(index, imageObjects.length),
-        hasStoredCoords: obj.x_position !== null && obj.y_position !== null,
-      }));
+      // Add positions for object labels (use saved boxes/coordinates if available, otherwise fallback)
+      const objectsWithPositions = imageObjects.map((obj, index) => {
+        const box = getObjectBox(obj);
+        return {
+          ...obj,
+          position: obj.x_position !== null && obj.y_position !== null 
+            ? convertPercentageToPixelPosition(obj.x_position, obj.y_position)
+            : generateRandomPosition(index, imageObjects.length),
+          rect: box ? boxToPixelRect(box, IMAGE_WIDTH, IMAGE_HEIGHT) : null,
+          hasStoredCoords: obj.x_position !== null && obj.y_position !== null,
+        };
+      });
       
       setObjects(objectsWithPositions);
       console.log('📊 Loaded', objectsWithPositions.length, 'objects for display');
@@ -130,6 +142,30 @@ export default function ImageViewerScreen({ navigation, route }) {
     });
   };
 
+  // Objects added here have no position; "Edit Objects" places them on the picture
+  const handleAddObject = async (name) => {
+    if (!user) {
+      Alert.alert('Authentication Required', 'Please sign in to add objects.');
+      return;
+    }
+
+    await saveObject(toObjectColumns(toEditableObject(name)), user.id, imageUri);
+    await loadObjects();
+  };
+
+  const handleReanalyze = () => {
+    if (!user) {
+      Alert.alert('Authentication Required', 'Please sign in to analyze pictures.');
+      return;
+    }
+
+    navigation.navigate('Reanalyze', {
+      imageUrl: imageUri,
+      imageSource: { uri: imageUri },
+      onApplied: loadObjects,
+    });
+  };
+
   const toggleObjectLabels = () => {
     setShowObjectLabels(!showObjectLabels);
   };
@@ -142,7 +178,7 @@ export default function ImageViewerScreen({ navigation, route }) {
 
     Alert.alert(
       'Delete Picture',
-      `Are you sure you want to delete this picture? This will also remove ${objects.length} associated object${objects.length !== 1 ? 's' : ''}.`,
+      `Move this picture and its ${objects.length} object${objects.length !== 1 ? 's' : ''} to the Trash? You can restore it from there for ${config.app.trashRetentionDays} days.`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
@@ -203,6 +239,13 @@ export default function ImageViewerScreen({ navigation, route }) {
             <Ionicons name="document-text" size={24} color="#333" />
           </TouchableOpacity>
           
+          <TouchableOpacity
+            style={styles.headerButton}
+            onPress={handleReanalyze}
+          >
+            <Ionicons name="sparkles" size={24} color="#333" />
+          </TouchableOpacity>
+                    
           <TouchableOpacity
             style={styles.headerButton}
             onPress={toggleObjectLabels}
@@ -239,16 +282,14 @@ export default function ImageViewerScreen({ navigation, route }) {
           {/* Object Labels Overlay */}
           {showObjectLabels && objects.length > 0 && !isLoadingObjects && (
             <View style={styles.objectLabelsContainer}>
-              {objects.map((obj, index) => (
-                <TouchableOpacity
+              {objects.map((obj) => (
+                <ObjectMarker
                   key={obj.id}
-                  style={[
-                    styles.objectLabel,
-                    {
-                      left: obj.position.left,
-                      top: obj.position.top,
-                    }
-                  ]}
+                  name={obj.object_name}
+                  rect={obj.rect}
+                  position={obj.position}
+                  hasCoords={obj.hasStoredCoords}
+                  confidence={obj.confidence}
                   onPress={() => {
                     Alert.alert(
                       'Object Found',
@@ -256,17 +297,7 @@ export default function ImageViewerScreen({ navigation, route }) {
                       [{ text: 'OK' }]
                     );
                   }}
-                >
-                  <View style={styles.objectLabelContent}>
-                    <Ionicons 
-                      name={obj.hasStoredCoords ? "location" : "pricetag"} 
-                      size={12} 
-                      color="white" 
-                    />
-                    <Text style={styles.objectLabelText}>{obj.object_name}</Text>
-                  </View>
-                  <View style={styles.objectLabelPointer} />
-                </TouchableOpacity>
+                />
               ))}
             </View>
           )}
@@ -297,6 +328,14 @@ export default function ImageViewerScreen({ navigation, route }) {
               </Text>
             </View>
             
+            <TouchableOpacity
+              style={styles.addObjectButton}
+              onPress={() => setShowAddObject(true)}
+              disabled={isLoadingObjects}
+            >
+              <Ionicons name="add" size={22} color="#2196F3" />
+            </TouchableOpacity>
+            
             <TouchableOpacity
               style={styles.editButton}
               onPress={handleEditObjects}
@@ -308,10 +347,18 @@ export default function ImageViewerScreen({ navigation, route }) {
           </View>
           
           <Text style={styles.instructionText}>
-            {showObjectLabels ? 'Tap eye icon to hide labels' : 'Tap eye icon to show labels'} • Tap labels for details • Tap "Edit Objects" to modify
+            {showObjectLabels ? 'Tap eye icon to hide labels' : 'Tap eye icon to show labels'} • Tap labels for details • Tap + to add an object • Tap "Edit Objects" to modify
           </Text>
         </View>
       </ScrollView>
+
+      <AddObjectSheet
+        visible={showAddObject}
+        userId={user?.id}
+        message="Enter the name of an object in this image:"
+        onSubmit={handleAddObject}
+        onClose={() => setShowAddObject(false)}
+      />
     </SafeAreaView>
   );
 }
@@ -381,43 +428,6 @@ const styles = StyleSheet.create({
     right: 0,
     bottom: 0,
   },
-  objectLabel: {
-    position: 'absolute',
-    backgroundColor: 'rgba(33, 150, 243, 0.9)',
-    borderRadius: 15,
-    paddingHorizontal: 8,
-    paddingVertical: 4,
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 2 },
-    shadowOpacity: 0.3,
-    shadowRadius: 4,
-    elevation: 5,
-  },
-  objectLabelContent: {
-    flexDirection: 'row',
-    alignItems: 'center',
-  },
-  objectLabelText: {
-    color: 'white',
-    fontSize: 12,
-    fontWeight: 'bold',
-    marginLeft: 4,
-    textTransform: 'capitalize',
-  },
-  objectLabelPointer: {
-    position: 'absolute',
-    bottom: -4,
-    left: '50%',
-    marginLeft: -4,
-    width: 0,
-    height: 0,
-    borderLeftWidth: 4,
-    borderRightWidth: 4,
-    borderTopWidth: 4,
-    borderLeftColor: 'transparent',
-    borderRightColor: 'transparent',
-    borderTopColor: 'rgba(33, 150, 243, 0.9)',
-  },
   loadingOverlay: {
     position: 'absolute',
     top: 0,
@@ -476,7 +486,15 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: 'rgba(33, 150, 243, 0.3)',
     flex: 1,
-    marginRight: 15,
+    marginRight: 10,
+  },
+  addObjectButton: {
+    padding: 10,
+    marginRight: 10,
+    borderRadius: 22,
+    borderWidth: 1,
+    borderColor: 'rgba(33, 150, 243, 0.3)',
+    backgroundColor: 'rgba(33, 150, 243, 0.1)',
   },
   objectCountText: {
     marginLeft: 8,
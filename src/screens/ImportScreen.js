@@ -0,0 +1,372 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  FlatList,
+  Alert,
+  Switch,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import {
+  pickImportFile,
+  loadImportFile,
+  previewImport,
+  runImport,
+  IMPORT_SKIP_LABELS,
+} from '../services/importService';
+import { useAuth } from '../contexts/AuthContext';
+
+export default function ImportScreen({ navigation }) {
+  const { user } = useAuth();
+  const [fileName, setFileName] = useState(null);
+  const [source, setSource] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [includeDuplicates, setIncludeDuplicates] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [progress, setProgress] = useState(null);
+
+  const handlePickFile = async () => {
+    const file = await pickImportFile();
+    if (!file) return;
+
+    try {
+      setIsLoading(true);
+      setFileName(file.name);
+      setPreview(null);
+
+      const importSource = await loadImportFile(file);
+      const importPreview = await previewImport(user.id, importSource);
+
+      setSource(importSource);
+      setPreview(importPreview);
+      setIncludeDuplicates(false);
+    } catch (error) {
+      console.error('❌ Error reading import file:', error);
+      setFileName(null);
+      setSource(null);
+      Alert.alert('Can\'t Import This File', error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setProgress({ done: 0, total: 0 });
+    const result = await runImport(user.id, source, preview, {
+      includeDuplicates,
+      onProgress: (done, total) => setProgress({ done, total }),
+    });
+    setProgress(null);
+
+    const lines = [`${result.imported} picture${result.imported !== 1 ? 's' : ''} imported.`];
+    if (result.failed.length > 0) {
+      lines.push(`${result.failed.length} failed: ${result.failed.map(f => f.name).join(', ')}`);
+    }
+    const partial = result.failed.filter(f => f.partial);
+    if (partial.length > 0) {
+      lines.push(`Only partly imported, check before importing again: ${partial.map(f => f.name).join(', ')}`);
+    }
+    if (result.stoppedReason) {
+      lines.push(result.stoppedReason, 'Import the same file again later to continue where it stopped.');
+    }
+
+    Alert.alert(
+      result.stoppedReason ? 'Import Stopped' : 'Import Complete',
+      lines.join('\n\n'),
+      [{ text: 'OK', onPress: () => navigation.navigate('Gallery') }]
+    );
+  };
+
+  const importCount = preview
+    ? preview.counts.importable + (includeDuplicates ? preview.counts.duplicates : 0)
+    : 0;
+
+  const renderItem = ({ item }) => {
+    const { picture } = item;
+    const status = item.skipReason
+      ? { text: IMPORT_SKIP_LABELS[item.skipReason], icon: 'close-circle', color: '#999' }
+      : item.duplicate
+        ? { text: 'Already in your pictures', icon: 'copy-outline', color: '#FF9800' }
+        : { text: 'New', icon: 'add-circle', color: '#4CAF50' };
+
+    return (
+      <View style={[styles.itemCard, item.skipReason && styles.itemCardSkipped]}>
+        <View style={styles.itemInfo}>
+          <Text style={styles.itemName} numberOfLines={1}>{picture.picture_name || 'Untitled picture'}</Text>
+          <Text style={styles.itemDetail} numberOfLines={2}>
+            {picture.objects.map(object => object.object_name).join(', ') || 'No objects'}
+          </Text>
+          {item.locationNames.length > 0 && (
+            <View style={styles.locationRow}>
+              <Ionicons name="location" size={12} color="#4CAF50" />
+              <Text style={styles.locationText} numberOfLines={1}>{item.locationNames.join(' › ')}</Text>
+            </View>
+          )}
+        </View>
+        <View style={styles.statusBadge}>
+          <Ionicons name={status.icon} size={16} color={status.color} />
+          <Text style={[styles.statusText, { color: status.color }]}>{status.text}</Text>
+        </View>
+      </View>
+    );
+  };
+
+  const renderSummary = () => (
+    <View style={styles.summaryCard}>
+      <Text style={styles.summaryTitle} numberOfLines={1}>{fileName}</Text>
+      <Text style={styles.summaryText}>
+        {source.kind === 'snapfind' ? 'SnapFind export' : 'CSV inventory'} • {preview.counts.total} picture{preview.counts.total !== 1 ? 's' : ''}
+      </Text>
+      <Text style={styles.summaryText}>
+        {preview.counts.importable} new ({preview.counts.objects} objects) • {preview.counts.duplicates} duplicate{preview.counts.duplicates !== 1 ? 's' : ''} • {preview.counts.skipped} skipped
+      </Text>
+      {preview.newLocations.length > 0 && (
+        <Text style={styles.summaryText}>
+          New locations: {preview.newLocations.join(', ')}
+        </Text>
+      )}
+      {preview.counts.duplicates > 0 && (
+        <View style={styles.switchRow}>
+          <Text style={styles.switchLabel}>Import duplicates too</Text>
+          <Switch value={includeDuplicates} onValueChange={setIncludeDuplicates} />
+        </View>
+      )}
+      <Text style={styles.summaryHint}>
+        Nothing has been imported yet. Each imported picture counts toward your picture limit.
+      </Text>
+    </View>
+  );
+
+  const renderEmptyState = () => (
+    <View style={styles.emptyState}>
+      <Ionicons name="cloud-download-outline" size={80} color="#ccc" />
+      <Text style={styles.emptyStateText}>Import Pictures</Text>
+      <Text style={styles.emptyStateSubtext}>
+        Choose a SnapFind export (.zip), or a CSV from another inventory app. A CSV can list photo
+        links, or come in a zip together with its photos.
+      </Text>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+          disabled={!!progress}
+        >
+          <Ionicons name="arrow-back" size={24} color="#333" />
+        </TouchableOpacity>
+        <Text style={styles.title}>Import</Text>
+        <TouchableOpacity
+          style={styles.pickButton}
+          onPress={handlePickFile}
+          disabled={isLoading || !!progress}
+        >
+          <Ionicons name="folder-open-outline" size={24} color="#333" />
+        </TouchableOpacity>
+      </View>
+
+      {isLoading ? (
+        <View style={styles.emptyState}>
+          <ActivityIndicator size="large" color="#2196F3" />
+          <Text style={styles.emptyStateSubtext}>Reading {fileName}...</Text>
+        </View>
+      ) : !preview ? (
+        <>
+          {renderEmptyState()}
+          <TouchableOpacity style={styles.primaryButton} onPress={handlePickFile}>
+            <Ionicons name="document-attach-outline" size={20} color="white" />
+            <Text style={styles.primaryButtonText}>Choose File</Text>
+          </TouchableOpacity>
+        </>
+      ) : (
+        <>
+          <FlatList
+            data={preview.items}
+            renderItem={renderItem}
+            keyExtractor={(item) => item.picture.key}
+            ListHeaderComponent={renderSummary}
+            contentContainerStyle={styles.list}
+            showsVerticalScrollIndicator={false}
+          />
+          <TouchableOpacity
+            style={[styles.primaryButton, (importCount === 0 || !!progress) && styles.disabledButton]}
+            onPress={handleImport}
+            disabled={importCount === 0 || !!progress}
+          >
+            {progress ? (
+              <>
+                <ActivityIndicator size="small" color="white" />
+                <Text style={styles.primaryButtonText}>
+                  Importing {progress.done}/{progress.total}...
+                </Text>
+              </>
+            ) : (
+              <>
+                <Ionicons name="cloud-upload-outline" size={20} color="white" />
+                <Text style={styles.primaryButtonText}>
+                  Import {importCount} Picture{importCount !== 1 ? 's' : ''}
+                </Text>
+              </>
+            )}
+          </TouchableOpacity>
+        </>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingTop: 60,
+    paddingBottom: 20,
+    backgroundColor: 'white',
+  },
+  backButton: {
+    width: 40,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    flex: 1,
+    textAlign: 'center',
+  },
+  pickButton: {
+    width: 40,
+    alignItems: 'flex-end',
+  },
+  list: {
+    padding: 20,
+  },
+  summaryCard: {
+    backgroundColor: 'white',
+    borderRadius: 15,
+    padding: 15,
+    marginBottom: 15,
+  },
+  summaryTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 6,
+  },
+  summaryText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 4,
+  },
+  summaryHint: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 8,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 8,
+  },
+  switchLabel: {
+    fontSize: 14,
+    color: '#333',
+  },
+  itemCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 15,
+    padding: 12,
+    marginBottom: 10,
+  },
+  itemCardSkipped: {
+    opacity: 0.6,
+  },
+  itemInfo: {
+    flex: 1,
+    marginRight: 10,
+  },
+  itemName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  itemDetail: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  locationRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  locationText: {
+    fontSize: 12,
+    color: '#4CAF50',
+    marginLeft: 3,
+    flexShrink: 1,
+  },
+  statusBadge: {
+    alignItems: 'center',
+    width: 90,
+  },
+  statusText: {
+    fontSize: 11,
+    fontWeight: '600',
+    textAlign: 'center',
+    marginTop: 2,
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#2196F3',
+    borderRadius: 25,
+    paddingVertical: 15,
+    marginHorizontal: 20,
+    marginBottom: 40,
+    gap: 8,
+  },
+  primaryButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  disabledButton: {
+    opacity: 0.6,
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyStateText: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 20,
+    marginBottom: 10,
+  },
+  emptyStateSubtext: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 10,
+  },
+});
@@ -11,15 +11,33 @@ import {
   Dimensions,
   Animated,
   Easing,
+  TouchableWithoutFeedback,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { saveObject, getObjectsForImage, savePictureMetadata } from '../services/localStorage';
+import { saveObject, getObjectsForImage, applyObjectEdits, savePictureMetadata, savePictureLocation } from '../services/localStorage';
 import { safeUserId, debugUserId } from '../utils/userIdUtils';
 import { useAuth } from '../contexts/AuthContext';
-import { supabase } from '../services/supabase';
-import { createStorageReference } from '../services/storageService';
+import { removeCapture, enqueueCapture, isOfflineCaptureEnabled } from '../services/captureQueue';
+import { discardUploadedImage } from '../services/storageService';
+import { ObjectMarker } from '../components/ObjectMarker';
+import { AddObjectSheet } from '../components/AddObjectSheet';
+import { ANALYSIS_STATUS } from '../services/aiService';
+import { boxToPixelRect } from '../utils/boundingBoxUtils';
+import {
+  toEditableObject,
+  createPlacedObject,
+  hasPosition,
+  getFallbackPoint,
+  moveObject,
+  resizeObject,
+  toObjectColumns,
+  diffObjectEdits,
+  hasObjectEdits,
+} from '../utils/objectEditUtils';
 
 const { width } = Dimensions.get('window');
+const IMAGE_WIDTH = width - 40; // Image container has 20px margin on each side
+const IMAGE_HEIGHT = 250; // Image container height
 
 // Funny default picture name generator
 const generateFunnyPictureName = () => {
@@ -45,27 +63,24 @@ const generateFunnyPictureName = () => {
 };
 
 export default function ObjectConfirmationScreen({ navigation, route }) {
-  const { imageUrl, detectedObjects, localImageUri, existingObjects, isEditMode } = route.params;
+  const { existingObjects, isEditMode, pendingCaptureId, locationId, batch, batchIndex = 0, batchSummary, quotaConsumptionId } = route.params;
   
-  // Handle both old format (array of strings) and new format (array of objects with coordinates)
-  const initialObjects = detectedObjects || [];
-  const objectNames = Array.isArray(initialObjects) ? 
-    (initialObjects.length > 0 && typeof initialObjects[0] === 'object' ? 
-      initialObjects.map(obj => obj.name) : 
-      initialObjects) : 
-    [];
+  // In a batch the photo comes from the list, one step per photo
+  const { imageUrl, detectedObjects, localImageUri, analysisStatus, isDemoAnalysis } = batch ? batch[batchIndex] : route.params;
+  const isLastBatchStep = !!batch && batchIndex === batch.length - 1;
   
-  const [objects, setObjects] = useState(objectNames);
-  const [detectedObjectsWithCoords, setDetectedObjectsWithCoords] = useState(
-    Array.isArray(initialObjects) && initialObjects.length > 0 && typeof initialObjects[0] === 'object' ? 
-      initialObjects : 
-      []
+  // Each object keeps its own key, position and box, so objects that share a name stay apart.
+  // Detections are objects with coordinates, or plain names from older versions.
+  const [objects, setObjects] = useState(() =>
+    (Array.isArray(detectedObjects) ? detectedObjects : []).map(toEditableObject)
   );
-  const [existingObjectsData, setExistingObjectsData] = useState(existingObjects || []);
+  // Objects as loaded in edit mode, to work out what the user changed when saving
+  const [existingObjectsData, setExistingObjectsData] = useState(() => (existingObjects || []).map(toEditableObject));
   const [isLoading, setIsLoading] = useState(false);
   const [isLoadingExisting, setIsLoadingExisting] = useState(!!isEditMode);
   const [showObjectLabels, setShowObjectLabels] = useState(true);
-  const [objectsWithPositions, setObjectsWithPositions] = useState([]);
+  const [isDraggingMarker, setIsDraggingMarker] = useState(false);
+  const [addObjectRequest, setAddObjectRequest] = useState(null); // { message, point } while the add sheet is open
   const [pictureName, setPictureName] = useState('');
   const [savingProgress, setSavingProgress] = useState(0);
   const [savingStep, setSavingStep] = useState('');
@@ -75,6 +90,10 @@ export default function ObjectConfirmationScreen({ navigation, route }) {
   const spinValue = useRef(new Animated.Value(0)).current;
   const scaleValue = useRef(new Animated.Value(1)).current;
   const progressValue = useRef(new Animated.Value(0)).current;
+  // Set once the batch step is finished, so moving on doesn't ask to stop reviewing
+  const isLeavingBatchStep = useRef(false);
+  // Set once a new picture is saved, so leaving the screen keeps it
+  const isSaved = useRef(false);
 
   useEffect(() => {
     if (isEditMode && user) {
@@ -149,41 +168,17 @@ export default function ObjectConfirmationScreen({ navigation, route }) {
     }).start();
   };
 
-  // Update object positions when objects change
-  useEffect(() => {
-    if (objects.length > 0) {
-      const objectsWithPos = objects.map((objName, index) => {
-        // Try to find coordinates from detected objects
-        const detectedObj = detectedObjectsWithCoords.find(obj => obj.name === objName);
-        
-        const position = detectedObj ? 
-          convertPercentageToPixelPosition(detectedObj.x, detectedObj.y) :
-          generateRandomPosition(index, objects.length);
-          
-        return {
-          id: `${index}_${objName}`,
-          object_name: objName,
-          position,
-          hasRealCoords: !!detectedObj,
-        };
-      });
-      setObjectsWithPositions(objectsWithPos);
-    } else {
-      setObjectsWithPositions([]);
-    }
-  }, [objects, detectedObjectsWithCoords]);
-
   const loadExistingObjects = async () => {
     try {
       console.log('🔍 Loading existing objects and picture metadata for editing...');
       
       // Load existing objects
       const imageObjects = await getObjectsForImage(imageUrl, user.id);
-      setExistingObjectsData(imageObjects);
       
-      // Convert existing objects to editable format (just object names)
-      const objectNames = imageObjects.map(obj => obj.object_name);
-      setObjects(objectNames);
+      // Stored positions and boxes come along, so they survive the edit
+      const editableObjects = imageObjects.map(toEditableObject);
+      setExistingObjectsData(editableObjects);
+      setObjects(editableObjects);
       
       // Load existing picture metadata to get the current name
       try {
@@ -206,65 +201,167 @@ export default function ObjectConfirmationScreen({ navigation, route }) {
     }
   };
 
-  // Convert percentage coordinates to pixel positions
+  // Convert percentage coordinates to the pixel position of a label centered on that point
   const convertPercentageToPixelPosition = (xPercent, yPercent) => {
-    const imageHeight = 250; // Image container height
     const labelWidth = 120; // Approximate label width
     const labelHeight = 35; // Approximate label height
     const padding = 10; // Padding from edges
-    
-    // Convert percentage to pixels within the image container bounds
-    const x = (xPercent / 100) * (width - 40); // Account for container padding
-    const y = (yPercent / 100) * imageHeight;
-    
+
+    const x = (xPercent / 100) * IMAGE_WIDTH;
+    const y = (yPercent / 100) * IMAGE_HEIGHT;
+
     // Ensure label stays within bounds and center it on the coordinate point
     return {
-      left: Math.max(padding, Math.min(width - labelWidth - padding, x - labelWidth / 2 + 20)), // +20 for container margin
-      top: Math.max(padding, Math.min(imageHeight - labelHeight - padding, y - labelHeight / 2)),
+      left: Math.max(padding, Math.min(IMAGE_WIDTH - labelWidth - padding, x - labelWidth / 2)),
+      top: Math.max(padding, Math.min(IMAGE_HEIGHT - labelHeight - padding, y - labelHeight / 2)),
     };
   };
 
-  // Generate random but distributed positions for object labels
-  const generateRandomPosition = (index, total) => {
-    const padding = 20; // Padding from edges
-    const labelWidth = 120; // Approximate label width
-    const labelHeight = 35; // Approximate label height
-    const imageHeight = 250; // Image container height
-    
-    // Create a grid-like distribution to avoid overlap
-    const cols = Math.ceil(Math.sqrt(total));
-    const rows = Math.ceil(total / cols);
-    
-    const col = index % cols;
-    const row = Math.floor(index / cols);
-    
-    // Calculate grid position with some randomness
-    const baseX = (col / (cols - 1 || 1)) * (width - labelWidth - padding * 2) + padding;
-    const baseY = (row / (rows - 1 || 1)) * (imageHeight - labelHeight - padding * 2) + padding;
-    
-    // Add some randomness to avoid perfect grid
-    const randomX = baseX + (Math.random() - 0.5) * 30;
-    const randomY = baseY + (Math.random() - 0.5) * 30;
-    
-    return {
-      left: Math.max(padding, Math.min(width - labelWidth - padding, randomX)),
-      top: Math.max(padding, Math.min(imageHeight - labelHeight - padding, randomY)),
-    };
+  // Objects without a position are spread over the picture until the user drags them into place
+  const unplacedKeys = objects.filter(obj => !hasPosition(obj)).map(obj => obj.key);
+  const getShownObject = (obj) => hasPosition(obj)
+    ? obj
+    : { ...obj, ...getFallbackPoint(unplacedKeys.indexOf(obj.key), unplacedKeys.length) };
+
+  const updateObject = (key, update) => {
+    setObjects(prevObjects => prevObjects.map(obj => (obj.key === key ? update(obj) : obj)));
+  };
+
+  // Marker drags arrive in pixels; objects store percentages of the image
+  const handleObjectMove = (obj, dx, dy) => {
+    const shown = getShownObject(obj);
+    updateObject(obj.key, current => moveObject(
+      { ...current, x: shown.x, y: shown.y },
+      (dx / IMAGE_WIDTH) * 100,
+      (dy / IMAGE_HEIGHT) * 100
+    ));
+  };
+
+  const handleObjectResize = (obj, dx, dy) => {
+    updateObject(obj.key, current => resizeObject(current, (dx / IMAGE_WIDTH) * 100, (dy / IMAGE_HEIGHT) * 100));
+  };
+
+  const handleMarkerPress = (obj) => {
+    const hint = !hasPosition(obj)
+      ? 'Drag this label to where the object is in the picture.'
+      : obj.box
+        ? 'Drag the box to move it, or its corner to resize it.'
+        : 'Drag the label to move it.';
+
+    Alert.alert(obj.name, hint, [
+      { text: 'Remove', style: 'destructive', onPress: () => handleObjectDelete(obj.key) },
+      { text: 'OK' },
+    ]);
   };
 
   const toggleObjectLabels = () => {
     setShowObjectLabels(!showObjectLabels);
   };
 
-  const handleObjectEdit = (index, newName) => {
-    const updatedObjects = [...objects];
-    updatedObjects[index] = newName;
-    setObjects(updatedObjects);
+  const handleObjectEdit = (key, newName) => {
+    updateObject(key, obj => ({ ...obj, name: newName }));
+  };
+
+  const handleObjectDelete = (key) => {
+    setObjects(prevObjects => prevObjects.filter(obj => obj.key !== key));
+  };
+
+  // Keep batch photos in the pending list so they can be confirmed another time
+  const keepBatchPhotosForLater = async (items) => {
+    let kept = 0;
+    for (const item of items) {
+      const job = await enqueueCapture(item.localImageUri, user.id, item.imageUrl, {
+        locationId,
+        quotaConsumptionId: item.quotaConsumptionId,
+        detectedObjects: item.detectedObjects,
+        analysisStatus: item.analysisStatus,
+        isDemoAnalysis: item.isDemoAnalysis,
+      });
+      if (job) kept++;
+    }
+    return kept;
+  };
+
+  // Move on to the next photo of the batch, or sum up after the last one
+  const finishBatchStep = (outcome) => {
+    const summary = { saved: 0, later: 0, ...batchSummary };
+    summary[outcome]++;
+    isLeavingBatchStep.current = true;
+    
+    if (!isLastBatchStep) {
+      navigation.replace('ObjectConfirmation', { ...route.params, batchIndex: batchIndex + 1, batchSummary: summary });
+      return;
+    }
+    
+    const lines = [`Saved ${summary.saved} picture${summary.saved !== 1 ? 's' : ''}. You can now search for their objects!`];
+    if (summary.later > 0) {
+      lines.push(`${summary.later} kept in the pending list to confirm later.`);
+    }
+    Alert.alert('Batch Complete! 🎉', lines.join('\n\n'), [
+      { text: 'OK', onPress: () => navigation.navigate('Home') },
+    ]);
+  };
+
+  const reviewBatchPhotoLater = async () => {
+    setIsLoading(true);
+    updateProgress('Keeping this picture for later...', 50);
+    const kept = await keepBatchPhotosForLater([batch[batchIndex]]);
+    setIsLoading(false);
+    
+    if (kept === 0) {
+      Alert.alert('Error', 'Failed to save the picture for later. Please try again.');
+      return;
+    }
+    finishBatchStep('later');
   };
 
-  const handleObjectDelete = (index) => {
-    const updatedObjects = objects.filter((_, i) => i !== index);
-    setObjects(updatedObjects);
+  // Leaving a batch any way at all (back button, swipe, Android back) keeps the unsaved photos
+  useEffect(() => {
+    if (!batch) return;
+
+    return navigation.addListener('beforeRemove', (event) => {
+      if (isLeavingBatchStep.current) return;
+      event.preventDefault();
+
+      const remaining = batch.slice(batchIndex);
+      Alert.alert(
+        'Stop Reviewing?',
+        `${remaining.length} picture${remaining.length !== 1 ? 's are' : ' is'} uploaded and analyzed but not saved yet. They will be kept in the pending list so you can confirm them later.`,
+        [
+          { text: 'Keep Reviewing', style: 'cancel' },
+          {
+            text: 'Stop',
+            onPress: async () => {
+              const kept = await keepBatchPhotosForLater(remaining);
+              if (kept < remaining.length) {
+                Alert.alert('Error', `${remaining.length - kept} picture${remaining.length - kept !== 1 ? 's' : ''} could not be kept for later.`);
+              }
+              isLeavingBatchStep.current = true;
+              navigation.dispatch(event.data.action);
+            },
+          },
+        ]
+      );
+    });
+  }, [navigation, batch, batchIndex, user]);
+
+  // A new capture left without saving goes to the pending list, or without the offline queue
+  // its file is removed and it doesn't count
+  useEffect(() => {
+    if (batch || isEditMode || pendingCaptureId || !quotaConsumptionId) return;
+
+    return navigation.addListener('beforeRemove', () => {
+      if (isSaved.current) return;
+
+      const leftBehind = isOfflineCaptureEnabled()
+        ? keepBatchPhotosForLater([{ localImageUri, imageUrl, detectedObjects, analysisStatus, isDemoAnalysis, quotaConsumptionId }])
+        : discardUploadedImage(user.id, imageUrl, quotaConsumptionId);
+      leftBehind.catch(error => console.error('❌ Error handling unsaved picture:', error));
+    });
+  }, [navigation, batch, isEditMode, pendingCaptureId, quotaConsumptionId, user]);
+
+  const handleBack = () => {
+    navigation.goBack();
   };
 
   const saveObjects = async () => {
@@ -281,71 +378,49 @@ export default function ObjectConfirmationScreen({ navigation, route }) {
     setIsLoading(true);
     
     try {
-      if (isEditMode) {
-
-        console.log('🔄 Updating existing objects for user:', user.id);
-        
-        // For edit mode, we need to delete existing objects and save new ones
-        const standardizedImageUrl = createStorageReference(imageUrl);
-        
-        // Get the picture_id for this image first
-        const { data: pictureData, error: pictureError } = await supabase
-          .from('pictures')
-          .select('id')
-          .eq('user_id', user.id)
-          .eq('image_url', standardizedImageUrl)
-          .single();
-
-        if (pictureError || !pictureData) {
-          console.error('❌ Error finding picture for edit mode:', pictureError);
-          throw new Error('Picture not found for editing objects');
-        }
-
-        // Soft delete all existing objects for this picture
-        const { error: deleteError } = await supabase
-          .from('objects')
-          .update({ deleted: true })
-          .eq('picture_id', pictureData.id);
-
-        if (deleteError) {
-          console.error('❌ Error deleting existing objects:', deleteError);
-          throw new Error('Failed to update objects');
-        }
-
-        console.log('✅ Deleted existing objects, now saving updated ones...');
-      }
-
-      console.log('📁 Saving', objects.length, 'objects for user:', user.id);
-      
-      // Debug and safely pass user ID (moved outside loop)
+      // Debug and safely pass user ID
       const safeUserIdValue = safeUserId(user.id);
       debugUserId(user.id, 'ObjectConfirmationScreen');
       console.log('🔍 Saving objects with safe user ID:', safeUserIdValue);
       
-      // Save objects sequentially to avoid race conditions
-      for (let i = 0; i < objects.length; i++) {
-        const objectName = objects[i];
-        
-        // Find coordinate data for this object
-        const objWithCoords = detectedObjectsWithCoords.find(obj => obj.name === objectName);
-        
-        const objectData = {
-          object_name: objectName.toLowerCase().trim(),
-          x_position: objWithCoords?.x || null,
-          y_position: objWithCoords?.y || null,
-          has_ai_coordinates: !!objWithCoords,
-        };
+      if (isEditMode) {
+        console.log('🔄 Updating existing objects for user:', user.id);
         
-        console.log(`💾 Saving object: ${objectName}`, objWithCoords ? `at (${objWithCoords.x}%, ${objWithCoords.y}%)` : 'with fallback position');
+        // Only the objects the user added, changed or removed are sent, all in one transaction,
+        // so the others keep their IDs and dates and a failure leaves the picture as it was
+        const edits = diffObjectEdits(existingObjectsData, objects);
+        if (hasObjectEdits(edits)) {
+          const result = await applyObjectEdits(imageUrl, {
+            added: edits.added.map(toObjectColumns),
+            updated: edits.updated.map(obj => ({ id: obj.id, ...toObjectColumns(obj) })),
+            removedIds: edits.removedIds,
+          }, safeUserIdValue);
+          
+          if (!result.success) {
+            throw new Error(result.error || 'Failed to update objects');
+          }
+        } else {
+          console.log('📝 Objects unchanged, saving picture details only');
+        }
+      } else {
+        console.log('📁 Saving', objects.length, 'objects for user:', user.id);
         
-        // Save using the new saveObject function (handles both local and cloud)
-        await saveObject(objectData, safeUserIdValue, imageUrl);
+        // Save objects sequentially to avoid race conditions
+        for (const obj of objects) {
+          // Positions the user dragged or tapped are saved like the AI's
+          const objectData = toObjectColumns(obj);
+
+          console.log(`💾 Saving object: ${obj.name}`, hasPosition(obj) ? `at (${Math.round(obj.x)}%, ${Math.round(obj.y)}%)` : 'without position');
+                  
+          // Save using the new saveObject function (handles both local and cloud)
+          await saveObject(objectData, safeUserIdValue, imageUrl);
+        }
       }
       
       // Save picture metadata (create for new pictures, update for edit mode)
       try {
         const finalName = pictureName.trim() || (isEditMode ? 'Untitled Picture' : generateFunnyPictureName());
-        const defaultDescription = `Contains ${objects.length} detected object${objects.length !== 1 ? 's' : ''}: ${objects.join(', ')}`;
+        const defaultDescription = `Contains ${objects.length} detected object${objects.length !== 1 ? 's' : ''}: ${objects.map(obj => obj.name).join(', ')}`;
         
         console.log('📝 Saving picture metadata...');
         await savePictureMetadata(imageUrl, finalName, defaultDescription, safeUserIdValue);
@@ -355,6 +430,23 @@ export default function ObjectConfirmationScreen({ navigation, route }) {
         // Don't fail the whole process if metadata saving fails
       }
       
+      // Location picked on the camera screen
+      if (locationId) {
+        await savePictureLocation(imageUrl, locationId, safeUserIdValue);
+      }
+      
+      isSaved.current = true;
+      
+      // Picture came from the offline queue and is now saved, so drop the queued copy
+      if (pendingCaptureId) {
+        await removeCapture(pendingCaptureId);
+      }
+      
+      if (batch) {
+        finishBatchStep('saved');
+        return;
+      }
+      
       const successMessage = isEditMode 
         ? `Updated ${objects.length} object(s)!\n\nChanges have been saved.`
         : `Saved ${objects.length} object(s)!\n\nYou can now search for these objects!`;
@@ -363,8 +455,8 @@ export default function ObjectConfirmationScreen({ navigation, route }) {
         {
           text: 'OK',
           onPress: () => {
-            if (isEditMode) {
-              navigation.goBack(); // Go back to gallery/image viewer
+            if (isEditMode || pendingCaptureId) {
+              navigation.goBack(); // Go back to gallery/image viewer or pending list
             } else {
               navigation.navigate('Home');
             }
@@ -380,49 +472,49 @@ export default function ObjectConfirmationScreen({ navigation, route }) {
     }
   };
 
+  // Names the AI offered for this picture, suggested when adding an object; detections the
+  // user removed are suggested again
+  const getAiLabels = () => (Array.isArray(detectedObjects) ? detectedObjects : [])
+    .flatMap(detection => typeof detection === 'string'
+      ? [detection]
+      : [detection.name, ...(detection.alternatives || [])])
+    .filter(label => !objects.some(obj => obj.name.toLowerCase().trim() === label.toLowerCase().trim()));
+
+  // Added from the list: no position until the user drags its label onto the picture
   const addCustomObject = () => {
-    Alert.prompt(
-      'Add Object',
-      'Enter the name of an object in this image:',
-      [
-        {
-          text: 'Cancel',
-          style: 'cancel',
-        },
-        {
-          text: 'Add',
-          onPress: (text) => {
-            if (text && text.trim()) {
-              const newObjectName = text.trim();
-              setObjects([...objects, newObjectName]);
-              
-              // Add fallback coordinates for manually added objects
-              const existingCount = detectedObjectsWithCoords.length;
-              const fallbackCoords = {
-                name: newObjectName.toLowerCase(),
-                x: 30 + (existingCount * 20) % 40, // Distribute across width
-                y: 30 + (existingCount * 15) % 40, // Distribute across height
-              };
-              setDetectedObjectsWithCoords([...detectedObjectsWithCoords, fallbackCoords]);
-            }
-          },
-        },
-      ],
-      'plain-text'
-    );
+    setAddObjectRequest({ message: 'Enter the name of an object in this image:', point: null });
+  };
+
+  // Added by tapping the picture: placed where the user tapped
+  const handleImageTap = (event) => {
+    if (isLoading || isLoadingExisting) return;
+
+    const { locationX, locationY } = event.nativeEvent;
+    setAddObjectRequest({
+      message: 'What is at this spot in the image?',
+      point: { x: (locationX / IMAGE_WIDTH) * 100, y: (locationY / IMAGE_HEIGHT) * 100 },
+    });
+  };
+
+  const handleAddObject = (name) => {
+    const { point } = addObjectRequest;
+    setObjects(prevObjects => [
+      ...prevObjects,
+      point ? createPlacedObject(name, point.x, point.y) : toEditableObject(name),
+    ]);
   };
 
   return (
-    <ScrollView style={styles.container}>
+    <ScrollView style={styles.container} scrollEnabled={!isDraggingMarker}>
       <View style={styles.header}>
         <TouchableOpacity
           style={styles.backButton}
-          onPress={() => navigation.goBack()}
+          onPress={handleBack}
         >
           <Ionicons name="arrow-back" size={24} color="#333" />
         </TouchableOpacity>
         <Text style={styles.title}>
-          {isEditMode ? 'Edit Objects' : 'Confirm Objects'}
+          {isEditMode ? 'Edit Objects' : batch ? `Photo ${batchIndex + 1} of ${batch.length}` : 'Confirm Objects'}
         </Text>
         <TouchableOpacity
           style={styles.eyeButton}
@@ -436,45 +528,60 @@ export default function ObjectConfirmationScreen({ navigation, route }) {
         </TouchableOpacity>
       </View>
 
+      {batch && (
+        <View style={styles.batchStepper}>
+          {batch.map((_, index) => (
+            <View
+              key={index}
+              style={[
+                styles.batchStep,
+                index < batchIndex && styles.batchStepDone,
+                index === batchIndex && styles.batchStepCurrent,
+              ]}
+            />
+          ))}
+        </View>
+      )}
+
+      {isDemoAnalysis && (
+        <View style={styles.demoBanner}>
+          <Ionicons name="information-circle" size={20} color="#FF9800" />
+          <Text style={styles.demoBannerText}>
+            Demo mode: these objects are made up, not found by an AI. Check them before saving.
+          </Text>
+        </View>
+      )}
+
       <View style={styles.imageContainer}>
-        <Image 
-          source={{ uri: localImageUri || imageUrl }} 
-          style={styles.image}
-          resizeMode="cover"
-        />
-        
-        {/* Object Labels Overlay */}
-        {showObjectLabels && objectsWithPositions.length > 0 && (
-          <View style={styles.objectLabelsContainer}>
-            {objectsWithPositions.map((obj) => (
-              <TouchableOpacity
-                key={obj.id}
-                style={[
-                  styles.objectLabel,
-                  {
-                    left: obj.position.left,
-                    top: obj.position.top,
-                  }
-                ]}
-                onPress={() => {
-                  Alert.alert(
-                    'Object Found',
-                    `"${obj.object_name}" detected in this image`,
-                    [{ text: 'OK' }]
-                  );
-                }}
-              >
-                <View style={styles.objectLabelContent}>
-                  <Ionicons 
-                    name={obj.hasRealCoords ? "location" : "pricetag"} 
-                    size={12} 
-                    color="white" 
-                  />
-                  <Text style={styles.objectLabelText}>{obj.object_name}</Text>
-                </View>
-                <View style={styles.objectLabelPointer} />
-              </TouchableOpacity>
-            ))}
+        {/* Tap the picture to add an object at that spot */}
+        <TouchableWithoutFeedback onPress={handleImageTap}>
+          <Image
+            source={{ uri: localImageUri || imageUrl }}
+            style={styles.image}
+            resizeMode="cover"
+          />
+        </TouchableWithoutFeedback>
+
+        {/* Object Labels Overlay: drag markers to move them, drag a box corner to resize */}
+        {showObjectLabels && objects.length > 0 && (
+          <View style={styles.objectLabelsContainer} pointerEvents="box-none">
+            {objects.map((obj) => {
+              const shown = getShownObject(obj);
+              return (
+                <ObjectMarker
+                  key={obj.key}
+                  name={obj.name}
+                  rect={obj.box ? boxToPixelRect(obj.box, IMAGE_WIDTH, IMAGE_HEIGHT) : null}
+                  position={convertPercentageToPixelPosition(shown.x, shown.y)}
+                  hasCoords={hasPosition(obj)}
+                  confidence={obj.confidence}
+                  onPress={() => handleMarkerPress(obj)}
+                  onMove={(dx, dy) => handleObjectMove(obj, dx, dy)}
+                  onResize={obj.box ? (dx, dy) => handleObjectResize(obj, dx, dy) : undefined}
+                  onDragStateChange={setIsDraggingMarker}
+                />
+              );
+            })}
           </View>
         )}
         
@@ -611,19 +718,23 @@ export default function ObjectConfirmationScreen({ navigation, route }) {
           <View style={styles.emptyState}>
             <Ionicons name="search" size={48} color="#ccc" />
             <Text style={styles.emptyStateText}>
-              {isEditMode ? 'No objects in this image' : 'No objects detected'}
+              {isEditMode
+                ? 'No objects in this image'
+                : analysisStatus === ANALYSIS_STATUS.EMPTY && !isDemoAnalysis
+                  ? 'The AI found no objects in this picture'
+                  : 'No objects detected'}
             </Text>
             <Text style={styles.emptyStateSubtext}>
-              Tap "Add" to manually add objects
+              Tap the picture or "Add" to add objects
             </Text>
           </View>
         ) : (
-          objects.map((object, index) => (
+          objects.map((obj) => (
             <ObjectItem
-              key={index}
-              object={object}
-              onEdit={(newName) => handleObjectEdit(index, newName)}
-              onDelete={() => handleObjectDelete(index)}
+              key={obj.key}
+              object={obj.name}
+              onEdit={(newName) => handleObjectEdit(obj.key, newName)}
+              onDelete={() => handleObjectDelete(obj.key)}
             />
           ))
         )}
@@ -638,11 +749,33 @@ export default function ObjectConfirmationScreen({ navigation, route }) {
           <Text style={styles.saveButtonText}>
             {isLoading 
               ? (isEditMode ? 'Updating...' : 'Saving...') 
-              : (isEditMode ? `Update ${objects.length} Object(s)` : `Save ${objects.length} Object(s)`)
+              : isEditMode
+                ? `Update ${objects.length} Object(s)`
+                : batch && !isLastBatchStep
+                  ? `Save ${objects.length} Object(s) & Next`
+                  : `Save ${objects.length} Object(s)`
             }
           </Text>
         </TouchableOpacity>
+        {batch && (
+          <TouchableOpacity
+            style={styles.laterButton}
+            onPress={reviewBatchPhotoLater}
+            disabled={isLoading}
+          >
+            <Text style={styles.laterButtonText}>Review Later</Text>
+          </TouchableOpacity>
+        )}
       </View>
+
+      <AddObjectSheet
+        visible={!!addObjectRequest}
+        userId={user?.id}
+        message={addObjectRequest?.message}
+        aiLabels={addObjectRequest ? getAiLabels() : []}
+        onSubmit={handleAddObject}
+        onClose={() => setAddObjectRequest(null)}
+      />
     </ScrollView>
   );
 }
@@ -730,6 +863,44 @@ const styles = StyleSheet.create({
   eyeButton: {
     padding: 5,
   },
+  batchStepper: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 15,
+  },
+  batchStep: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#ddd',
+    margin: 3,
+  },
+  batchStepDone: {
+    backgroundColor: '#4CAF50',
+  },
+  batchStepCurrent: {
+    width: 20,
+    backgroundColor: '#2196F3',
+  },
+  demoBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(255, 152, 0, 0.1)',
+    borderWidth: 1,
+    borderColor: 'rgba(255, 152, 0, 0.3)',
+    borderRadius: 10,
+    padding: 12,
+    marginHorizontal: 20,
+    marginTop: 15,
+  },
+  demoBannerText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#333',
+  },
   imageContainer: {
     position: 'relative',
     backgroundColor: 'white',
@@ -798,43 +969,6 @@ const styles = StyleSheet.create({
     right: 0,
     bottom: 0,
   },
-  objectLabel: {
-    position: 'absolute',
-    backgroundColor: 'rgba(33, 150, 243, 0.9)',
-    borderRadius: 15,
-    paddingHorizontal: 8,
-    paddingVertical: 4,
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 2 },
-    shadowOpacity: 0.3,
-    shadowRadius: 4,
-    elevation: 5,
-  },
-  objectLabelContent: {
-    flexDirection: 'row',
-    alignItems: 'center',
-  },
-  objectLabelText: {
-    color: 'white',
-    fontSize: 12,
-    fontWeight: 'bold',
-    marginLeft: 4,
-    textTransform: 'capitalize',
-  },
-  objectLabelPointer: {
-    position: 'absolute',
-    bottom: -4,
-    left: '50%',
-    marginLeft: -4,
-    width: 0,
-    height: 0,
-    borderLeftWidth: 4,
-    borderRightWidth: 4,
-    borderTopWidth: 4,
-    borderLeftColor: 'transparent',
-    borderRightColor: 'transparent',
-    borderTopColor: 'rgba(33, 150, 243, 0.9)',
-  },
   loadingOverlay: {
     position: 'absolute',
     top: 0,
@@ -1041,4 +1175,13 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: 'bold',
   },
+  laterButton: {
+    paddingVertical: 15,
+    alignItems: 'center',
+  },
+  laterButtonText: {
+    color: '#2196F3',
+    fontSize: 16,
+    fontWeight: '600',
+  },
 }); 
\ No newline at end of file
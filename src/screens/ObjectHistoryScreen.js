@@ -0,0 +1,267 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  FlatList,
+  Image,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { getObjectSightings } from '../services/localStorage';
+import { getLocations } from '../services/locationService';
+import { generateSignedUrlForDisplay } from '../services/storageService';
+import { formatSightingDate, getSightingPlace, markMoves } from '../utils/sightingUtils';
+import { useAuth } from '../contexts/AuthContext';
+
+export default function ObjectHistoryScreen({ route, navigation }) {
+  const { objectName } = route.params;
+  const { user } = useAuth();
+  const [sightings, setSightings] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    loadHistory();
+  }, [objectName]);
+
+  const loadHistory = async () => {
+    try {
+      setIsLoading(true);
+
+      const [objectSightings, userLocations] = await Promise.all([
+        getObjectSightings(objectName, user?.id),
+        getLocations(user?.id),
+      ]);
+
+      const sightingsWithDisplayUrls = await Promise.all(
+        objectSightings.map(async (sighting) => {
+          const displayUrl = await generateSignedUrlForDisplay(sighting.image_url);
+          return {
+            ...sighting,
+            displayUrl: displayUrl || sighting.image_url,
+          };
+        })
+      );
+
+      setLocations(userLocations);
+      setSightings(markMoves(sightingsWithDisplayUrls));
+    } catch (error) {
+      console.error('❌ Error loading object history:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const renderSighting = ({ item, index }) => (
+    <View style={styles.timelineRow}>
+      <View style={styles.timelineRail}>
+        <View style={[styles.timelineDot, index === 0 && styles.timelineDotLatest]} />
+        {index < sightings.length - 1 && <View style={styles.timelineLine} />}
+      </View>
+
+      <TouchableOpacity
+        style={styles.sightingCard}
+        onPress={() => {
+          navigation.navigate('ImageViewer', {
+            imageUri: item.displayUrl || item.image_url,
+            objectName: item.object_name,
+            pictureName: item.picture_name || `Picture ${new Date(item.created_at).toLocaleDateString()}`,
+          });
+        }}
+      >
+        <Image source={{ uri: item.displayUrl || item.image_url }} style={styles.thumbnail} />
+        <View style={styles.sightingInfo}>
+          <Text style={styles.sightingDate}>
+            {index === 0 ? 'Last seen ' : ''}{formatSightingDate(item.created_at)}
+          </Text>
+          <View style={styles.placeRow}>
+            <Ionicons name={item.location_id ? 'location' : 'image-outline'} size={14} color="#4CAF50" />
+            <Text style={styles.placeText} numberOfLines={2}>{getSightingPlace(item, locations)}</Text>
+          </View>
+          {item.moved && (
+            <View style={styles.movedBadge}>
+              <Ionicons name="swap-horizontal" size={10} color="#FF9800" />
+              <Text style={styles.movedBadgeText}>Moved</Text>
+            </View>
+          )}
+        </View>
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Ionicons name="arrow-back" size={24} color="#333" />
+        </TouchableOpacity>
+        <Text style={styles.title} numberOfLines={1}>{objectName}</Text>
+        <View style={styles.backButton} />
+      </View>
+
+      {isLoading ? (
+        <View style={styles.emptyState}>
+          <ActivityIndicator size="large" color="#2196F3" />
+        </View>
+      ) : sightings.length === 0 ? (
+        <View style={styles.emptyState}>
+          <Ionicons name="time-outline" size={64} color="#ccc" />
+          <Text style={styles.emptyStateText}>No sightings</Text>
+          <Text style={styles.emptyStateSubtext}>
+            Pictures containing this object will show up here
+          </Text>
+        </View>
+      ) : (
+        <FlatList
+          data={sightings}
+          renderItem={renderSighting}
+          keyExtractor={(item) => String(item.id)}
+          ListHeaderComponent={
+            <Text style={styles.summaryText}>
+              Seen in {sightings.length} picture{sightings.length !== 1 ? 's' : ''}, newest first
+            </Text>
+          }
+          contentContainerStyle={styles.list}
+          showsVerticalScrollIndicator={false}
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingTop: 60,
+    paddingBottom: 20,
+    backgroundColor: 'white',
+  },
+  backButton: {
+    width: 40,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    flex: 1,
+    textAlign: 'center',
+    textTransform: 'capitalize',
+  },
+  list: {
+    padding: 20,
+  },
+  summaryText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 15,
+  },
+  timelineRow: {
+    flexDirection: 'row',
+  },
+  timelineRail: {
+    width: 24,
+    alignItems: 'center',
+  },
+  timelineDot: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    backgroundColor: '#ccc',
+    marginTop: 34,
+  },
+  timelineDotLatest: {
+    backgroundColor: '#2196F3',
+  },
+  timelineLine: {
+    flex: 1,
+    width: 2,
+    backgroundColor: '#ddd',
+  },
+  sightingCard: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 15,
+    padding: 10,
+    marginBottom: 15,
+    marginLeft: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  thumbnail: {
+    width: 70,
+    height: 70,
+    borderRadius: 10,
+    backgroundColor: '#eee',
+  },
+  sightingInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  sightingDate: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 4,
+  },
+  placeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  placeText: {
+    fontSize: 14,
+    color: '#4CAF50',
+    marginLeft: 4,
+    flexShrink: 1,
+  },
+  movedBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    backgroundColor: 'rgba(255, 152, 0, 0.1)',
+    borderRadius: 8,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    marginTop: 6,
+  },
+  movedBadgeText: {
+    fontSize: 10,
+    color: '#FF9800',
+    fontWeight: '600',
+    marginLeft: 3,
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyStateText: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 20,
+    marginBottom: 10,
+  },
+  emptyStateSubtext: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+  },
+});
@@ -0,0 +1,328 @@
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  FlatList,
+  Image,
+  Alert,
+  RefreshControl,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useFocusEffect } from '@react-navigation/native';
+
+import {
+  CAPTURE_STATUS,
+  getPendingCaptures,
+  processCaptureQueue,
+  removeCapture,
+} from '../services/captureQueue';
+import { useAuth } from '../contexts/AuthContext';
+
+const STATUS_LABELS = {
+  [CAPTURE_STATUS.PENDING_UPLOAD]: { text: 'Waiting to upload', icon: 'cloud-upload-outline', color: '#FF9800' },
+  [CAPTURE_STATUS.PENDING_ANALYSIS]: { text: 'Waiting for AI analysis', icon: 'sparkles-outline', color: '#2196F3' },
+  [CAPTURE_STATUS.READY]: { text: 'Ready to confirm', icon: 'checkmark-circle', color: '#4CAF50' },
+};
+
+export default function PendingCapturesScreen({ navigation }) {
+  const { user } = useAuth();
+  const [captures, setCaptures] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [isRetrying, setIsRetrying] = useState(false);
+
+  // Reload when coming back from the confirmation screen
+  useFocusEffect(
+    useCallback(() => {
+      loadCaptures();
+    }, [])
+  );
+
+  const loadCaptures = async () => {
+    try {
+      if (!user) {
+        setCaptures([]);
+        return;
+      }
+
+      const jobs = await getPendingCaptures(user.id);
+      // Newest first, like the gallery
+      setCaptures([...jobs].sort((a, b) => new Date(b.created_at) - new Date(a.created_at)));
+    } catch (error) {
+      console.error('❌ Error loading pending captures:', error);
+      Alert.alert('Error', 'Failed to load pending pictures.');
+    } finally {
+      setIsLoading(false);
+      setIsRefreshing(false);
+    }
+  };
+
+  const handleRefresh = () => {
+    setIsRefreshing(true);
+    loadCaptures();
+  };
+
+  const handleRetry = async () => {
+    if (!user) return;
+
+    try {
+      setIsRetrying(true);
+      const { processed, ready } = await processCaptureQueue(user.id);
+
+      if (processed === 0) {
+        Alert.alert('Nothing to Retry', 'Pictures are retried automatically once you\'re online.');
+      } else {
+        Alert.alert('Retry Complete', `${ready} of ${processed} picture${processed !== 1 ? 's are' : ' is'} ready to confirm.`);
+      }
+    } finally {
+      setIsRetrying(false);
+      loadCaptures();
+    }
+  };
+
+  const handleConfirm = (capture) => {
+    navigation.navigate('ObjectConfirmation', {
+      imageUrl: capture.image_url,
+      detectedObjects: capture.detected_objects,
+      analysisStatus: capture.analysis_status,
+      isDemoAnalysis: !!capture.is_demo,
+      localImageUri: capture.local_uri,
+      userId: user.id,
+      pendingCaptureId: capture.id,
+      locationId: capture.location_id || null,
+    });
+  };
+
+  const handleDelete = (capture) => {
+    Alert.alert(
+      'Discard Picture',
+      'Are you sure you want to discard this pending picture? It hasn\'t been saved to your gallery yet.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: async () => {
+            const success = await removeCapture(capture.id, { discard: true });
+            if (success) {
+              setCaptures(prev => prev.filter(c => c.id !== capture.id));
+            } else {
+              Alert.alert('Error', 'Failed to discard picture. Please try again.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderCaptureItem = ({ item }) => {
+    const status = STATUS_LABELS[item.status] || STATUS_LABELS[CAPTURE_STATUS.PENDING_UPLOAD];
+    const isReady = item.status === CAPTURE_STATUS.READY;
+
+    return (
+      <View style={styles.captureCard}>
+        <Image source={{ uri: item.local_uri }} style={styles.thumbnail} resizeMode="cover" />
+
+        <View style={styles.captureInfo}>
+          <View style={styles.statusRow}>
+            <Ionicons name={status.icon} size={16} color={status.color} />
+            <Text style={[styles.statusText, { color: status.color }]}>{status.text}</Text>
+          </View>
+          <Text style={styles.captureDate}>
+            {new Date(item.created_at).toLocaleString()}
+          </Text>
+          {isReady ? (
+            <Text style={styles.captureDetail}>
+              {item.detected_objects.length} {item.is_demo ? 'demo ' : ''}object{item.detected_objects.length !== 1 ? 's' : ''} detected
+            </Text>
+          ) : item.attempts > 0 ? (
+            <Text style={styles.captureDetail} numberOfLines={2}>
+              {item.attempts} attempt{item.attempts !== 1 ? 's' : ''}{item.last_error ? ` • ${item.last_error}` : ''}
+            </Text>
+          ) : null}
+        </View>
+
+        <View style={styles.captureActions}>
+          {isReady && (
+            <TouchableOpacity
+              style={[styles.actionButton, styles.confirmButton]}
+              onPress={() => handleConfirm(item)}
+            >
+              <Ionicons name="checkmark" size={18} color="white" />
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity
+            style={[styles.actionButton, styles.deleteButton]}
+            onPress={() => handleDelete(item)}
+          >
+            <Ionicons name="trash" size={16} color="white" />
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  const renderEmptyState = () => (
+    <View style={styles.emptyState}>
+      <Ionicons name="cloud-done-outline" size={80} color="#ccc" />
+      <Text style={styles.emptyStateText}>All Caught Up</Text>
+      <Text style={styles.emptyStateSubtext}>
+        Pictures taken while offline will wait here until they can be processed
+      </Text>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Ionicons name="arrow-back" size={24} color="#333" />
+        </TouchableOpacity>
+        <Text style={styles.title}>Pending Pictures</Text>
+        <TouchableOpacity
+          style={styles.retryButton}
+          onPress={handleRetry}
+          disabled={isRetrying}
+        >
+          {isRetrying ? (
+            <ActivityIndicator size="small" color="#333" />
+          ) : (
+            <Ionicons name="sync" size={24} color="#333" />
+          )}
+        </TouchableOpacity>
+      </View>
+
+      {captures.length === 0 && !isLoading ? (
+        renderEmptyState()
+      ) : (
+        <FlatList
+          data={captures}
+          renderItem={renderCaptureItem}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={styles.list}
+          refreshControl={
+            <RefreshControl refreshing={isRefreshing} onRefresh={handleRefresh} />
+          }
+          showsVerticalScrollIndicator={false}
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingTop: 60,
+    paddingBottom: 20,
+    backgroundColor: 'white',
+  },
+  backButton: {
+    width: 40,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    flex: 1,
+    textAlign: 'center',
+  },
+  retryButton: {
+    width: 40,
+    alignItems: 'flex-end',
+  },
+  list: {
+    padding: 20,
+  },
+  captureCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 15,
+    padding: 10,
+    marginBottom: 15,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  thumbnail: {
+    width: 70,
+    height: 70,
+    borderRadius: 10,
+    backgroundColor: '#eee',
+  },
+  captureInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  statusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  statusText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginLeft: 4,
+  },
+  captureDate: {
+    fontSize: 12,
+    color: '#666',
+  },
+  captureDetail: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  captureActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  actionButton: {
+    borderRadius: 15,
+    width: 32,
+    height: 32,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 8,
+  },
+  confirmButton: {
+    backgroundColor: '#4CAF50',
+  },
+  deleteButton: {
+    backgroundColor: 'rgba(255, 69, 58, 0.9)',
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyStateText: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 20,
+    marginBottom: 10,
+  },
+  emptyStateSubtext: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+  },
+});
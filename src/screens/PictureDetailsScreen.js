@@ -18,8 +18,12 @@ import { useAuth } from '../contexts/AuthContext';
 import { 
   getPictureMetadata, 
   savePictureMetadata,
+  savePictureLocation,
   getObjectsForImage 
 } from '../services/localStorage';
+import { getLocations } from '../services/locationService';
+import { formatLocationPath } from '../utils/locationUtils';
+import { LocationPicker } from '../components/LocationPicker';
 
 const { width, height } = Dimensions.get('window');
 
@@ -33,6 +37,9 @@ export default function PictureDetailsScreen({ route, navigation }) {
   const [isSaving, setIsSaving] = useState(false);
   const [objects, setObjects] = useState([]);
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
+  const [locationId, setLocationId] = useState(null);
+  const [locations, setLocations] = useState([]);
+  const [showLocationPicker, setShowLocationPicker] = useState(false);
 
   useEffect(() => {
     loadPictureData();
@@ -67,8 +74,11 @@ export default function PictureDetailsScreen({ route, navigation }) {
       if (metadata) {
         setPictureName(metadata.picture_name || '');
         setDescription(metadata.description || '');
+        setLocationId(metadata.location_id || null);
       }
 
+      setLocations(await getLocations(user?.id));
+
       // Load objects for this image
       const imageObjects = await getObjectsForImage(imageUrl, user?.id);
       setObjects(imageObjects);
@@ -108,6 +118,28 @@ export default function PictureDetailsScreen({ route, navigation }) {
     }
   };
 
+  // Locations are saved as soon as they are picked, separately from name and description
+  const handleLocationSelect = async (location, updatedLocations) => {
+    const previousLocationId = locationId;
+    setLocations(updatedLocations);
+    setLocationId(location?.id || null);
+
+    const success = await savePictureLocation(imageUrl, location?.id || null, user?.id);
+    if (!success) {
+      setLocationId(previousLocationId);
+      Alert.alert('Error', 'Failed to save the location. Please try again.');
+    }
+  };
+
+  // Re-analysis only changes objects, so typed name and description edits stay
+  const handleReanalyze = () => {
+    navigation.navigate('Reanalyze', {
+      imageUrl,
+      imageSource,
+      onApplied: async () => setObjects(await getObjectsForImage(imageUrl, user?.id)),
+    });
+  };
+
   const handleNameChange = (text) => {
     setPictureName(text);
     setHasUnsavedChanges(true);
@@ -189,11 +221,29 @@ export default function PictureDetailsScreen({ route, navigation }) {
               <Text style={styles.charCount}>{description.length}/500</Text>
             </View>
 
+            {/* Location */}
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Location</Text>
+              <TouchableOpacity style={styles.locationButton} onPress={() => setShowLocationPicker(true)}>
+                <Ionicons name="location" size={18} color={locationId ? '#2196F3' : '#999'} />
+                <Text style={[styles.locationText, !locationId && styles.locationPlaceholder]} numberOfLines={1}>
+                  {formatLocationPath(locations, locationId) || 'Where is this? (e.g. Kitchen › Drawer 2)'}
+                </Text>
+                <Ionicons name="chevron-forward" size={18} color="#999" />
+              </TouchableOpacity>
+            </View>
+
             {/* Objects Found */}
             <View style={styles.objectsContainer}>
-              <Text style={styles.sectionTitle}>
-                Detected Objects ({objects.length})
-              </Text>
+              <View style={styles.sectionHeader}>
+                <Text style={styles.sectionTitle}>
+                  Detected Objects ({objects.length})
+                </Text>
+                <TouchableOpacity style={styles.reanalyzeButton} onPress={handleReanalyze}>
+                  <Ionicons name="sparkles" size={16} color="#2196F3" />
+                  <Text style={styles.reanalyzeButtonText}>Re-analyze</Text>
+                </TouchableOpacity>
+              </View>
               {objects.length === 0 ? (
                 <Text style={styles.noObjectsText}>No objects detected in this picture</Text>
               ) : (
@@ -240,6 +290,14 @@ export default function PictureDetailsScreen({ route, navigation }) {
           </TouchableOpacity>
         </View>
       </KeyboardAvoidingView>
+
+      <LocationPicker
+        visible={showLocationPicker}
+        userId={user?.id}
+        selectedLocationId={locationId}
+        onSelect={handleLocationSelect}
+        onClose={() => setShowLocationPicker(false)}
+      />
     </SafeAreaView>
   );
 }
@@ -319,14 +377,53 @@ const styles = StyleSheet.create({
     textAlign: 'right',
     marginTop: 4,
   },
+  locationButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    backgroundColor: 'white',
+  },
+  locationText: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+    marginLeft: 8,
+  },
+  locationPlaceholder: {
+    color: '#999',
+  },
   objectsContainer: {
     marginTop: 8,
   },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
   sectionTitle: {
     fontSize: 18,
     fontWeight: '600',
     color: '#333',
-    marginBottom: 12,
+  },
+  reanalyzeButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: 'rgba(33, 150, 243, 0.3)',
+    backgroundColor: 'rgba(33, 150, 243, 0.1)',
+  },
+  reanalyzeButtonText: {
+    marginLeft: 4,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2196F3',
   },
   noObjectsText: {
     fontSize: 14,
@@ -14,9 +14,16 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../contexts/AuthContext';
-import { clearAndSyncFromSupabase, getDailyUsageStats } from '../services/localStorage';
+import { getQuotaStatus, QUOTA_METRICS, QUOTA_METRIC_LABELS } from '../services/quotaService';
 import { supabase } from '../services/supabase';
 import { getUserStorageStats } from '../services/storageService';
+import {
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  getAccountDeletionStatus,
+  clearLocalUserData,
+} from '../services/accountService';
+import { exportUserData, shareExport } from '../services/exportService';
 import { SyncButton } from '../components/SyncButton';
 
 export default function ProfileScreen({ navigation }) {
@@ -28,16 +35,16 @@ export default function ProfileScreen({ navigation }) {
     lastActivity: null,
     storageUsed: '0.00',
   });
-  const [dailyStats, setDailyStats] = useState({
-    todayCount: 0,
-    weekCount: 0,
-    monthCount: 0,
-    limit: 10,
-  });
+  const [quotaStatus, setQuotaStatus] = useState(null);
   const [loading, setLoading] = useState(false);
   const [showContactModal, setShowContactModal] = useState(false);
   const [contactTitle, setContactTitle] = useState('');
   const [contactMessage, setContactMessage] = useState('');
+  const [deletionStatus, setDeletionStatus] = useState(null);
+  const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [deleteConfirmText, setDeleteConfirmText] = useState('');
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [exportProgress, setExportProgress] = useState(null);
 
   const { user, signOut, updateProfile, loading: authLoading } = useAuth();
 
@@ -45,6 +52,7 @@ export default function ProfileScreen({ navigation }) {
     if (user) {
       setFullName(user.user_metadata?.full_name || '');
       loadUserStats();
+      getAccountDeletionStatus(user.id).then(setDeletionStatus);
     }
   }, [user]);
 
@@ -55,8 +63,8 @@ export default function ProfileScreen({ navigation }) {
       // Get updated stats from the improved storage service (active items only)
       const storageStats = await getUserStorageStats(user.id);
       
-      // Get daily usage stats
-      const usageStats = await getDailyUsageStats(user.id);
+      // Get plan limits and usage
+      const quota = await getQuotaStatus(user.id);
       
       // Get last activity from database using the normalized structure
       const { data: recentActivity } = await supabase
@@ -73,13 +81,13 @@ export default function ProfileScreen({ navigation }) {
         storageUsed: storageStats.totalSizeMB,
       });
 
-      setDailyStats(usageStats);
+      setQuotaStatus(quota);
       
       console.log('📊 Stats loaded (active only):', {
         totalImages: storageStats.totalImages,
         totalObjects: storageStats.totalObjects,
         storageUsed: storageStats.totalSizeMB + ' MB',
-        dailyUsage: `${usageStats.todayCount}/${usageStats.limit}`,
+        plan: quota?.plan,
       });
     } catch (error) {
       console.error('❌ Error loading user stats:', error);
@@ -90,15 +98,38 @@ export default function ProfileScreen({ navigation }) {
         lastActivity: null,
         storageUsed: '0.00',
       });
-      setDailyStats({
-        todayCount: 0,
-        weekCount: 0,
-        monthCount: 0,
-        limit: 10,
-      });
+      setQuotaStatus(null);
     }
   };
 
+  // One usage bar; a null limit means the plan has no limit for this period
+  const renderUsageBar = (label, used, limit) => (
+    <View style={styles.usageRow}>
+      <View style={styles.progressHeader}>
+        <Text style={styles.usageLabel}>{label}</Text>
+        <Text style={styles.progressCount}>{limit === null ? `${used} / Unlimited` : `${used} / ${limit}`}</Text>
+      </View>
+      {limit !== null && (
+        <View style={styles.progressBarContainer}>
+          <View
+            style={[
+              styles.progressBar,
+              used >= limit && styles.progressBarFull,
+              { width: `${limit > 0 ? Math.min((used / limit) * 100, 100) : 100}%` }
+            ]}
+          />
+        </View>
+      )}
+    </View>
+  );
+
+  const formatResetText = (usage) => {
+    if (!usage.dayResetsAt) return 'Daily limits reset at midnight UTC';
+    const resetTime = new Date(usage.dayResetsAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    const monthReset = usage.monthResetsAt ? `, monthly limits on ${new Date(usage.monthResetsAt).toLocaleDateString()}` : '';
+    return `Daily limits reset at ${resetTime}${monthReset}`;
+  };
+
   const handleUpdateProfile = async () => {
     if (!fullName.trim()) {
       Alert.alert('Error', 'Full name cannot be empty');
@@ -139,27 +170,86 @@ export default function ProfileScreen({ navigation }) {
     );
   };
 
+  const handleExportData = async () => {
+    setExportProgress({ done: 0, total: 0 });
+    const result = await exportUserData(user.id, {
+      onProgress: (done, total) => setExportProgress({ done, total }),
+    });
+    setExportProgress(null);
+
+    if (!result.success) {
+      Alert.alert('Export Failed', `Could not export your data: ${result.error}`);
+      return;
+    }
+
+    if (result.missingFiles > 0) {
+      Alert.alert(
+        'Some Images Missing',
+        `${result.missingFiles} image${result.missingFiles !== 1 ? 's' : ''} could not be downloaded. ` +
+          'Their names and objects are still in the export.',
+        [{ text: 'OK', onPress: () => shareExport(result.uri) }]
+      );
+      return;
+    }
+
+    const shared = await shareExport(result.uri);
+    if (!shared) {
+      Alert.alert('Export Ready', 'Sharing is not available on this device.');
+    }
+  };
+
   const handleDeleteAccount = () => {
     Alert.alert(
       'Delete Account',
-      'This action cannot be undone. All your data will be permanently deleted.',
+      'Your account, pictures and objects will be permanently deleted after a 7-day grace period. ' +
+        'You can keep your account by signing in again before then.',
       [
         { text: 'Cancel', style: 'cancel' },
         {
-          text: 'Delete',
+          text: 'Continue',
           style: 'destructive',
           onPress: () => {
-            Alert.alert(
-              'Confirm Deletion',
-              'Please contact support to delete your account.',
-              [{ text: 'OK' }]
-            );
+            setDeleteConfirmText('');
+            setShowDeleteModal(true);
           },
         },
       ]
     );
   };
 
+  const confirmDeleteAccount = async () => {
+    setIsDeleting(true);
+    const result = await requestAccountDeletion();
+
+    if (!result.success) {
+      setIsDeleting(false);
+      Alert.alert('Error', `Could not delete your account: ${result.error}`);
+      return;
+    }
+
+    // The server keeps everything until the grace period ends; this device forgets it now
+    await clearLocalUserData(user.id);
+    setIsDeleting(false);
+    setShowDeleteModal(false);
+
+    const purgeDate = new Date(result.deletion.purgeAfter).toLocaleDateString();
+    await signOut();
+    Alert.alert(
+      'Account Scheduled for Deletion',
+      `Your account and all its data will be deleted on ${purgeDate}. Sign in before then to keep it.`
+    );
+  };
+
+  const handleKeepAccount = async () => {
+    const result = await cancelAccountDeletion();
+    if (result.success) {
+      setDeletionStatus(null);
+      Alert.alert('Account Kept', 'Your account will not be deleted.');
+    } else {
+      Alert.alert('Error', `Could not cancel the deletion: ${result.error}`);
+    }
+  };
+
   const formatDate = (dateString) => {
     if (!dateString) return 'Never';
     try {
@@ -313,39 +403,33 @@ ${fullName || 'SnapFindMy User'}`;
           </View>
         </View>
 
-        {/* Daily Usage Stats */}
+        {/* Plan and Usage */}
         <View style={styles.dailyStatsSection}>
-          <Text style={styles.sectionTitle}>Daily Usage Limit</Text>
-          <View style={styles.dailyUsageProgress}>
-            <View style={styles.progressHeader}>
-              <Text style={styles.progressTitle}>Today's Pictures</Text>
-              <Text style={styles.progressCount}>{dailyStats.todayCount} / {dailyStats.limit}</Text>
-            </View>
-            <View style={styles.progressBarContainer}>
-              <View 
-                style={[
-                  styles.progressBar, 
-                  { width: `${Math.min((dailyStats.todayCount / dailyStats.limit) * 100, 100)}%` }
-                ]} 
-              />
-            </View>
-            <View style={styles.progressFooter}>
-              <Text style={styles.remainingText}>
-                {dailyStats.limit - dailyStats.todayCount} pictures remaining today
-              </Text>
-              <Text style={styles.resetText}>Resets at midnight</Text>
-            </View>
-          </View>
-          <View style={styles.weeklyStats}>
-            <View style={styles.weeklyStatItem}>
-              <Text style={styles.weeklyStatNumber}>{dailyStats.weekCount}</Text>
-              <Text style={styles.weeklyStatLabel}>This Week</Text>
-            </View>
-            <View style={styles.weeklyStatItem}>
-              <Text style={styles.weeklyStatNumber}>{dailyStats.monthCount}</Text>
-              <Text style={styles.weeklyStatLabel}>This Month</Text>
-            </View>
+          <View style={styles.planHeader}>
+            <Text style={styles.sectionTitle}>Plan & Usage</Text>
+            {quotaStatus && (
+              <View style={styles.planBadge}>
+                <Text style={styles.planBadgeText}>{quotaStatus.planLabel}</Text>
+              </View>
+            )}
           </View>
+          {quotaStatus ? (
+            <>
+              {[QUOTA_METRICS.PICTURES, QUOTA_METRICS.AI_CALLS].map(metric => (
+                <View key={metric} style={styles.dailyUsageProgress}>
+                  <Text style={styles.progressTitle}>{QUOTA_METRIC_LABELS[metric]}</Text>
+                  {renderUsageBar('Today', quotaStatus.metrics[metric].dailyUsed, quotaStatus.metrics[metric].dailyLimit)}
+                  {renderUsageBar('This Month', quotaStatus.metrics[metric].monthlyUsed, quotaStatus.metrics[metric].monthlyLimit)}
+                </View>
+              ))}
+              <Text style={styles.resetText}>
+                {formatResetText(quotaStatus.metrics[QUOTA_METRICS.PICTURES])}
+                {quotaStatus.stale ? ' • Offline, showing last known usage' : ''}
+              </Text>
+            </>
+          ) : (
+            <Text style={styles.remainingText}>Usage is not available right now. Tap Refresh Stats to try again.</Text>
+          )}
         </View>
 
         {/* Account Actions */}
@@ -369,6 +453,35 @@ ${fullName || 'SnapFindMy User'}`;
             <Ionicons name="chevron-forward" size={20} color="#ccc" />
           </TouchableOpacity>
 
+          <TouchableOpacity
+            style={styles.actionItem}
+            onPress={handleExportData}
+            disabled={!!exportProgress}
+          >
+            <Ionicons name="download-outline" size={24} color="#9C27B0" />
+            <Text style={styles.actionText}>
+              {!exportProgress
+                ? 'Export My Data'
+                : exportProgress.total > 0
+                  ? `Exporting ${exportProgress.done}/${exportProgress.total} pictures...`
+                  : 'Preparing export...'}
+            </Text>
+            {exportProgress ? (
+              <ActivityIndicator size="small" color="#9C27B0" />
+            ) : (
+              <Ionicons name="chevron-forward" size={20} color="#ccc" />
+            )}
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.actionItem}
+            onPress={() => navigation.navigate('Import')}
+          >
+            <Ionicons name="cloud-upload-outline" size={24} color="#9C27B0" />
+            <Text style={styles.actionText}>Import Data</Text>
+            <Ionicons name="chevron-forward" size={20} color="#ccc" />
+          </TouchableOpacity>
+
           <TouchableOpacity
             style={styles.actionItem}
             onPress={handleContactUs}
@@ -405,14 +518,30 @@ ${fullName || 'SnapFindMy User'}`;
             )}
           </TouchableOpacity>
 
-          <TouchableOpacity
-            style={styles.actionItem}
-            onPress={handleDeleteAccount}
-          >
-            <Ionicons name="trash-outline" size={24} color="#F44336" />
-            <Text style={[styles.actionText, { color: '#F44336' }]}>Delete Account</Text>
-            <Ionicons name="chevron-forward" size={20} color="#ccc" />
-          </TouchableOpacity>
+          {deletionStatus ? (
+            <TouchableOpacity
+              style={styles.actionItem}
+              onPress={handleKeepAccount}
+            >
+              <Ionicons name="arrow-undo-outline" size={24} color="#F44336" />
+              <View style={styles.actionTextContainer}>
+                <Text style={[styles.actionText, styles.actionTextStacked, { color: '#F44336' }]}>Keep My Account</Text>
+                <Text style={styles.actionSubtext}>
+                  Scheduled for deletion on {new Date(deletionStatus.purgeAfter).toLocaleDateString()}
+                </Text>
+              </View>
+              <Ionicons name="chevron-forward" size={20} color="#ccc" />
+            </TouchableOpacity>
+          ) : (
+            <TouchableOpacity
+              style={styles.actionItem}
+              onPress={handleDeleteAccount}
+            >
+              <Ionicons name="trash-outline" size={24} color="#F44336" />
+              <Text style={[styles.actionText, { color: '#F44336' }]}>Delete Account</Text>
+              <Ionicons name="chevron-forward" size={20} color="#ccc" />
+            </TouchableOpacity>
+          )}
         </View>
 
         {/* App Info */}
@@ -489,6 +618,75 @@ ${fullName || 'SnapFindMy User'}`;
           </View>
         </View>
       </Modal>
+
+      {/* Delete Account Confirmation */}
+      <Modal
+        visible={showDeleteModal}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => !isDeleting && setShowDeleteModal(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>Delete Account</Text>
+              <TouchableOpacity
+                style={styles.modalCloseButton}
+                onPress={() => setShowDeleteModal(false)}
+                disabled={isDeleting}
+              >
+                <Ionicons name="close" size={24} color="#666" />
+              </TouchableOpacity>
+            </View>
+
+            <View style={styles.modalBody}>
+              <Text style={styles.modalDescription}>
+                This deletes {stats.totalImages} picture{stats.totalImages !== 1 ? 's' : ''} and {stats.totalObjects} object{stats.totalObjects !== 1 ? 's' : ''}.
+                You will be signed out and local data on this device is removed right away.
+              </Text>
+
+              <Text style={styles.inputLabel}>Type DELETE to confirm</Text>
+              <TextInput
+                style={styles.modalInput}
+                placeholder="DELETE"
+                value={deleteConfirmText}
+                onChangeText={setDeleteConfirmText}
+                autoCapitalize="characters"
+                autoCorrect={false}
+                editable={!isDeleting}
+              />
+
+              <View style={styles.modalActions}>
+                <TouchableOpacity
+                  style={styles.cancelButton}
+                  onPress={() => setShowDeleteModal(false)}
+                  disabled={isDeleting}
+                >
+                  <Text style={styles.cancelButtonText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[
+                    styles.sendButton,
+                    styles.deleteButton,
+                    (deleteConfirmText.trim() !== 'DELETE' || isDeleting) && styles.disabledButton
+                  ]}
+                  onPress={confirmDeleteAccount}
+                  disabled={deleteConfirmText.trim() !== 'DELETE' || isDeleting}
+                >
+                  {isDeleting ? (
+                    <ActivityIndicator color="white" size="small" />
+                  ) : (
+                    <>
+                      <Ionicons name="trash" size={16} color="white" />
+                      <Text style={styles.sendButtonText}>Delete Account</Text>
+                    </>
+                  )}
+                </TouchableOpacity>
+              </View>
+            </View>
+          </View>
+        </View>
+      </Modal>
     </SafeAreaView>
   );
 }
@@ -660,6 +858,19 @@ const styles = StyleSheet.create({
     color: '#333',
     marginLeft: 15,
   },
+  actionTextContainer: {
+    flex: 1,
+    marginLeft: 15,
+  },
+  actionTextStacked: {
+    flex: 0,
+    marginLeft: 0,
+  },
+  actionSubtext: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
   appInfoSection: {
     alignItems: 'center',
     paddingHorizontal: 20,
@@ -704,6 +915,30 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
     color: '#333',
+    marginBottom: 10,
+  },
+  planHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+  },
+  planBadge: {
+    backgroundColor: '#2196F3',
+    borderRadius: 12,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+  },
+  planBadgeText: {
+    color: 'white',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  usageRow: {
+    marginBottom: 6,
+  },
+  usageLabel: {
+    fontSize: 14,
+    color: '#666',
   },
   progressCount: {
     fontSize: 16,
@@ -722,10 +957,8 @@ const styles = StyleSheet.create({
     backgroundColor: '#2196F3',
     borderRadius: 4,
   },
-  progressFooter: {
-    flexDirection: 'row',
-    justifyContent: 'space-between',
-    alignItems: 'center',
+  progressBarFull: {
+    backgroundColor: '#F44336',
   },
   remainingText: {
     fontSize: 12,
@@ -736,24 +969,6 @@ const styles = StyleSheet.create({
     color: '#999',
     fontStyle: 'italic',
   },
-  weeklyStats: {
-    flexDirection: 'row',
-    justifyContent: 'space-around',
-  },
-  weeklyStatItem: {
-    alignItems: 'center',
-    flex: 1,
-  },
-  weeklyStatNumber: {
-    fontSize: 24,
-    fontWeight: 'bold',
-    color: '#4CAF50',
-  },
-  weeklyStatLabel: {
-    fontSize: 12,
-    color: '#666',
-    marginTop: 4,
-  },
   modalOverlay: {
     flex: 1,
     backgroundColor: 'rgba(0, 0, 0, 0.5)',
@@ -849,4 +1064,7 @@ const styles = StyleSheet.create({
     color: 'white',
     fontWeight: '600',
   },
+  deleteButton: {
+    backgroundColor: '#F44336',
+  },
 }); 
\ No newline at end of file
@@ -0,0 +1,449 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  Image,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { config } from '../config/env';
+import { useAuth } from '../contexts/AuthContext';
+import { getVisionProviders, getAnalysisErrorTitle, ANALYSIS_STATUS } from '../services/aiService';
+import { reanalyzePicture, applyReanalysis } from '../services/reanalyzeService';
+
+export default function ReanalyzeScreen({ navigation, route }) {
+  const { user } = useAuth();
+  const { imageUrl, imageSource, onApplied } = route.params;
+  const [providers] = useState(() => getVisionProviders());
+  const [providerId, setProviderId] = useState(() => (
+    providers.find(provider => provider.id === config.ai.provider && provider.configured) ||
+    providers.find(provider => provider.configured)
+  )?.id ?? config.ai.provider);
+  const [model, setModel] = useState('');
+  const [focusHint, setFocusHint] = useState('');
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [isApplying, setIsApplying] = useState(false);
+  const [comparison, setComparison] = useState(null);
+  const [analysisNote, setAnalysisNote] = useState(null); // Shown above the results: nothing found or demo objects
+  const [acceptedKeys, setAcceptedKeys] = useState(new Set()); // New objects to add
+  const [removedKeys, setRemovedKeys] = useState(new Set()); // Missing objects to delete
+
+  const selectedProvider = providers.find(provider => provider.id === providerId);
+
+  const handleAnalyze = async () => {
+    if (!user) {
+      Alert.alert('Authentication Required', 'Please sign in to analyze pictures.');
+      return;
+    }
+
+    setIsAnalyzing(true);
+    const result = await reanalyzePicture(user.id, imageUrl, { provider: providerId, model, focusHint });
+    setIsAnalyzing(false);
+
+    if (!result.success) {
+      Alert.alert(
+        getAnalysisErrorTitle(result),
+        result.error || 'The picture could not be analyzed. Please try again.'
+      );
+      return;
+    }
+
+    setAnalysisNote(
+      result.isDemoAnalysis
+        ? 'Demo mode: these objects are made up, not found by an AI.'
+        : result.analysisStatus === ANALYSIS_STATUS.EMPTY
+          ? 'The AI looked at the picture but found no objects.'
+          : null
+    );
+
+    // New objects are added unless the user unticks them; missing ones are kept unless ticked
+    setComparison(result.comparison);
+    setAcceptedKeys(new Set(result.comparison.newObjects.map(obj => obj.key)));
+    setRemovedKeys(new Set());
+  };
+
+  const toggleKey = (setKeys, key) => {
+    setKeys(prevKeys => {
+      const nextKeys = new Set(prevKeys);
+      if (nextKeys.has(key)) {
+        nextKeys.delete(key);
+      } else {
+        nextKeys.add(key);
+      }
+      return nextKeys;
+    });
+  };
+
+  const handleApply = async () => {
+    const add = comparison.newObjects.filter(obj => acceptedKeys.has(obj.key));
+    const remove = comparison.missingObjects.filter(obj => removedKeys.has(obj.key));
+
+    setIsApplying(true);
+    const result = await applyReanalysis(user.id, imageUrl, { add, remove });
+    setIsApplying(false);
+
+    if (!result.success) {
+      Alert.alert('Error', result.error || 'Failed to save the changes. Please try again.');
+      return;
+    }
+
+    onApplied?.();
+    Alert.alert(
+      'Objects Updated',
+      `Added ${add.length} and removed ${remove.length} object${remove.length !== 1 ? 's' : ''}.`,
+      [{ text: 'OK', onPress: () => navigation.goBack() }]
+    );
+  };
+
+  const formatConfidence = (confidence) => (
+    confidence !== null ? `${Math.round(confidence * 100)}%` : null
+  );
+
+  const renderOptions = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>AI Provider</Text>
+      <View style={styles.chipRow}>
+        {providers.map(provider => (
+          <TouchableOpacity
+            key={provider.id}
+            style={[
+              styles.chip,
+              provider.id === providerId && styles.chipSelected,
+              !provider.configured && styles.chipDisabled,
+            ]}
+            onPress={() => {
+              setProviderId(provider.id);
+              setModel('');
+            }}
+            disabled={!provider.configured || isAnalyzing}
+          >
+            <Text style={[styles.chipText, provider.id === providerId && styles.chipTextSelected]}>
+              {provider.label}{provider.configured ? '' : ' (no API key)'}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {selectedProvider?.defaultModel && (
+        <>
+          <Text style={styles.label}>Model</Text>
+          <TextInput
+            style={styles.input}
+            value={model}
+            onChangeText={setModel}
+            placeholder={selectedProvider.defaultModel}
+            placeholderTextColor="#999"
+            autoCapitalize="none"
+            autoCorrect={false}
+            editable={!isAnalyzing}
+          />
+        </>
+      )}
+
+      <Text style={styles.label}>Focus on (optional)</Text>
+      <TextInput
+        style={styles.input}
+        value={focusHint}
+        onChangeText={setFocusHint}
+        placeholder='e.g. "small items on the desk"'
+        placeholderTextColor="#999"
+        maxLength={200}
+        editable={!isAnalyzing}
+      />
+
+      <TouchableOpacity
+        style={[styles.primaryButton, isAnalyzing && styles.buttonDisabled]}
+        onPress={handleAnalyze}
+        disabled={isAnalyzing}
+      >
+        {isAnalyzing ? (
+          <ActivityIndicator color="white" />
+        ) : (
+          <Ionicons name="sparkles" size={20} color="white" />
+        )}
+        <Text style={styles.primaryButtonText}>
+          {isAnalyzing ? 'Analyzing...' : comparison ? 'Analyze Again' : 'Analyze'}
+        </Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderObjectRow = (obj, { checked, onToggle, checkedColor, detail }) => (
+    <TouchableOpacity
+      key={obj.key}
+      style={styles.objectRow}
+      onPress={onToggle}
+      disabled={!onToggle || isApplying}
+    >
+      {onToggle ? (
+        <Ionicons
+          name={checked ? 'checkbox' : 'square-outline'}
+          size={22}
+          color={checked ? checkedColor : '#999'}
+        />
+      ) : (
+        <Ionicons name="checkmark-circle" size={22} color="#4CAF50" />
+      )}
+      <Text style={styles.objectName}>{obj.name}</Text>
+      {detail && <Text style={styles.objectDetail}>{detail}</Text>}
+    </TouchableOpacity>
+  );
+
+  const renderComparison = () => {
+    const { newObjects, missingObjects, unchangedObjects } = comparison;
+    const changeCount = acceptedKeys.size + removedKeys.size;
+
+    return (
+      <>
+        {analysisNote && (
+          <View style={styles.noteBanner}>
+            <Ionicons name="information-circle" size={20} color="#FF9800" />
+            <Text style={styles.noteText}>{analysisNote}</Text>
+          </View>
+        )}
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>New ({newObjects.length})</Text>
+          <Text style={styles.hintText}>Found this time. Ticked objects are added to the picture.</Text>
+          {newObjects.length === 0 ? (
+            <Text style={styles.emptyText}>No new objects</Text>
+          ) : newObjects.map(obj => renderObjectRow(obj, {
+            checked: acceptedKeys.has(obj.key),
+            onToggle: () => toggleKey(setAcceptedKeys, obj.key),
+            checkedColor: '#4CAF50',
+            detail: formatConfidence(obj.confidence),
+          }))}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Missing ({missingObjects.length})</Text>
+          <Text style={styles.hintText}>Saved before but not found this time. Tick the ones to remove.</Text>
+          {missingObjects.length === 0 ? (
+            <Text style={styles.emptyText}>Every saved object was found again</Text>
+          ) : missingObjects.map(obj => renderObjectRow(obj, {
+            checked: removedKeys.has(obj.key),
+            onToggle: () => toggleKey(setRemovedKeys, obj.key),
+            checkedColor: '#F44336',
+            detail: removedKeys.has(obj.key) ? 'Remove' : 'Keep',
+          }))}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Unchanged ({unchangedObjects.length})</Text>
+          {unchangedObjects.length === 0 ? (
+            <Text style={styles.emptyText}>No saved object was found again</Text>
+          ) : unchangedObjects.map(({ saved, detected }) => renderObjectRow(saved, {
+            detail: detected.name !== saved.name ? `seen as "${detected.name}"` : null,
+          }))}
+        </View>
+
+        <TouchableOpacity
+          style={[styles.primaryButton, styles.applyButton, (changeCount === 0 || isApplying) && styles.buttonDisabled]}
+          onPress={handleApply}
+          disabled={changeCount === 0 || isApplying}
+        >
+          <Ionicons name={isApplying ? 'hourglass' : 'checkmark'} size={20} color="white" />
+          <Text style={styles.primaryButtonText}>
+            {isApplying ? 'Saving...' : `Apply ${changeCount} Change${changeCount !== 1 ? 's' : ''}`}
+          </Text>
+        </TouchableOpacity>
+      </>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Ionicons name="arrow-back" size={24} color="#333" />
+        </TouchableOpacity>
+        <Text style={styles.title}>Re-analyze Picture</Text>
+        <View style={styles.backButton} />
+      </View>
+
+      <ScrollView style={styles.content} keyboardShouldPersistTaps="handled">
+        <Image
+          source={imageSource || { uri: imageUrl }}
+          style={styles.image}
+          resizeMode="cover"
+        />
+
+        {renderOptions()}
+        {comparison && renderComparison()}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingTop: 10,
+    paddingBottom: 20,
+    backgroundColor: 'white',
+  },
+  backButton: {
+    padding: 5,
+    width: 34,
+  },
+  title: {
+    color: '#333',
+    fontSize: 20,
+    fontWeight: 'bold',
+    flex: 1,
+    textAlign: 'center',
+  },
+  content: {
+    flex: 1,
+  },
+  image: {
+    height: 200,
+    margin: 20,
+    borderRadius: 15,
+  },
+  section: {
+    backgroundColor: 'white',
+    marginHorizontal: 20,
+    marginBottom: 20,
+    borderRadius: 15,
+    padding: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 10,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 15,
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 16,
+    color: '#333',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipSelected: {
+    backgroundColor: '#2196F3',
+    borderColor: '#2196F3',
+  },
+  chipDisabled: {
+    opacity: 0.5,
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  chipTextSelected: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#2196F3',
+    paddingVertical: 14,
+    borderRadius: 25,
+    marginTop: 20,
+  },
+  applyButton: {
+    backgroundColor: '#4CAF50',
+    marginHorizontal: 20,
+    marginTop: 0,
+    marginBottom: 30,
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  primaryButtonText: {
+    marginLeft: 8,
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: 'white',
+  },
+  noteBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(255, 152, 0, 0.1)',
+    borderWidth: 1,
+    borderColor: 'rgba(255, 152, 0, 0.3)',
+    borderRadius: 10,
+    padding: 12,
+    marginHorizontal: 20,
+    marginBottom: 20,
+  },
+  noteText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#333',
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 10,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    fontStyle: 'italic',
+  },
+  objectRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f5f5f5',
+  },
+  objectName: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+    marginLeft: 10,
+  },
+  objectDetail: {
+    fontSize: 12,
+    color: '#666',
+  },
+});
@@ -11,60 +11,90 @@ import {
   Alert,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { searchObjectsWithPictureNames, getAllObjectsWithPictureNames } from '../services/localStorage';
+import * as Speech from 'expo-speech';
+import { searchObjectsAndPictures, searchObjectsByMeaning, getAllObjectsWithPictureNames } from '../services/localStorage';
+import { getHighlightSegments, extractSearchTerms } from '../utils/searchUtils';
+import { formatLocationPath } from '../utils/locationUtils';
+import { groupObjectSightings, formatSightingDate } from '../utils/sightingUtils';
+import { VoiceSearchButton } from '../components/VoiceSearchButton';
+import { getLocations } from '../services/locationService';
 import { useAuth } from '../contexts/AuthContext';
 import { supabase } from '../services/supabase';
-import { generateSignedUrlForDisplay } from '../services/storageService';
+import { getImageDisplayUrls } from '../services/signedUrlCache';
+
+// Which field a result matched, shown above the result
+const MATCH_BADGES = {
+  object_name: { label: 'Object', icon: 'cube-outline' },
+  picture_name: { label: 'Picture name', icon: 'image-outline' },
+  description: { label: 'Description', icon: 'document-text-outline' },
+  meaning: { label: 'Similar meaning', icon: 'bulb-outline' },
+};
+
+// Keyword matches names and text (typos, plurals, synonyms); meaning compares embeddings
+const SEARCH_MODES = [
+  { id: 'keyword', label: 'Keyword', icon: 'text' },
+  { id: 'meaning', label: 'Meaning', icon: 'bulb' },
+];
 
 export default function SearchScreen({ navigation }) {
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
+  const [lastQuery, setLastQuery] = useState('');
+  const [searchMode, setSearchMode] = useState('keyword');
+  const [locations, setLocations] = useState([]);
   const { user } = useAuth();
 
-  const searchObjectsLocal = async (query) => {
+  // Locations turn each result's location_id into "Kitchen › Drawer 2"
+  useEffect(() => {
+    if (user) {
+      getLocations(user.id).then(setLocations);
+    }
+  }, [user]);
+
+  // Don't keep talking after leaving the screen
+  useEffect(() => {
+    return () => Speech.stop();
+  }, []);
+
+  // Full-size URL for the viewer and a thumbnail for the list, mostly from the signed-URL cache
+  const withDisplayUrls = async (results) => {
+    const displayUrls = await getImageDisplayUrls(results.map(result => result.image_url));
+    return results.map((result, i) => ({
+      ...result,
+      displayUrl: displayUrls[i].url || result.image_url, // Fallback to original if signing fails
+      thumbnailUrl: displayUrls[i].thumbnailUrl || result.image_url,
+    }));
+  };
+
+  const searchObjectsLocal = async (query, mode = searchMode) => {
     setIsLoading(true);
     try {
       if (!query.trim()) {
         // If no query, show all objects
         console.log('No search query - showing all objects');
-        const results = await getAllObjectsWithPictureNames();
-        
-        // Generate display URLs for each result
-        const resultsWithDisplayUrls = await Promise.all(
-          results.map(async (result) => {
-            const displayUrl = await generateSignedUrlForDisplay(result.image_url);
-            return {
-              ...result,
-              displayUrl: displayUrl || result.image_url,
-            };
-          })
-        );
-        
-        setSearchResults(resultsWithDisplayUrls);
+        setLastQuery('');
+        const results = groupObjectSightings(await getAllObjectsWithPictureNames());
+        setSearchResults(await withDisplayUrls(results));
         return;
       }
 
       console.log('Searching for:', query);
+      setLastQuery(query);
       
-      // Search objects with picture names
-      const results = await searchObjectsWithPictureNames(query);
-      
-      // Generate display URLs for each result
-      const resultsWithDisplayUrls = await Promise.all(
-        results.map(async (result) => {
-          const displayUrl = await generateSignedUrlForDisplay(result.image_url);
-          return {
-            ...result,
-            displayUrl: displayUrl || result.image_url, // Fallback to original if generation fails
-          };
-        })
-      );
+      // Search object names, picture names and descriptions, by keyword or by meaning.
+      // Repeated sightings of the same object collapse into one result with its history.
+      const results = groupObjectSightings(mode === 'meaning'
+        ? await searchObjectsByMeaning(query)
+        : await searchObjectsAndPictures(query));
       
+      const resultsWithDisplayUrls = await withDisplayUrls(results);
       setSearchResults(resultsWithDisplayUrls);
+      return resultsWithDisplayUrls;
     } catch (error) {
       console.error('Error searching objects:', error);
       Alert.alert('Error', 'Failed to search objects. Please try again.');
+      return [];
     } finally {
       setIsLoading(false);
     }
@@ -74,7 +104,123 @@ export default function SearchScreen({ navigation }) {
     searchObjectsLocal(searchQuery);
   };
 
-  const renderSearchResult = ({ item }) => (
+  // Read the best match aloud so a voice search can be answered without looking
+  const speakTopResult = (terms, results) => {
+    const topResult = results[0];
+    let message;
+
+    if (!topResult) {
+      message = `Sorry, I couldn't find ${terms}.`;
+    } else if (topResult.result_type === 'picture') {
+      message = `I found a picture called ${topResult.picture_name || 'Untitled'}.`;
+    } else {
+      const place = formatLocationPath(locations, topResult.location_id, ', ');
+      const location = place || (topResult.picture_name ? `the picture ${topResult.picture_name}` : 'one of your pictures');
+      message = `Your ${topResult.object_name} was last seen on ${formatSightingDate(topResult.created_at)} in ${location}.`;
+    }
+
+    if (results.length > 1) {
+      message += ` There are ${results.length - 1} more results on screen.`;
+    }
+
+    Speech.stop();
+    Speech.speak(message, {
+      language: 'en-US',
+      pitch: 1.0,
+      rate: 0.9,
+    });
+  };
+
+  const handleVoiceTranscript = async (transcript) => {
+    const terms = extractSearchTerms(transcript);
+    if (!terms) return;
+
+    console.log('🎤 Voice search terms:', terms);
+    setSearchQuery(terms);
+
+    const results = await searchObjectsLocal(terms);
+    speakTopResult(terms, results || []);
+  };
+
+  const handleModeChange = (mode) => {
+    setSearchMode(mode);
+    if (lastQuery) {
+      searchObjectsLocal(lastQuery, mode);
+    }
+  };
+
+  // Text with the words that matched the search in bold
+  const renderHighlighted = (text, style, numberOfLines) => (
+    <Text style={style} numberOfLines={numberOfLines}>
+      {getHighlightSegments(lastQuery, text).map((segment, index) => (
+        <Text key={index} style={segment.highlighted ? styles.highlightedText : null}>
+          {segment.text}
+        </Text>
+      ))}
+    </Text>
+  );
+
+  const renderMatchBadge = (item) => {
+    const badge = MATCH_BADGES[item.matched_field];
+    if (!badge) return null;
+
+    return (
+      <View style={styles.matchBadge}>
+        <Ionicons name={badge.icon} size={10} color="#2196F3" />
+        <Text style={styles.matchBadgeText}>{badge.label}</Text>
+      </View>
+    );
+  };
+
+  const renderLocation = (item) => {
+    const path = formatLocationPath(locations, item.location_id);
+    if (!path) return null;
+
+    return (
+      <View style={styles.resultLocation}>
+        <Ionicons name="location" size={12} color="#4CAF50" />
+        <Text style={styles.resultLocationText} numberOfLines={1}>{path}</Text>
+      </View>
+    );
+  };
+
+  // " in Kitchen › Drawer 2" after an object's last-seen date
+  const renderLastSeenPlace = (item) => {
+    const path = formatLocationPath(locations, item.location_id);
+    if (!path) return null;
+
+    return <Text style={styles.resultLocationText}> in {path}</Text>;
+  };
+
+  const renderPictureResult = (item) => (
+    <TouchableOpacity
+      style={styles.resultItem}
+      onPress={() => {
+        navigation.navigate('ImageViewer', {
+          imageUri: item.displayUrl || item.image_url,
+          pictureName: item.picture_name || `Picture ${new Date(item.created_at).toLocaleDateString()}`,
+        });
+      }}
+    >
+      <Image source={{ uri: item.thumbnailUrl || item.image_url }} style={styles.resultImage} />
+      <View style={styles.resultContent}>
+        {renderMatchBadge(item)}
+        {item.matched_field === 'picture_name'
+          ? renderHighlighted(item.picture_name, styles.resultObjectName, 1)
+          : <Text style={styles.resultObjectName} numberOfLines={1}>{item.picture_name || 'Untitled'}</Text>}
+        {item.matched_field === 'description' && renderHighlighted(item.description, styles.resultDescription, 2)}
+        {item.matched_field === 'meaning' && !!item.description && (
+          <Text style={styles.resultDescription} numberOfLines={2}>{item.description}</Text>
+        )}
+        {renderLocation(item)}
+        <Text style={styles.resultDate}>
+          {item.object_count} object{item.object_count !== 1 ? 's' : ''} • {new Date(item.created_at).toLocaleDateString()}
+        </Text>
+      </View>
+    </TouchableOpacity>
+  );
+
+  const renderSearchResult = ({ item }) => item.result_type === 'picture' ? renderPictureResult(item) : (
     <TouchableOpacity
       style={styles.resultItem}
       onPress={() => {
@@ -86,16 +232,30 @@ export default function SearchScreen({ navigation }) {
         });
       }}
     >
-      <Image source={{ uri: item.displayUrl || item.image_url }} style={styles.resultImage} />
+      <Image source={{ uri: item.thumbnailUrl || item.image_url }} style={styles.resultImage} />
       <View style={styles.resultContent}>
-        <Text style={styles.resultObjectName}>{item.object_name}</Text>
+        {renderMatchBadge(item)}
+        {item.matched_field === 'object_name'
+          ? renderHighlighted(item.object_name, styles.resultObjectName)
+          : <Text style={styles.resultObjectName}>{item.object_name}</Text>}
         <Text style={styles.resultPictureName}>
           📷 {item.picture_name || `Picture ${new Date(item.created_at).toLocaleDateString()}`}
         </Text>
         <Text style={styles.resultDate}>
-          {new Date(item.created_at).toLocaleDateString()}
+          Last seen {formatSightingDate(item.created_at)}
+          {renderLastSeenPlace(item)}
+          {item.sighting_count > 1 ? ` • seen in ${item.sighting_count} pictures` : ''}
         </Text>
       </View>
+      {item.sighting_count > 1 && (
+        <TouchableOpacity
+          style={styles.historyButton}
+          onPress={() => navigation.navigate('ObjectHistory', { objectName: item.object_name })}
+        >
+          <Ionicons name="time-outline" size={20} color="#2196F3" />
+          <Text style={styles.historyButtonText}>History</Text>
+        </TouchableOpacity>
+      )}
     </TouchableOpacity>
   );
 
@@ -115,13 +275,34 @@ export default function SearchScreen({ navigation }) {
         <View style={styles.searchInputContainer}>
           <TextInput
             style={styles.searchInput}
-            placeholder="Search for objects..."
+            placeholder="Search objects, picture names or descriptions..."
             value={searchQuery}
             onChangeText={setSearchQuery}
             onSubmitEditing={handleSearch}
             autoCapitalize="none"
             autoCorrect={false}
           />
+          <VoiceSearchButton
+            onPartialTranscript={setSearchQuery}
+            onTranscript={handleVoiceTranscript}
+            disabled={isLoading}
+          />
+        </View>
+        
+        <View style={styles.modeRow}>
+          {SEARCH_MODES.map(mode => (
+            <TouchableOpacity
+              key={mode.id}
+              style={[styles.modeButton, searchMode === mode.id && styles.modeButtonActive]}
+              onPress={() => handleModeChange(mode.id)}
+              disabled={isLoading}
+            >
+              <Ionicons name={mode.icon} size={14} color={searchMode === mode.id ? 'white' : '#2196F3'} />
+              <Text style={[styles.modeButtonText, searchMode === mode.id && styles.modeButtonTextActive]}>
+                {mode.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
         </View>
         
         <View style={styles.buttonRow}>
@@ -159,7 +340,7 @@ export default function SearchScreen({ navigation }) {
             <FlatList
               data={searchResults}
               renderItem={renderSearchResult}
-              keyExtractor={(item) => item.id.toString()}
+              keyExtractor={(item) => `${item.result_type || 'object'}_${item.id}`}
               showsVerticalScrollIndicator={false}
               contentContainerStyle={styles.resultsList}
             />
@@ -167,7 +348,7 @@ export default function SearchScreen({ navigation }) {
         ) : searchQuery && !isLoading ? (
           <View style={styles.emptyState}>
             <Ionicons name="search" size={64} color="#ccc" />
-            <Text style={styles.emptyStateText}>No objects found</Text>
+            <Text style={styles.emptyStateText}>No objects or pictures found</Text>
             <Text style={styles.emptyStateSubtext}>
               Try searching for different keywords
             </Text>
@@ -230,6 +411,32 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#333',
   },
+  modeRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 15,
+  },
+  modeButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: '#2196F3',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  modeButtonActive: {
+    backgroundColor: '#2196F3',
+  },
+  modeButtonText: {
+    fontSize: 13,
+    color: '#2196F3',
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  modeButtonTextActive: {
+    color: 'white',
+  },
   buttonRow: {
     flexDirection: 'row',
     gap: 10,
@@ -320,10 +527,59 @@ const styles = StyleSheet.create({
     fontStyle: 'italic',
     marginBottom: 3,
   },
+  resultLocation: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 3,
+  },
+  resultLocationText: {
+    fontSize: 13,
+    color: '#4CAF50',
+    fontWeight: '500',
+    marginLeft: 4,
+    flexShrink: 1,
+  },
+  resultDescription: {
+    fontSize: 13,
+    color: '#555',
+    marginBottom: 3,
+  },
+  highlightedText: {
+    fontWeight: 'bold',
+    color: '#1565C0',
+    backgroundColor: 'rgba(33, 150, 243, 0.15)',
+  },
+  matchBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    backgroundColor: 'rgba(33, 150, 243, 0.1)',
+    borderRadius: 8,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    marginBottom: 4,
+  },
+  matchBadgeText: {
+    fontSize: 10,
+    color: '#2196F3',
+    fontWeight: '600',
+    marginLeft: 3,
+  },
   resultDate: {
     fontSize: 12,
     color: '#666',
   },
+  historyButton: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingLeft: 10,
+  },
+  historyButtonText: {
+    fontSize: 10,
+    color: '#2196F3',
+    fontWeight: '600',
+    marginTop: 2,
+  },
   emptyState: {
     flex: 1,
     justifyContent: 'center',
@@ -0,0 +1,385 @@
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  FlatList,
+  Image,
+  Alert,
+  RefreshControl,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useFocusEffect } from '@react-navigation/native';
+
+import { config } from '../config/env';
+import { getTrashedPictures, purgeTrashedPicture, purgeExpiredTrash } from '../services/trashService';
+import { restorePictureObjects, generateSignedUrlForDisplay } from '../services/storageService';
+import { syncWithSupabase } from '../services/localStorage';
+import { useAuth } from '../contexts/AuthContext';
+
+export default function TrashScreen({ navigation }) {
+  const { user } = useAuth();
+  const [pictures, setPictures] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [busyPictureId, setBusyPictureId] = useState(null);
+  const [isEmptying, setIsEmptying] = useState(false);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadTrash();
+    }, [])
+  );
+
+  const loadTrash = async () => {
+    try {
+      if (!user) {
+        setPictures([]);
+        return;
+      }
+
+      await purgeExpiredTrash(user.id);
+      const trashed = await getTrashedPictures(user.id);
+
+      const picturesWithDisplayUrls = await Promise.all(
+        trashed.map(async (picture) => ({
+          ...picture,
+          displayUrl: await generateSignedUrlForDisplay(picture.image_url),
+        }))
+      );
+
+      setPictures(picturesWithDisplayUrls);
+    } catch (error) {
+      console.error('❌ Error loading trash:', error);
+      Alert.alert('Error', 'Failed to load the trash.');
+    } finally {
+      setIsLoading(false);
+      setIsRefreshing(false);
+    }
+  };
+
+  const handleRefresh = () => {
+    setIsRefreshing(true);
+    loadTrash();
+  };
+
+  const handleRestore = async (picture) => {
+    try {
+      setBusyPictureId(picture.id);
+      const result = await restorePictureObjects(user.id, picture.image_url);
+
+      if (result.success) {
+        setPictures(prev => prev.filter(p => p.id !== picture.id));
+        // Bring the restored objects back into local search
+        syncWithSupabase(user.id).catch(error => {
+          console.warn('⚠️ Sync after restore failed, will retry later:', error.message);
+        });
+        Alert.alert('Restored', `"${picture.picture_name || 'Picture'}" is back in your gallery.`);
+      } else {
+        Alert.alert('Error', result.error || 'Failed to restore picture');
+      }
+    } finally {
+      setBusyPictureId(null);
+    }
+  };
+
+  const handleDeleteForever = (picture) => {
+    Alert.alert(
+      'Delete Forever',
+      `"${picture.picture_name || 'This picture'}" and its ${picture.objectNames.length} object${picture.objectNames.length !== 1 ? 's' : ''} will be deleted permanently. This cannot be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete Forever',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setBusyPictureId(picture.id);
+              const result = await purgeTrashedPicture(user.id, picture.image_url);
+
+              if (result.success) {
+                setPictures(prev => prev.filter(p => p.id !== picture.id));
+              } else {
+                Alert.alert('Error', result.error || 'Failed to delete picture');
+              }
+            } finally {
+              setBusyPictureId(null);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleEmptyTrash = () => {
+    if (pictures.length === 0) return;
+
+    Alert.alert(
+      'Empty Trash',
+      `Permanently delete all ${pictures.length} picture${pictures.length !== 1 ? 's' : ''} in the trash? This cannot be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Empty Trash',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setIsEmptying(true);
+              let failed = 0;
+              for (const picture of pictures) {
+                const result = await purgeTrashedPicture(user.id, picture.image_url, { showAlerts: false });
+                if (!result.success) failed++;
+              }
+
+              if (failed > 0) {
+                Alert.alert('Error', `${failed} picture${failed !== 1 ? 's' : ''} could not be deleted. Please try again.`);
+              }
+            } finally {
+              setIsEmptying(false);
+              loadTrash();
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderPictureItem = ({ item }) => {
+    const isBusy = busyPictureId === item.id;
+
+    return (
+      <View style={styles.pictureCard}>
+        {item.displayUrl ? (
+          <Image source={{ uri: item.displayUrl }} style={styles.thumbnail} resizeMode="cover" />
+        ) : (
+          <View style={[styles.thumbnail, styles.thumbnailMissing]}>
+            <Ionicons name="image-outline" size={28} color="#ccc" />
+          </View>
+        )}
+
+        <View style={styles.pictureInfo}>
+          <Text style={styles.pictureName} numberOfLines={1}>
+            {item.picture_name || 'Untitled'}
+          </Text>
+          <Text style={styles.objectNames} numberOfLines={2}>
+            {item.objectNames.length > 0 ? item.objectNames.join(', ') : 'No objects'}
+          </Text>
+          <Text style={styles.deletedDate}>
+            {item.deleted_at ? `Deleted ${new Date(item.deleted_at).toLocaleDateString()}` : 'Deletion date unknown'}
+            {item.purgeAt ? ` • Gone ${item.purgeAt.toLocaleDateString()}` : ''}
+          </Text>
+        </View>
+
+        <View style={styles.pictureActions}>
+          {isBusy ? (
+            <ActivityIndicator size="small" color="#2196F3" />
+          ) : (
+            <>
+              <TouchableOpacity
+                style={[styles.actionButton, styles.restoreButton]}
+                onPress={() => handleRestore(item)}
+                disabled={isEmptying}
+              >
+                <Ionicons name="arrow-undo" size={16} color="white" />
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.actionButton, styles.deleteButton]}
+                onPress={() => handleDeleteForever(item)}
+                disabled={isEmptying}
+              >
+                <Ionicons name="trash" size={16} color="white" />
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  const renderEmptyState = () => (
+    <View style={styles.emptyState}>
+      <Ionicons name="trash-outline" size={80} color="#ccc" />
+      <Text style={styles.emptyStateText}>Trash is Empty</Text>
+      <Text style={styles.emptyStateSubtext}>
+        Deleted pictures stay here for {config.app.trashRetentionDays} days so you can restore them
+      </Text>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Ionicons name="arrow-back" size={24} color="#333" />
+        </TouchableOpacity>
+        <Text style={styles.title}>Trash</Text>
+        <TouchableOpacity
+          style={styles.emptyButton}
+          onPress={handleEmptyTrash}
+          disabled={isEmptying || pictures.length === 0}
+        >
+          {isEmptying ? (
+            <ActivityIndicator size="small" color="#F44336" />
+          ) : (
+            <Text style={[styles.emptyButtonText, pictures.length === 0 && styles.emptyButtonTextDisabled]}>
+              Empty
+            </Text>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      {isLoading ? (
+        <View style={styles.emptyState}>
+          <ActivityIndicator size="large" color="#2196F3" />
+        </View>
+      ) : pictures.length === 0 ? (
+        renderEmptyState()
+      ) : (
+        <FlatList
+          data={pictures}
+          renderItem={renderPictureItem}
+          keyExtractor={(item) => String(item.id)}
+          ListHeaderComponent={
+            <Text style={styles.summaryText}>
+              Pictures are deleted for good {config.app.trashRetentionDays} days after they were moved here
+            </Text>
+          }
+          contentContainerStyle={styles.list}
+          refreshControl={
+            <RefreshControl refreshing={isRefreshing} onRefresh={handleRefresh} />
+          }
+          showsVerticalScrollIndicator={false}
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingTop: 60,
+    paddingBottom: 20,
+    backgroundColor: 'white',
+  },
+  backButton: {
+    width: 50,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    flex: 1,
+    textAlign: 'center',
+  },
+  emptyButton: {
+    width: 50,
+    alignItems: 'flex-end',
+  },
+  emptyButtonText: {
+    fontSize: 16,
+    color: '#F44336',
+    fontWeight: '600',
+  },
+  emptyButtonTextDisabled: {
+    color: '#ccc',
+  },
+  list: {
+    padding: 20,
+  },
+  summaryText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 15,
+  },
+  pictureCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 15,
+    padding: 10,
+    marginBottom: 15,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  thumbnail: {
+    width: 70,
+    height: 70,
+    borderRadius: 10,
+    backgroundColor: '#eee',
+  },
+  thumbnailMissing: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  pictureInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  pictureName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  objectNames: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  deletedDate: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 4,
+  },
+  pictureActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  actionButton: {
+    borderRadius: 15,
+    width: 32,
+    height: 32,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 8,
+  },
+  restoreButton: {
+    backgroundColor: '#4CAF50',
+  },
+  deleteButton: {
+    backgroundColor: 'rgba(255, 69, 58, 0.9)',
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyStateText: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 20,
+    marginBottom: 10,
+  },
+  emptyStateSubtext: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+  },
+});
@@ -0,0 +1,114 @@
+import { supabase } from './supabase';
+import { clearAllObjects, clearSyncState } from './localStorage';
+import { clearOutboxOperations } from './syncOutbox';
+import { clearPendingCaptures } from './captureQueue';
+import { clearCachedLocations } from './locationService';
+import { clearCachedQuotaStatus } from './quotaService';
+import { clearLocalEmbeddings } from './embeddingService';
+import { clearSignedUrlCache } from './signedUrlCache';
+import { safeUserId } from '../utils/userIdUtils';
+
+// Deletion requests live in Supabase; the purge-deleted-accounts edge function
+// removes the data once the grace period set by the server is over
+
+// Server deletion row → app format
+const transformDeletion = (deletion) => ({
+  requestedAt: deletion.requested_at,
+  purgeAfter: deletion.purge_after,
+});
+
+/**
+ * Schedule deletion of the signed-in user's account
+ * @returns {Promise<{success: boolean, deletion?: Object, error?: string}>} - deletion is { requestedAt, purgeAfter }
+ */
+export const requestAccountDeletion = async () => {
+  try {
+    const { data, error } = await supabase.rpc('request_account_deletion');
+
+    if (error) {
+      throw error;
+    }
+
+    console.log('🗑️ Account deletion scheduled for', data.purge_after);
+    return { success: true, deletion: transformDeletion(data) };
+  } catch (error) {
+    console.error('❌ Error requesting account deletion:', error);
+    return { success: false, error: error?.message || String(error) };
+  }
+};
+
+/**
+ * Keep the signed-in user's account during the grace period
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const cancelAccountDeletion = async () => {
+  try {
+    const { error } = await supabase.rpc('cancel_account_deletion');
+
+    if (error) {
+      throw error;
+    }
+
+    console.log('✅ Account deletion cancelled');
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Error cancelling account deletion:', error);
+    return { success: false, error: error?.message || String(error) };
+  }
+};
+
+/**
+ * Get the user's pending deletion request, if any
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - { requestedAt, purgeAfter }, or null if none is pending or it couldn't be checked
+ */
+export const getAccountDeletionStatus = async (userId) => {
+  const user_id = safeUserId(userId);
+  if (!user_id) return null;
+
+  try {
+    const { data, error } = await supabase
+      .from('account_deletions')
+      .select('requested_at, purge_after')
+      .eq('user_id', String(user_id))
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data ? transformDeletion(data) : null;
+  } catch (error) {
+    console.error('❌ Error checking account deletion status:', error);
+    return null;
+  }
+};
+
+/**
+ * Remove everything this device keeps for a user: objects, pending changes and captures,
+ * cached locations and quota, sync state and local search vectors
+ * Other users' data on the same device is left alone.
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} - Success status
+ */
+export const clearLocalUserData = async (userId) => {
+  const user_id = safeUserId(userId);
+  if (!user_id) return false;
+
+  try {
+    await clearAllObjects(user_id);
+    await clearOutboxOperations(user_id);
+    await clearPendingCaptures(user_id);
+    await clearCachedLocations(user_id);
+    await clearCachedQuotaStatus(user_id);
+    await clearSyncState(user_id);
+    await clearLocalEmbeddings(user_id);
+    await clearSignedUrlCache(user_id);
+
+    console.log('🧹 Cleared local data for user', user_id);
+    return true;
+  } catch (error) {
+    console.error('❌ Error clearing local data:', error);
+    return false;
+  }
+};
@@ -0,0 +1,94 @@
+import axios from 'axios';
+import { config } from '../../config/env';
+import {
+  AI_ERROR_CODES,
+  DETECTION_SCHEMA,
+  buildDetectionPrompt,
+  createAIError,
+  parseDetectionResponse,
+  fetchImageAsBase64,
+  guessImageMimeType,
+} from './shared';
+
+const GEMINI_API_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// Gemini takes an OpenAPI-style schema, which has no additionalProperties
+const toGeminiSchema = (schema) => {
+  if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const { additionalProperties, ...rest } = schema;
+  return Object.fromEntries(Object.entries(rest).map(([key, value]) => [key, toGeminiSchema(value)]));
+};
+
+/**
+ * Google Gemini vision provider (generateContent with inline image data)
+ */
+export const geminiProvider = {
+  id: 'gemini',
+  label: 'Google Gemini',
+
+  getDefaultModel: () => config.gemini.model,
+
+  isConfigured: () => {
+    return !!config.gemini.apiKey && !config.gemini.apiKey.includes('your-gemini-api-key-here');
+  },
+
+  /**
+   * @param {string} imageUrl - Signed URL of the image
+   * @param {Object} options - { model } overrides and an optional focusHint for the prompt
+   * @returns {Promise<Array>} - Normalized detections
+   */
+  analyzeImage: async (imageUrl, options = {}) => {
+    // Gemini does not fetch URLs itself, so send the image inline
+    const base64Image = await fetchImageAsBase64(imageUrl);
+    const model = options.model || config.gemini.model;
+
+    const response = await axios.post(
+      `${GEMINI_API_BASE_URL}/${model}:generateContent?key=${config.gemini.apiKey}`,
+      {
+        contents: [
+          {
+            parts: [
+              {
+                text: buildDetectionPrompt(options.focusHint),
+              },
+              {
+                inline_data: {
+                  mime_type: guessImageMimeType(imageUrl),
+                  data: base64Image,
+                },
+              },
+            ],
+          },
+        ],
+        generationConfig: {
+          temperature: 0.3,
+          maxOutputTokens: 800,
+          // Structured output: the answer is JSON matching the schema
+          responseMimeType: 'application/json',
+          responseSchema: toGeminiSchema(DETECTION_SCHEMA),
+        },
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        timeout: 30000, // 30 second timeout
+      }
+    );
+
+    const candidate = response.data.candidates?.[0];
+    if (candidate?.finishReason === 'MAX_TOKENS') {
+      throw createAIError(AI_ERROR_CODES.INVALID_RESPONSE, 'The AI answer was cut off. Please try again.');
+    }
+    if (candidate?.finishReason && candidate.finishReason !== 'STOP') {
+      throw createAIError(AI_ERROR_CODES.INVALID_RESPONSE, `Gemini stopped without an answer (${candidate.finishReason}).`);
+    }
+
+    const aiResponse = candidate?.content?.parts?.[0]?.text;
+    console.log('Raw Gemini response:', aiResponse);
+
+    return parseDetectionResponse(aiResponse);
+  },
+};
@@ -0,0 +1,66 @@
+import { config } from '../../config/env';
+import { openaiProvider } from './openaiProvider';
+import { geminiProvider } from './geminiProvider';
+import { localProvider } from './localProvider';
+import { AI_ERROR_CODES, createAIError } from './shared';
+
+// Registry of available vision providers, keyed by id
+const PROVIDERS = {
+  [openaiProvider.id]: openaiProvider,
+  [geminiProvider.id]: geminiProvider,
+  [localProvider.id]: localProvider,
+};
+
+/**
+ * Get a provider by id
+ * @param {string} providerId - Provider id ('openai', 'gemini', 'local')
+ * @returns {Object|null} - Provider or null if unknown
+ */
+export const getVisionProvider = (providerId) => PROVIDERS[providerId] || null;
+
+/**
+ * List all registered providers with their configuration status
+ * @returns {Array<{id: string, label: string, configured: boolean, defaultModel: string|null}>}
+ */
+export const getAvailableVisionProviders = () => {
+  return Object.values(PROVIDERS).map(provider => ({
+    id: provider.id,
+    label: provider.label,
+    configured: provider.isConfigured(),
+    defaultModel: provider.getDefaultModel ? provider.getDefaultModel() : null,
+  }));
+};
+
+/**
+ * Resolve which provider should handle a request.
+ * In demo mode (config.ai.demoMode) an unknown provider or one without an API key is replaced
+ * by the local provider; otherwise that is an error, so made-up objects are never shown by accident.
+ * @param {string} providerId - Optional override, defaults to config.ai.provider
+ * @returns {Object} - Provider
+ * @throws {Error} - With code AI_ERROR_CODES.NOT_CONFIGURED outside demo mode
+ */
+export const resolveVisionProvider = (providerId = null) => {
+  const requestedId = providerId || config.ai.provider;
+  const provider = getVisionProvider(requestedId);
+
+  if (!provider) {
+    if (config.ai.demoMode) {
+      console.warn(`Unknown AI provider "${requestedId}", demo mode uses the local provider`);
+      return localProvider;
+    }
+    throw createAIError(AI_ERROR_CODES.NOT_CONFIGURED, `Unknown AI provider "${requestedId}".`);
+  }
+
+  if (!provider.isConfigured()) {
+    if (config.ai.demoMode) {
+      console.warn(`${provider.label} API key not configured, demo mode uses the local provider`);
+      return localProvider;
+    }
+    throw createAIError(
+      AI_ERROR_CODES.NOT_CONFIGURED,
+      `${provider.label} has no API key. Add one in src/config/env.js, or turn on demo mode to try the app with made-up objects.`
+    );
+  }
+
+  return provider;
+};
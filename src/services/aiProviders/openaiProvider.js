@@ -0,0 +1,88 @@
+import axios from 'axios';
+import { config } from '../../config/env';
+import {
+  AI_ERROR_CODES,
+  DETECTION_SCHEMA,
+  buildDetectionPrompt,
+  createAIError,
+  parseDetectionResponse,
+} from './shared';
+
+const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
+
+/**
+ * OpenAI vision provider (chat completions with an image_url part)
+ */
+export const openaiProvider = {
+  id: 'openai',
+  label: 'OpenAI',
+
+  getDefaultModel: () => config.openai.model,
+
+  isConfigured: () => {
+    return !!config.openai.apiKey && !config.openai.apiKey.includes('your-openai-api-key-here');
+  },
+
+  /**
+   * @param {string} imageUrl - Signed URL the model can fetch
+   * @param {Object} options - { model } overrides and an optional focusHint for the prompt
+   * @returns {Promise<Array>} - Normalized detections
+   */
+  analyzeImage: async (imageUrl, options = {}) => {
+    const response = await axios.post(
+      OPENAI_API_URL,
+      {
+        model: options.model || config.openai.model,
+        messages: [
+          {
+            role: 'user',
+            content: [
+              {
+                type: 'text',
+                text: buildDetectionPrompt(options.focusHint),
+              },
+              {
+                type: 'image_url',
+                image_url: {
+                  url: imageUrl,
+                  detail: 'high',
+                },
+              },
+            ],
+          },
+        ],
+        max_tokens: 800,
+        temperature: 0.3,
+        // Structured output: the answer always matches the schema, or comes back as a refusal
+        response_format: {
+          type: 'json_schema',
+          json_schema: {
+            name: 'object_detections',
+            strict: true,
+            schema: DETECTION_SCHEMA,
+          },
+        },
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${config.openai.apiKey}`,
+          'Content-Type': 'application/json',
+        },
+        timeout: 30000, // 30 second timeout
+      }
+    );
+
+    const choice = response.data.choices[0];
+    if (choice.message.refusal) {
+      throw createAIError(AI_ERROR_CODES.INVALID_RESPONSE, `OpenAI declined to analyze the picture: ${choice.message.refusal}`);
+    }
+    if (choice.finish_reason === 'length') {
+      throw createAIError(AI_ERROR_CODES.INVALID_RESPONSE, 'The AI answer was cut off. Please try again.');
+    }
+
+    const aiResponse = choice.message.content;
+    console.log('Raw OpenAI response:', aiResponse);
+
+    return parseDetectionResponse(aiResponse);
+  },
+};
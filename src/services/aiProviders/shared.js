@@ -0,0 +1,196 @@
+import * as FileSystem from 'expo-file-system';
+import { normalizeBox, normalizeConfidence } from '../../utils/boundingBoxUtils';
+
+// Why an analysis failed. Errors thrown by analyzeImageWithAI carry one of these as `code`
+// (or QUOTA_EXCEEDED from quotaService when the user has no AI analyses left).
+export const AI_ERROR_CODES = {
+  NOT_CONFIGURED: 'AI_NOT_CONFIGURED', // Unknown provider, or no API key outside demo mode
+  REQUEST_FAILED: 'AI_REQUEST_FAILED', // The provider could not be reached or answered with an error
+  TIMEOUT: 'AI_TIMEOUT',
+  INVALID_RESPONSE: 'AI_INVALID_RESPONSE', // The answer did not match DETECTION_SCHEMA
+};
+
+/**
+ * Create an analysis error
+ * @param {string} code - One of AI_ERROR_CODES
+ * @param {string} message - Message that can be shown to the user
+ * @param {Error} cause - Original error, if any
+ * @returns {Error} - Error with code and cause attached
+ */
+export const createAIError = (code, message, cause = null) => {
+  const error = new Error(message);
+  error.code = code;
+  error.cause = cause;
+  return error;
+};
+
+// Most alternative names kept per detection
+const MAX_ALTERNATIVES = 3;
+
+// Prompt shared by every provider so their results can be compared side by side.
+// The answer's shape is enforced by DETECTION_SCHEMA; the prompt explains what the fields mean.
+export const DETECTION_PROMPT = `Analyze this image and identify all clearly visible objects.
+For each object, return its name, its bounding box measured from the top-left corner and how confident you are.
+left and width are percentages of the image width (0-100), top and height are percentages
+of the image height (0-100), and confidence is a number between 0 and 1.
+alternatives lists up to ${MAX_ALTERNATIVES} other names the object could have; use an empty list when there are none.
+Return an empty objects list when no objects are clearly visible.`;
+
+// JSON schema of the answer, sent to providers that support structured output.
+// Every field is required and no others are allowed, as OpenAI's strict mode expects.
+export const DETECTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    objects: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          left: { type: 'number' },
+          top: { type: 'number' },
+          width: { type: 'number' },
+          height: { type: 'number' },
+          confidence: { type: 'number' },
+          alternatives: { type: 'array', items: { type: 'string' } },
+        },
+        required: ['name', 'left', 'top', 'width', 'height', 'confidence', 'alternatives'],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ['objects'],
+  additionalProperties: false,
+};
+
+/**
+ * Detection prompt, optionally asking the model to pay extra attention to part of the picture
+ * @param {string} focusHint - e.g. "small items on the desk"
+ * @returns {string}
+ */
+export const buildDetectionPrompt = (focusHint) => {
+  const hint = (focusHint || '').trim();
+  if (!hint) return DETECTION_PROMPT;
+
+  return `${DETECTION_PROMPT}
+Pay particular attention to: ${hint}. Still list the other clearly visible objects.`;
+};
+
+const isNumberInRange = (value, min, max) =>
+  typeof value === 'number' && isFinite(value) && value >= min && value <= max;
+
+// Other names the model offered for an object, without the name itself or repeats
+const normalizeAlternatives = (alternatives, name) => {
+  const names = alternatives
+    .map(alternative => alternative.toLowerCase().trim())
+    .filter(alternative => alternative && alternative !== name);
+  return [...new Set(names)].slice(0, MAX_ALTERNATIVES);
+};
+
+// Check one detection against DETECTION_SCHEMA and the ranges in the prompt.
+// Returns it in the shared detection format (centre point from the box), or null if invalid.
+const validateDetection = (item) => {
+  if (!item || typeof item !== 'object') return null;
+
+  const name = typeof item.name === 'string' ? item.name.toLowerCase().trim() : '';
+  const hasValidBox = ['left', 'top', 'width', 'height'].every(key => isNumberInRange(item[key], 0, 100));
+  const box = hasValidBox ? normalizeBox(item) : null;
+  const hasValidAlternatives = Array.isArray(item.alternatives) &&
+    item.alternatives.every(alternative => typeof alternative === 'string');
+
+  if (!name || !box || !isNumberInRange(item.confidence, 0, 1) || !hasValidAlternatives) {
+    return null;
+  }
+
+  return {
+    name,
+    x: box.left + box.width / 2,
+    y: box.top + box.height / 2,
+    box,
+    confidence: normalizeConfidence(item.confidence),
+    alternatives: normalizeAlternatives(item.alternatives, name),
+  };
+};
+
+/**
+ * Validate a model answer against DETECTION_SCHEMA and convert it into detections.
+ * Single detections that don't match are dropped; an answer that doesn't match at all is an error.
+ * @param {string|Object} aiResponse - JSON text returned by the model, or the parsed object
+ * @returns {Array<{name: string, x: number, y: number, box: Object, confidence: number, alternatives: Array<string>}>}
+ *          - Detections; empty when the model found nothing
+ * @throws {Error} - With code AI_ERROR_CODES.INVALID_RESPONSE
+ */
+export const parseDetectionResponse = (aiResponse) => {
+  if (aiResponse === null || aiResponse === undefined || aiResponse === '') {
+    throw createAIError(AI_ERROR_CODES.INVALID_RESPONSE, 'The AI returned an empty answer.');
+  }
+
+  let data = aiResponse;
+  if (typeof aiResponse === 'string') {
+    try {
+      data = JSON.parse(aiResponse);
+    } catch (parseError) {
+      console.error('AI response is not valid JSON:', aiResponse);
+      throw createAIError(AI_ERROR_CODES.INVALID_RESPONSE, 'The AI answer could not be read.', parseError);
+    }
+  }
+
+  if (!data || typeof data !== 'object' || !Array.isArray(data.objects)) {
+    console.error('AI response does not match the detection schema:', data);
+    throw createAIError(AI_ERROR_CODES.INVALID_RESPONSE, 'The AI answer was not in the expected format.');
+  }
+
+  const detections = data.objects.map(validateDetection).filter(Boolean);
+  const rejected = data.objects.length - detections.length;
+
+  if (rejected > 0) {
+    console.warn(`Dropped ${rejected} detections that do not match the schema:`, data.objects);
+  }
+  if (detections.length === 0 && rejected > 0) {
+    throw createAIError(AI_ERROR_CODES.INVALID_RESPONSE, 'None of the objects in the AI answer were valid.');
+  }
+
+  console.log('Detected objects:', detections);
+  return detections;
+};
+
+/**
+ * Guess the MIME type of an image from its URL or path
+ * @param {string} imageUrl - Image URL or file path
+ * @returns {string} - MIME type (defaults to image/jpeg)
+ */
+export const guessImageMimeType = (imageUrl) => {
+  const extension = (imageUrl || '').split('?')[0].split('.').pop().toLowerCase();
+  switch (extension) {
+    case 'png':
+      return 'image/png';
+    case 'webp':
+      return 'image/webp';
+    default:
+      return 'image/jpeg';
+  }
+};
+
+/**
+ * Download an image (e.g. a signed URL) and return it as base64
+ * Used by providers that need inline image data instead of a URL
+ * @param {string} imageUrl - Remote or local image URL
+ * @returns {Promise<string>} - Base64 encoded image data
+ */
+export const fetchImageAsBase64 = async (imageUrl) => {
+  if (!imageUrl.startsWith('http')) {
+    return FileSystem.readAsStringAsync(imageUrl, {
+      encoding: FileSystem.EncodingType.Base64,
+    });
+  }
+
+  const tempUri = `${FileSystem.cacheDirectory}ai_analysis_${Date.now()}`;
+  try {
+    const { uri } = await FileSystem.downloadAsync(imageUrl, tempUri);
+    return await FileSystem.readAsStringAsync(uri, {
+      encoding: FileSystem.EncodingType.Base64,
+    });
+  } finally {
+    await FileSystem.deleteAsync(tempUri, { idempotent: true });
+  }
+};
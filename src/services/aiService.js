@@ -1,200 +1,119 @@
-import axios from 'axios';
 import { config } from '../config/env';
+import { resolveVisionProvider, getVisionProvider, getAvailableVisionProviders } from './aiProviders';
+import { AI_ERROR_CODES, createAIError } from './aiProviders/shared';
+import { QUOTA_METRICS, QUOTA_EXCEEDED, consumeQuota, refundQuota, createQuotaExceededError } from './quotaService';
 
-const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
+export { AI_ERROR_CODES };
 
-export const analyzeImageWithAI = async (imageUrl) => {
-  try {
-    console.log('Sending request to OpenAI with image:', imageUrl);
-    
-    // Check if API key is configured
-    if (!config.openai.apiKey || config.openai.apiKey.includes('your-openai-api-key-here')) {
-      console.warn('OpenAI API key not configured, using fallback detection');
-      return [
-        { name: 'phone', x: 30, y: 40 },
-        { name: 'table', x: 60, y: 70 },
-        { name: 'book', x: 45, y: 25 }
-      ]; // Fallback for demo
-    }
-    
-    const response = await axios.post(
-      OPENAI_API_URL,
-      {
-        model: config.openai.model,
-        messages: [
-          {
-            role: 'user',
-            content: [
-              {
-                type: 'text',
-                text: `Analyze this image and identify all objects with their approximate positions. 
-                       For each object, estimate its position as a percentage from the top-left corner.
-                       Return a JSON array like this:
-                       [
-                         {"name": "phone", "x": 25, "y": 30},
-                         {"name": "book", "x": 70, "y": 60}
-                       ]
-                       Where x is percentage from left (0-100) and y is percentage from top (0-100).
-                       Focus on clearly visible objects. Only return the JSON array, no other text.`,
-              },
-              {
-                type: 'image_url',
-                image_url: {
-                  url: imageUrl,
-                  detail: 'high',
-                },
-              },
-            ],
-          },
-        ],
-        max_tokens: 300,
-        temperature: 0.3,
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${config.openai.apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        timeout: 30000, // 30 second timeout
-      }
+// Outcome of an analysis that worked; failures are thrown (see AI_ERROR_CODES)
+export const ANALYSIS_STATUS = {
+  FOUND: 'found',
+  EMPTY: 'empty', // The AI answered but saw no objects
+};
+
+const LOCAL_PROVIDER_ID = 'local';
+
+const createAnalysisResult = (detections, provider) => ({
+  status: detections.length > 0 ? ANALYSIS_STATUS.FOUND : ANALYSIS_STATUS.EMPTY,
+  detections,
+  provider: provider.id,
+  demo: provider.id === LOCAL_PROVIDER_ID, // Made-up objects, not a real analysis
+});
+
+// Give every provider failure one of the AI_ERROR_CODES and a message the user can act on
+const toAIError = (error, provider) => {
+  if (Object.values(AI_ERROR_CODES).includes(error.code)) {
+    return error;
+  }
+
+  if (error.code === 'ECONNABORTED') {
+    console.error(`Request timeout - ${provider.label} took too long to respond`);
+    return createAIError(AI_ERROR_CODES.TIMEOUT, `${provider.label} took too long to respond. Please try again.`, error);
+  }
+
+  if (error.response) {
+    console.error(`${provider.label} API Error:`, error.response.status, error.response.data);
+    return createAIError(
+      AI_ERROR_CODES.REQUEST_FAILED,
+      `${provider.label} could not analyze the picture (error ${error.response.status}). Please try again later.`,
+      error
     );
+  }
+
+  return createAIError(
+    AI_ERROR_CODES.REQUEST_FAILED,
+    `Could not reach ${provider.label}. Please check your connection and try again.`,
+    error
+  );
+};
+
+/**
+ * Analyze an image with the configured vision provider
+ * @param {string} imageUrl - Signed URL of the image to analyze
+ * @param {Object} options - Optional { provider, model } overrides (defaults to config.ai.provider),
+ *                           focusHint to point the model at part of the picture,
+ *                           and userId to count the call against that user's AI quota
+ * @returns {Promise<{status: string, detections: Array, provider: string, demo: boolean}>}
+ *          - status is ANALYSIS_STATUS.FOUND, or EMPTY when the AI saw no objects;
+ *            demo is true for made-up objects from the local provider
+ * @throws {Error} - With one of AI_ERROR_CODES, or QUOTA_EXCEEDED when the user has no AI analyses left
+ */
+export const analyzeImageWithAI = async (imageUrl, options = {}) => {
+  const provider = resolveVisionProvider(options.provider);
 
-    const aiResponse = response.data.choices[0].message.content;
-    console.log('Raw OpenAI response:', aiResponse);
-    
-    try {
-      // Clean the response - remove markdown code blocks if present
-      let cleanResponse = aiResponse.trim();
-      
-      // Remove markdown code block formatting
-      if (cleanResponse.startsWith('```json')) {
-        cleanResponse = cleanResponse.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-      } else if (cleanResponse.startsWith('```')) {
-        cleanResponse = cleanResponse.replace(/^```\s*/, '').replace(/\s*```$/, '');
-      }
-      
-      cleanResponse = cleanResponse.trim();
-      console.log('Cleaned response for parsing:', cleanResponse);
-      
-      // Parse the JSON response
-      const detectedObjects = JSON.parse(cleanResponse);
-      
-      // Validate that it's an array
-      if (Array.isArray(detectedObjects)) {
-        // Check if objects have coordinates (new format) or just names (old format)
-        if (detectedObjects.length > 0 && typeof detectedObjects[0] === 'object' && detectedObjects[0].name) {
-          // New format with coordinates
-          const objectsWithCoords = detectedObjects.map(obj => ({
-            name: obj.name.toLowerCase().trim(),
-            x: Math.max(0, Math.min(100, obj.x || 50)), // Ensure x is between 0-100
-            y: Math.max(0, Math.min(100, obj.y || 50)), // Ensure y is between 0-100
-          }));
-          console.log('Detected objects with coordinates:', objectsWithCoords);
-          return objectsWithCoords;
-        } else {
-          // Old format - just names, add random coordinates
-          const objectsWithRandomCoords = detectedObjects.map((objName, index) => ({
-            name: objName.toLowerCase().trim(),
-            x: 20 + (index * 15) % 60, // Distribute across width
-            y: 20 + (index * 20) % 60, // Distribute across height
-          }));
-          console.log('Detected objects (added random coordinates):', objectsWithRandomCoords);
-          return objectsWithRandomCoords;
-        }
-      } else {
-        console.warn('AI response is not an array:', aiResponse);
-        return [{ name: 'unknown object', x: 50, y: 50 }];
-      }
-    } catch (parseError) {
-      console.error('Error parsing AI response:', parseError);
-      console.log('Raw AI response:', aiResponse);
-      
-      // Fallback: try to extract objects from text response
-      const fallbackObjects = extractObjectsFromText(aiResponse);
-      const objectsWithCoords = fallbackObjects.map((objName, index) => ({
-        name: objName,
-        x: 25 + (index * 20) % 50, // Distribute across width
-        y: 25 + (index * 25) % 50, // Distribute across height
-      }));
-      return objectsWithCoords.length > 0 ? objectsWithCoords : [{ name: 'detected object', x: 50, y: 50 }];
+  // Paid providers count against the user's quota; the local provider is free
+  let consumptionId = null;
+  if (options.userId && provider.id !== LOCAL_PROVIDER_ID) {
+    const quota = await consumeQuota(options.userId, QUOTA_METRICS.AI_CALLS);
+    if (!quota.allowed) {
+      throw quota.error
+        ? new Error(`Could not check AI quota: ${quota.error}`)
+        : createQuotaExceededError(QUOTA_METRICS.AI_CALLS, quota);
     }
+    consumptionId = quota.consumptionId;
+  }
+
+  try {
+    console.log(`Sending request to ${provider.label} with image:`, imageUrl);
+    return createAnalysisResult(await provider.analyzeImage(imageUrl, options), provider);
   } catch (error) {
-    console.error('Error analyzing image with AI:', error);
-    
-    if (error.response) {
-      console.error('OpenAI API Error:', error.response.status, error.response.data);
+    console.error(`Error analyzing image with ${provider.label}:`, error);
+
+    // A failed analysis doesn't use up one of the user's analyses (retries would otherwise drain them)
+    if (consumptionId) {
+      await refundQuota(options.userId, consumptionId);
     }
-    
-    if (error.code === 'ECONNABORTED') {
-      console.error('Request timeout - OpenAI API took too long to respond');
+
+    // Only demo mode may swap a failed analysis for made-up objects, and says so with demo: true
+    if (config.ai.demoMode && provider.id !== LOCAL_PROVIDER_ID) {
+      console.warn('Demo mode: showing demo objects instead');
+      const localProvider = getVisionProvider(LOCAL_PROVIDER_ID);
+      return createAnalysisResult(await localProvider.analyzeImage(imageUrl, options), localProvider);
     }
-    
-    // Return fallback objects for demo purposes
-    return [
-      { name: 'camera', x: 40, y: 50 },
-      { name: 'object', x: 65, y: 35 }
-    ];
-  }
-};
 
-// Fallback function to extract objects from text response
-const extractObjectsFromText = (text) => {
-  // Simple regex to find words that might be objects
-  const words = text.toLowerCase().match(/\b[a-z]+\b/g) || [];
-  
-  // Filter common objects and return unique ones
-  const commonObjects = [
-    'chair', 'table', 'book', 'phone', 'laptop', 'cup', 'bottle', 'bag',
-    'keys', 'glasses', 'pen', 'paper', 'clock', 'lamp', 'plant', 'picture',
-    'computer', 'mouse', 'keyboard', 'monitor', 'headphones', 'camera',
-    'wallet', 'watch', 'shoe', 'shirt', 'jacket', 'hat', 'pillow', 'blanket'
-  ];
-  
-  const foundObjects = words.filter(word => commonObjects.includes(word));
-  return [...new Set(foundObjects)].slice(0, 5); // Return up to 5 unique objects
+    throw toAIError(error, provider);
+  }
 };
 
-// Alternative AI service using Google Gemini (uncomment to use)
-/*
-const GEMINI_API_KEY = 'your-gemini-api-key-here';
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-pro-vision:generateContent';
-
-export const analyzeImageWithGemini = async (imageUrl) => {
-  try {
-    // Convert image URL to base64 (you might need to implement this)
-    const base64Image = await convertImageToBase64(imageUrl);
-    
-    const response = await axios.post(
-      `${GEMINI_API_URL}?key=${GEMINI_API_KEY}`,
-      {
-        contents: [
-          {
-            parts: [
-              {
-                text: "List all objects you can identify in this image. Return only a JSON array of object names."
-              },
-              {
-                inline_data: {
-                  mime_type: "image/jpeg",
-                  data: base64Image
-                }
-              }
-            ]
-          }
-        ]
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      }
-    );
-    
-    const aiResponse = response.data.candidates[0].content.parts[0].text;
-    return JSON.parse(aiResponse);
-  } catch (error) {
-    console.error('Error analyzing image with Gemini:', error);
-    return ['demo object'];
+/**
+ * Alert title for a failed analysis, so "the AI failed" reads differently from "nothing found"
+ * @param {Error} error - Error thrown by analyzeImageWithAI
+ * @returns {string}
+ */
+export const getAnalysisErrorTitle = (error) => {
+  switch (error?.code) {
+    case QUOTA_EXCEEDED:
+      return 'AI Limit Reached 🤖';
+    case AI_ERROR_CODES.NOT_CONFIGURED:
+      return 'AI Not Set Up';
+    case AI_ERROR_CODES.TIMEOUT:
+      return 'AI Timed Out';
+    case AI_ERROR_CODES.INVALID_RESPONSE:
+      return 'Unreadable AI Answer';
+    default:
+      return 'AI Analysis Failed';
   }
 };
-*/ 
\ No newline at end of file
+
+// Providers the user or a comparison screen can choose from
+export const getVisionProviders = getAvailableVisionProviders;
@@ -0,0 +1,137 @@
+import { config } from '../config/env';
+import { analyzeImageWithAI, AI_ERROR_CODES } from './aiService';
+import { uploadImageToUserFolder, generateSignedUrlForAI } from './storageService';
+import {
+  QUOTA_METRICS,
+  QUOTA_EXCEEDED,
+  consumeQuota,
+  refundQuota,
+  getQuotaExceededMessage,
+} from './quotaService';
+import { enqueueCapture, isOfflineCaptureEnabled } from './captureQueue';
+import { isOnline } from '../utils/networkUtils';
+import { mapWithConcurrency } from '../utils/concurrencyUtils';
+
+// What happened to each photo of a batch
+export const BATCH_ITEM_STATUS = {
+  READY: 'ready', // Uploaded and analyzed, waiting for confirmation
+  QUEUED: 'queued', // Kept in the offline queue to finish later
+  FAILED: 'failed',
+  SKIPPED: 'skipped', // Not uploaded because the picture limit was reached
+};
+
+/**
+ * Upload and analyze a batch of photos, a few at a time
+ * Each photo goes through the same steps as a single capture. Photos that can't finish go to
+ * the offline queue when it's enabled. Once the picture limit is reached the remaining photos
+ * are skipped; once the AI limit is reached they are uploaded and queued for analysis.
+ * @param {string} userId - User ID
+ * @param {Array<string>} localImageUris - Local image URIs from the camera or picker
+ * @param {Object} options - Batch options
+ * @param {string|null} options.locationId - Location for every picture in the batch
+ * @param {Function} options.onProgress - Called with (done, total) after each photo
+ * @returns {Promise<{items: Array, stoppedReason: string|null}>} - items are
+ *          { localImageUri, status, imageUrl, detectedObjects, analysisStatus, isDemoAnalysis,
+ *          quotaConsumptionId, error } in the order given
+ */
+export const processBatchCaptures = async (userId, localImageUris, { locationId = null, onProgress } = {}) => {
+  const offlineEnabled = isOfflineCaptureEnabled();
+  const total = localImageUris.length;
+  let done = 0;
+  let stoppedReason = null;
+  let aiStoppedReason = null;
+
+  const keepForLater = async (localImageUri, imageUrl, error, { quotaConsumptionId = null } = {}) => {
+    if (!offlineEnabled) {
+      // A picture that never got uploaded doesn't count
+      if (quotaConsumptionId && !imageUrl) {
+        await refundQuota(userId, quotaConsumptionId);
+      }
+      return { localImageUri, status: BATCH_ITEM_STATUS.FAILED, imageUrl, error };
+    }
+
+    const job = await enqueueCapture(localImageUri, userId, imageUrl, { locationId, quotaConsumptionId });
+    return job
+      ? { localImageUri, status: BATCH_ITEM_STATUS.QUEUED, imageUrl, error }
+      : { localImageUri, status: BATCH_ITEM_STATUS.FAILED, imageUrl, error: 'Failed to save the picture for later' };
+  };
+
+  const processCapture = async (localImageUri) => {
+    if (stoppedReason) {
+      return { localImageUri, status: BATCH_ITEM_STATUS.SKIPPED, error: stoppedReason };
+    }
+
+    // The server counts the picture and refuses once the plan's limit is reached
+    const pictureQuota = await consumeQuota(userId, QUOTA_METRICS.PICTURES);
+    if (!pictureQuota.allowed) {
+      if (pictureQuota.error) {
+        return keepForLater(localImageUri, null, pictureQuota.error);
+      }
+      stoppedReason = stoppedReason || getQuotaExceededMessage(QUOTA_METRICS.PICTURES, pictureQuota);
+      return { localImageUri, status: BATCH_ITEM_STATUS.SKIPPED, error: stoppedReason };
+    }
+
+    const quotaConsumptionId = pictureQuota.consumptionId;
+    const imageUrl = await uploadImageToUserFolder(localImageUri, userId, { showAlerts: false });
+    if (!imageUrl) {
+      return keepForLater(localImageUri, null, 'Upload failed', { quotaConsumptionId });
+    }
+
+    if (aiStoppedReason) {
+      return keepForLater(localImageUri, imageUrl, aiStoppedReason, { quotaConsumptionId });
+    }
+
+    const aiSignedUrl = await generateSignedUrlForAI(imageUrl);
+    if (!aiSignedUrl) {
+      return keepForLater(localImageUri, imageUrl, 'Failed to generate secure URL for AI analysis', { quotaConsumptionId });
+    }
+
+    try {
+      const analysis = await analyzeImageWithAI(aiSignedUrl, { userId });
+      return {
+        localImageUri,
+        status: BATCH_ITEM_STATUS.READY,
+        imageUrl,
+        detectedObjects: analysis.detections,
+        analysisStatus: analysis.status,
+        isDemoAnalysis: analysis.demo,
+        quotaConsumptionId,
+      };
+    } catch (analysisError) {
+      // Neither a used-up quota nor a missing API key gets better for the next photo
+      if (analysisError.code === QUOTA_EXCEEDED || analysisError.code === AI_ERROR_CODES.NOT_CONFIGURED) {
+        aiStoppedReason = analysisError.message;
+      }
+      console.warn('⚠️ AI analysis failed for batch photo:', analysisError.message);
+      return keepForLater(localImageUri, imageUrl, analysisError.message, { quotaConsumptionId });
+    }
+  };
+
+  if (offlineEnabled && !(await isOnline())) {
+    console.log('📴 No connection, queueing batch of', total, 'photos');
+    const items = [];
+    for (const localImageUri of localImageUris) {
+      items.push(await keepForLater(localImageUri, null, 'No connection'));
+      onProgress?.(++done, total);
+    }
+    return { items, stoppedReason: null };
+  }
+
+  console.log('📸 Processing batch of', total, 'photos for user:', userId);
+
+  const items = await mapWithConcurrency(localImageUris, config.app.batchConcurrency, async (localImageUri) => {
+    let item;
+    try {
+      item = await processCapture(localImageUri);
+    } catch (error) {
+      console.error('❌ Error processing batch photo:', error);
+      item = { localImageUri, status: BATCH_ITEM_STATUS.FAILED, error: error.message };
+    }
+    onProgress?.(++done, total);
+    return item;
+  });
+
+  const ready = items.filter(item => item.status === BATCH_ITEM_STATUS.READY).length;
+  console.log(`✅ Batch processed: ${ready} of ${total} ready for confirmation`);
+  return { items, stoppedReason };
+};
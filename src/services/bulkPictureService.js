@@ -0,0 +1,277 @@
+import { supabase } from './supabase';
+import { config } from '../config/env';
+import { analyzeImageWithAI } from './aiService';
+import { generateSignedUrlForAI, createStorageReference } from './storageService';
+import { QUOTA_EXCEEDED } from './quotaService';
+import { OUTBOX_OPS, enqueueOutboxOperation } from './syncOutbox';
+import { saveObject, getObjectsForImage, updateLocalPictureObjects } from './localStorage';
+import {
+  embedTexts,
+  getPictureEmbeddingKey,
+  getPictureEmbeddingText,
+  saveLocalEmbeddings,
+} from './embeddingService';
+import { isOnline } from '../utils/networkUtils';
+import { safeUserId } from '../utils/userIdUtils';
+import { mapWithConcurrency } from '../utils/concurrencyUtils';
+import { getObjectBox, boxToColumns } from '../utils/boundingBoxUtils';
+import { getNumberedPictureNames } from '../utils/galleryUtils';
+
+// Pictures per RPC call; keeps request bodies small and progress moving
+const BULK_CHUNK_SIZE = 50;
+
+const OFFLINE_MESSAGE = 'You\'re offline. Please try again when you\'re back online.';
+const DEMO_ANALYSIS_MESSAGE = 'The AI isn\'t available, so only demo objects were found. Nothing was added.';
+
+/*
+ * Every bulk action resolves to { succeeded, failed, queued }, and the changed pictures' cached
+ * objects are updated right away so local search doesn't wait for the next sync:
+ * succeeded - image URLs that were changed
+ * failed - { imageUrl, error } for the ones that weren't
+ * queued - true when the change was saved to the outbox to apply on the next sync
+ */
+
+// Call a batch RPC chunk by chunk. The RPCs return the image URLs they changed, so pictures
+// missing from the answer (e.g. already deleted on another device) are reported as failed.
+const callInChunks = async (imageUrls, callRpc, onProgress) => {
+  const succeeded = [];
+  const failed = [];
+
+  for (let i = 0; i < imageUrls.length; i += BULK_CHUNK_SIZE) {
+    const chunk = imageUrls.slice(i, i + BULK_CHUNK_SIZE);
+
+    try {
+      const { data, error } = await callRpc(chunk, i);
+      if (error) {
+        throw error;
+      }
+
+      const changed = new Set(data || []);
+      chunk.forEach(imageUrl => {
+        if (changed.has(imageUrl)) {
+          succeeded.push(imageUrl);
+        } else {
+          failed.push({ imageUrl, error: 'Picture not found' });
+        }
+      });
+    } catch (error) {
+      console.error('❌ Bulk picture update failed for', chunk.length, 'pictures:', error);
+      failed.push(...chunk.map(imageUrl => ({ imageUrl, error: error.message })));
+    }
+
+    onProgress?.(Math.min(i + BULK_CHUNK_SIZE, imageUrls.length), imageUrls.length);
+  }
+
+  return { succeeded, failed, queued: false };
+};
+
+// Offline: one outbox operation per picture, applied by the next sync
+const queueForSync = async (user_id, imageUrls, type, getPayload, onProgress) => {
+  for (let i = 0; i < imageUrls.length; i++) {
+    await enqueueOutboxOperation(user_id, type, {
+      image_url: createStorageReference(imageUrls[i]),
+      ...getPayload(imageUrls[i]),
+    });
+    onProgress?.(i + 1, imageUrls.length);
+  }
+
+  console.log('📴 Queued', imageUrls.length, 'picture changes for the next sync');
+  return { succeeded: [...imageUrls], failed: [], queued: true };
+};
+
+const failAll = (imageUrls, error) => ({
+  succeeded: [],
+  failed: imageUrls.map(imageUrl => ({ imageUrl, error })),
+  queued: false,
+});
+
+/**
+ * Move pictures and their objects to the trash, or restore them from it
+ * @param {string} userId - User ID
+ * @param {Array<string>} imageUrls - image_url values as stored
+ * @param {boolean} deleted - true to trash, false to restore
+ * @param {Object} options - { onProgress(done, total) }
+ * @returns {Promise<{succeeded: Array<string>, failed: Array, queued: boolean}>}
+ */
+export const setPicturesDeleted = async (userId, imageUrls, deleted, { onProgress } = {}) => {
+  const user_id = safeUserId(userId);
+  if (!user_id) return failAll(imageUrls, 'Please sign in first');
+
+  console.log(deleted ? '🗑️ Trashing' : '🔄 Restoring', imageUrls.length, 'pictures');
+
+  const result = await isOnline()
+    ? await callInChunks(imageUrls, chunk => supabase.rpc('set_pictures_deleted', {
+      p_image_urls: chunk,
+      p_deleted: deleted,
+    }), onProgress)
+    : await queueForSync(user_id, imageUrls, OUTBOX_OPS.SET_IMAGE_DELETED, () => ({ deleted }), onProgress);
+
+  await updateLocalPictureObjects(result.succeeded, { deleted }, user_id);
+  return result;
+};
+
+/**
+ * File pictures under a location (or clear it with null)
+ * @param {string} userId - User ID
+ * @param {Array<string>} imageUrls - image_url values as stored
+ * @param {string|null} locationId - Location ID, or null for no location
+ * @param {Object} options - { onProgress(done, total) }
+ * @returns {Promise<{succeeded: Array<string>, failed: Array, queued: boolean}>}
+ */
+export const setPicturesLocation = async (userId, imageUrls, locationId, { onProgress } = {}) => {
+  const user_id = safeUserId(userId);
+  if (!user_id) return failAll(imageUrls, 'Please sign in first');
+
+  console.log('📍 Moving', imageUrls.length, 'pictures to location:', locationId);
+
+  const result = await isOnline()
+    ? await callInChunks(imageUrls, chunk => supabase.rpc('set_pictures_location', {
+      p_image_urls: chunk,
+      p_location_id: locationId,
+    }), onProgress)
+    : await queueForSync(user_id, imageUrls, OUTBOX_OPS.SET_PICTURE_LOCATION, () => ({ location_id: locationId }), onProgress);
+
+  await updateLocalPictureObjects(result.succeeded, { location_id: locationId }, user_id);
+  return result;
+};
+
+/**
+ * Give pictures one name, numbered in the order given ("Kitchen 1", "Kitchen 2", ...)
+ * The new names are embedded in the same pass so semantic search finds them; if embedding
+ * fails the pictures keep their previous vectors until the next save.
+ * @param {string} userId - User ID
+ * @param {Array<{imageUrl: string, description: string}>} pictures - Pictures to rename
+ * @param {string} baseName - Name typed by the user
+ * @param {Object} options - { onProgress(done, total) }
+ * @returns {Promise<{succeeded: Array<string>, failed: Array, queued: boolean}>}
+ */
+export const renamePictures = async (userId, pictures, baseName, { onProgress } = {}) => {
+  const imageUrls = pictures.map(picture => picture.imageUrl);
+  const user_id = safeUserId(userId);
+  if (!user_id) return failAll(imageUrls, 'Please sign in first');
+
+  if (!(await isOnline())) {
+    return failAll(imageUrls, OFFLINE_MESSAGE);
+  }
+
+  const names = getNumberedPictureNames(baseName, pictures.length);
+  const namesByReference = new Map(imageUrls.map((imageUrl, i) => [createStorageReference(imageUrl), names[i]]));
+  console.log('✏️ Renaming', pictures.length, 'pictures to:', baseName.trim());
+
+  const result = await callInChunks(imageUrls, async (chunk, offset) => {
+    const chunkNames = names.slice(offset, offset + chunk.length);
+    const embeddings = await embedTexts(chunkNames.map((name, i) =>
+      getPictureEmbeddingText(name, pictures[offset + i].description)
+    ));
+
+    const response = await supabase.rpc('rename_pictures', {
+      p_image_urls: chunk,
+      p_names: chunkNames,
+      p_embeddings: embeddings ? embeddings.vectors.map(vector => JSON.stringify(vector)) : null,
+      p_embedding_model: embeddings?.model ?? null,
+    });
+
+    if (embeddings && !response.error) {
+      await saveLocalEmbeddings(chunk.map((imageUrl, i) => ({
+        key: getPictureEmbeddingKey(createStorageReference(imageUrl)),
+        model: embeddings.model,
+        vector: embeddings.vectors[i],
+      })));
+    }
+
+    return response;
+  }, onProgress);
+
+  await updateLocalPictureObjects(result.succeeded, reference => ({ picture_name: namesByReference.get(reference) }), user_id);
+  return result;
+};
+
+// Analyze one picture again and save the objects it doesn't have yet.
+// Made-up demo objects are only saved when allowDemo is set; otherwise the picture fails.
+const reanalyzePicture = async (user_id, imageUrl, allowDemo) => {
+  const aiSignedUrl = await generateSignedUrlForAI(imageUrl);
+  if (!aiSignedUrl) {
+    throw new Error('Failed to generate secure URL for AI analysis');
+  }
+
+  const { detections: detectedObjects, demo } = await analyzeImageWithAI(aiSignedUrl, { userId: user_id });
+  if (demo && !allowDemo) {
+    const error = new Error(DEMO_ANALYSIS_MESSAGE);
+    error.demo = true;
+    throw error;
+  }
+  const knownNames = new Set((await getObjectsForImage(imageUrl, user_id)).map(obj => obj.object_name));
+
+  let added = 0;
+  for (const obj of detectedObjects) {
+    const objectName = obj.name.toLowerCase().trim();
+    if (!objectName || knownNames.has(objectName)) continue;
+
+    knownNames.add(objectName);
+    await saveObject({
+      object_name: objectName,
+      x_position: obj.x ?? null,
+      y_position: obj.y ?? null,
+      ...boxToColumns(getObjectBox(obj)),
+      confidence: obj.confidence ?? null,
+      has_ai_coordinates: true,
+    }, user_id, imageUrl);
+    added++;
+  }
+
+  return added;
+};
+
+/**
+ * Run AI analysis again on pictures, a few at a time, and add the objects it finds that the
+ * pictures don't have yet. Existing objects are never changed or removed.
+ * Once the AI limit is reached, or the AI only answers with demo objects, the remaining pictures
+ * are reported as failed.
+ * @param {string} userId - User ID
+ * @param {Array<string>} imageUrls - image_url values as stored
+ * @param {Object} options - { onProgress(done, total), allowDemo: save demo objects too (off by default) }
+ * @returns {Promise<{succeeded: Array<string>, failed: Array, queued: boolean, objectsAdded: number, stoppedReason: string|null}>}
+ */
+export const reanalyzePictures = async (userId, imageUrls, { onProgress, allowDemo = false } = {}) => {
+  const user_id = safeUserId(userId);
+  if (!user_id) return { ...failAll(imageUrls, 'Please sign in first'), objectsAdded: 0, stoppedReason: null };
+
+  if (!(await isOnline())) {
+    return { ...failAll(imageUrls, OFFLINE_MESSAGE), objectsAdded: 0, stoppedReason: null };
+  }
+
+  console.log('🤖 Re-analyzing', imageUrls.length, 'pictures');
+  let done = 0;
+  let stoppedReason = null;
+
+  const results = await mapWithConcurrency(imageUrls, config.app.batchConcurrency, async (imageUrl) => {
+    let result;
+    if (stoppedReason) {
+      result = { imageUrl, error: stoppedReason };
+    } else {
+      try {
+        result = { imageUrl, added: await reanalyzePicture(user_id, imageUrl, allowDemo) };
+      } catch (error) {
+        if (error.code === QUOTA_EXCEEDED || error.demo) {
+          stoppedReason = stoppedReason || error.message;
+        }
+        console.warn('⚠️ Re-analysis failed for picture:', error.message);
+        result = { imageUrl, error: error.message };
+      }
+    }
+    onProgress?.(++done, imageUrls.length);
+    return result;
+  });
+
+  const succeeded = results.filter(result => !result.error);
+  const objectsAdded = succeeded.reduce((sum, result) => sum + result.added, 0);
+  console.log(`✅ Re-analyzed ${succeeded.length} of ${imageUrls.length} pictures, ${objectsAdded} new objects`);
+
+  return {
+    succeeded: succeeded.map(result => result.imageUrl),
+    failed: results.filter(result => result.error).map(({ imageUrl, error }) => ({ imageUrl, error })),
+    queued: false,
+    objectsAdded,
+    stoppedReason,
+  };
+};
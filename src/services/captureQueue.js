@@ -0,0 +1,294 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import { config } from '../config/env';
+import { analyzeImageWithAI } from './aiService';
+import { uploadImageToUserFolder, generateSignedUrlForAI, discardUploadedImage } from './storageService';
+import { QUOTA_METRICS, consumeQuota, createQuotaExceededError } from './quotaService';
+import { isOnline, subscribeToReconnect } from '../utils/networkUtils';
+
+const QUEUE_KEY = 'snapfind_capture_queue';
+const QUEUE_DIR = `${FileSystem.documentDirectory}capture_queue/`;
+
+// Job statuses, in pipeline order
+export const CAPTURE_STATUS = {
+  PENDING_UPLOAD: 'pending_upload',
+  PENDING_ANALYSIS: 'pending_analysis',
+  READY: 'ready',
+};
+
+let isProcessing = false;
+
+const readQueue = async () => {
+  try {
+    const storedQueue = await AsyncStorage.getItem(QUEUE_KEY);
+    return storedQueue ? JSON.parse(storedQueue) : [];
+  } catch (error) {
+    console.error('❌ Error reading capture queue:', error);
+    return [];
+  }
+};
+
+const writeQueue = async (jobs) => {
+  await AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(jobs));
+};
+
+const updateJob = async (jobId, changes) => {
+  const jobs = await readQueue();
+  const updatedJobs = jobs.map(job => job.id === jobId
+    ? { ...job, ...changes, updated_at: new Date().toISOString() }
+    : job
+  );
+  await writeQueue(updatedJobs);
+};
+
+/**
+ * Whether failed captures should be queued instead of discarded
+ * @returns {boolean}
+ */
+export const isOfflineCaptureEnabled = () => !!config.app.enableOfflineMode;
+
+/**
+ * Keep a captured photo for later upload/analysis
+ * The file is copied out of the camera cache so it survives app restarts.
+ * @param {string} localImageUri - Local image URI from the camera or picker
+ * @param {string} userId - User ID
+ * @param {string|null} imageUrl - Storage URL if the upload already succeeded
+ * @param {Object} options - Capture details to keep with the job
+ * @param {string|null} options.locationId - Location chosen when the picture was taken
+ * @param {string|null} options.quotaConsumptionId - consumeQuota's consumptionId if the picture already
+ *                                                  counted against the user's quota
+ * @param {Array|null} options.detectedObjects - Analysis results, for pictures that only still need confirming
+ * @param {string|null} options.analysisStatus - ANALYSIS_STATUS of those results
+ * @param {boolean} options.isDemoAnalysis - Whether those results are made-up demo objects
+ * @returns {Promise<Object|null>} - Queued job or null if it could not be stored
+ */
+export const enqueueCapture = async (
+  localImageUri,
+  userId,
+  imageUrl = null,
+  { locationId = null, quotaConsumptionId = null, detectedObjects = null, analysisStatus = null, isDemoAnalysis = false } = {}
+) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID is required to queue a capture');
+    }
+
+    await FileSystem.makeDirectoryAsync(QUEUE_DIR, { intermediates: true });
+
+    const jobId = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const fileExt = localImageUri.split('.').pop() || 'jpg';
+    const queuedUri = `${QUEUE_DIR}${jobId}.${fileExt}`;
+    await FileSystem.copyAsync({ from: localImageUri, to: queuedUri });
+
+    const now = new Date().toISOString();
+    const status = !imageUrl
+      ? CAPTURE_STATUS.PENDING_UPLOAD
+      : detectedObjects ? CAPTURE_STATUS.READY : CAPTURE_STATUS.PENDING_ANALYSIS;
+    const job = {
+      id: jobId,
+      user_id: userId,
+      local_uri: queuedUri,
+      image_url: imageUrl,
+      status,
+      detected_objects: (imageUrl && detectedObjects) || [],
+      analysis_status: (imageUrl && detectedObjects && analysisStatus) || null,
+      is_demo: !!(imageUrl && detectedObjects && isDemoAnalysis),
+      location_id: locationId,
+      quota_counted: !!quotaConsumptionId || !!imageUrl,
+      quota_consumption_id: quotaConsumptionId,
+      attempts: 0,
+      last_error: null,
+      created_at: now,
+      updated_at: now,
+    };
+
+    const jobs = await readQueue();
+    await writeQueue([...jobs, job]);
+
+    console.log('📥 Capture queued for later:', jobId, job.status);
+    return job;
+  } catch (error) {
+    console.error('❌ Error queueing capture:', error);
+    return null;
+  }
+};
+
+/**
+ * Get queued captures for a user (oldest first)
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Queued jobs
+ */
+export const getPendingCaptures = async (userId) => {
+  const jobs = await readQueue();
+  return jobs.filter(job => job.user_id === userId);
+};
+
+/**
+ * Remove a capture from the queue and delete its local copy
+ * @param {string} jobId - Job ID
+ * @param {Object} options - Removal options
+ * @param {boolean} options.discard - The user threw the picture away rather than saving it, so its
+ *                                    upload (if any) is deleted and it no longer counts against the quota
+ * @returns {Promise<boolean>} - Success status
+ */
+export const removeCapture = async (jobId, { discard = false } = {}) => {
+  try {
+    const jobs = await readQueue();
+    const job = jobs.find(j => j.id === jobId);
+
+    await writeQueue(jobs.filter(j => j.id !== jobId));
+
+    if (job?.local_uri) {
+      await FileSystem.deleteAsync(job.local_uri, { idempotent: true });
+    }
+
+    // A discarded picture doesn't count, and its upload would otherwise be left orphaned in storage
+    if (discard && job && (job.image_url || job.quota_consumption_id)) {
+      const fileDeleted = await discardUploadedImage(job.user_id, job.image_url, job.quota_consumption_id);
+      if (!fileDeleted) {
+        console.warn('⚠️ Could not delete the upload of discarded capture:', jobId);
+      }
+    }
+
+    console.log('🗑️ Removed queued capture:', jobId);
+    return true;
+  } catch (error) {
+    console.error('❌ Error removing queued capture:', error);
+    return false;
+  }
+};
+
+/**
+ * Remove all of a user's queued captures and their local copies
+ * @param {string} userId - User ID
+ */
+export const clearPendingCaptures = async (userId) => {
+  const jobs = await readQueue();
+  const userJobs = jobs.filter(job => job.user_id === userId);
+
+  await writeQueue(jobs.filter(job => job.user_id !== userId));
+  await Promise.all(userJobs
+    .filter(job => job.local_uri)
+    .map(job => FileSystem.deleteAsync(job.local_uri, { idempotent: true }))
+  );
+
+  console.log('🗑️ Removed', userJobs.length, 'queued captures for user', userId);
+};
+
+// Run the remaining pipeline steps for one job, recording progress in the queue
+const processCapture = async (job) => {
+  let imageUrl = job.image_url;
+
+  try {
+    // Pictures taken offline count against the quota once they can actually be uploaded
+    if (!job.quota_counted) {
+      const quota = await consumeQuota(job.user_id, QUOTA_METRICS.PICTURES);
+      if (!quota.allowed) {
+        throw quota.error ? new Error(quota.error) : createQuotaExceededError(QUOTA_METRICS.PICTURES, quota);
+      }
+      await updateJob(job.id, { quota_counted: true, quota_consumption_id: quota.consumptionId });
+    }
+
+    if (!imageUrl) {
+      console.log('📁 Retrying upload for queued capture:', job.id);
+      imageUrl = await uploadImageToUserFolder(job.local_uri, job.user_id, { showAlerts: false });
+      if (!imageUrl) {
+        throw new Error('Upload failed');
+      }
+      await updateJob(job.id, { image_url: imageUrl, status: CAPTURE_STATUS.PENDING_ANALYSIS });
+    }
+
+    const aiSignedUrl = await generateSignedUrlForAI(imageUrl);
+    if (!aiSignedUrl) {
+      throw new Error('Failed to generate secure URL for AI analysis');
+    }
+
+    console.log('🤖 Retrying AI analysis for queued capture:', job.id);
+    const analysis = await analyzeImageWithAI(aiSignedUrl, { userId: job.user_id });
+
+    await updateJob(job.id, {
+      status: CAPTURE_STATUS.READY,
+      detected_objects: analysis.detections,
+      analysis_status: analysis.status,
+      is_demo: analysis.demo,
+      last_error: null,
+    });
+    console.log('✅ Queued capture ready for confirmation:', job.id);
+  } catch (error) {
+    console.warn('⚠️ Queued capture still pending:', job.id, error.message);
+    await updateJob(job.id, {
+      attempts: (job.attempts || 0) + 1,
+      last_error: error.message,
+    });
+  }
+};
+
+/**
+ * Retry upload, signed-URL generation and analysis for all unfinished captures
+ * @param {string} userId - User ID
+ * @returns {Promise<{processed: number, ready: number}>} - Summary of the run
+ */
+export const processCaptureQueue = async (userId) => {
+  if (isProcessing) {
+    console.log('⏳ Capture queue already processing');
+    return { processed: 0, ready: 0 };
+  }
+
+  isProcessing = true;
+  try {
+    if (!(await isOnline())) {
+      console.log('📴 Offline, capture queue will retry later');
+      return { processed: 0, ready: 0 };
+    }
+
+    const jobs = await getPendingCaptures(userId);
+    const unfinished = jobs.filter(job => job.status !== CAPTURE_STATUS.READY);
+
+    if (unfinished.length === 0) {
+      return { processed: 0, ready: 0 };
+    }
+
+    console.log('🔄 Processing', unfinished.length, 'queued captures');
+
+    // Sequential to keep upload bandwidth and AI rate limits predictable
+    for (const job of unfinished) {
+      await processCapture(job);
+    }
+
+    const updatedJobs = await getPendingCaptures(userId);
+    const ready = updatedJobs.filter(job =>
+      job.status === CAPTURE_STATUS.READY && unfinished.some(u => u.id === job.id)
+    ).length;
+
+    return { processed: unfinished.length, ready };
+  } catch (error) {
+    console.error('❌ Error processing capture queue:', error);
+    return { processed: 0, ready: 0 };
+  } finally {
+    isProcessing = false;
+  }
+};
+
+/**
+ * Process the queue now and again whenever connectivity returns
+ * @param {string} userId - User ID
+ * @param {Function} onProcessed - Optional callback with the run summary
+ * @returns {Function} - Unsubscribe function
+ */
+export const startCaptureQueueSync = (userId, onProcessed) => {
+  if (!isOfflineCaptureEnabled() || !userId) {
+    return () => {};
+  }
+
+  const run = async () => {
+    const summary = await processCaptureQueue(userId);
+    onProcessed?.(summary);
+  };
+
+  run();
+
+  return subscribeToReconnect(() => {
+    console.log('📶 Connectivity restored, retrying queued captures');
+    run();
+  });
+};
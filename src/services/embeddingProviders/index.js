@@ -0,0 +1,40 @@
+import { config } from '../../config/env';
+import { openaiEmbeddingProvider } from './openaiEmbeddingProvider';
+import { localEmbeddingProvider } from './localEmbeddingProvider';
+
+// Registry of available embedding providers, keyed by id
+const PROVIDERS = {
+  [openaiEmbeddingProvider.id]: openaiEmbeddingProvider,
+  [localEmbeddingProvider.id]: localEmbeddingProvider,
+};
+
+/**
+ * Get a provider by id
+ * @param {string} providerId - Provider id ('openai', 'local')
+ * @returns {Object|null} - Provider or null if unknown
+ */
+export const getEmbeddingProvider = (providerId) => PROVIDERS[providerId] || null;
+
+/**
+ * Resolve which provider should embed text.
+ * Falls back to the local provider when the requested one is unknown or
+ * has no API key (and config.embeddings.fallbackToLocal is enabled).
+ * @param {string} providerId - Optional override, defaults to config.embeddings.provider
+ * @returns {Object} - Provider
+ */
+export const resolveEmbeddingProvider = (providerId = null) => {
+  const requestedId = providerId || config.embeddings.provider;
+  const provider = getEmbeddingProvider(requestedId);
+
+  if (!provider) {
+    console.warn(`Unknown embedding provider "${requestedId}", using local provider`);
+    return localEmbeddingProvider;
+  }
+
+  if (!provider.isConfigured() && config.embeddings.fallbackToLocal) {
+    console.warn(`${provider.label} API key not configured, using local embeddings`);
+    return localEmbeddingProvider;
+  }
+
+  return provider;
+};
@@ -0,0 +1,81 @@
+import { config } from '../../config/env';
+import { normalizeText, stemWord, getSynonymStems } from '../../utils/searchUtils';
+import { normalizeVector } from '../../utils/vectorUtils';
+
+// Filler words that say nothing about the object being searched for
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'my', 'your', 'to', 'for', 'of', 'in', 'on', 'with', 'and', 'or',
+  'is', 'it', 'i', 'me', 'where', 'what', 'something', 'thing', 'things', 'some', 'that',
+]);
+
+// FNV-1a, so the same text always maps to the same vector
+const hashString = (value) => {
+  let hash = 2166136261;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 16777619) >>> 0;
+  }
+  return hash;
+};
+
+const addFeature = (vector, feature, weight) => {
+  const hash = hashString(feature);
+  const sign = hash & 1 ? 1 : -1;
+  vector[(hash >>> 1) % vector.length] += sign * weight;
+};
+
+const addTrigrams = (vector, phrase, weight) => {
+  phrase.split(' ').forEach(word => {
+    const padded = `#${word}#`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      addFeature(vector, `t:${padded.slice(i, i + 3)}`, weight);
+    }
+  });
+};
+
+// A word or two-word phrase, plus its synonyms at lower weight
+const addTerm = (vector, term) => {
+  const [stem, ...synonyms] = getSynonymStems(term);
+  addFeature(vector, `w:${stem}`, 1);
+  addTrigrams(vector, stem, 0.3);
+
+  synonyms.forEach(synonym => {
+    addFeature(vector, `w:${synonym}`, 0.7);
+    addTrigrams(vector, synonym, 0.15);
+  });
+};
+
+/**
+ * Local stand-in embeddings - no network, no API key.
+ * Hashes word stems, their synonyms and character trigrams into a fixed-size vector,
+ * so tests and offline demos get stable, roughly meaningful similarities.
+ */
+export const localEmbeddingProvider = {
+  id: 'local',
+  label: 'Local (demo)',
+  minSimilarity: 0.25,
+
+  isConfigured: () => true,
+
+  getModelId: () => `local:hash:${config.embeddings.dimensions}`,
+
+  /**
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} - One vector per text, in order
+   */
+  embedTexts: async (texts) => {
+    return texts.map(text => {
+      const vector = new Array(config.embeddings.dimensions).fill(0);
+      const words = normalizeText(text).split(' ').filter(word => word && !STOP_WORDS.has(word));
+
+      words.forEach((word, i) => {
+        addTerm(vector, stemWord(word));
+        if (i > 0) {
+          addTerm(vector, `${words[i - 1]} ${word}`);
+        }
+      });
+
+      return normalizeVector(vector);
+    });
+  },
+};
@@ -0,0 +1,46 @@
+import axios from 'axios';
+import { config } from '../../config/env';
+
+const OPENAI_EMBEDDINGS_URL = 'https://api.openai.com/v1/embeddings';
+
+/**
+ * OpenAI embeddings, shortened to config.embeddings.dimensions
+ */
+export const openaiEmbeddingProvider = {
+  id: 'openai',
+  label: 'OpenAI',
+  minSimilarity: 0.3,
+
+  isConfigured: () => {
+    return !!config.openai.apiKey && !config.openai.apiKey.includes('your-openai-api-key-here');
+  },
+
+  // Vectors are only comparable when model and size match
+  getModelId: () => `openai:${config.embeddings.openaiModel}:${config.embeddings.dimensions}`,
+
+  /**
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} - One vector per text, in order
+   */
+  embedTexts: async (texts) => {
+    const response = await axios.post(
+      OPENAI_EMBEDDINGS_URL,
+      {
+        model: config.embeddings.openaiModel,
+        input: texts,
+        dimensions: config.embeddings.dimensions,
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${config.openai.apiKey}`,
+          'Content-Type': 'application/json',
+        },
+        timeout: 15000,
+      }
+    );
+
+    return response.data.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  },
+};
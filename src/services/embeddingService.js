@@ -0,0 +1,147 @@
+import * as FileSystem from 'expo-file-system';
+import { resolveEmbeddingProvider } from './embeddingProviders';
+import { roundVector } from '../utils/vectorUtils';
+
+// Local embedding index lives in a file: vectors are too large for AsyncStorage's size limit
+const INDEX_FILE = `${FileSystem.documentDirectory}embedding_index.json`;
+
+let cachedIndex = null;
+
+/**
+ * Index key for an object (stable across local and server IDs)
+ * @param {string} imageUrl - Standardized image reference
+ * @param {string} objectName - Object name
+ * @returns {string}
+ */
+export const getObjectEmbeddingKey = (imageUrl, objectName) => `object:${imageUrl}:${objectName}`;
+
+/**
+ * Index key for a picture
+ * @param {string} imageUrl - Standardized image reference
+ * @returns {string}
+ */
+export const getPictureEmbeddingKey = (imageUrl) => `picture:${imageUrl}`;
+
+/**
+ * Text embedded for a picture: its name and description
+ * @param {string} pictureName - Picture name
+ * @param {string} description - Picture description
+ * @returns {string}
+ */
+export const getPictureEmbeddingText = (pictureName, description) => {
+  return [pictureName, description].filter(Boolean).join('. ');
+};
+
+/**
+ * Embed several texts with the configured provider
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Promise<{model: string, minSimilarity: number, vectors: Array}|null>} - Null if embedding failed
+ */
+export const embedTexts = async (texts) => {
+  const provider = resolveEmbeddingProvider();
+
+  try {
+    const vectors = await provider.embedTexts(texts);
+    return {
+      model: provider.getModelId(),
+      minSimilarity: provider.minSimilarity,
+      vectors: vectors.map(vector => roundVector(vector)),
+    };
+  } catch (error) {
+    console.error(`❌ Error embedding text with ${provider.label}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Embed one text with the configured provider
+ * @param {string} text - Text to embed
+ * @returns {Promise<{model: string, minSimilarity: number, vector: Array<number>}|null>} - Null if embedding failed
+ */
+export const embedText = async (text) => {
+  const result = await embedTexts([text]);
+  return result ? { model: result.model, minSimilarity: result.minSimilarity, vector: result.vectors[0] } : null;
+};
+
+const readIndex = async () => {
+  if (cachedIndex) return cachedIndex;
+
+  try {
+    const info = await FileSystem.getInfoAsync(INDEX_FILE);
+    cachedIndex = info.exists ? JSON.parse(await FileSystem.readAsStringAsync(INDEX_FILE)) : {};
+  } catch (error) {
+    console.error('❌ Error reading embedding index:', error);
+    cachedIndex = {};
+  }
+
+  return cachedIndex;
+};
+
+/**
+ * Store embeddings in the local index
+ * @param {Array<{key: string, model: string, vector: Array<number>}>} entries - Entries to store
+ */
+export const saveLocalEmbeddings = async (entries) => {
+  if (entries.length === 0) return;
+
+  try {
+    const index = await readIndex();
+    entries.forEach(({ key, model, vector }) => {
+      index[key] = { model, vector };
+    });
+    await FileSystem.writeAsStringAsync(INDEX_FILE, JSON.stringify(index));
+  } catch (error) {
+    console.error('❌ Error saving embeddings locally:', error);
+  }
+};
+
+/**
+ * Get the local vectors made with a given model
+ * @param {string} model - Model ID from embedText
+ * @returns {Promise<Object>} - Map of index key → vector
+ */
+export const getLocalEmbeddings = async (model) => {
+  const index = await readIndex();
+  return Object.keys(index).reduce((vectors, key) => {
+    if (index[key].model === model) {
+      vectors[key] = index[key].vector;
+    }
+    return vectors;
+  }, {});
+};
+
+/**
+ * Get the local vector stored under one key, whatever model made it
+ * @param {string} key - Index key
+ * @returns {Promise<{model: string, vector: Array<number>}|null>}
+ */
+export const getLocalEmbedding = async (key) => {
+  const index = await readIndex();
+  return index[key] || null;
+};
+
+/**
+ * Remove a user's vectors from the local index
+ * Index keys contain the image's storage path, which starts with the user's folder.
+ * @param {string} userId - User ID
+ */
+export const clearLocalEmbeddings = async (userId) => {
+  try {
+    const index = await readIndex();
+    const userFolder = `user-${userId}/`;
+    Object.keys(index)
+      .filter(key => key.includes(userFolder))
+      .forEach(key => {
+        delete index[key];
+      });
+    await FileSystem.writeAsStringAsync(INDEX_FILE, JSON.stringify(index));
+  } catch (error) {
+    console.error('❌ Error clearing local embeddings:', error);
+  }
+};
+
+/**
+ * Model ID vectors are currently made with, to look up matching local vectors
+ * @returns {string}
+ */
+export const getEmbeddingModelId = () => resolveEmbeddingProvider().getModelId();
@@ -0,0 +1,192 @@
+import * as FileSystem from 'expo-file-system';
+import { File } from 'expo-file-system/next';
+import * as Sharing from 'expo-sharing';
+import { supabase } from './supabase';
+import { getLocations } from './locationService';
+import { generateSignedUrlForDisplay } from './storageService';
+import { safeUserId } from '../utils/userIdUtils';
+import { fetchAllRows } from '../utils/queryUtils';
+import {
+  buildExportManifest,
+  buildExportCsv,
+  getArchiveImagePath,
+  MANIFEST_FILE,
+  CSV_FILE,
+} from '../utils/exportUtils';
+import {
+  createZipEntry,
+  buildLocalFileHeader,
+  buildCentralDirectory,
+  textToBytes,
+  MAX_ZIP_SIZE,
+  MAX_ZIP_ENTRIES,
+} from '../utils/zipUtils';
+
+const EXPORT_DIR = `${FileSystem.cacheDirectory}exports/`;
+
+/**
+ * A user's active pictures and objects straight from Supabase, which is authoritative
+ * @param {string} user_id - User ID
+ * @returns {Promise<{pictures: Array, objects: Array}>} - Picture rows and object rows linked through picture_id
+ */
+export const getActiveInventory = async (user_id) => {
+  // Ordered by a unique column last, so pages never overlap or skip rows
+  const pictures = await fetchAllRows(() => supabase
+    .from('pictures')
+    .select('id, image_url, picture_name, description, location_id, created_at, updated_at')
+    .eq('user_id', String(user_id))
+    .eq('deleted', false)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true }));
+
+  const objects = await fetchAllRows(() => supabase
+    .from('objects_with_pictures')
+    .select('object_id, picture_id, object_name, x_position, y_position, box_left, box_top, box_width, box_height, confidence, has_ai_coordinates, object_created_at')
+    .eq('user_id', String(user_id))
+    .eq('deleted', false)
+    .order('object_created_at', { ascending: true })
+    .order('object_id', { ascending: true }));
+
+  return {
+    pictures,
+    objects: objects.map(object => ({ ...object, created_at: object.object_created_at })),
+  };
+};
+
+// Writes a zip archive file by file straight to disk, so only the file being added is in memory.
+// Images are already compressed, so files are stored as they are.
+const createArchiveWriter = (uri) => {
+  const archive = new File(uri);
+  archive.create();
+  const handle = archive.open();
+  const entries = [];
+  let offset = 0;
+
+  const write = (bytes) => {
+    handle.writeBytes(bytes);
+    offset += bytes.length;
+  };
+
+  return {
+    addFile: (name, bytes) => {
+      const entry = createZipEntry(name, bytes, offset);
+      const header = buildLocalFileHeader(entry);
+
+      if (entries.length >= MAX_ZIP_ENTRIES || offset + header.length + bytes.length > MAX_ZIP_SIZE) {
+        throw new Error('The export is too large for one zip file');
+      }
+
+      write(header);
+      write(bytes);
+      entries.push(entry);
+    },
+    finish: () => {
+      write(buildCentralDirectory(entries, offset));
+    },
+    close: () => handle.close(),
+  };
+};
+
+// Download one image into memory; null if it could not be fetched
+const downloadImageBytes = async (imageUrl) => {
+  const tempUri = `${EXPORT_DIR}download_${Date.now()}`;
+
+  try {
+    const signedUrl = await generateSignedUrlForDisplay(imageUrl);
+    if (!signedUrl) return null;
+
+    const { status } = await FileSystem.downloadAsync(signedUrl, tempUri);
+    if (status !== 200) return null;
+
+    return new File(tempUri).bytes();
+  } catch (error) {
+    console.warn('⚠️ Could not add image to export:', imageUrl, error.message);
+    return null;
+  } finally {
+    await FileSystem.deleteAsync(tempUri, { idempotent: true });
+  }
+};
+
+/**
+ * Export all of a user's pictures, objects and locations as a zip archive
+ * The archive holds manifest.json, objects.csv and the image files (see docs/EXPORT_FORMAT.md).
+ * @param {string} userId - User ID
+ * @param {Object} options - Export options
+ * @param {Function} options.onProgress - Called with (done, total) as images are downloaded
+ * @returns {Promise<{success: boolean, uri?: string, pictureCount?: number, objectCount?: number, missingFiles?: number, error?: string}>}
+ */
+export const exportUserData = async (userId, { onProgress } = {}) => {
+  const user_id = safeUserId(userId);
+  if (!user_id) {
+    return { success: false, error: 'User ID is required' };
+  }
+
+  try {
+    console.log('📦 Exporting data for user:', user_id);
+    // Only the latest export is kept on the device
+    await FileSystem.deleteAsync(EXPORT_DIR, { idempotent: true });
+    await FileSystem.makeDirectoryAsync(EXPORT_DIR, { intermediates: true });
+
+    const [{ pictures, objects }, locations] = await Promise.all([
+      getActiveInventory(user_id),
+      getLocations(user_id),
+    ]);
+
+    const uri = `${EXPORT_DIR}snapfind-export-${new Date().toISOString().slice(0, 10)}.zip`;
+    const writer = createArchiveWriter(uri);
+    const missingFiles = new Set();
+
+    try {
+      // One at a time, each image written to the archive file as soon as it is downloaded,
+      // so only one image is in memory at once
+      for (let i = 0; i < pictures.length; i++) {
+        onProgress?.(i, pictures.length);
+        const bytes = await downloadImageBytes(pictures[i].image_url);
+        if (bytes) {
+          writer.addFile(getArchiveImagePath(pictures[i].image_url), bytes);
+        } else {
+          missingFiles.add(pictures[i].image_url);
+        }
+      }
+      onProgress?.(pictures.length, pictures.length);
+
+      const manifest = buildExportManifest({ pictures, objects, locations, missingFiles });
+      writer.addFile(MANIFEST_FILE, textToBytes(JSON.stringify(manifest, null, 2)));
+      writer.addFile(CSV_FILE, textToBytes(buildExportCsv(manifest)));
+      writer.finish();
+    } finally {
+      writer.close();
+    }
+
+    console.log(`✅ Export ready: ${pictures.length} pictures, ${objects.length} objects, ${missingFiles.size} missing files`);
+    return {
+      success: true,
+      uri,
+      pictureCount: pictures.length,
+      objectCount: objects.length,
+      missingFiles: missingFiles.size,
+    };
+  } catch (error) {
+    console.error('❌ Error exporting data:', error);
+    return { success: false, error: error?.message || String(error) };
+  }
+};
+
+/**
+ * Open the OS share sheet for an export archive
+ * @param {string} uri - Archive file URI from exportUserData
+ * @returns {Promise<boolean>} - False if sharing is not available on this device
+ */
+export const shareExport = async (uri) => {
+  if (!(await Sharing.isAvailableAsync())) {
+    console.warn('⚠️ Sharing is not available on this device');
+    return false;
+  }
+
+  await Sharing.shareAsync(uri, {
+    mimeType: 'application/zip',
+    UTI: 'public.zip-archive',
+    dialogTitle: 'Export SnapFind Data',
+  });
+  return true;
+};
@@ -0,0 +1,107 @@
+import * as FileSystem from 'expo-file-system';
+import { ImageManipulator, SaveFormat } from 'expo-image-manipulator';
+import { config } from '../config/env';
+import {
+  IMAGE_SIGNATURE_LENGTH,
+  getImageFormatFromBytes,
+  getImageMimeType,
+  isSupportedImageFormat,
+  fitWithin,
+} from '../utils/imageUtils';
+
+/**
+ * Read the real format of an image file from its first bytes
+ * @param {string} uri - Local image URI
+ * @returns {Promise<string|null>} - 'jpg', 'png', 'webp', 'heic' or null if unknown
+ */
+export const readImageFormat = async (uri) => {
+  try {
+    const base64 = await FileSystem.readAsStringAsync(uri, {
+      encoding: FileSystem.EncodingType.Base64,
+      position: 0,
+      length: IMAGE_SIGNATURE_LENGTH,
+    });
+    return getImageFormatFromBytes(Uint8Array.from(atob(base64), c => c.charCodeAt(0)));
+  } catch (error) {
+    console.warn('⚠️ Could not read image format:', error.message);
+    return null;
+  }
+};
+
+// Small JPEG copy for lists and grids; a failure here shouldn't stop the upload
+const createThumbnail = async (image) => {
+  try {
+    const size = fitWithin(image.width, image.height, config.images.thumbnailSize);
+    const thumbnail = await ImageManipulator.manipulate(image)
+      .resize({ width: size.width, height: size.height })
+      .renderAsync();
+    const saved = await thumbnail.saveAsync({ compress: config.images.thumbnailQuality, format: SaveFormat.JPEG });
+    return saved.uri;
+  } catch (error) {
+    console.warn('⚠️ Could not create thumbnail:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Prepare a photo for upload: upright, no larger than config.images.maxDimension, recompressed
+ * as JPEG, plus a thumbnail. Rendering applies the EXIF orientation to the pixels, and the new
+ * file carries no EXIF, so location and camera details are not uploaded either.
+ * If the photo can't be processed, the original is used as long as its format is supported.
+ * @param {string} uri - Local image URI from the camera, picker or an import
+ * @returns {Promise<Object>} - { uri, thumbnailUri, format, mimeType, width, height, processed };
+ *          pass it to discardPreparedImage once uploaded
+ * @throws {Error} - If the photo can't be processed and its format isn't supported
+ */
+export const preprocessImage = async (uri) => {
+  try {
+    const original = await ImageManipulator.manipulate(uri).renderAsync();
+    const size = fitWithin(original.width, original.height, config.images.maxDimension);
+
+    const context = ImageManipulator.manipulate(original);
+    if (size.resized) {
+      context.resize({ width: size.width, height: size.height });
+    }
+    const image = await context.renderAsync();
+    const saved = await image.saveAsync({ compress: config.images.quality, format: SaveFormat.JPEG });
+
+    console.log(`🖼️ Image prepared: ${original.width}x${original.height} → ${saved.width}x${saved.height}`);
+    return {
+      uri: saved.uri,
+      thumbnailUri: await createThumbnail(image),
+      format: 'jpg',
+      mimeType: getImageMimeType('jpg'),
+      width: saved.width,
+      height: saved.height,
+      processed: true,
+    };
+  } catch (error) {
+    console.warn('⚠️ Image preprocessing failed, using the original:', error.message);
+
+    const format = await readImageFormat(uri);
+    if (!isSupportedImageFormat(format)) {
+      throw new Error(`Unsupported image format${format ? ` (${format})` : ''}. Please use ${config.app.supportedImageFormats.join(', ')}.`);
+    }
+
+    return {
+      uri,
+      thumbnailUri: null,
+      format,
+      mimeType: getImageMimeType(format),
+      width: null,
+      height: null,
+      processed: false,
+    };
+  }
+};
+
+/**
+ * Delete the temporary files preprocessImage created (never the original photo)
+ * @param {Object|null} prepared - Result of preprocessImage
+ */
+export const discardPreparedImage = async (prepared) => {
+  if (!prepared) return;
+
+  const uris = [prepared.processed ? prepared.uri : null, prepared.thumbnailUri].filter(Boolean);
+  await Promise.all(uris.map(uri => FileSystem.deleteAsync(uri, { idempotent: true }).catch(() => {})));
+};
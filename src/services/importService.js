@@ -0,0 +1,339 @@
+import * as FileSystem from 'expo-file-system';
+import { File } from 'expo-file-system/next';
+import * as DocumentPicker from 'expo-document-picker';
+import JSZip from 'jszip';
+import { saveObject, savePictureMetadata, savePictureLocation } from './localStorage';
+import { uploadImageToUserFolder, deletePictureAndObjects } from './storageService';
+import { getActiveInventory } from './exportService';
+import { getLocations, createLocation } from './locationService';
+import { QUOTA_METRICS, consumeQuota, refundQuota, getQuotaExceededMessage } from './quotaService';
+import { isOnline } from '../utils/networkUtils';
+import { safeUserId } from '../utils/userIdUtils';
+import { MANIFEST_FILE } from '../utils/exportUtils';
+import { LOCATION_KINDS } from '../utils/locationUtils';
+import {
+  readEndOfCentralDirectory,
+  parseCentralDirectory,
+  getEntryDataOffset,
+  buildSingleEntryArchive,
+  MAX_END_OF_CENTRAL_DIRECTORY_SIZE,
+} from '../utils/zipUtils';
+import {
+  manifestToImportPictures,
+  csvToImportPictures,
+  getPictureFingerprint,
+  resolveLocationNames,
+} from '../utils/importUtils';
+
+const IMPORT_DIR = `${FileSystem.cacheDirectory}imports/`;
+
+// Why a picture in the preview won't be imported
+export const IMPORT_SKIP_REASONS = {
+  NO_IMAGE: 'no_image',
+  IMAGE_NOT_IN_ARCHIVE: 'image_not_in_archive',
+};
+
+export const IMPORT_SKIP_LABELS = {
+  [IMPORT_SKIP_REASONS.NO_IMAGE]: 'No photo',
+  [IMPORT_SKIP_REASONS.IMAGE_NOT_IN_ARCHIVE]: 'Photo missing from archive',
+};
+
+/**
+ * Let the user choose a SnapFind export (.zip) or a CSV from another app
+ * @returns {Promise<{uri: string, name: string}|null>} - Chosen file, or null if cancelled
+ */
+export const pickImportFile = async () => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: ['application/zip', 'application/x-zip-compressed', 'text/csv', 'text/comma-separated-values', 'text/plain'],
+    copyToCacheDirectory: true,
+  });
+
+  if (result.canceled || !result.assets?.length) {
+    return null;
+  }
+
+  return { uri: result.assets[0].uri, name: result.assets[0].name || '' };
+};
+
+// Bytes [start, start + length) of a file on disk
+const readFileRange = (uri, start, length) => {
+  const handle = new File(uri).open();
+  try {
+    handle.offset = start;
+    return handle.readBytes(length);
+  } finally {
+    handle.close();
+  }
+};
+
+// List the files in a zip from its central directory, without reading the files themselves
+const openArchive = (uri) => {
+  const size = new File(uri).size;
+  const tailLength = Math.min(size, MAX_END_OF_CENTRAL_DIRECTORY_SIZE);
+  const { directoryOffset, directorySize } = readEndOfCentralDirectory(readFileRange(uri, size - tailLength, tailLength));
+
+  return { uri, entries: parseCentralDirectory(readFileRange(uri, directoryOffset, directorySize)) };
+};
+
+// Unpack one file of an archive; only that file is read from disk.
+// type is a JSZip output type such as 'string' or 'base64'.
+const readArchiveEntry = async (archive, entry, type) => {
+  const dataOffset = getEntryDataOffset(entry, readFileRange(archive.uri, entry.offset, 30));
+  const localFile = readFileRange(archive.uri, entry.offset, dataOffset - entry.offset + entry.compressedSize);
+
+  const zip = await JSZip.loadAsync(buildSingleEntryArchive(entry, localFile));
+  return zip.file(entry.name).async(type);
+};
+
+/**
+ * Read an import file into a list of pictures to import
+ * A zip with manifest.json is a SnapFind export; any other zip must hold a CSV next to its images.
+ * Only the zip's file list, its manifest or CSV are read here; each image is read when it is imported.
+ * @param {{uri: string, name: string}} file - File from pickImportFile
+ * @returns {Promise<{kind: string, pictures: Array, archive: Object|null}>} - kind is 'snapfind' or 'csv'
+ * @throws {Error} - If the file can't be read or has no usable data
+ */
+export const loadImportFile = async (file) => {
+  if (!/\.zip$/i.test(file.name)) {
+    const text = await FileSystem.readAsStringAsync(file.uri);
+    return { kind: 'csv', pictures: csvToImportPictures(text), archive: null };
+  }
+
+  const archive = openArchive(file.uri);
+
+  const manifestEntry = archive.entries.find(entry => entry.name === MANIFEST_FILE);
+  if (manifestEntry) {
+    const manifest = JSON.parse(await readArchiveEntry(archive, manifestEntry, 'string'));
+    return { kind: 'snapfind', pictures: manifestToImportPictures(manifest), archive };
+  }
+
+  const csvEntry = archive.entries.find(entry => /\.csv$/i.test(entry.name));
+  if (!csvEntry) {
+    throw new Error('This zip has neither a SnapFind manifest nor a CSV file.');
+  }
+
+  return { kind: 'csv', pictures: csvToImportPictures(await readArchiveEntry(archive, csvEntry, 'string')), archive };
+};
+
+// Archive entry for an image path, also trying it relative to the CSV's folder
+const findArchiveImage = (archive, path) => {
+  if (!archive) return null;
+  return archive.entries.find(entry => entry.name === path)
+    || archive.entries.find(entry => entry.name.endsWith(`/${path}`))
+    || null;
+};
+
+// CSV paths from other apps (and SnapFind's own objects.csv) usually start at the room;
+// when the user has a single home, put them inside it
+const getLocationNames = (source, picture, locations) => {
+  const names = picture.location_names;
+  const homes = locations.filter(location => !location.parent_id);
+
+  if (source.kind !== 'csv' || names.length === 0 || names.length >= LOCATION_KINDS.length || homes.length !== 1) {
+    return names;
+  }
+
+  if (homes[0].name.trim().toLowerCase() === names[0].toLowerCase()) {
+    return names;
+  }
+
+  return [homes[0].name, ...names];
+};
+
+/**
+ * Dry run: work out what an import would do without changing anything
+ * Pictures whose name and objects match an existing picture are marked as duplicates, so
+ * running the same import twice (or resuming a stopped one) doesn't copy everything again.
+ * @param {string} userId - User ID
+ * @param {Object} source - Result of loadImportFile
+ * @returns {Promise<Object>} - { items, newLocations, counts: { total, importable, duplicates, skipped, objects } };
+ *          each item is { picture, locationNames, duplicate, skipReason }
+ */
+export const previewImport = async (userId, source) => {
+  const user_id = safeUserId(userId);
+  const [{ pictures, objects }, locations] = await Promise.all([
+    getActiveInventory(user_id),
+    getLocations(user_id),
+  ]);
+
+  const objectNamesByPicture = {};
+  objects.forEach(object => {
+    (objectNamesByPicture[object.picture_id] = objectNamesByPicture[object.picture_id] || []).push(object.object_name);
+  });
+  const existingFingerprints = new Set(pictures.map(picture =>
+    getPictureFingerprint(picture.picture_name, objectNamesByPicture[picture.id] || [])
+  ));
+
+  const seenFingerprints = new Set();
+  const newLocations = new Set();
+
+  const items = source.pictures.map(picture => {
+    const fingerprint = getPictureFingerprint(picture.picture_name, picture.objects.map(object => object.object_name));
+    const duplicate = existingFingerprints.has(fingerprint) || seenFingerprints.has(fingerprint);
+    seenFingerprints.add(fingerprint);
+
+    let skipReason = null;
+    if (!picture.image) {
+      skipReason = IMPORT_SKIP_REASONS.NO_IMAGE;
+    } else if (picture.image.type === 'archive' && !findArchiveImage(source.archive, picture.image.path)) {
+      skipReason = IMPORT_SKIP_REASONS.IMAGE_NOT_IN_ARCHIVE;
+    }
+
+    const locationNames = getLocationNames(source, picture, locations);
+    if (!skipReason && !duplicate) {
+      const { missingNames } = resolveLocationNames(locations, locationNames);
+      if (missingNames.length > 0) {
+        newLocations.add(locationNames.join(' › '));
+      }
+    }
+
+    return { picture, locationNames, duplicate, skipReason };
+  });
+
+  const importable = items.filter(item => !item.skipReason && !item.duplicate);
+
+  return {
+    items,
+    newLocations: [...newLocations].sort(),
+    counts: {
+      total: items.length,
+      importable: importable.length,
+      duplicates: items.filter(item => !item.skipReason && item.duplicate).length,
+      skipped: items.filter(item => item.skipReason).length,
+      objects: importable.reduce((sum, item) => sum + item.picture.objects.length, 0),
+    },
+  };
+};
+
+// Find or create every location on a path; returns the deepest one
+const ensureLocationPath = async (user_id, locations, names) => {
+  let { location, missingNames } = resolveLocationNames(locations, names);
+
+  for (const name of missingNames) {
+    const created = await createLocation(user_id, name, location);
+    if (!created) break;
+    locations.push(created);
+    location = created;
+  }
+
+  return location;
+};
+
+// Put an import image on disk so it can go through the normal upload
+const writeImageToFile = async (source, image) => {
+  const extension = (image.path.split('?')[0].match(/\.(jpe?g|png|heic|webp)$/i)?.[1] || 'jpg').toLowerCase();
+  const localUri = `${IMPORT_DIR}import_${Date.now()}.${extension}`;
+
+  if (image.type === 'url') {
+    const { status } = await FileSystem.downloadAsync(image.path, localUri);
+    if (status !== 200) {
+      throw new Error(`Photo download failed (HTTP ${status})`);
+    }
+  } else {
+    const base64 = await readArchiveEntry(source.archive, findArchiveImage(source.archive, image.path), 'base64');
+    await FileSystem.writeAsStringAsync(localUri, base64, { encoding: FileSystem.EncodingType.Base64 });
+  }
+
+  return localUri;
+};
+
+// Save a picture's row and objects; throws if any of them could not be saved
+const savePictureContents = async (user_id, imageUrl, picture) => {
+  const pictureSaved = await savePictureMetadata(imageUrl, picture.picture_name, picture.description, user_id);
+  if (!pictureSaved) {
+    throw new Error('Could not save the picture');
+  }
+
+  for (const object of picture.objects) {
+    const objectSaved = await saveObject({ ...object, image_url: imageUrl }, user_id, imageUrl);
+    if (!objectSaved) {
+      throw new Error(`Could not save object "${object.object_name}"`);
+    }
+  }
+};
+
+// Upload one picture and recreate its row, objects and location the way a capture would.
+// A picture that fails halfway is moved to Trash, so it neither lingers with missing objects nor
+// stops a later run from importing it again. error.partial is set if even that failed.
+const importPicture = async (user_id, source, item, locations) => {
+  const localUri = await writeImageToFile(source, item.picture.image);
+
+  try {
+    const imageUrl = await uploadImageToUserFolder(localUri, user_id, { showAlerts: false });
+    if (!imageUrl) {
+      throw new Error('Upload failed');
+    }
+
+    try {
+      await savePictureContents(user_id, imageUrl, item.picture);
+    } catch (error) {
+      const rollback = await deletePictureAndObjects(user_id, imageUrl);
+      error.partial = !rollback.success;
+      throw error;
+    }
+
+    if (item.locationNames.length > 0) {
+      const location = await ensureLocationPath(user_id, locations, item.locationNames);
+      if (location) {
+        await savePictureLocation(imageUrl, location.id, user_id);
+      }
+    }
+  } finally {
+    await FileSystem.deleteAsync(localUri, { idempotent: true });
+  }
+};
+
+/**
+ * Import the pictures a preview marked as importable
+ * Each imported picture counts against the picture quota; one that fails to import doesn't.
+ * When the quota runs out the import stops; running it again later skips what was already imported.
+ * @param {string} userId - User ID
+ * @param {Object} source - Result of loadImportFile
+ * @param {Object} preview - Result of previewImport
+ * @param {Object} options - Import options
+ * @param {boolean} options.includeDuplicates - Also import pictures marked as duplicates
+ * @param {Function} options.onProgress - Called with (done, total) after each picture
+ * @returns {Promise<{imported: number, failed: Array<{name: string, error: string, partial: boolean}>, stoppedReason: string|null}>}
+ *          partial marks a picture that was left half imported and could not be moved to Trash
+ */
+export const runImport = async (userId, source, preview, { includeDuplicates = false, onProgress } = {}) => {
+  const user_id = safeUserId(userId);
+  const items = preview.items.filter(item => !item.skipReason && (includeDuplicates || !item.duplicate));
+  const failed = [];
+  let imported = 0;
+
+  if (!(await isOnline())) {
+    return { imported, failed, stoppedReason: 'You\'re offline. Connect to the internet to import.' };
+  }
+
+  await FileSystem.makeDirectoryAsync(IMPORT_DIR, { intermediates: true });
+  const locations = await getLocations(user_id);
+
+  console.log('📥 Importing', items.length, 'pictures for user:', user_id);
+
+  for (let i = 0; i < items.length; i++) {
+    onProgress?.(i, items.length);
+
+    const quota = await consumeQuota(user_id, QUOTA_METRICS.PICTURES);
+    if (!quota.allowed) {
+      const stoppedReason = quota.error
+        ? `Import stopped: ${quota.error}`
+        : getQuotaExceededMessage(QUOTA_METRICS.PICTURES, quota);
+      console.log('🚫 Import stopped after', imported, 'pictures:', stoppedReason);
+      return { imported, failed, stoppedReason };
+    }
+
+    try {
+      await importPicture(user_id, source, items[i], locations);
+      imported++;
+    } catch (error) {
+      console.error('❌ Error importing picture:', items[i].picture.picture_name, error);
+      failed.push({ name: items[i].picture.picture_name, error: error.message, partial: !!error.partial });
+      await refundQuota(user_id, quota.consumptionId);
+    }
+  }
+
+  onProgress?.(items.length, items.length);
+  console.log(`✅ Import complete: ${imported} imported, ${failed.length} failed`);
+  return { imported, failed, stoppedReason: null };
+};
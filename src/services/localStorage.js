@@ -1,10 +1,102 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { supabase } from './supabase';
 import { safeUserId, debugUserId, getCurrentUserId } from '../utils/userIdUtils';
-import { createStorageReference } from './storageService';
+import { createStorageReference } from '../utils/imageUtils';
+import { rankSearchResults, rankPictureResults, mergeRankedResults, getCandidateTerms } from '../utils/searchUtils';
+import { cosineSimilarity } from '../utils/vectorUtils';
+import { isOnline } from '../utils/networkUtils';
+import { getObjectIdentityKey, getSightingNamePattern } from '../utils/sightingUtils';
+import { fetchAllRows } from '../utils/queryUtils';
+import {
+  embedText,
+  embedTexts,
+  saveLocalEmbeddings,
+  getLocalEmbeddings,
+  getLocalEmbedding,
+  getObjectEmbeddingKey,
+  getPictureEmbeddingKey,
+  getPictureEmbeddingText,
+  getEmbeddingModelId,
+} from './embeddingService';
+import {
+  OUTBOX_OPS,
+  enqueueOutboxOperation,
+  getOutboxOperations,
+  removeOutboxOperation,
+  recordOutboxFailure,
+} from './syncOutbox';
 
 const STORAGE_KEY = 'snapfind_objects';
 const SYNC_KEY = 'snapfind_last_sync';
+const SYNC_CURSOR_KEY = 'snapfind_sync_cursor'; // Newest server updated_at seen, per user
+const SYNC_PAGE_SIZE = 500;
+const SEMANTIC_MATCH_COUNT = 30;
+const SEARCH_CANDIDATE_COUNT = 200; // Server-side text matches ranked on the device
+const EMBEDDING_BACKFILL_BATCH = 50;
+
+// Whether a local object has reached the server
+export const SYNC_STATUS = {
+  SYNCED: 'synced',
+  PENDING: 'pending',
+};
+
+// Columns selected from the objects_with_pictures view
+const OBJECT_VIEW_COLUMNS = `
+  object_id,
+  client_id,
+  object_name,
+  picture_id,
+  x_position,
+  y_position,
+  box_left,
+  box_top,
+  box_width,
+  box_height,
+  confidence,
+  has_ai_coordinates,
+  deleted,
+  object_created_at,
+  object_updated_at,
+  user_id,
+  image_url,
+  picture_name,
+  description,
+  location_id
+`;
+
+// Transform an objects_with_pictures row into the local object format
+const transformViewObject = (obj) => ({
+  id: obj.object_id,
+  client_id: obj.client_id,
+  object_name: obj.object_name,
+  picture_id: obj.picture_id,
+  x_position: obj.x_position,
+  y_position: obj.y_position,
+  box_left: obj.box_left,
+  box_top: obj.box_top,
+  box_width: obj.box_width,
+  box_height: obj.box_height,
+  confidence: obj.confidence,
+  has_ai_coordinates: obj.has_ai_coordinates,
+  deleted: obj.deleted,
+  created_at: obj.object_created_at,
+  updated_at: obj.object_updated_at,
+  user_id: obj.user_id,
+  image_url: obj.image_url,
+  picture_name: obj.picture_name,
+  description: obj.description,
+  location_id: obj.location_id ?? null,
+  sync_status: SYNC_STATUS.SYNCED
+});
+
+// View row for screens that show the picture name, with a dated name for untitled pictures
+const transformViewObjectWithPicture = (obj) => ({
+  ...transformViewObject(obj),
+  picture_name: obj.picture_name || `Picture ${new Date(obj.object_created_at).toLocaleDateString()}`,
+});
+
+// Compare two timestamps; false when either is missing
+const isNewer = (a, b) => !!a && !!b && new Date(a).getTime() > new Date(b).getTime();
 
 // Funny default picture name generator
 const generateFunnyPictureName = () => {
@@ -42,7 +134,290 @@ const releaseMutex = () => {
   isWriting = false;
 };
 
+// ====== SYNC PUSH HELPERS ======
+// These write to local storage without taking writeMutex; callers must already hold it.
+
+// Find the picture row for an image, creating it if needed
+const ensurePictureRecord = async (user_id, standardizedImageUrl) => {
+  const { data: existingPictures, error: selectError } = await supabase
+    .from('pictures')
+    .select('id, deleted, updated_at')
+    .eq('user_id', String(user_id))
+    .eq('image_url', standardizedImageUrl)
+    .limit(1);
+  
+  if (selectError) {
+    console.error('❌ Error checking for existing picture:', selectError);
+    throw selectError;
+  }
+  
+  if (existingPictures && existingPictures.length > 0) {
+    console.log('📋 Found existing picture:', existingPictures[0].id);
+    return existingPictures[0];
+  }
+  
+  // Create new picture record
+  const { data: newPicture, error: insertError } = await supabase
+    .from('pictures')
+    .insert([{
+      user_id: String(user_id),
+      image_url: standardizedImageUrl,
+      picture_name: generateFunnyPictureName(),
+      description: `Contains detected objects`
+    }])
+    .select('id, deleted, updated_at')
+    .single();
+  
+  if (insertError) {
+    console.error('❌ Error creating picture record:', insertError);
+    throw insertError;
+  }
+  
+  console.log('📝 Created new picture:', newPicture.id);
+  return newPicture;
+};
+
+// Swap a pending local object for its server version
+const markLocalObjectSynced = async (client_id, serverObject) => {
+  const storedObjects = await AsyncStorage.getItem(STORAGE_KEY);
+  const allObjects = storedObjects ? JSON.parse(storedObjects) : [];
+  
+  const updatedObjects = serverObject.deleted
+    ? allObjects.filter(obj => obj.client_id !== client_id)
+    : allObjects.map(obj => obj.client_id === client_id
+        ? { ...obj, id: serverObject.id, updated_at: serverObject.updated_at, sync_status: SYNC_STATUS.SYNCED }
+        : obj
+      );
+  
+  await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(updatedObjects));
+};
+
+const pushObjectInsert = async (operation) => {
+  const object = operation.payload;
+  const picture = await ensurePictureRecord(operation.user_id, object.image_url);
+  
+  // The vector is made after the object is saved, so a queued insert picks it up from the local index
+  const embedding = object.embedding
+    ? { vector: object.embedding, model: object.embedding_model }
+    : await getLocalEmbedding(getObjectEmbeddingKey(object.image_url, object.object_name));
+  
+  // Upsert on client_id so a retry after a lost response updates the same row.
+  // Objects added to a picture that is in the trash go to the trash with it.
+  const { data: savedObject, error } = await supabase
+    .from('objects')
+    .upsert([{
+      client_id: object.client_id,
+      object_name: object.object_name,
+      picture_id: picture.id,
+      deleted: !!picture.deleted,
+      x_position: object.x_position ?? null,
+      y_position: object.y_position ?? null,
+      box_left: object.box_left ?? null,
+      box_top: object.box_top ?? null,
+      box_width: object.box_width ?? null,
+      box_height: object.box_height ?? null,
+      confidence: object.confidence ?? null,
+      has_ai_coordinates: object.has_ai_coordinates || false,
+      embedding: embedding?.vector ?? null,
+      embedding_model: embedding?.model ?? null,
+    }], { onConflict: 'client_id' })
+    .select('id, deleted, updated_at')
+    .single();
+  
+  if (error) {
+    console.error('❌ Error saving object to Supabase:', error);
+    throw error;
+  }
+  
+  await markLocalObjectSynced(object.client_id, savedObject);
+};
+
+const pushImageDeleted = async (operation) => {
+  const { image_url, deleted } = operation.payload;
+  
+  const { data: pictures, error } = await supabase
+    .from('pictures')
+    .select('id')
+    .eq('user_id', String(operation.user_id))
+    .eq('image_url', image_url)
+    .limit(1);
+  
+  if (error) {
+    throw error;
+  }
+  
+  if (!pictures || pictures.length === 0) {
+    console.log('📭 Picture no longer exists, dropping queued change:', image_url);
+    return;
+  }
+  
+  // Always applied: changed_at comes from the device clock, so comparing it with the server's
+  // updated_at would let clock skew decide. Queued deletes and restores still apply in order.
+  const { error: rpcError } = await supabase
+    .rpc(deleted ? 'soft_delete_objects_by_image' : 'restore_objects_by_image', {
+      p_user_id: operation.user_id,
+      p_image_url: image_url
+    });
+  
+  if (rpcError) {
+    throw rpcError;
+  }
+};
+
+const pushPictureLocation = async (operation) => {
+  const { image_url, location_id } = operation.payload;
+
+  // The picture row may not exist yet if its objects were saved offline
+  const picture = await ensurePictureRecord(operation.user_id, image_url);
+
+  const { error } = await supabase
+    .from('pictures')
+    .update({ location_id })
+    .eq('id', picture.id);
+
+  if (error) {
+    throw error;
+  }
+};
+
+// Apply edits with the apply_object_edits RPC and return the picture's objects as the server has
+// them. Added objects carry a client_id, so a retried call inserts them only once.
+const callApplyObjectEdits = async (standardizedImageUrl, { added, updated, removedIds }) => {
+  // The RPC keeps an updated object's vector unless its name changed
+  const newNames = [...new Set([...added, ...updated].map(obj => obj.object_name))];
+  const embeddings = newNames.length > 0 ? await embedTexts(newNames) : null;
+  const getEmbedding = (name) => {
+    const index = newNames.indexOf(name);
+    return embeddings && index !== -1
+      ? { embedding: JSON.stringify(embeddings.vectors[index]), embedding_model: embeddings.model }
+      : { embedding: null, embedding_model: null };
+  };
+
+  const { data, error } = await supabase.rpc('apply_object_edits', {
+    p_image_url: standardizedImageUrl,
+    p_added: added.map(obj => ({ ...obj, ...getEmbedding(obj.object_name) })),
+    p_updated: updated.map(obj => ({ ...obj, id: String(obj.id), ...getEmbedding(obj.object_name) })),
+    p_removed_ids: removedIds.map(String),
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  if (embeddings) {
+    await saveLocalEmbeddings(newNames.map((name, i) => ({
+      key: getObjectEmbeddingKey(standardizedImageUrl, name),
+      model: embeddings.model,
+      vector: embeddings.vectors[i],
+    })));
+  }
+
+  return (data || []).map(transformViewObject);
+};
+
+// Replace the local copies of a picture's objects with the server's after an edit.
+// Objects that never reached the server stay; their inserts are still in the outbox.
+// Local copies changed by this edit while offline are replaced like the rest.
+const replaceLocalPictureObjects = async (user_id, standardizedImageUrl, savedObjects, { updated, removedIds }) => {
+  const savedClientIds = new Set(savedObjects.map(obj => obj.client_id).filter(Boolean));
+  const editedIds = new Set([...updated.map(obj => obj.id), ...removedIds].map(String));
+  const storedObjects = await AsyncStorage.getItem(STORAGE_KEY);
+  const allObjects = storedObjects ? JSON.parse(storedObjects) : [];
+  const otherObjects = allObjects.filter(obj =>
+    obj.user_id !== user_id ||
+    createStorageReference(obj.image_url) !== standardizedImageUrl ||
+    (obj.sync_status === SYNC_STATUS.PENDING && !savedClientIds.has(obj.client_id) && !editedIds.has(String(obj.id)))
+  );
+
+  await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify([...otherObjects, ...savedObjects]));
+};
+
+// A queued edit names objects whose insert was still in the outbox by their local IDs
+// (pendingIds). Those inserts are pushed first, so swap in the server IDs they got; objects
+// that are gone since are left out. Throws while one of the inserts still hasn't gone through.
+const resolvePendingObjectIds = async ({ added, updated, removedIds, pendingIds = [] }) => {
+  if (pendingIds.length === 0) {
+    return { added, updated, removedIds };
+  }
+
+  const storedObjects = await AsyncStorage.getItem(STORAGE_KEY);
+  const allObjects = storedObjects ? JSON.parse(storedObjects) : [];
+  const serverIds = new Map(pendingIds.map(clientId => {
+    const object = allObjects.find(obj => obj.client_id === clientId);
+    if (object && object.id === object.client_id) {
+      throw new Error(`Object ${clientId} has not reached the server yet`);
+    }
+    return [clientId, object ? object.id : null];
+  }));
+  const resolveId = id => serverIds.has(String(id)) ? serverIds.get(String(id)) : id;
+
+  return {
+    added,
+    updated: updated.map(obj => ({ ...obj, id: resolveId(obj.id) })).filter(obj => obj.id !== null),
+    removedIds: removedIds.map(resolveId).filter(id => id !== null),
+  };
+};
+
+const pushObjectEdits = async (operation) => {
+  const { image_url, ...queuedEdits } = operation.payload;
+  const edits = await resolvePendingObjectIds(queuedEdits);
+  const savedObjects = await callApplyObjectEdits(image_url, edits);
+  await replaceLocalPictureObjects(operation.user_id, image_url, savedObjects, edits);
+};
+
+// Send one outbox operation to Supabase; throws if it has to be retried
+const pushOutboxOperation = async (operation) => {
+  switch (operation.type) {
+    case OUTBOX_OPS.INSERT_OBJECT:
+      return pushObjectInsert(operation);
+    case OUTBOX_OPS.SET_IMAGE_DELETED:
+      return pushImageDeleted(operation);
+    case OUTBOX_OPS.SET_PICTURE_LOCATION:
+      return pushPictureLocation(operation);
+    case OUTBOX_OPS.APPLY_OBJECT_EDITS:
+      return pushObjectEdits(operation);
+    default:
+      console.warn('⚠️ Unknown sync operation, dropping:', operation.type);
+  }
+};
+
+// Embed a saved object for semantic search. Runs after the save so a slow or unreachable embedding
+// provider never holds it up; if it fails, backfillEmbeddings embeds the object later.
+const embedSavedObject = async (object) => {
+  const embedding = await embedText(object.object_name);
+  if (!embedding) {
+    return;
+  }
+  
+  await saveLocalEmbeddings([{
+    key: getObjectEmbeddingKey(object.image_url, object.object_name),
+    model: embedding.model,
+    vector: embedding.vector,
+  }]);
+  
+  // Matches no row while the insert is still queued; the queued insert reads the local index instead
+  const { error } = await supabase
+    .from('objects')
+    .update({ embedding: embedding.vector, embedding_model: embedding.model })
+    .eq('client_id', object.client_id);
+  
+  if (error) {
+    console.warn('⚠️ Embedding could not be saved to Supabase:', error.message);
+  }
+};
+
+/**
+ * Save an object locally and queue its insert for Supabase
+ * @param {Object} objectData - Object fields (object_name, positions, ...)
+ * @param {string} user_id - User ID
+ * @param {string} imageUrl - Image URL, if objectData has no image_url
+ * @returns {Promise<boolean>} - Whether the object is saved (an identical object already saved counts);
+ *                               a failed Supabase insert still counts, since the next sync retries it
+ */
 export const saveObject = async (objectData, user_id = null, imageUrl = null) => {
+  let savedObject = null;
+  let isSaved = false;
+  
   try {
     await writeMutex();
     
@@ -59,7 +434,7 @@ export const saveObject = async (objectData, user_id = null, imageUrl = null) =>
     
     if (!user_id) {
       console.error('❌ No valid user ID available for saving object');
-      return;
+      return false;
     }
 
     console.log('💾 Saving object to localStorage for user:', user_id);
@@ -67,101 +442,60 @@ export const saveObject = async (objectData, user_id = null, imageUrl = null) =>
     const existingObjects = await getAllObjects();
     
     // Create object with unique ID, standardizing the image reference
+    // The local ID doubles as client_id so retried inserts never create duplicates on the server
     const standardizedImageUrl = createStorageReference(objectData.image_url || imageUrl);
+    const localId = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const now = new Date().toISOString();
     const objectToSave = {
-      id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      id: localId,
       ...objectData,
+      client_id: localId,
       image_url: standardizedImageUrl, // Use standardized reference
       user_id, // Keep for local storage compatibility
-      created_at: new Date().toISOString(),
+      created_at: now,
+      updated_at: now,
+      sync_status: SYNC_STATUS.PENDING,
     };
     
-    // Check for duplicates (same image_url and object_name)
+    // Check for duplicates (same image_url, object_name and position); two objects with
+    // the same name in different places are both kept
     const isDuplicate = existingObjects.some(obj => 
       obj.image_url === standardizedImageUrl && 
       obj.object_name === objectToSave.object_name &&
+      (obj.x_position ?? null) === (objectToSave.x_position ?? null) &&
+      (obj.y_position ?? null) === (objectToSave.y_position ?? null) &&
       obj.user_id === user_id
     );
     
     if (isDuplicate) {
       console.log('⚠️ Duplicate object detected, skipping:', objectToSave.object_name);
-      return;
+      return true;
     }
     
     const updatedObjects = [...existingObjects, objectToSave];
     await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(updatedObjects));
     
     console.log('✅ Object saved to localStorage:', objectToSave.object_name);
+    savedObject = objectToSave;
+    isSaved = true;
+    
+    // Queue the insert before trying Supabase so it survives a failed request
+    const operation = await enqueueOutboxOperation(
+      user_id,
+      OUTBOX_OPS.INSERT_OBJECT,
+      objectToSave,
+      now
+    );
     
-    // Also save to Supabase database with new picture_id relationship
     try {
       console.log('💾 Inserting to Supabase with picture relationship...');
-      
-      // First, ensure the picture exists and get its ID
-      let picture_id = null;
-      
-      // Check if picture already exists
-      const { data: existingPictures, error: selectError } = await supabase
-        .from('pictures')
-        .select('id')
-        .eq('user_id', String(user_id))
-        .eq('image_url', standardizedImageUrl)
-        .limit(1);
-      
-      if (selectError) {
-        console.error('❌ Error checking for existing picture:', selectError);
-        throw selectError;
-      }
-      
-      if (existingPictures && existingPictures.length > 0) {
-        picture_id = existingPictures[0].id;
-        console.log('📋 Found existing picture:', picture_id);
-      } else {
-        // Create new picture record
-        const defaultName = generateFunnyPictureName();
-        const defaultDescription = `Contains detected objects`;
-        
-        const { data: newPicture, error: insertError } = await supabase
-          .from('pictures')
-          .insert([{
-            user_id: String(user_id),
-            image_url: standardizedImageUrl,
-            picture_name: defaultName,
-            description: defaultDescription
-          }])
-          .select('id')
-          .single();
-        
-        if (insertError) {
-          console.error('❌ Error creating picture record:', insertError);
-          throw insertError;
-        }
-        
-        picture_id = newPicture.id;
-        console.log('📝 Created new picture:', picture_id);
-      }
-      
-      // Now save the object with picture_id reference
-      const { error } = await supabase
-        .from('objects')
-        .insert([{
-          object_name: objectToSave.object_name,
-          picture_id: picture_id, // Use picture_id instead of user_id and image_url
-          deleted: false, // Ensure new objects are not marked as deleted
-          x_position: objectToSave.x_position || null,
-          y_position: objectToSave.y_position || null,
-          has_ai_coordinates: objectToSave.has_ai_coordinates || false,
-        }]);
-      
-      if (error) {
-        console.error('❌ Error saving object to Supabase:', error);
-        debugUserId(user_id, 'Supabase object insert error');
-      } else {
-        console.log('☁️ Object saved to Supabase with picture relationship');
-      }
+      await pushOutboxOperation(operation);
+      await removeOutboxOperation(operation.id);
+      console.log('☁️ Object saved to Supabase with picture relationship');
     } catch (supabaseError) {
-      console.error('❌ Supabase save error:', supabaseError);
+      console.error('❌ Supabase save error, will retry on next sync:', supabaseError);
       debugUserId(user_id, 'Supabase save exception');
+      await recordOutboxFailure(operation.id, supabaseError);
     }
     
   } catch (error) {
@@ -169,6 +503,14 @@ export const saveObject = async (objectData, user_id = null, imageUrl = null) =>
   } finally {
     releaseMutex();
   }
+  
+  if (savedObject) {
+    embedSavedObject(savedObject).catch(error => {
+      console.error('❌ Error embedding saved object:', error);
+    });
+  }
+  
+  return isSaved;
 };
 
 export const getAllObjects = async (user_id = null) => {
@@ -199,31 +541,158 @@ export const getAllObjects = async (user_id = null) => {
   }
 };
 
-export const searchObjects = async (query, user_id = null) => {
+const countObjectsByImage = (objects) => {
+  const objectCounts = {};
+  objects.forEach(obj => {
+    objectCounts[obj.image_url] = (objectCounts[obj.image_url] || 0) + 1;
+  });
+  return objectCounts;
+};
+
+// Pictures derived from local objects, using the picture name and description synced with each object
+const groupObjectsIntoPictures = (objects) => {
+  const picturesByImage = {};
+  objects.forEach(obj => {
+    const existing = picturesByImage[obj.image_url];
+    if (!existing || new Date(obj.created_at) < new Date(existing.created_at)) {
+      picturesByImage[obj.image_url] = {
+        id: obj.picture_id || obj.image_url,
+        image_url: obj.image_url,
+        picture_name: obj.picture_name,
+        description: obj.description,
+        location_id: obj.location_id ?? null,
+        created_at: obj.created_at,
+      };
+    }
+  });
+  return Object.values(picturesByImage);
+};
+
+// Rank object hits and picture hits together; pictures carry how many objects they contain
+// (counted by the server when it sent them, otherwise from the given objects)
+const rankObjectsAndPictures = (query, objects, pictures) => {
+  const objectCounts = countObjectsByImage(objects);
+  
+  const objectHits = rankSearchResults(query, objects)
+    .map(obj => ({ ...obj, result_type: 'object' }));
+  const pictureHits = rankPictureResults(query, pictures)
+    .map(picture => ({
+      ...picture,
+      result_type: 'picture',
+      object_count: picture.object_count ?? objectCounts[picture.image_url] ?? 0,
+    }));
+  
+  return mergeRankedResults(objectHits, pictureHits);
+};
+
+// Offline version of searchObjectsAndPictures
+const searchObjectsAndPicturesLocally = async (query, user_id) => {
+  const objects = (await getAllObjects(user_id)).filter(obj => !obj.deleted);
+  const results = rankObjectsAndPictures(query, objects, groupObjectsIntoPictures(objects));
+  console.log(`🔍 Local search for "${query}" returned ${results.length} object and picture results`);
+  return results;
+};
+
+/**
+ * Search object names, picture names and picture descriptions in one go
+ * @param {string} query - Search text
+ * @param {string} user_id - User ID
+ * @returns {Promise<Array>} - Hits ranked by relevance. result_type is 'object' or 'picture',
+ *                             matched_field is the field that matched
+ */
+export const searchObjectsAndPictures = async (query, user_id = null) => {
   try {
     // Get current user if not provided
     if (!user_id) {
-      const { data: { user } } = await supabase.auth.getUser();
-      user_id = user?.id;
+      user_id = await getCurrentUserId(supabase);
+    } else {
+      user_id = safeUserId(user_id);
     }
     
-    const objects = await getAllObjects(user_id);
-    const lowerQuery = query.toLowerCase();
+    if (!user_id) {
+      console.log('⚠️ No user authenticated for search');
+      return [];
+    }
     
-    const filteredObjects = objects.filter(obj => 
-      obj.object_name && obj.object_name.toLowerCase().includes(lowerQuery)
-    );
+    const terms = getCandidateTerms(query);
+    if (terms.length === 0) {
+      return [];
+    }
+    
+    // Only the candidates close to the query come back; the device ranks them
+    const params = {
+      p_user_id: String(user_id),
+      p_terms: terms,
+      p_match_count: SEARCH_CANDIDATE_COUNT,
+    };
+    
+    const [objectsResult, picturesResult] = await Promise.all([
+      supabase.rpc('search_objects', params),
+      supabase.rpc('search_pictures', params),
+    ]);
     
-    console.log(`🔍 Search for "${query}" returned ${filteredObjects.length} results for user ${user_id}`);
-    return filteredObjects;
+    if (objectsResult.error || picturesResult.error) {
+      console.error('❌ Error searching in database:', objectsResult.error || picturesResult.error);
+      return await searchObjectsAndPicturesLocally(query, user_id);
+    }
+    
+    const objects = (objectsResult.data || []).map(obj => ({
+      ...transformViewObject(obj),
+      picture_name: obj.picture_name || `Picture ${new Date(obj.object_created_at).toLocaleDateString()}`,
+    }));
+    
+    const results = rankObjectsAndPictures(query, objects, picturesResult.data || []);
+    console.log(`🔍 Search for "${query}" returned ${results.length} object and picture results for user ${user_id}`);
+    return results;
   } catch (error) {
-    console.error('❌ Error searching objects:', error);
-    return [];
+    console.error('❌ Error searching objects and pictures:', error);
+    return await searchObjectsAndPicturesLocally(query, user_id);
   }
 };
 
-// Search objects with picture names from database
-export const searchObjectsWithPictureNames = async (query, user_id = null) => {
+// ====== SEMANTIC SEARCH ======
+
+// Keep hits above the provider's similarity threshold, most similar first
+const finalizeSemanticHits = (hits, queryEmbedding) => hits
+  .filter(hit => hit.similarity >= queryEmbedding.minSimilarity)
+  .map(hit => ({ ...hit, matched_field: 'meaning', match_score: Math.round(hit.similarity * 100) }))
+  .sort((a, b) => b.similarity - a.similarity)
+  .slice(0, SEMANTIC_MATCH_COUNT);
+
+// Offline version of searchObjectsByMeaning, using the local embedding index
+const searchObjectsByMeaningLocally = async (queryEmbedding, user_id) => {
+  const objects = (await getAllObjects(user_id)).filter(obj => !obj.deleted);
+  const objectCounts = countObjectsByImage(objects);
+  const vectors = await getLocalEmbeddings(queryEmbedding.model);
+  
+  const scoreHit = (item, key, result_type) => vectors[key]
+    ? { ...item, result_type, similarity: cosineSimilarity(queryEmbedding.vector, vectors[key]) }
+    : null;
+  
+  const hits = [
+    ...objects.map(obj => scoreHit(obj, getObjectEmbeddingKey(obj.image_url, obj.object_name), 'object')),
+    ...groupObjectsIntoPictures(objects).map(picture => scoreHit(
+      { ...picture, object_count: objectCounts[picture.image_url] || 0 },
+      getPictureEmbeddingKey(picture.image_url),
+      'picture'
+    )),
+  ].filter(Boolean);
+  
+  const results = finalizeSemanticHits(hits, queryEmbedding);
+  console.log(`🧠 Local semantic search returned ${results.length} results`);
+  return results;
+};
+
+/**
+ * Search objects and pictures by meaning ("something to charge my phone" → "usb cable")
+ * @param {string} query - Natural-language query
+ * @param {string} user_id - User ID
+ * @returns {Promise<Array>} - Hits ranked by cosine similarity, same shape as searchObjectsAndPictures
+ *                             with matched_field 'meaning' and a similarity value
+ */
+export const searchObjectsByMeaning = async (query, user_id = null) => {
+  let queryEmbedding = null;
+  
   try {
     // Get current user if not provided
     if (!user_id) {
@@ -237,63 +706,122 @@ export const searchObjectsWithPictureNames = async (query, user_id = null) => {
       return [];
     }
     
-    const lowerQuery = query.toLowerCase();
+    queryEmbedding = await embedText(query);
+    if (!queryEmbedding) {
+      return [];
+    }
     
-    // Search in Supabase using the normalized view to get picture names
-    const { data: results, error } = await supabase
-      .from('objects_with_pictures')
-      .select(`
-        object_id,
-        object_name,
-        picture_id,
-        x_position,
-        y_position,
-        has_ai_coordinates,
-        deleted,
-        object_created_at,
-        user_id,
-        image_url,
-        picture_name,
-        description
-      `)
-      .eq('user_id', String(user_id))
-      .eq('deleted', false)
-      .ilike('object_name', `%${query}%`)
-      .order('object_created_at', { ascending: false });
+    const params = {
+      p_user_id: String(user_id),
+      p_query_embedding: queryEmbedding.vector,
+      p_embedding_model: queryEmbedding.model,
+      p_match_count: SEMANTIC_MATCH_COUNT,
+    };
     
-    if (error) {
-      console.error('❌ Error searching objects in database:', error);
-      // Fallback to local search
-      return await searchObjects(query, user_id);
+    const [objectsResult, picturesResult] = await Promise.all([
+      supabase.rpc('match_objects', params),
+      supabase.rpc('match_pictures', params),
+    ]);
+    
+    if (objectsResult.error || picturesResult.error) {
+      console.error('❌ Error in semantic search:', objectsResult.error || picturesResult.error);
+      return await searchObjectsByMeaningLocally(queryEmbedding, user_id);
     }
     
-    if (!results || results.length === 0) {
-      console.log(`🔍 No objects found for "${query}" in database for user ${user_id}`);
-      return [];
+    const hits = [
+      ...(objectsResult.data || []).map(row => ({
+        ...transformViewObject(row),
+        result_type: 'object',
+        similarity: row.similarity,
+      })),
+      ...(picturesResult.data || []).map(row => ({ ...row, result_type: 'picture' })),
+    ];
+    
+    const results = finalizeSemanticHits(hits, queryEmbedding);
+    console.log(`🧠 Semantic search for "${query}" returned ${results.length} results for user ${user_id}`);
+    return results;
+  } catch (error) {
+    console.error('❌ Error in semantic search:', error);
+    return queryEmbedding ? await searchObjectsByMeaningLocally(queryEmbedding, user_id) : [];
+  }
+};
+
+/**
+ * Embed objects and pictures that have no vector for the current model yet
+ * (saved before semantic search existed, or pulled from another device), one batch per call
+ * @param {string} user_id - User ID
+ * @returns {Promise<number>} - How many items were embedded
+ */
+export const backfillEmbeddings = async (user_id = null) => {
+  try {
+    // Get current user if not provided
+    if (!user_id) {
+      user_id = await getCurrentUserId(supabase);
+    } else {
+      user_id = safeUserId(user_id);
     }
     
-    // Transform results to match expected format
-    const transformedResults = results.map(obj => ({
-      id: obj.object_id,
-      object_name: obj.object_name,
-      picture_id: obj.picture_id,
-      x_position: obj.x_position,
-      y_position: obj.y_position,
-      has_ai_coordinates: obj.has_ai_coordinates,
-      deleted: obj.deleted,
-      created_at: obj.object_created_at,
-      user_id: obj.user_id,
-      image_url: obj.image_url,
-      picture_name: obj.picture_name || `Picture ${new Date(obj.object_created_at).toLocaleDateString()}`,
-      description: obj.description
+    if (!user_id) {
+      return 0;
+    }
+    
+    const objects = (await getAllObjects(user_id)).filter(obj => !obj.deleted);
+    const vectors = await getLocalEmbeddings(getEmbeddingModelId());
+    
+    // Unpushed objects wait until they have a server row to attach the vector to
+    const missing = [
+      ...objects.filter(obj => obj.sync_status !== SYNC_STATUS.PENDING).map(obj => ({
+        key: getObjectEmbeddingKey(obj.image_url, obj.object_name),
+        text: obj.object_name,
+        object: obj,
+      })),
+      ...groupObjectsIntoPictures(objects).map(picture => ({
+        key: getPictureEmbeddingKey(picture.image_url),
+        text: getPictureEmbeddingText(picture.picture_name, picture.description),
+        picture,
+      })),
+    ].filter(item => item.text && !vectors[item.key]).slice(0, EMBEDDING_BACKFILL_BATCH);
+    
+    if (missing.length === 0) {
+      return 0;
+    }
+    
+    console.log('🧠 Embedding', missing.length, 'objects and pictures for semantic search...');
+    const result = await embedTexts(missing.map(item => item.text));
+    if (!result) {
+      return 0;
+    }
+    
+    await saveLocalEmbeddings(missing.map((item, i) => ({
+      key: item.key,
+      model: result.model,
+      vector: result.vectors[i],
+    })));
+    
+    // Share the vectors so online search finds these items too
+    const updates = await Promise.all(missing.map((item, i) => {
+      const columns = { embedding: result.vectors[i], embedding_model: result.model };
+      
+      if (item.object) {
+        return supabase.from('objects').update(columns).eq('id', item.object.id);
+      }
+      
+      return supabase
+        .from('pictures')
+        .update(columns)
+        .eq('user_id', String(user_id))
+        .eq('image_url', item.picture.image_url);
     }));
     
-    console.log(`🔍 Search for "${query}" returned ${transformedResults.length} results with picture names for user ${user_id}`);
-    return transformedResults;
+    const failedUpdates = updates.filter(update => update.error).length;
+    if (failedUpdates > 0) {
+      console.warn(`⚠️ ${failedUpdates} embeddings could not be saved to Supabase`);
+    }
+    
+    return missing.length;
   } catch (error) {
-    console.error('❌ Error searching objects with picture names:', error);
-    // Fallback to local search
-    return await searchObjects(query, user_id);
+    console.error('❌ Error backfilling embeddings:', error);
+    return 0;
   }
 };
 
@@ -315,20 +843,7 @@ export const getAllObjectsWithPictureNames = async (user_id = null) => {
     // Get all objects from Supabase using the normalized view to get picture names
     const { data: results, error } = await supabase
       .from('objects_with_pictures')
-      .select(`
-        object_id,
-        object_name,
-        picture_id,
-        x_position,
-        y_position,
-        has_ai_coordinates,
-        deleted,
-        object_created_at,
-        user_id,
-        image_url,
-        picture_name,
-        description
-      `)
+      .select(OBJECT_VIEW_COLUMNS)
       .eq('user_id', String(user_id))
       .eq('deleted', false)
       .order('object_created_at', { ascending: false });
@@ -345,20 +860,7 @@ export const getAllObjectsWithPictureNames = async (user_id = null) => {
     }
     
     // Transform results to match expected format
-    const transformedResults = results.map(obj => ({
-      id: obj.object_id,
-      object_name: obj.object_name,
-      picture_id: obj.picture_id,
-      x_position: obj.x_position,
-      y_position: obj.y_position,
-      has_ai_coordinates: obj.has_ai_coordinates,
-      deleted: obj.deleted,
-      created_at: obj.object_created_at,
-      user_id: obj.user_id,
-      image_url: obj.image_url,
-      picture_name: obj.picture_name || `Picture ${new Date(obj.object_created_at).toLocaleDateString()}`,
-      description: obj.description
-    }));
+    const transformedResults = results.map(transformViewObjectWithPicture);
     
     console.log(`📄 Found ${transformedResults.length} objects with picture names for user ${user_id}`);
     return transformedResults;
@@ -369,6 +871,57 @@ export const getAllObjectsWithPictureNames = async (user_id = null) => {
   }
 };
 
+/**
+ * Every sighting of an object across the user's pictures, for its history timeline
+ * @param {string} objectName - Name of any sighting of the object
+ * @param {string} user_id - User ID
+ * @returns {Promise<Array>} - Sightings (objects with picture name and location), newest first
+ */
+export const getObjectSightings = async (objectName, user_id = null) => {
+  try {
+    // Get current user if not provided
+    if (!user_id) {
+      user_id = await getCurrentUserId(supabase);
+    } else {
+      user_id = safeUserId(user_id);
+    }
+    
+    const namePattern = getSightingNamePattern(objectName);
+    if (!user_id || !namePattern) {
+      return [];
+    }
+    
+    // The server returns the objects whose name could share this identity, page by page;
+    // the device keeps the ones that really do. Falls back to the local cache offline.
+    let candidates;
+    try {
+      const results = await fetchAllRows(() => supabase
+        .from('objects_with_pictures')
+        .select(OBJECT_VIEW_COLUMNS)
+        .eq('user_id', String(user_id))
+        .eq('deleted', false)
+        .ilike('object_name', namePattern)
+        .order('object_created_at', { ascending: false })
+        .order('object_id', { ascending: true }));
+      candidates = results.map(transformViewObjectWithPicture);
+    } catch (error) {
+      console.error('❌ Error getting object sightings from database:', error);
+      candidates = await getAllObjects(user_id);
+    }
+    
+    const identityKey = getObjectIdentityKey(objectName);
+    const sightings = candidates
+      .filter(obj => !obj.deleted && getObjectIdentityKey(obj.object_name) === identityKey)
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    
+    console.log(`🕒 Found ${sightings.length} sightings of "${objectName}"`);
+    return sightings;
+  } catch (error) {
+    console.error('❌ Error getting object sightings:', error);
+    return [];
+  }
+};
+
 export const clearAllObjects = async (user_id = null) => {
   try {
     await writeMutex();
@@ -445,6 +998,7 @@ export const getStorageStats = async (user_id = null) => {
             new Date(obj.created_at) > new Date(newest.created_at) ? obj : newest
           )
         : null,
+      objectCounts,
     };
     
     console.log('📊 Storage stats for user', user_id, ':', stats);
@@ -458,97 +1012,151 @@ export const getStorageStats = async (user_id = null) => {
       mostCommonObject: null,
       oldestObject: null,
       newestObject: null,
+      objectCounts: {},
     };
   }
 };
 
-// Clear local storage and sync from Supabase (Supabase is authoritative)
-export const clearAndSyncFromSupabase = async (user_id = null) => {
-  try {
-    await writeMutex();
+// ====== TWO-WAY SYNC ======
+// Conflict rules, applied the same way on every device:
+// - Pending local changes are pushed first, in the order they were made. When one fails, later
+//   changes to the same picture wait so they are never applied out of order.
+// - Per record, the newer updated_at wins; on a tie the server wins.
+// - Queued deletes and restores are always applied; device clocks can't be compared with the server's.
+// - Soft deletes and restores are pulled like any other change (the RPCs bump updated_at).
+
+// Push the outbox; returns how many operations reached the server and how many must be retried
+const pushOutbox = async (user_id) => {
+  const operations = await getOutboxOperations(user_id);
+  const blockedImages = new Set();
+  let pushed = 0;
+  let failed = 0;
+  
+  for (const operation of operations) {
+    const imageKey = operation.payload?.image_url;
     
-    // Get current user if not provided
-    if (!user_id) {
-      user_id = await getCurrentUserId(supabase);
-    } else {
-      user_id = safeUserId(user_id);
+    if (blockedImages.has(imageKey)) {
+      failed++;
+      continue;
     }
     
-    if (!user_id) {
-      console.log('⚠️ No user authenticated for sync');
-      return [];
+    try {
+      await pushOutboxOperation(operation);
+      await removeOutboxOperation(operation.id);
+      pushed++;
+    } catch (error) {
+      console.error('❌ Failed to push sync operation:', operation.type, error);
+      await recordOutboxFailure(operation.id, error);
+      blockedImages.add(imageKey);
+      failed++;
     }
+  }
+  
+  return { pushed, failed };
+};
+
+const getSyncCursor = async (user_id) => {
+  const storedCursors = await AsyncStorage.getItem(SYNC_CURSOR_KEY);
+  const cursors = storedCursors ? JSON.parse(storedCursors) : {};
+  return cursors[user_id] || null;
+};
+
+const setSyncCursor = async (user_id, cursor) => {
+  const storedCursors = await AsyncStorage.getItem(SYNC_CURSOR_KEY);
+  const cursors = storedCursors ? JSON.parse(storedCursors) : {};
+  await AsyncStorage.setItem(SYNC_CURSOR_KEY, JSON.stringify({ ...cursors, [user_id]: cursor }));
+};
+
+// Fetch every object row changed since the cursor, including soft-deleted ones
+const fetchRemoteChanges = async (user_id, cursor) => {
+  const rows = [];
+  
+  for (let from = 0; ; from += SYNC_PAGE_SIZE) {
+    let query = supabase
+      .from('objects_with_pictures')
+      .select(OBJECT_VIEW_COLUMNS)
+      .eq('user_id', String(user_id));
     
-    console.log('🗑️ Clearing local storage and syncing from Supabase for user:', user_id);
-    
-    // Step 1: Clear local storage completely
-    await AsyncStorage.removeItem(STORAGE_KEY);
-    console.log('✅ Local storage cleared');
+    if (cursor) {
+      query = query.gt('object_updated_at', cursor);
+    }
     
-    // Step 2: Fetch all objects from Supabase for this user using normalized view
-    const { data: supabaseObjects, error } = await supabase
-      .from('objects_with_pictures')
-      .select(`
-        object_id,
-        object_name,
-        picture_id,
-        x_position,
-        y_position,
-        has_ai_coordinates,
-        deleted,
-        object_created_at,
-        user_id,
-        image_url,
-        picture_name,
-        description
-      `)
-      .eq('user_id', String(user_id))
-      .eq('deleted', false) // Only get non-deleted objects
-      .order('object_created_at', { ascending: false });
+    const { data, error } = await query
+      .order('object_updated_at', { ascending: true })
+      .order('object_id', { ascending: true })
+      .range(from, from + SYNC_PAGE_SIZE - 1);
     
     if (error) {
-      console.error('❌ Error fetching from Supabase:', error);
       throw error;
     }
     
-    if (!supabaseObjects || supabaseObjects.length === 0) {
-      console.log('📭 No objects found in Supabase for user');
-      return [];
-    }
-    
-    // Step 3: Transform and store Supabase data in local storage
-    const transformedObjects = supabaseObjects.map(obj => ({
-      id: obj.object_id,
-      object_name: obj.object_name,
-      picture_id: obj.picture_id,
-      x_position: obj.x_position,
-      y_position: obj.y_position,
-      has_ai_coordinates: obj.has_ai_coordinates,
-      deleted: obj.deleted,
-      created_at: obj.object_created_at,
-      user_id: obj.user_id,
-      image_url: obj.image_url
-    }));
-    
-    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(transformedObjects));
+    rows.push(...(data || []));
     
-    console.log(`✅ Synced ${transformedObjects.length} objects from Supabase to local storage`);
-    
-    // Update last sync time
-    await AsyncStorage.setItem('last_sync_time', new Date().toISOString());
+    if (!data || data.length < SYNC_PAGE_SIZE) {
+      return rows;
+    }
+  }
+};
+
+// Apply pulled rows to the user's local objects
+const mergeRemoteObjects = (localObjects, remoteRows) => {
+  const merged = [...localObjects];
+  
+  remoteRows.forEach(row => {
+    const remote = transformViewObject(row);
+    const index = merged.findIndex(obj =>
+      obj.id === remote.id || (remote.client_id && obj.client_id === remote.client_id)
+    );
+    const local = index >= 0 ? merged[index] : null;
     
-    return transformedObjects;
+    // Local edit that is newer than the server's and not pushed yet
+    if (local && local.sync_status === SYNC_STATUS.PENDING && isNewer(local.updated_at, remote.updated_at)) {
+      return;
+    }
     
-  } catch (error) {
-    console.error('❌ Error in clearAndSyncFromSupabase:', error);
-    return [];
-  } finally {
-    releaseMutex();
+    if (remote.deleted) {
+      if (index >= 0) merged.splice(index, 1);
+    } else if (index >= 0) {
+      merged[index] = remote;
+    } else {
+      merged.push(remote);
+    }
+  });
+  
+  return merged;
+};
+
+const pullRemoteChanges = async (user_id) => {
+  const cursor = await getSyncCursor(user_id);
+  const remoteRows = await fetchRemoteChanges(user_id, cursor);
+  
+  const storedObjects = await AsyncStorage.getItem(STORAGE_KEY);
+  const allLocalObjects = storedObjects ? JSON.parse(storedObjects) : [];
+  const otherUsersObjects = allLocalObjects.filter(obj => obj.user_id !== user_id);
+  let userObjects = allLocalObjects.filter(obj => obj.user_id === user_id);
+  
+  // First sync on this device: the server is the baseline, only unpushed objects are kept
+  if (!cursor) {
+    userObjects = userObjects.filter(obj => obj.sync_status === SYNC_STATUS.PENDING);
+  }
+  
+  const mergedObjects = mergeRemoteObjects(userObjects, remoteRows);
+  await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify([...otherUsersObjects, ...mergedObjects]));
+  
+  // Rows arrive oldest first, so the last one is the new cursor (server clock, not device clock)
+  if (remoteRows.length > 0) {
+    await setSyncCursor(user_id, remoteRows[remoteRows.length - 1].object_updated_at);
   }
+  
+  return { pulled: remoteRows.length, objects: mergedObjects };
 };
 
-// Sync from Supabase to localStorage (merge mode)
-export const syncFromSupabase = async (user_id = null) => {
+/**
+ * Two-way sync: push pending local changes, then pull server changes since the last sync
+ * @param {string} user_id - User ID
+ * @returns {Promise<{pushed: number, failed: number, pulled: number, objects: Array}>}
+ */
+export const syncWithSupabase = async (user_id = null) => {
   try {
     await writeMutex();
     
@@ -561,76 +1169,22 @@ export const syncFromSupabase = async (user_id = null) => {
     
     if (!user_id) {
       console.log('⚠️ No user authenticated for sync');
-      return [];
+      return { pushed: 0, failed: 0, pulled: 0, objects: [] };
     }
     
-    console.log('🔄 Syncing data from Supabase for user:', user_id);
+    console.log('🔄 Syncing with Supabase for user:', user_id);
     
-    // Fetch user's objects from Supabase using normalized view (only active objects)
-    const { data: supabaseObjects, error } = await supabase
-      .from('objects_with_pictures')
-      .select(`
-        object_id,
-        object_name,
-        picture_id,
-        x_position,
-        y_position,
-        has_ai_coordinates,
-        deleted,
-        object_created_at,
-        user_id,
-        image_url,
-        picture_name,
-        description
-      `)
-      .eq('user_id', String(user_id))
-      .eq('deleted', false) // Only fetch non-deleted objects
-      .order('object_created_at', { ascending: false });
+    const { pushed, failed } = await pushOutbox(user_id);
+    console.log(`📤 Pushed ${pushed} local changes (${failed} still pending)`);
     
-    if (error) {
-      console.error('❌ Error fetching from Supabase:', error);
-      return [];
-    }
+    const { pulled, objects } = await pullRemoteChanges(user_id);
+    console.log(`📥 Pulled ${pulled} server changes`);
     
-    if (!supabaseObjects || supabaseObjects.length === 0) {
-      console.log('📝 No objects found in Supabase for user');
-      // Clear user's objects from localStorage
-      await clearAllObjects(user_id);
-      return [];
-    }
-    
-    // Get existing localStorage data
-    const storedObjects = await AsyncStorage.getItem(STORAGE_KEY);
-    const allLocalObjects = storedObjects ? JSON.parse(storedObjects) : [];
-    
-    // Remove current user's objects from localStorage
-    const otherUsersObjects = allLocalObjects.filter(obj => obj.user_id !== user_id);
-    
-    // Transform and add user's objects from Supabase
-    const transformedObjects = supabaseObjects.map(obj => ({
-      id: obj.object_id,
-      object_name: obj.object_name,
-      picture_id: obj.picture_id,
-      x_position: obj.x_position,
-      y_position: obj.y_position,
-      has_ai_coordinates: obj.has_ai_coordinates,
-      deleted: obj.deleted,
-      created_at: obj.object_created_at,
-      user_id: obj.user_id,
-      image_url: obj.image_url
-    }));
-    
-    const syncedObjects = [...otherUsersObjects, ...transformedObjects];
-    
-    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(syncedObjects));
     await AsyncStorage.setItem(SYNC_KEY, new Date().toISOString());
     
-    console.log(`✅ Synced ${transformedObjects.length} objects from Supabase for user ${user_id}`);
-    return transformedObjects;
+    console.log(`✅ Sync complete: ${objects.length} objects for user ${user_id}`);
+    return { pushed, failed, pulled, objects };
     
-  } catch (error) {
-    console.error('❌ Error syncing from Supabase:', error);
-    return [];
   } finally {
     releaseMutex();
   }
@@ -647,6 +1201,17 @@ export const getLastSyncTime = async () => {
   }
 };
 
+/**
+ * Forget a user's sync cursor so the next sign-in pulls everything again
+ * @param {string} user_id - User ID
+ */
+export const clearSyncState = async (user_id) => {
+  const storedCursors = await AsyncStorage.getItem(SYNC_CURSOR_KEY);
+  const { [user_id]: removed, ...otherUsers } = storedCursors ? JSON.parse(storedCursors) : {};
+  await AsyncStorage.setItem(SYNC_CURSOR_KEY, JSON.stringify(otherUsers));
+  await AsyncStorage.removeItem(SYNC_KEY);
+};
+
 export const debugStorage = async () => {
   try {
     console.log('🔍 DEBUG: Comprehensive storage check...');
@@ -728,19 +1293,7 @@ export const getObjectsForImage = async (imageUrl, user_id = null) => {
     try {
       const { data: supabaseObjects, error } = await supabase
         .from('objects_with_pictures')
-        .select(`
-          object_id,
-          object_name,
-          x_position,
-          y_position,
-          has_ai_coordinates,
-          deleted,
-          object_created_at,
-          picture_id,
-          image_url,
-          picture_name,
-          description
-        `)
+        .select(OBJECT_VIEW_COLUMNS)
         .eq('user_id', String(user_id))
         .eq('image_url', standardizedImageUrl)
         .eq('deleted', false)
@@ -752,17 +1305,7 @@ export const getObjectsForImage = async (imageUrl, user_id = null) => {
         console.log('☁️ Found', supabaseObjects.length, 'objects in Supabase for image');
         
         // Transform the data to match expected format
-        const transformedObjects = supabaseObjects.map(obj => ({
-          id: obj.object_id,
-          object_name: obj.object_name,
-          x_position: obj.x_position,
-          y_position: obj.y_position,
-          has_ai_coordinates: obj.has_ai_coordinates,
-          created_at: obj.object_created_at,
-          picture_id: obj.picture_id,
-          image_url: obj.image_url,
-          deleted: obj.deleted
-        }));
+        const transformedObjects = supabaseObjects.map(transformViewObject);
         
         return transformedObjects;
       }
@@ -788,6 +1331,132 @@ export const getObjectsForImage = async (imageUrl, user_id = null) => {
   }
 };
 
+// Apply queued edits to the local copies of the picture's objects (pending until the edit is
+// pushed) and return the picture's active objects
+const applyLocalObjectEdits = async (user_id, standardizedImageUrl, { added, updated, removedIds }) => {
+  try {
+    await writeMutex();
+
+    const now = new Date().toISOString();
+    const updatedById = new Map(updated.map(obj => [String(obj.id), obj]));
+    const removed = new Set(removedIds.map(String));
+    const isPictureObject = obj =>
+      obj.user_id === user_id && createStorageReference(obj.image_url) === standardizedImageUrl;
+
+    const storedObjects = await AsyncStorage.getItem(STORAGE_KEY);
+    const allObjects = storedObjects ? JSON.parse(storedObjects) : [];
+
+    const editedObjects = allObjects.map(obj => {
+      if (!isPictureObject(obj)) return obj;
+      if (removed.has(String(obj.id))) {
+        return { ...obj, deleted: true, updated_at: now, sync_status: SYNC_STATUS.PENDING };
+      }
+      if (updatedById.has(String(obj.id))) {
+        const { id, ...columns } = updatedById.get(String(obj.id));
+        return { ...obj, ...columns, updated_at: now, sync_status: SYNC_STATUS.PENDING };
+      }
+      return obj;
+    });
+
+    // New objects take the picture details from its other objects
+    const pictureObject = allObjects.find(isPictureObject);
+    const addedObjects = added.map(obj => ({
+      id: obj.client_id,
+      ...obj,
+      picture_id: pictureObject?.picture_id,
+      picture_name: pictureObject?.picture_name,
+      description: pictureObject?.description,
+      location_id: pictureObject?.location_id ?? null,
+      image_url: standardizedImageUrl,
+      user_id,
+      deleted: false,
+      created_at: now,
+      updated_at: now,
+      sync_status: SYNC_STATUS.PENDING,
+    }));
+
+    const updatedObjects = [...editedObjects, ...addedObjects];
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(updatedObjects));
+
+    return updatedObjects.filter(obj => isPictureObject(obj) && !obj.deleted);
+  } finally {
+    releaseMutex();
+  }
+};
+
+/**
+ * Apply the changes made to a picture's objects in one transaction (the apply_object_edits RPC):
+ * added objects get new rows, renamed or moved ones keep their rows, and removed ones are
+ * soft-deleted. Either every change is saved or none is. The local copies of the picture's
+ * objects are then replaced by the server's, so search sees the edit right away.
+ * Offline, or when it touches objects that haven't reached the server yet, the edit is applied
+ * to the local copies and queued for the next sync.
+ * @param {string} imageUrl - Image URL or standardized reference
+ * @param {Object} edits - { added: [object columns], updated: [{ id, ...object columns }], removedIds: [ids] }
+ * @param {string} user_id - User ID
+ * @returns {Promise<{success: boolean, objects?: Array, queued?: boolean, error?: string}>} - The picture's objects after the edit
+ */
+export const applyObjectEdits = async (imageUrl, edits, user_id = null) => {
+  try {
+    if (!user_id) {
+      user_id = await getCurrentUserId(supabase);
+    } else {
+      user_id = safeUserId(user_id);
+    }
+
+    if (!user_id) {
+      console.error('❌ No valid user ID available for editing objects');
+      return { success: false, error: 'Please sign in first' };
+    }
+
+    const standardizedImageUrl = createStorageReference(imageUrl);
+    const { updated, removedIds } = edits;
+    const added = edits.added.map(obj => ({
+      ...obj,
+      client_id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    }));
+    console.log(`✏️ Editing objects for ${standardizedImageUrl}: ${added.length} added, ${updated.length} changed, ${removedIds.length} removed`);
+
+    // Objects whose insert is still in the outbox only have local IDs, which the server doesn't know
+    const unsyncedIds = new Set((await getAllObjects(user_id))
+      .filter(obj => obj.sync_status === SYNC_STATUS.PENDING && obj.id === obj.client_id)
+      .map(obj => String(obj.id)));
+    const pendingIds = [...updated.map(obj => obj.id), ...removedIds]
+      .map(String)
+      .filter(id => unsyncedIds.has(id));
+
+    // Offline, or editing such objects: queue the edit behind their inserts
+    if (pendingIds.length > 0 || !(await isOnline())) {
+      await enqueueOutboxOperation(user_id, OUTBOX_OPS.APPLY_OBJECT_EDITS, {
+        image_url: standardizedImageUrl,
+        added,
+        updated,
+        removedIds,
+        pendingIds,
+      });
+      const objects = await applyLocalObjectEdits(user_id, standardizedImageUrl, { added, updated, removedIds });
+
+      console.log('📴 Object edits queued for the next sync');
+      return { success: true, queued: true, objects };
+    }
+
+    const savedObjects = await callApplyObjectEdits(standardizedImageUrl, { added, updated, removedIds });
+
+    try {
+      await writeMutex();
+      await replaceLocalPictureObjects(user_id, standardizedImageUrl, savedObjects, { updated, removedIds });
+    } finally {
+      releaseMutex();
+    }
+
+    console.log('✅ Object edits saved,', savedObjects.length, 'objects on the picture');
+    return { success: true, objects: savedObjects };
+  } catch (error) {
+    console.error('❌ Error applying object edits:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 // ====== PICTURE METADATA FUNCTIONS ======
 
 /**
@@ -816,6 +1485,20 @@ export const savePictureMetadata = async (imageUrl, pictureName = '', descriptio
     const standardizedImageUrl = createStorageReference(imageUrl);
     console.log('💾 Saving picture metadata for:', standardizedImageUrl);
 
+    // Embed name and description for semantic search (skipped if the provider fails)
+    const embedding = await embedText(getPictureEmbeddingText(pictureName, description));
+    const embeddingColumns = embedding
+      ? { embedding: embedding.vector, embedding_model: embedding.model }
+      : {};
+
+    if (embedding) {
+      await saveLocalEmbeddings([{
+        key: getPictureEmbeddingKey(standardizedImageUrl),
+        model: embedding.model,
+        vector: embedding.vector,
+      }]);
+    }
+
     // Save to Supabase database
     try {
       // Check if picture already exists
@@ -838,6 +1521,7 @@ export const savePictureMetadata = async (imageUrl, pictureName = '', descriptio
           .update({
             picture_name: pictureName,
             description: description,
+            ...embeddingColumns,
             updated_at: new Date().toISOString()
           })
           .eq('id', existingPictures[0].id);
@@ -855,7 +1539,8 @@ export const savePictureMetadata = async (imageUrl, pictureName = '', descriptio
             user_id: String(user_id),
             image_url: standardizedImageUrl,
             picture_name: pictureName,
-            description: description
+            description: description,
+            ...embeddingColumns
           }]);
 
         if (insertError) {
@@ -877,6 +1562,119 @@ export const savePictureMetadata = async (imageUrl, pictureName = '', descriptio
   }
 };
 
+/**
+ * Assign a picture to a location (or clear it with null)
+ * Saved locally and through the sync outbox, so it also works offline.
+ * @param {string} imageUrl - Image URL or standardized reference
+ * @param {string|null} locationId - Location ID, or null for no location
+ * @param {string} user_id - User ID
+ * @returns {Promise<boolean>} - Whether the change was recorded
+ */
+export const savePictureLocation = async (imageUrl, locationId, user_id = null) => {
+  try {
+    await writeMutex();
+
+    // Get current user if not provided
+    if (!user_id) {
+      user_id = await getCurrentUserId(supabase);
+    } else {
+      user_id = safeUserId(user_id);
+    }
+
+    if (!user_id) {
+      console.error('❌ No valid user ID available for saving picture location');
+      return false;
+    }
+
+    const standardizedImageUrl = createStorageReference(imageUrl);
+    console.log('📍 Saving picture location for:', standardizedImageUrl, locationId);
+
+    // Update local copies so offline search shows the new location right away
+    const storedObjects = await AsyncStorage.getItem(STORAGE_KEY);
+    const allObjects = storedObjects ? JSON.parse(storedObjects) : [];
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(allObjects.map(obj =>
+      obj.user_id === user_id && obj.image_url === standardizedImageUrl
+        ? { ...obj, location_id: locationId }
+        : obj
+    )));
+
+    const operation = await enqueueOutboxOperation(
+      user_id,
+      OUTBOX_OPS.SET_PICTURE_LOCATION,
+      { image_url: standardizedImageUrl, location_id: locationId }
+    );
+
+    try {
+      await pushOutboxOperation(operation);
+      await removeOutboxOperation(operation.id);
+      console.log('☁️ Picture location saved to Supabase');
+    } catch (supabaseError) {
+      console.error('❌ Supabase picture location error, will retry on next sync:', supabaseError);
+      await recordOutboxFailure(operation.id, supabaseError);
+    }
+
+    return true;
+  } catch (error) {
+    console.error('❌ Error saving picture location:', error);
+    return false;
+  } finally {
+    releaseMutex();
+  }
+};
+
+/**
+ * Change fields on the cached objects of some pictures (deleted, picture_name, location_id, ...)
+ * so local search shows a change right away instead of after the next sync
+ * @param {Array<string>} imageUrls - Image URLs or standardized references
+ * @param {Object|Function} changes - Fields to set on every object of those pictures, or a function
+ *                                   of a picture's standardized reference returning its fields
+ * @param {string} user_id - User ID
+ * @returns {Promise<number>} - How many cached objects changed
+ */
+export const updateLocalPictureObjects = async (imageUrls, changes, user_id = null) => {
+  try {
+    await writeMutex();
+
+    // Get current user if not provided
+    if (!user_id) {
+      user_id = await getCurrentUserId(supabase);
+    } else {
+      user_id = safeUserId(user_id);
+    }
+
+    if (!user_id) {
+      return 0;
+    }
+
+    const standardizedImageUrls = new Set(imageUrls.map(createStorageReference));
+    const storedObjects = await AsyncStorage.getItem(STORAGE_KEY);
+    const allObjects = storedObjects ? JSON.parse(storedObjects) : [];
+    let changedCount = 0;
+
+    const updatedObjects = allObjects.map(obj => {
+      if (obj.user_id !== user_id || !standardizedImageUrls.has(createStorageReference(obj.image_url))) {
+        return obj;
+      }
+      changedCount++;
+      return {
+        ...obj,
+        ...(typeof changes === 'function' ? changes(createStorageReference(obj.image_url)) : changes),
+      };
+    });
+
+    if (changedCount > 0) {
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(updatedObjects));
+    }
+
+    return changedCount;
+  } catch (error) {
+    console.error('❌ Error updating local picture objects:', error);
+    return 0;
+  } finally {
+    releaseMutex();
+  }
+};
+
 /**
  * Get picture metadata by image URL
  * @param {string} imageUrl - Image URL or standardized reference
@@ -1032,160 +1830,3 @@ export const deletePictureMetadata = async (imageUrl, user_id = null) => {
     return false;
   }
 };
-
-/**
- * Check if user has reached daily picture limit (10 pictures per day)
- * @param {string} user_id - User ID
- * @returns {Promise<{canTakePicture: boolean, todayCount: number, limit: number}>}
- */
-export const checkDailyPictureLimit = async (user_id = null) => {
-  try {
-    // Get current user if not provided
-    if (!user_id) {
-      user_id = await getCurrentUserId(supabase);
-    } else {
-      user_id = safeUserId(user_id);
-    }
-
-    if (!user_id) {
-      console.error('❌ No valid user ID available for checking daily limit');
-      return { canTakePicture: false, todayCount: 0, limit: 10 };
-    }
-
-    const DAILY_LIMIT = 10;
-    const today = new Date();
-    const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-    const todayEnd = new Date(todayStart);
-    todayEnd.setDate(todayEnd.getDate() + 1);
-
-    console.log('📊 Checking daily picture limit for user:', user_id);
-    console.log('📅 Date range:', todayStart.toISOString(), 'to', todayEnd.toISOString());
-
-    // Count pictures created today from database
-    try {
-      const { data: todayPictures, error } = await supabase
-        .from('pictures')
-        .select('id', { count: 'exact' })
-        .eq('user_id', String(user_id))
-        .eq('deleted', false)
-        .gte('created_at', todayStart.toISOString())
-        .lt('created_at', todayEnd.toISOString());
-
-      if (error) {
-        console.error('❌ Error checking daily picture count:', error);
-        return { canTakePicture: true, todayCount: 0, limit: DAILY_LIMIT };
-      }
-
-      const todayCount = todayPictures?.length || 0;
-      const canTakePicture = todayCount < DAILY_LIMIT;
-
-      console.log(`📸 Daily usage: ${todayCount}/${DAILY_LIMIT} pictures`);
-      
-      return {
-        canTakePicture,
-        todayCount,
-        limit: DAILY_LIMIT
-      };
-
-    } catch (supabaseError) {
-      console.error('❌ Supabase daily limit check error:', supabaseError);
-      return { canTakePicture: true, todayCount: 0, limit: DAILY_LIMIT };
-    }
-
-  } catch (error) {
-    console.error('❌ Error checking daily picture limit:', error);
-    return { canTakePicture: true, todayCount: 0, limit: DAILY_LIMIT };
-  }
-};
-
-/**
- * Get daily usage statistics for user
- * @param {string} user_id - User ID
- * @returns {Promise<{todayCount: number, weekCount: number, monthCount: number, limit: number}>}
- */
-export const getDailyUsageStats = async (user_id = null) => {
-  try {
-    // Get current user if not provided
-    if (!user_id) {
-      user_id = await getCurrentUserId(supabase);
-    } else {
-      user_id = safeUserId(user_id);
-    }
-
-    if (!user_id) {
-      console.error('❌ No valid user ID available for getting usage stats');
-      return { todayCount: 0, weekCount: 0, monthCount: 0, limit: 10 };
-    }
-
-    const DAILY_LIMIT = 10;
-    const now = new Date();
-    
-    // Today's range
-    const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    const todayEnd = new Date(todayStart);
-    todayEnd.setDate(todayEnd.getDate() + 1);
-    
-    // Week's range (last 7 days)
-    const weekStart = new Date(todayStart);
-    weekStart.setDate(weekStart.getDate() - 7);
-    
-    // Month's range (last 30 days)
-    const monthStart = new Date(todayStart);
-    monthStart.setDate(monthStart.getDate() - 30);
-
-    console.log('📊 Getting usage statistics for user:', user_id);
-
-    try {
-      // Get counts for different time periods
-      const [todayResult, weekResult, monthResult] = await Promise.all([
-        // Today's count
-        supabase
-          .from('pictures')
-          .select('id', { count: 'exact' })
-          .eq('user_id', String(user_id))
-          .eq('deleted', false)
-          .gte('created_at', todayStart.toISOString())
-          .lt('created_at', todayEnd.toISOString()),
-        
-        // Week's count
-        supabase
-          .from('pictures')
-          .select('id', { count: 'exact' })
-          .eq('user_id', String(user_id))
-          .eq('deleted', false)
-          .gte('created_at', weekStart.toISOString())
-          .lt('created_at', todayEnd.toISOString()),
-        
-        // Month's count
-        supabase
-          .from('pictures')
-          .select('id', { count: 'exact' })
-          .eq('user_id', String(user_id))
-          .eq('deleted', false)
-          .gte('created_at', monthStart.toISOString())
-          .lt('created_at', todayEnd.toISOString())
-      ]);
-
-      const todayCount = todayResult.data?.length || 0;
-      const weekCount = weekResult.data?.length || 0;
-      const monthCount = monthResult.data?.length || 0;
-
-      console.log(`📈 Usage stats - Today: ${todayCount}, Week: ${weekCount}, Month: ${monthCount}`);
-      
-      return {
-        todayCount,
-        weekCount,
-        monthCount,
-        limit: DAILY_LIMIT
-      };
-
-    } catch (supabaseError) {
-      console.error('❌ Supabase usage stats error:', supabaseError);
-      return { todayCount: 0, weekCount: 0, monthCount: 0, limit: DAILY_LIMIT };
-    }
-
-  } catch (error) {
-    console.error('❌ Error getting usage statistics:', error);
-    return { todayCount: 0, weekCount: 0, monthCount: 0, limit: DAILY_LIMIT };
-  }
-}; 
\ No newline at end of file
@@ -0,0 +1,145 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { supabase } from './supabase';
+import { safeUserId } from '../utils/userIdUtils';
+import { getChildKind, getDescendantIds } from '../utils/locationUtils';
+
+// Last location list fetched from Supabase, per user, so paths still show offline
+const LOCATIONS_KEY = 'snapfind_locations';
+
+const LOCATION_COLUMNS = 'id, parent_id, name, kind, created_at, updated_at';
+
+const readCachedLocations = async (user_id) => {
+  try {
+    const storedLocations = await AsyncStorage.getItem(LOCATIONS_KEY);
+    const locationsByUser = storedLocations ? JSON.parse(storedLocations) : {};
+    return locationsByUser[user_id] || [];
+  } catch (error) {
+    console.error('❌ Error reading cached locations:', error);
+    return [];
+  }
+};
+
+const writeCachedLocations = async (user_id, locations) => {
+  const storedLocations = await AsyncStorage.getItem(LOCATIONS_KEY);
+  const locationsByUser = storedLocations ? JSON.parse(storedLocations) : {};
+  await AsyncStorage.setItem(LOCATIONS_KEY, JSON.stringify({ ...locationsByUser, [user_id]: locations }));
+};
+
+/**
+ * Get all of a user's locations (homes, rooms, furniture and containers)
+ * Falls back to the cached list when Supabase can't be reached.
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Flat list of locations with parent_id links
+ */
+export const getLocations = async (userId) => {
+  const user_id = safeUserId(userId);
+  if (!user_id) return [];
+
+  try {
+    const { data, error } = await supabase
+      .from('locations')
+      .select(LOCATION_COLUMNS)
+      .eq('user_id', String(user_id))
+      .order('name', { ascending: true });
+
+    if (error) {
+      console.error('❌ Error loading locations, using cached list:', error);
+      return await readCachedLocations(user_id);
+    }
+
+    await writeCachedLocations(user_id, data || []);
+    return data || [];
+  } catch (error) {
+    console.error('❌ Error loading locations, using cached list:', error);
+    return await readCachedLocations(user_id);
+  }
+};
+
+/**
+ * Add a location under a parent (or a new home when there is no parent)
+ * @param {string} userId - User ID
+ * @param {string} name - Location name, e.g. "Kitchen" or "Drawer 2"
+ * @param {Object|null} parent - Parent location
+ * @returns {Promise<Object|null>} - New location, or null if it could not be saved
+ */
+export const createLocation = async (userId, name, parent = null) => {
+  const user_id = safeUserId(userId);
+  const kind = getChildKind(parent);
+
+  if (!user_id || !name.trim() || !kind) {
+    console.error('❌ Cannot create location:', { user_id, name, parentKind: parent?.kind });
+    return null;
+  }
+
+  try {
+    const { data: location, error } = await supabase
+      .from('locations')
+      .insert([{
+        user_id: String(user_id),
+        parent_id: parent?.id || null,
+        name: name.trim(),
+        kind,
+      }])
+      .select(LOCATION_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('❌ Error creating location:', error);
+      return null;
+    }
+
+    const cachedLocations = await readCachedLocations(user_id);
+    await writeCachedLocations(user_id, [...cachedLocations, location]);
+
+    console.log('📍 Created location:', location.name, `(${location.kind})`);
+    return location;
+  } catch (error) {
+    console.error('❌ Error creating location:', error);
+    return null;
+  }
+};
+
+/**
+ * Delete a location and everything inside it
+ * Pictures assigned to a deleted location keep their objects and just lose the location.
+ * @param {string} userId - User ID
+ * @param {string} locationId - Location ID
+ * @returns {Promise<boolean>} - Success status
+ */
+export const deleteLocation = async (userId, locationId) => {
+  const user_id = safeUserId(userId);
+  if (!user_id) return false;
+
+  try {
+    const { error } = await supabase
+      .from('locations')
+      .delete()
+      .eq('user_id', String(user_id))
+      .eq('id', locationId);
+
+    if (error) {
+      console.error('❌ Error deleting location:', error);
+      return false;
+    }
+
+    const cachedLocations = await readCachedLocations(user_id);
+    const deletedIds = getDescendantIds(cachedLocations, locationId);
+    await writeCachedLocations(user_id, cachedLocations.filter(location => !deletedIds.has(location.id)));
+
+    console.log('🗑️ Deleted location and its contents:', locationId);
+    return true;
+  } catch (error) {
+    console.error('❌ Error deleting location:', error);
+    return false;
+  }
+};
+
+/**
+ * Forget a user's cached locations on this device
+ * @param {string} userId - User ID
+ */
+export const clearCachedLocations = async (userId) => {
+  const storedLocations = await AsyncStorage.getItem(LOCATIONS_KEY);
+  const { [userId]: removed, ...otherUsers } = storedLocations ? JSON.parse(storedLocations) : {};
+  await AsyncStorage.setItem(LOCATIONS_KEY, JSON.stringify(otherUsers));
+};
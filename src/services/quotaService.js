@@ -0,0 +1,233 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { supabase } from './supabase';
+import { safeUserId } from '../utils/userIdUtils';
+
+// Last quota status from the server, per user, for showing usage offline
+const QUOTA_STATUS_KEY = 'snapfind_quota_status';
+
+// What the plans limit; counters live in Supabase and only the RPCs change them
+export const QUOTA_METRICS = {
+  PICTURES: 'pictures',
+  AI_CALLS: 'ai_calls',
+};
+
+export const QUOTA_METRIC_LABELS = {
+  [QUOTA_METRICS.PICTURES]: 'Pictures',
+  [QUOTA_METRICS.AI_CALLS]: 'AI analyses',
+};
+
+// error.code of errors thrown when the server refused a quota
+export const QUOTA_EXCEEDED = 'QUOTA_EXCEEDED';
+
+// Server usage row → app format (a null limit means unlimited)
+const transformUsage = (usage = {}) => ({
+  dailyUsed: usage.daily_used ?? 0,
+  dailyLimit: usage.daily_limit ?? null,
+  monthlyUsed: usage.monthly_used ?? 0,
+  monthlyLimit: usage.monthly_limit ?? null,
+  dayResetsAt: usage.day_resets_at ?? null,
+  monthResetsAt: usage.month_resets_at ?? null,
+});
+
+// Which period (if any) would be exceeded by using `amount` more
+const getExceededPeriod = (usage, amount = 1) => {
+  if (usage.dailyLimit !== null && usage.dailyUsed + amount > usage.dailyLimit) return 'day';
+  if (usage.monthlyLimit !== null && usage.monthlyUsed + amount > usage.monthlyLimit) return 'month';
+  return null;
+};
+
+const readCachedStatus = async (user_id) => {
+  try {
+    const storedStatus = await AsyncStorage.getItem(QUOTA_STATUS_KEY);
+    const statusByUser = storedStatus ? JSON.parse(storedStatus) : {};
+    return statusByUser[user_id] || null;
+  } catch (error) {
+    console.error('❌ Error reading cached quota status:', error);
+    return null;
+  }
+};
+
+const writeCachedStatus = async (user_id, status) => {
+  const storedStatus = await AsyncStorage.getItem(QUOTA_STATUS_KEY);
+  const statusByUser = storedStatus ? JSON.parse(storedStatus) : {};
+  await AsyncStorage.setItem(QUOTA_STATUS_KEY, JSON.stringify({ ...statusByUser, [user_id]: status }));
+};
+
+/**
+ * Get the user's plan and how much of each quota is used
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - { plan, planLabel, metrics: { pictures, ai_calls }, stale },
+ *                                   the cached status (stale: true) if the server can't be reached,
+ *                                   or null if there is none
+ */
+export const getQuotaStatus = async (userId) => {
+  const user_id = safeUserId(userId);
+  if (!user_id) return null;
+
+  try {
+    const { data, error } = await supabase.rpc('get_quota_status');
+
+    if (error) {
+      throw error;
+    }
+
+    const status = {
+      plan: data.plan,
+      planLabel: data.plan_label,
+      metrics: {
+        [QUOTA_METRICS.PICTURES]: transformUsage(data.metrics?.[QUOTA_METRICS.PICTURES]),
+        [QUOTA_METRICS.AI_CALLS]: transformUsage(data.metrics?.[QUOTA_METRICS.AI_CALLS]),
+      },
+      stale: false,
+    };
+
+    await writeCachedStatus(user_id, status);
+
+    const pictures = status.metrics[QUOTA_METRICS.PICTURES];
+    console.log(`📊 Quota (${status.plan}): ${pictures.dailyUsed}/${pictures.dailyLimit ?? '∞'} pictures today`);
+    return status;
+  } catch (error) {
+    console.error('❌ Error getting quota status, using cached status:', error);
+    const cachedStatus = await readCachedStatus(user_id);
+    return cachedStatus ? { ...cachedStatus, stale: true } : null;
+  }
+};
+
+/**
+ * Check ahead of time whether the user has quota left, without using any
+ * This only saves the user a wasted capture; consumeQuota is what the server enforces.
+ * @param {string} userId - User ID
+ * @param {string} metric - One of QUOTA_METRICS
+ * @returns {Promise<{allowed: boolean, exceeded: string|null, usage: Object|null, planLabel: string|null}>}
+ */
+export const checkQuota = async (userId, metric) => {
+  const status = await getQuotaStatus(userId);
+
+  if (!status) {
+    // Nothing known yet; consumeQuota will decide when the work actually starts
+    return { allowed: true, exceeded: null, usage: null, planLabel: null };
+  }
+
+  const usage = status.metrics[metric];
+  const exceeded = getExceededPeriod(usage);
+  return { allowed: !exceeded, exceeded, usage, planLabel: status.planLabel };
+};
+
+/**
+ * Use up quota on the server; the RPC refuses once a daily or monthly limit is reached
+ * @param {string} userId - User ID
+ * @param {string} metric - One of QUOTA_METRICS
+ * @param {number} amount - How much to use
+ * @returns {Promise<{allowed: boolean, exceeded: string|null, usage: Object|null, planLabel: string|null, consumptionId: string|null, error: string|null}>}
+ *          allowed is false both when the limit is reached and when the server could not be asked (error is set);
+ *          consumptionId identifies an allowed use for refundQuota
+ */
+export const consumeQuota = async (userId, metric, amount = 1) => {
+  const user_id = safeUserId(userId);
+  if (!user_id) {
+    return { allowed: false, exceeded: null, usage: null, planLabel: null, consumptionId: null, error: 'User ID is required' };
+  }
+
+  try {
+    const { data, error } = await supabase.rpc('consume_quota', {
+      p_metric: metric,
+      p_amount: amount,
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    const usage = transformUsage(data);
+    console.log(
+      data.allowed ? '✅ Quota used:' : '🚫 Quota exceeded:',
+      metric, `${usage.dailyUsed}/${usage.dailyLimit ?? '∞'} today, ${usage.monthlyUsed}/${usage.monthlyLimit ?? '∞'} this month`
+    );
+
+    return {
+      allowed: !!data.allowed,
+      exceeded: data.exceeded ?? null,
+      usage,
+      planLabel: data.plan_label ?? null,
+      consumptionId: data.consumption_id ?? null,
+      error: null,
+    };
+  } catch (error) {
+    console.error('❌ Error using quota:', metric, error);
+    return { allowed: false, exceeded: null, usage: null, planLabel: null, consumptionId: null, error: error?.message || String(error) };
+  }
+};
+
+/**
+ * Give back quota used for work that then failed, so a failed upload or analysis costs nothing
+ * The server only takes back a use it counted, and each one only once.
+ * @param {string} userId - User ID
+ * @param {string|null} consumptionId - consumptionId from the consumeQuota call to undo
+ * @returns {Promise<boolean>} - Whether the server took the use back
+ */
+export const refundQuota = async (userId, consumptionId) => {
+  const user_id = safeUserId(userId);
+  if (!user_id || !consumptionId) return false;
+
+  try {
+    const { data, error } = await supabase.rpc('refund_quota', {
+      p_consumption_id: consumptionId,
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    console.log(data ? '↩️ Quota given back:' : '⚠️ Quota use already given back:', consumptionId);
+    return !!data;
+  } catch (error) {
+    console.error('❌ Error giving back quota:', consumptionId, error);
+    return false;
+  }
+};
+
+/**
+ * Explain a refused quota to the user
+ * @param {string} metric - One of QUOTA_METRICS
+ * @param {Object} result - Result of checkQuota or consumeQuota
+ * @returns {string}
+ */
+export const getQuotaExceededMessage = (metric, result) => {
+  const label = QUOTA_METRIC_LABELS[metric].toLowerCase();
+  const plan = result.planLabel ? ` on the ${result.planLabel} plan` : '';
+  const usage = result.usage;
+
+  if (result.exceeded === 'month') {
+    const resetDate = usage?.monthResetsAt ? new Date(usage.monthResetsAt).toLocaleDateString() : 'next month';
+    return `You've used all ${usage?.monthlyLimit} ${label} for this month${plan}. Your limit resets on ${resetDate}.`;
+  }
+
+  const resetTime = usage?.dayResetsAt
+    ? new Date(usage.dayResetsAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+    : 'midnight';
+  return `You've used all ${usage?.dailyLimit} ${label} for today${plan}. Your limit resets at ${resetTime}.`;
+};
+
+/**
+ * Error for a refused quota, so callers can tell it apart from network or provider failures
+ * @param {string} metric - One of QUOTA_METRICS
+ * @param {Object} result - Result of consumeQuota
+ * @returns {Error} - Error with code QUOTA_EXCEEDED and the quota result attached
+ */
+export const createQuotaExceededError = (metric, result) => {
+  const error = new Error(getQuotaExceededMessage(metric, result));
+  error.code = QUOTA_EXCEEDED;
+  error.metric = metric;
+  error.quota = result;
+  return error;
+};
+
+/**
+ * Forget a user's cached quota status on this device
+ * @param {string} userId - User ID
+ */
+export const clearCachedQuotaStatus = async (userId) => {
+  const storedStatus = await AsyncStorage.getItem(QUOTA_STATUS_KEY);
+  const { [userId]: removed, ...otherUsers } = storedStatus ? JSON.parse(storedStatus) : {};
+  await AsyncStorage.setItem(QUOTA_STATUS_KEY, JSON.stringify(otherUsers));
+};
@@ -0,0 +1,66 @@
+import { analyzeImageWithAI } from './aiService';
+import { generateSignedUrlForAI } from './storageService';
+import { getObjectsForImage, applyObjectEdits } from './localStorage';
+import { isOnline } from '../utils/networkUtils';
+import { safeUserId } from '../utils/userIdUtils';
+import { toEditableObject, toObjectColumns, compareDetections } from '../utils/objectEditUtils';
+
+const OFFLINE_MESSAGE = 'You\'re offline. Please try again when you\'re back online.';
+
+/**
+ * Run AI analysis again on a saved picture and compare the result with its objects.
+ * Nothing is saved; the user picks what to keep and applyReanalysis saves it.
+ * @param {string} userId - User ID
+ * @param {string} imageUrl - image_url as stored
+ * @param {Object} options - { provider, model, focusHint }; provider and model default to config.ai
+ * @returns {Promise<{success: boolean, comparison?: Object, analysisStatus?: string, isDemoAnalysis?: boolean, error?: string, code?: string}>}
+ *          - comparison is compareDetections' { newObjects, missingObjects, unchangedObjects };
+ *            analysisStatus and isDemoAnalysis as analyzeImageWithAI's status and demo
+ */
+export const reanalyzePicture = async (userId, imageUrl, { provider, model, focusHint } = {}) => {
+  const user_id = safeUserId(userId);
+  if (!user_id) return { success: false, error: 'Please sign in first' };
+
+  if (!(await isOnline())) {
+    return { success: false, error: OFFLINE_MESSAGE };
+  }
+
+  try {
+    console.log('🤖 Re-analyzing picture with', provider || 'the default provider', model ? `(${model})` : '');
+
+    const aiSignedUrl = await generateSignedUrlForAI(imageUrl);
+    if (!aiSignedUrl) {
+      throw new Error('Failed to generate secure URL for AI analysis');
+    }
+
+    const analysis = await analyzeImageWithAI(aiSignedUrl, {
+      provider,
+      model: model?.trim() || undefined,
+      focusHint,
+      userId: user_id,
+    });
+    const savedObjects = await getObjectsForImage(imageUrl, user_id);
+    const comparison = compareDetections(savedObjects.map(toEditableObject), analysis.detections);
+
+    console.log(`✅ Re-analysis found ${comparison.newObjects.length} new, ${comparison.missingObjects.length} missing, ${comparison.unchangedObjects.length} unchanged objects`);
+    return { success: true, comparison, analysisStatus: analysis.status, isDemoAnalysis: analysis.demo };
+  } catch (error) {
+    console.error('❌ Re-analysis failed:', error);
+    return { success: false, error: error.message, code: error.code };
+  }
+};
+
+/**
+ * Save the objects the user accepted from a re-analysis, in one transaction
+ * @param {string} userId - User ID
+ * @param {string} imageUrl - image_url as stored
+ * @param {Object} changes - { add: new editable objects to save, remove: saved editable objects to delete }
+ * @returns {Promise<{success: boolean, objects?: Array, queued?: boolean, error?: string}>} - As applyObjectEdits
+ */
+export const applyReanalysis = async (userId, imageUrl, { add = [], remove = [] }) => {
+  return applyObjectEdits(imageUrl, {
+    added: add.map(toObjectColumns),
+    updated: [],
+    removedIds: remove.map(obj => obj.id).filter(id => id !== null),
+  }, userId);
+};
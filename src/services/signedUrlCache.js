@@ -0,0 +1,122 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { supabase } from './supabase';
+import { extractFilePathFromUrl } from './storageService';
+import { getThumbnailPath } from '../utils/imageUtils';
+
+const CACHE_KEY = 'snapfind_signed_url_cache';
+const URL_LIFETIME_SECONDS = 86400; // 24 hours, like generateSignedUrlForDisplay
+const REFRESH_MARGIN_MS = 60 * 60 * 1000; // Sign again when less than an hour is left
+const SIGN_BATCH_SIZE = 100;
+
+// { [filePath]: { url, expiresAt } }; url is null for files that don't exist (e.g. no thumbnail)
+let cache = null;
+
+const loadCache = async () => {
+  if (cache) return cache;
+
+  try {
+    const stored = await AsyncStorage.getItem(CACHE_KEY);
+    const now = Date.now();
+    cache = Object.fromEntries(
+      Object.entries(stored ? JSON.parse(stored) : {}).filter(([, entry]) => entry.expiresAt > now)
+    );
+  } catch (error) {
+    console.error('❌ Error reading signed URL cache:', error);
+    cache = {};
+  }
+  return cache;
+};
+
+const saveCache = async () => {
+  try {
+    await AsyncStorage.setItem(CACHE_KEY, JSON.stringify(cache));
+  } catch (error) {
+    console.error('❌ Error saving signed URL cache:', error);
+  }
+};
+
+// Sign many paths in as few requests as possible; paths that couldn't be signed are left out
+const signPaths = async (filePaths) => {
+  const signed = {};
+
+  for (let i = 0; i < filePaths.length; i += SIGN_BATCH_SIZE) {
+    const { data, error } = await supabase.storage
+      .from('images')
+      .createSignedUrls(filePaths.slice(i, i + SIGN_BATCH_SIZE), URL_LIFETIME_SECONDS);
+
+    if (error) {
+      console.error('❌ Error creating signed URLs:', error);
+      continue;
+    }
+
+    data.forEach(item => {
+      // A per-file error means the file doesn't exist or isn't the user's
+      signed[item.path] = item.error ? null : item.signedUrl;
+    });
+  }
+
+  return signed;
+};
+
+/**
+ * Signed display URLs for storage paths, reused until shortly before they expire
+ * Paths that aren't cached are signed together, so a full gallery costs one request instead
+ * of one per picture. When signing fails (e.g. offline) cached URLs are used until they expire.
+ * @param {Array<string>} filePaths - Paths like "user-123/images/snapfind_1700000000.jpg"
+ * @returns {Promise<Object>} - { [filePath]: signedUrl or null if the file doesn't exist or couldn't be signed }
+ */
+export const getSignedUrls = async (filePaths) => {
+  const entries = await loadCache();
+  const now = Date.now();
+  const uniquePaths = [...new Set(filePaths.filter(Boolean))];
+  const stalePaths = uniquePaths.filter(path => !entries[path] || entries[path].expiresAt - now < REFRESH_MARGIN_MS);
+
+  if (stalePaths.length > 0) {
+    const signed = await signPaths(stalePaths);
+    const expiresAt = now + URL_LIFETIME_SECONDS * 1000;
+
+    Object.entries(signed).forEach(([path, url]) => {
+      entries[path] = { url, expiresAt };
+    });
+    console.log(`🔐 Signed ${Object.keys(signed).length} URLs, ${uniquePaths.length - stalePaths.length} from cache`);
+    await saveCache();
+  }
+
+  return Object.fromEntries(uniquePaths.map(path => {
+    const entry = entries[path];
+    return [path, entry && entry.expiresAt > now ? entry.url : null];
+  }));
+};
+
+/**
+ * Full-size and thumbnail display URLs for stored pictures
+ * Pictures uploaded before thumbnails existed get the full image as their thumbnail.
+ * @param {Array<string>} imageUrls - image_url values (storage paths or signed URLs)
+ * @returns {Promise<Array<{url: string|null, thumbnailUrl: string|null}>>} - In the same order
+ */
+export const getImageDisplayUrls = async (imageUrls) => {
+  const paths = imageUrls.map(imageUrl => extractFilePathFromUrl(imageUrl));
+  const thumbnailPaths = paths.map(path => path && getThumbnailPath(path));
+  const urls = await getSignedUrls([...paths, ...thumbnailPaths]);
+
+  return paths.map((path, i) => {
+    const url = (path && urls[path]) || null;
+    return { url, thumbnailUrl: (thumbnailPaths[i] && urls[thumbnailPaths[i]]) || url };
+  });
+};
+
+/**
+ * Forget a user's cached URLs
+ * @param {string} userId - User ID
+ */
+export const clearSignedUrlCache = async (userId) => {
+  const entries = await loadCache();
+  const userFolder = `user-${userId}/`;
+
+  Object.keys(entries)
+    .filter(path => path.startsWith(userFolder))
+    .forEach(path => {
+      delete entries[path];
+    });
+  await saveCache();
+};
@@ -1,14 +1,51 @@
 import * as FileSystem from 'expo-file-system';
 import { supabase } from './supabase';
+import { config } from '../config/env';
 import { Alert } from 'react-native';
+import { OUTBOX_OPS, enqueueOutboxOperation } from './syncOutbox';
+import { updateLocalPictureObjects } from './localStorage';
+import { preprocessImage, discardPreparedImage } from './imageService';
+import { refundQuota } from './quotaService';
+import { isOnline } from '../utils/networkUtils';
+import { getThumbnailPath, extractFilePathFromUrl, createStorageReference } from '../utils/imageUtils';
+import {
+  PICTURE_SORTS,
+  DEFAULT_PICTURE_SORT,
+  buildCursorFilter,
+  getPageCursor,
+} from '../utils/galleryUtils';
+
+// Image references moved to imageUtils so modules this one imports can use them too
+export { extractFilePathFromUrl, createStorageReference };
+
+const STORAGE_LIST_PAGE_SIZE = 100;
+
+// Read a local file into bytes for a storage upload
+const readFileBytes = async (uri) => {
+  const base64 = await FileSystem.readAsStringAsync(uri, {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+
+  if (!base64 || base64.length === 0) {
+    throw new Error('Failed to read image data');
+  }
+
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+};
 
 /**
  * Upload image to user-specific folder in Supabase storage
+ * The photo is preprocessed first (see preprocessImage) and its thumbnail goes to the
+ * user's thumbnails/ folder under the same name.
  * @param {string} imageUri - Local image URI
  * @param {string} userId - User ID for folder organization
+ * @param {Object} options - { showAlerts } set to false for background retries
  * @returns {Promise<string|null>} - Public URL of uploaded image or null if failed
  */
-export const uploadImageToUserFolder = async (imageUri, userId) => {
+export const uploadImageToUserFolder = async (imageUri, userId, options = {}) => {
+  const { showAlerts = true } = options;
+  let prepared = null;
+
   try {
     console.log('📁 Uploading image for user:', userId);
     
@@ -30,25 +67,16 @@ export const uploadImageToUserFolder = async (imageUri, userId) => {
     
     console.log('✅ Image file verified:', fileInfo.size, 'bytes');
     
-    // Read the file as base64
-    const base64 = await FileSystem.readAsStringAsync(imageUri, {
-      encoding: FileSystem.EncodingType.Base64,
-    });
-    
-    if (!base64 || base64.length === 0) {
-      throw new Error('Failed to read image data');
-    }
-    
-    console.log('✅ Image data read:', base64.length, 'characters (base64)');
+    // Fix orientation, shrink and recompress before anything leaves the device
+    prepared = await preprocessImage(imageUri);
     
-    // Convert base64 to binary data
-    const binaryData = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
-    console.log('✅ Binary data created:', binaryData.length, 'bytes');
+    const binaryData = await readFileBytes(prepared.uri);
+    console.log('✅ Binary data created:', binaryData.length, 'bytes', `(${prepared.mimeType})`);
     
-    // Create user-specific file path
-    const fileExt = imageUri.split('.').pop() || 'jpg';
-    const timestamp = Date.now();
-    const fileName = `user-${userId}/images/snapfind_${timestamp}.${fileExt}`;
+    // Create user-specific file path; the extension follows the real format.
+    // The random part keeps uploads started in the same millisecond (batches, imports) apart.
+    const uniqueId = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const fileName = `user-${userId}/images/snapfind_${uniqueId}.${prepared.format}`;
     
     console.log('📁 Uploading to path:', fileName);
     
@@ -56,7 +84,7 @@ export const uploadImageToUserFolder = async (imageUri, userId) => {
     const { data, error } = await supabase.storage
       .from('images')
       .upload(fileName, binaryData, {
-        contentType: 'image/jpeg',
+        contentType: prepared.mimeType,
         upsert: false,
       });
 
@@ -64,6 +92,20 @@ export const uploadImageToUserFolder = async (imageUri, userId) => {
       console.error('❌ Supabase storage error:', error);
       throw error;
     }
+    
+    if (prepared.thumbnailUri) {
+      const { error: thumbnailError } = await supabase.storage
+        .from('images')
+        .upload(getThumbnailPath(fileName), await readFileBytes(prepared.thumbnailUri), {
+          contentType: 'image/jpeg',
+          upsert: true,
+        });
+      
+      // Lists fall back to the full image, so the upload still counts as a success
+      if (thumbnailError) {
+        console.warn('⚠️ Thumbnail upload failed:', thumbnailError.message);
+      }
+    }
 
     console.log('✅ Upload successful, getting public URL...');
     
@@ -85,6 +127,10 @@ export const uploadImageToUserFolder = async (imageUri, userId) => {
   } catch (error) {
     console.error('❌ Error uploading image:', error);
     
+    if (!showAlerts) {
+      return null;
+    }
+    
     // Provide user-friendly error messages
     if (error.message.includes('not found')) {
       Alert.alert('Storage Error', 'Storage bucket "images" not found. Please create it in your Supabase dashboard.');
@@ -97,6 +143,8 @@ export const uploadImageToUserFolder = async (imageUri, userId) => {
     }
     
     return null;
+  } finally {
+    await discardPreparedImage(prepared);
   }
 };
 
@@ -115,20 +163,27 @@ export const getUserImages = async (userId) => {
 
     const userFolderPath = `user-${userId}/images`;
     
-    const { data, error } = await supabase.storage
-      .from('images')
-      .list(userFolderPath, {
-        limit: 100,
-        offset: 0,
-        sortBy: { column: 'created_at', order: 'desc' },
-      });
+    // Storage lists at most one page per request, so keep going until a short page
+    const data = [];
+    for (let offset = 0; ; offset += STORAGE_LIST_PAGE_SIZE) {
+      const { data: page, error } = await supabase.storage
+        .from('images')
+        .list(userFolderPath, {
+          limit: STORAGE_LIST_PAGE_SIZE,
+          offset,
+          sortBy: { column: 'created_at', order: 'desc' },
+        });
+
+      if (error) {
+        console.error('❌ Error listing user images:', error);
+        throw error;
+      }
 
-    if (error) {
-      console.error('❌ Error listing user images:', error);
-      throw error;
+      data.push(...(page || []));
+      if (!page || page.length < STORAGE_LIST_PAGE_SIZE) break;
     }
 
-    if (!data || data.length === 0) {
+    if (data.length === 0) {
       console.log('📁 No images found for user');
       return [];
     }
@@ -174,9 +229,12 @@ export const getUserImages = async (userId) => {
  * Delete an image from user's folder
  * @param {string} userId - User ID
  * @param {string} fileName - Name of the file to delete
+ * @param {Object} options - { showAlerts } set to false for background purges
  * @returns {Promise<boolean>} - Success status
  */
-export const deleteUserImage = async (userId, fileName) => {
+export const deleteUserImage = async (userId, fileName, options = {}) => {
+  const { showAlerts = true } = options;
+
   try {
     console.log('🗑️ Deleting image for user:', userId, 'file:', fileName);
     
@@ -186,9 +244,10 @@ export const deleteUserImage = async (userId, fileName) => {
 
     const filePath = `user-${userId}/images/${fileName}`;
     
+    // Removing a thumbnail that was never uploaded is not an error
     const { error } = await supabase.storage
       .from('images')
-      .remove([filePath]);
+      .remove([filePath, getThumbnailPath(filePath)]);
 
     if (error) {
       console.error('❌ Error deleting image:', error);
@@ -200,11 +259,29 @@ export const deleteUserImage = async (userId, fileName) => {
     
   } catch (error) {
     console.error('❌ Error deleting image:', error);
-    Alert.alert('Delete Error', `Failed to delete image: ${error.message}`);
+    if (showAlerts) {
+      Alert.alert('Delete Error', `Failed to delete image: ${error.message}`);
+    }
     return false;
   }
 };
 
+/**
+ * Remove an uploaded image that never reached the gallery (no picture row refers to it) and give
+ * back the picture quota it used
+ * @param {string} userId - User ID
+ * @param {string|null} imageUrl - Image URL or storage reference from uploadImageToUserFolder, if it was uploaded
+ * @param {string|null} quotaConsumptionId - consumeQuota's consumptionId for the picture
+ * @returns {Promise<boolean>} - Whether the file is gone
+ */
+export const discardUploadedImage = async (userId, imageUrl, quotaConsumptionId = null) => {
+  const fileDeleted = imageUrl
+    ? await deleteUserImage(userId, createStorageReference(imageUrl).split('/').pop(), { showAlerts: false })
+    : true;
+  await refundQuota(userId, quotaConsumptionId);
+  return fileDeleted;
+};
+
 /**
  * Generate a temporary signed URL for AI analysis
  * @param {string} imageUrl - The original signed URL (to extract path)
@@ -355,6 +432,23 @@ export const deletePictureAndObjects = async (userId, imageUrl, fileName) => {
       throw new Error('User ID and image URL are required');
     }
 
+    // Offline: queue the soft delete and let the next sync apply it
+    if (!(await isOnline())) {
+      await enqueueOutboxOperation(userId, OUTBOX_OPS.SET_IMAGE_DELETED, {
+        image_url: createStorageReference(imageUrl),
+        deleted: true,
+      });
+      await updateLocalPictureObjects([imageUrl], { deleted: true }, userId);
+
+      return {
+        success: true,
+        queued: true,
+        objectsDeleted: 0,
+        storageDeleted: false,
+        message: 'You\'re offline. The picture will be deleted when you\'re back online.'
+      };
+    }
+
     // Step 1: Soft delete associated objects in database
     console.log('📊 Marking objects as deleted in database...');
     const { data: softDeleteResult, error: dbError } = await supabase
@@ -369,6 +463,7 @@ export const deletePictureAndObjects = async (userId, imageUrl, fileName) => {
     }
 
     console.log('✅ Marked', softDeleteResult, 'objects as deleted');
+    await updateLocalPictureObjects([imageUrl], { deleted: true }, userId);
 
     // Step 2: Keep image in storage but mark as deleted in database
     // Note: We no longer delete the physical file, just mark as deleted in DB
@@ -379,7 +474,7 @@ export const deletePictureAndObjects = async (userId, imageUrl, fileName) => {
       success: true,
       objectsDeleted: softDeleteResult || 0,
       storageDeleted,
-      message: `Successfully deleted picture and marked ${softDeleteResult || 0} objects as deleted`
+      message: `Moved picture and ${softDeleteResult || 0} objects to Trash`
     };
 
     console.log('✅ Deletion completed:', result);
@@ -397,92 +492,92 @@ export const deletePictureAndObjects = async (userId, imageUrl, fileName) => {
 };
 
 /**
- * Get pictures with their associated object counts (active only)
+ * Get one page of a user's active pictures with their object counts
+ * Pages are cut with a keyset cursor, so pictures added or deleted while scrolling don't
+ * shift the following pages.
  * @param {string} userId - User ID
- * @returns {Promise<Array>} - Array of pictures with object counts
+ * @param {Object} options - Page options
+ * @param {string} options.sort - Key of PICTURE_SORTS
+ * @param {Object} options.filters - { dateFrom: ISO date, hasObjects: true/false/null, locationIds: Array|null }
+ * @param {Object|null} options.cursor - nextCursor of the previous page, null for the first page
+ * @param {number} options.pageSize - Pictures per page
+ * @returns {Promise<{pictures: Array, nextCursor: Object|null}>} - nextCursor is null on the last page
  */
-export const getUserPicturesWithObjectCounts = async (userId) => {
+export const getPicturesPage = async (userId, options = {}) => {
+  const {
+    sort = DEFAULT_PICTURE_SORT,
+    filters = {},
+    cursor = null,
+    pageSize = config.app.galleryPageSize,
+  } = options;
+
   try {
-    console.log('📊 Getting pictures with object counts for user:', userId);
-    
     if (!userId) {
       throw new Error('User ID is required');
     }
 
-    // Get active pictures from database (not storage)
-    console.log('📊 Getting pictures from database...');
-    const { data: pictures, error: picturesError } = await supabase
-      .from('pictures')
+    const sortOrder = PICTURE_SORTS[sort] || PICTURE_SORTS[DEFAULT_PICTURE_SORT];
+    console.log('📊 Getting pictures page for user:', userId, { sort, filters, cursor });
+
+    let query = supabase
+      .from('pictures_with_object_counts')
       .select('*')
       .eq('user_id', userId)
-      .eq('deleted', false)
-      .order('created_at', { ascending: false });
+      .eq('deleted', false);
 
-    if (picturesError) {
-      console.error('❌ Error getting pictures from database:', picturesError);
-      throw picturesError;
+    if (filters.dateFrom) {
+      query = query.gte('created_at', filters.dateFrom);
     }
-
-    if (!pictures || pictures.length === 0) {
-      console.log('📊 No active pictures found in database');
-      return [];
+    if (filters.hasObjects === true) {
+      query = query.gt('object_count', 0);
+    } else if (filters.hasObjects === false) {
+      query = query.eq('object_count', 0);
     }
-
-    console.log('📊 DEBUG: Found', pictures.length, 'active pictures in database');
-
-    // Get object counts for each picture using the normalized structure
-    console.log('📊 Getting object counts for pictures...');
-    
-    const { data: objectCounts, error: objectsError } = await supabase
-      .from('objects')
-      .select('picture_id')
-      .eq('deleted', false);
-
-    if (objectsError) {
-      console.error('❌ Error getting object counts:', objectsError);
-      throw objectsError;
+    if (filters.locationIds) {
+      query = query.in('location_id', filters.locationIds);
+    }
+    if (cursor) {
+      query = query.or(buildCursorFilter(sort, cursor));
     }
 
-    // Count objects by picture_id
-    const countsByPictureId = {};
-    objectCounts.forEach(obj => {
-      const pictureId = obj.picture_id;
-      if (pictureId) {
-        countsByPictureId[pictureId] = (countsByPictureId[pictureId] || 0) + 1;
-      }
-    });
+    // One extra row tells whether there is another page
+    const { data: pictures, error } = await query
+      .order(sortOrder.column, { ascending: sortOrder.ascending })
+      .order('id', { ascending: sortOrder.ascending })
+      .limit(pageSize + 1);
 
-    // Transform pictures to match the expected format
-    const picturesWithCounts = pictures.map(picture => {
-      const objectCount = countsByPictureId[picture.id] || 0;
-      
-      // Convert database picture to storage-like format for compatibility
-      const fileName = extractFileNameFromUrl(picture.image_url);
-      
-      return {
-        id: picture.id,
-        name: fileName || 'image.jpg',
-        url: picture.image_url,
-        publicUrl: picture.image_url,
-        objectCount,
-        hasObjects: objectCount > 0,
-        pictureName: picture.picture_name,
-        description: picture.description,
-        created_at: picture.created_at,
-        updated_at: picture.updated_at
-      };
-    });
+    if (error) {
+      console.error('❌ Error getting pictures page:', error);
+      throw error;
+    }
 
-    console.log('📊 DEBUG: Final results (database-driven):');
-    picturesWithCounts.forEach((pic, i) => {
-      console.log(`  ${i + 1}. ${pic.pictureName || pic.name}: ${pic.objectCount} objects (hasObjects: ${pic.hasObjects})`);
-    });
+    const pageRows = pictures.slice(0, pageSize);
+    const hasMore = pictures.length > pageSize;
+
+    // Convert database rows to the storage-like format the screens use
+    const picturesWithCounts = pageRows.map(picture => ({
+      id: picture.id,
+      name: extractFileNameFromUrl(picture.image_url) || 'image.jpg',
+      url: picture.image_url,
+      publicUrl: picture.image_url,
+      objectCount: picture.object_count,
+      hasObjects: picture.object_count > 0,
+      pictureName: picture.picture_name,
+      description: picture.description,
+      locationId: picture.location_id,
+      created_at: picture.created_at,
+      updated_at: picture.updated_at,
+    }));
 
-    return picturesWithCounts;
+    console.log('📊 Loaded', picturesWithCounts.length, 'pictures', hasMore ? '(more available)' : '(last page)');
+    return {
+      pictures: picturesWithCounts,
+      nextCursor: hasMore ? getPageCursor(sort, pageRows[pageRows.length - 1]) : null,
+    };
 
   } catch (error) {
     console.error('❌ Error getting pictures with object counts:', error);
-    return [];
+    return { pictures: [], nextCursor: null };
   }
 };
 
@@ -500,6 +595,23 @@ export const restorePictureObjects = async (userId, imageUrl) => {
       throw new Error('User ID and image URL are required');
     }
 
+    // Offline: queue the restore and let the next sync apply it
+    if (!(await isOnline())) {
+      await enqueueOutboxOperation(userId, OUTBOX_OPS.SET_IMAGE_DELETED, {
+        image_url: createStorageReference(imageUrl),
+        deleted: false,
+      });
+      // Objects the last sync already dropped from the cache come back with the next one
+      await updateLocalPictureObjects([imageUrl], { deleted: false }, userId);
+
+      return {
+        success: true,
+        queued: true,
+        objectsRestored: 0,
+        message: 'You\'re offline. The objects will be restored when you\'re back online.'
+      };
+    }
+
     const { data: restoreResult, error: dbError } = await supabase
       .rpc('restore_objects_by_image', {
         p_user_id: userId,
@@ -512,6 +624,7 @@ export const restorePictureObjects = async (userId, imageUrl) => {
     }
 
     console.log('✅ Restored', restoreResult, 'objects');
+    await updateLocalPictureObjects([imageUrl], { deleted: false }, userId);
     
     return {
       success: true,
@@ -541,26 +654,6 @@ const extractFileNameFromUrl = (url) => {
   }
 };
 
-// Helper function to extract file path from signed URL or direct path
-export const extractFilePathFromUrl = (url) => {
-  try {
-    if (!url) return null;
-    
-    // If it's already a direct path (no protocol), return as-is
-    if (!url.startsWith('http')) {
-      return url;
-    }
-    
-    // Extract the file path from signed URL
-    // Format: https://project.supabase.co/storage/v1/object/sign/images/user-123/file.jpg?token=...
-    const pathMatch = url.match(/\/storage\/v1\/object\/sign\/images\/([^?]+)/);
-    return pathMatch ? pathMatch[1] : null;
-  } catch (error) {
-    console.error('Error extracting file path from URL:', url, error);
-    return null;
-  }
-};
-
 /**
  * Generate a signed URL for display purposes from a file path
  * @param {string} filePath - File path (e.g., "user-123/images/filename.jpg")
@@ -610,19 +703,3 @@ export const generateSignedUrlForDisplay = async (filePath) => {
     return null;
   }
 };
-
-/**
- * Create a standardized storage reference for an image
- * This should be used when saving objects to ensure consistent matching
- * @param {string} imageUrl - The signed URL or file path
- * @returns {string} - Standardized file path for storage
- */
-export const createStorageReference = (imageUrl) => {
-  // If it's already a file path (no protocol), return as-is
-  if (!imageUrl.startsWith('http')) {
-    return imageUrl;
-  }
-  
-  // Extract file path from signed URL
-  return extractFilePathFromUrl(imageUrl) || imageUrl;
-}; 
\ No newline at end of file
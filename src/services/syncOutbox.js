@@ -0,0 +1,114 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Local outbox of writes that still have to reach Supabase, oldest first
+const OUTBOX_KEY = 'snapfind_sync_outbox';
+
+export const OUTBOX_OPS = {
+  INSERT_OBJECT: 'insert_object',
+  SET_IMAGE_DELETED: 'set_image_deleted',
+  SET_PICTURE_LOCATION: 'set_picture_location',
+  APPLY_OBJECT_EDITS: 'apply_object_edits',
+};
+
+const readOutbox = async () => {
+  try {
+    const storedOutbox = await AsyncStorage.getItem(OUTBOX_KEY);
+    return storedOutbox ? JSON.parse(storedOutbox) : [];
+  } catch (error) {
+    console.error('❌ Error reading sync outbox:', error);
+    return [];
+  }
+};
+
+const writeOutbox = async (operations) => {
+  await AsyncStorage.setItem(OUTBOX_KEY, JSON.stringify(operations));
+};
+
+// Every change is a read-modify-write of the whole outbox, so changes run one at a time;
+// otherwise an operation queued while the sync removes another could be lost
+let isUpdating = false;
+const updateOutbox = async (change) => {
+  while (isUpdating) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  isUpdating = true;
+
+  try {
+    await writeOutbox(change(await readOutbox()));
+  } finally {
+    isUpdating = false;
+  }
+};
+
+/**
+ * Record a write so it can be pushed to Supabase later
+ * @param {string} userId - User ID
+ * @param {string} type - One of OUTBOX_OPS
+ * @param {Object} payload - Operation data (always includes image_url)
+ * @param {string} changedAt - When the change was made locally (ISO string)
+ * @returns {Promise<Object>} - Queued operation
+ */
+export const enqueueOutboxOperation = async (userId, type, payload, changedAt = new Date().toISOString()) => {
+  const operation = {
+    id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    user_id: userId,
+    type,
+    payload,
+    changed_at: changedAt,
+    attempts: 0,
+    last_error: null,
+  };
+
+  await updateOutbox(operations => [...operations, operation]);
+
+  console.log('📤 Queued sync operation:', type, operation.id);
+  return operation;
+};
+
+/**
+ * Get a user's pending operations in the order they were made
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Pending operations
+ */
+export const getOutboxOperations = async (userId) => {
+  const operations = await readOutbox();
+  return operations.filter(op => op.user_id === userId);
+};
+
+/**
+ * Remove an operation once it reached the server (or was superseded)
+ * @param {string} operationId - Operation ID
+ */
+export const removeOutboxOperation = async (operationId) => {
+  await updateOutbox(operations => operations.filter(op => op.id !== operationId));
+};
+
+/**
+ * Keep a failed operation for the next sync and remember why it failed
+ * @param {string} operationId - Operation ID
+ * @param {Error} error - Push error
+ */
+export const recordOutboxFailure = async (operationId, error) => {
+  await updateOutbox(operations => operations.map(op => op.id === operationId
+    ? { ...op, attempts: op.attempts + 1, last_error: error?.message || String(error) }
+    : op
+  ));
+};
+
+/**
+ * Number of local changes that have not reached the server yet
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+export const getPendingChangeCount = async (userId) => {
+  const operations = await getOutboxOperations(userId);
+  return operations.length;
+};
+
+/**
+ * Drop all of a user's pending operations without pushing them
+ * @param {string} userId - User ID
+ */
+export const clearOutboxOperations = async (userId) => {
+  await updateOutbox(operations => operations.filter(op => op.user_id !== userId));
+};
@@ -24,6 +24,15 @@ export const createTestUser = async (email, password, fullName = 'Test User') =>
       throw error;
     }
 
+    // Testers get the tester plan so they aren't held to the free limits
+    const { error: planError } = await supabaseAdmin
+      .from('user_plans')
+      .upsert([{ user_id: data.user.id, plan_id: 'tester' }], { onConflict: 'user_id' });
+
+    if (planError) {
+      console.warn('⚠️ Test user created without the tester plan:', planError.message);
+    }
+
     console.log('✅ Test user created successfully:', email);
     return { success: true, data };
   } catch (error) {
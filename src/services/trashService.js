@@ -0,0 +1,124 @@
+import { supabase } from './supabase';
+import { config } from '../config/env';
+import { deleteUserImage, createStorageReference } from './storageService';
+import { isOnline } from '../utils/networkUtils';
+import { safeUserId } from '../utils/userIdUtils';
+import { fetchAllRows } from '../utils/queryUtils';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PICTURE_ID_CHUNK_SIZE = 100; // Picture ids per .in() filter, which travels in the request URL
+
+/**
+ * When a trashed picture will be purged for good
+ * @param {string} deletedAt - When the picture went to the trash (ISO string)
+ * @returns {Date|null} - Purge date, or null if the deletion date is unknown
+ */
+export const getTrashPurgeDate = (deletedAt) => {
+  if (!deletedAt) return null;
+  return new Date(new Date(deletedAt).getTime() + config.app.trashRetentionDays * DAY_MS);
+};
+
+/**
+ * Get a user's deleted pictures with the names of their objects, most recently deleted first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Pictures with objectNames and purgeAt
+ */
+export const getTrashedPictures = async (userId) => {
+  const user_id = safeUserId(userId);
+  if (!user_id) return [];
+
+  try {
+    // Ordered by a unique column last, so pages never overlap or skip rows
+    const pictures = await fetchAllRows(() => supabase
+      .from('pictures')
+      .select('id, image_url, picture_name, description, created_at, deleted_at')
+      .eq('user_id', String(user_id))
+      .eq('deleted', true)
+      .order('deleted_at', { ascending: false, nullsFirst: false })
+      .order('id', { ascending: true }));
+
+    if (pictures.length === 0) {
+      return [];
+    }
+
+    const objects = [];
+    for (let i = 0; i < pictures.length; i += PICTURE_ID_CHUNK_SIZE) {
+      const pictureIds = pictures.slice(i, i + PICTURE_ID_CHUNK_SIZE).map(picture => picture.id);
+      objects.push(...await fetchAllRows(() => supabase
+        .from('objects')
+        .select('id, picture_id, object_name')
+        .in('picture_id', pictureIds)
+        .order('id', { ascending: true })));
+    }
+
+    const namesByPicture = {};
+    objects.forEach(object => {
+      (namesByPicture[object.picture_id] = namesByPicture[object.picture_id] || []).push(object.object_name);
+    });
+
+    console.log(`🗑️ Found ${pictures.length} pictures in the trash`);
+    return pictures.map(picture => ({
+      ...picture,
+      objectNames: namesByPicture[picture.id] || [],
+      purgeAt: getTrashPurgeDate(picture.deleted_at),
+    }));
+  } catch (error) {
+    console.error('❌ Error getting trashed pictures:', error);
+    return [];
+  }
+};
+
+/**
+ * Permanently delete a trashed picture: its image file, its objects and the picture itself
+ * The file goes first, so a failure leaves the picture in the trash to try again.
+ * @param {string} userId - User ID
+ * @param {string} imageUrl - The picture's image_url as stored
+ * @param {Object} options - { showAlerts } set to false for background purges
+ * @returns {Promise<{success: boolean, objectsDeleted?: number, error?: string}>}
+ */
+export const purgeTrashedPicture = async (userId, imageUrl, options = {}) => {
+  try {
+    const fileName = createStorageReference(imageUrl).split('/').pop();
+    const fileDeleted = await deleteUserImage(userId, fileName, options);
+    if (!fileDeleted) {
+      return { success: false, error: 'Failed to delete the image file' };
+    }
+
+    const { data: objectsDeleted, error } = await supabase
+      .rpc('purge_deleted_picture', { p_image_url: imageUrl });
+
+    if (error) {
+      throw error;
+    }
+
+    console.log('🔥 Permanently deleted picture and', objectsDeleted, 'objects:', fileName);
+    return { success: true, objectsDeleted: objectsDeleted || 0 };
+  } catch (error) {
+    console.error('❌ Error permanently deleting picture:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Permanently delete pictures that have been in the trash longer than the retention period
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Number of pictures purged
+ */
+export const purgeExpiredTrash = async (userId) => {
+  if (!(await isOnline())) return 0;
+
+  const now = Date.now();
+  const expired = (await getTrashedPictures(userId))
+    .filter(picture => picture.purgeAt && picture.purgeAt.getTime() <= now);
+
+  let purged = 0;
+  for (const picture of expired) {
+    const result = await purgeTrashedPicture(userId, picture.image_url, { showAlerts: false });
+    if (result.success) purged++;
+  }
+
+  if (expired.length > 0) {
+    console.log(`🔥 Purged ${purged} of ${expired.length} expired pictures from the trash`);
+  }
+  return purged;
+};
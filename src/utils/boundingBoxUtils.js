@@ -0,0 +1,135 @@
+// Utility functions for object bounding boxes
+// Boxes are stored as percentages of the image size: { left, top, width, height } (0-100)
+
+const clampPercent = (value) => Math.max(0, Math.min(100, value));
+
+const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+/**
+ * Validates and clamps a bounding box so it stays inside the image
+ * @param {Object} box - Object with left, top, width, height percentages
+ * @returns {Object|null} - Normalized box or null if incomplete
+ */
+export const normalizeBox = (box) => {
+  if (!box || ![box.left, box.top, box.width, box.height].every(isNumber)) {
+    return null;
+  }
+
+  const left = clampPercent(box.left);
+  const top = clampPercent(box.top);
+  const width = Math.min(clampPercent(box.width), 100 - left);
+  const height = Math.min(clampPercent(box.height), 100 - top);
+
+  if (width <= 0 || height <= 0) {
+    return null;
+  }
+
+  return { left, top, width, height };
+};
+
+/**
+ * Clamps a confidence score into the 0-1 range
+ * @param {any} confidence - Raw confidence value
+ * @returns {number|null} - Confidence or null if missing
+ */
+export const normalizeConfidence = (confidence) => {
+  return isNumber(confidence) ? Math.max(0, Math.min(1, confidence)) : null;
+};
+
+/**
+ * Gets the bounding box from either an AI detection ({ box }) or a stored object row (box_* columns)
+ * @param {Object} obj - Detection or object row
+ * @returns {Object|null} - Normalized box or null
+ */
+export const getObjectBox = (obj) => {
+  if (!obj) return null;
+  if (obj.box) return normalizeBox(obj.box);
+
+  return normalizeBox({
+    left: obj.box_left,
+    top: obj.box_top,
+    width: obj.box_width,
+    height: obj.box_height,
+  });
+};
+
+/**
+ * Converts a box into the objects table column format
+ * @param {Object|null} box - Normalized box
+ * @returns {Object} - { box_left, box_top, box_width, box_height }
+ */
+export const boxToColumns = (box) => ({
+  box_left: box ? box.left : null,
+  box_top: box ? box.top : null,
+  box_width: box ? box.width : null,
+  box_height: box ? box.height : null,
+});
+
+/**
+ * Converts a percentage box into a pixel rectangle inside an image container
+ * @param {Object} box - Normalized box
+ * @param {number} containerWidth - Container width in pixels
+ * @param {number} containerHeight - Container height in pixels
+ * @returns {Object} - { left, top, width, height } in pixels
+ */
+export const boxToPixelRect = (box, containerWidth, containerHeight) => ({
+  left: (box.left / 100) * containerWidth,
+  top: (box.top / 100) * containerHeight,
+  width: (box.width / 100) * containerWidth,
+  height: (box.height / 100) * containerHeight,
+});
+
+// Smallest box the user can resize to, in percent of the image
+export const MIN_BOX_SIZE = 5;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * Center point of a box
+ * @param {Object} box - Normalized box
+ * @returns {{x: number, y: number}} - Percentages
+ */
+export const getBoxCenter = (box) => ({
+  x: box.left + box.width / 2,
+  y: box.top + box.height / 2,
+});
+
+/**
+ * Square box centered on a point, shifted as needed to stay inside the image
+ * @param {number} x - Horizontal position in percent
+ * @param {number} y - Vertical position in percent
+ * @param {number} size - Width and height in percent
+ * @returns {Object} - Normalized box
+ */
+export const boxAroundPoint = (x, y, size) => normalizeBox({
+  left: clamp(x - size / 2, 0, 100 - size),
+  top: clamp(y - size / 2, 0, 100 - size),
+  width: size,
+  height: size,
+});
+
+/**
+ * Move a box without changing its size; it stops at the image edges
+ * @param {Object} box - Normalized box
+ * @param {number} dx - Horizontal offset in percent
+ * @param {number} dy - Vertical offset in percent
+ * @returns {Object} - Normalized box
+ */
+export const moveBox = (box, dx, dy) => ({
+  ...box,
+  left: clamp(box.left + dx, 0, 100 - box.width),
+  top: clamp(box.top + dy, 0, 100 - box.height),
+});
+
+/**
+ * Resize a box from its bottom-right corner, keeping it inside the image and at least MIN_BOX_SIZE
+ * @param {Object} box - Normalized box
+ * @param {number} dWidth - Width change in percent
+ * @param {number} dHeight - Height change in percent
+ * @returns {Object} - Normalized box
+ */
+export const resizeBox = (box, dWidth, dHeight) => ({
+  ...box,
+  width: clamp(box.width + dWidth, Math.min(MIN_BOX_SIZE, 100 - box.left), 100 - box.left),
+  height: clamp(box.height + dHeight, Math.min(MIN_BOX_SIZE, 100 - box.top), 100 - box.top),
+});
@@ -0,0 +1,25 @@
+// Utility functions for running async work in parallel without flooding the network
+
+/**
+ * Map over items with at most `limit` calls in flight at once
+ * Results keep the order of the items, whatever order the calls finish in.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of calls running at the same time
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} - Results in item order
+ */
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+};
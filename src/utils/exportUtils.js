@@ -0,0 +1,130 @@
+// Utility functions for the portable data export (format documented in docs/EXPORT_FORMAT.md)
+import { formatLocationPath } from './locationUtils';
+
+export const EXPORT_FORMAT = 'snapfind-export';
+
+// Bump when the manifest changes in a way older importers can't read
+export const EXPORT_VERSION = 1;
+
+export const MANIFEST_FILE = 'manifest.json';
+export const CSV_FILE = 'objects.csv';
+export const IMAGES_FOLDER = 'images/';
+
+const CSV_COLUMNS = [
+  'picture_file',
+  'picture_name',
+  'description',
+  'location',
+  'picture_created_at',
+  'object_name',
+  'x_position',
+  'y_position',
+  'box_left',
+  'box_top',
+  'box_width',
+  'box_height',
+  'confidence',
+  'has_ai_coordinates',
+];
+
+/**
+ * Archive path of a picture's image file
+ * @param {string} imageUrl - Storage reference like "user-123/images/snapfind_1700000000.jpg"
+ * @returns {string} - Path like "images/snapfind_1700000000.jpg"
+ */
+export const getArchiveImagePath = (imageUrl) => `${IMAGES_FOLDER}${imageUrl.split('/').pop()}`;
+
+// Object row → manifest object (box is null for objects saved before bounding boxes)
+const toManifestObject = (object) => ({
+  name: object.object_name,
+  x_position: object.x_position,
+  y_position: object.y_position,
+  box: object.box_width != null && object.box_height != null
+    ? { left: object.box_left, top: object.box_top, width: object.box_width, height: object.box_height }
+    : null,
+  confidence: object.confidence ?? null,
+  has_ai_coordinates: !!object.has_ai_coordinates,
+  created_at: object.created_at,
+});
+
+/**
+ * Build the export manifest
+ * @param {Object} data - What to export
+ * @param {Array} data.pictures - Picture rows (id, image_url, picture_name, description, location_id, created_at, updated_at)
+ * @param {Array} data.objects - Object rows linked through picture_id
+ * @param {Array} data.locations - The user's locations
+ * @param {Set<string>} data.missingFiles - Image URLs whose file could not be downloaded
+ * @returns {Object} - Manifest, see docs/EXPORT_FORMAT.md
+ */
+export const buildExportManifest = ({ pictures, objects, locations, missingFiles = new Set() }) => {
+  const objectsByPicture = {};
+  objects.forEach(object => {
+    (objectsByPicture[object.picture_id] = objectsByPicture[object.picture_id] || []).push(object);
+  });
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exported_at: new Date().toISOString(),
+    locations: locations.map(location => ({
+      id: location.id,
+      parent_id: location.parent_id,
+      name: location.name,
+      kind: location.kind,
+    })),
+    pictures: pictures.map(picture => ({
+      file: missingFiles.has(picture.image_url) ? null : getArchiveImagePath(picture.image_url),
+      picture_name: picture.picture_name || '',
+      description: picture.description || '',
+      location_id: picture.location_id ?? null,
+      created_at: picture.created_at,
+      updated_at: picture.updated_at,
+      objects: (objectsByPicture[picture.id] || []).map(toManifestObject),
+    })),
+  };
+};
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One CSV row per object, for spreadsheets (the manifest is what gets imported)
+ * @param {Object} manifest - Manifest from buildExportManifest
+ * @returns {string} - CSV text with a header row
+ */
+export const buildExportCsv = (manifest) => {
+  const rows = [];
+
+  manifest.pictures.forEach(picture => {
+    const pictureValues = {
+      picture_file: picture.file,
+      picture_name: picture.picture_name,
+      description: picture.description,
+      location: formatLocationPath(manifest.locations, picture.location_id),
+      picture_created_at: picture.created_at,
+    };
+
+    picture.objects.forEach(object => {
+      rows.push({
+        ...pictureValues,
+        object_name: object.name,
+        x_position: object.x_position,
+        y_position: object.y_position,
+        box_left: object.box?.left,
+        box_top: object.box?.top,
+        box_width: object.box?.width,
+        box_height: object.box?.height,
+        confidence: object.confidence,
+        has_ai_coordinates: object.has_ai_coordinates,
+      });
+    });
+  });
+
+  return [
+    CSV_COLUMNS.join(','),
+    ...rows.map(row => CSV_COLUMNS.map(column => escapeCsvValue(row[column])).join(',')),
+  ].join('\r\n');
+};
@@ -0,0 +1,74 @@
+// Utility functions for paging through pictures (sort orders, filters and keyset cursors)
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sort orders; `column` is a column of the pictures_with_object_counts view.
+// Ties are broken by id in the same direction so every picture has a fixed place.
+export const PICTURE_SORTS = {
+  newest: { label: 'Newest first', column: 'created_at', ascending: false },
+  oldest: { label: 'Oldest first', column: 'created_at', ascending: true },
+  name: { label: 'Name (A-Z)', column: 'sort_name', ascending: true },
+  objects: { label: 'Most objects', column: 'object_count', ascending: false },
+};
+
+export const DEFAULT_PICTURE_SORT = 'newest';
+
+// Date range filters, counted back from now
+export const PICTURE_DATE_RANGES = {
+  all: { label: 'Any time', days: null },
+  week: { label: 'Last 7 days', days: 7 },
+  month: { label: 'Last 30 days', days: 30 },
+  year: { label: 'Last 12 months', days: 365 },
+};
+
+/**
+ * Start of a date range filter
+ * @param {string} rangeKey - Key of PICTURE_DATE_RANGES
+ * @param {number} now - Current time in milliseconds
+ * @returns {string|null} - ISO date, or null for no limit
+ */
+export const getDateRangeStart = (rangeKey, now = Date.now()) => {
+  const days = PICTURE_DATE_RANGES[rangeKey]?.days;
+  return days ? new Date(now - days * DAY_MS).toISOString() : null;
+};
+
+// PostgREST filter values are quoted so commas, dots and parentheses in names are safe
+const quoteFilterValue = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * Cursor pointing just after a row, for the next page
+ * @param {string} sortKey - Key of PICTURE_SORTS
+ * @param {Object} row - Last row of the current page (a pictures_with_object_counts row)
+ * @returns {{value: any, id: any}}
+ */
+export const getPageCursor = (sortKey, row) => {
+  const sort = PICTURE_SORTS[sortKey] || PICTURE_SORTS[DEFAULT_PICTURE_SORT];
+  return { value: row[sort.column], id: row.id };
+};
+
+/**
+ * PostgREST `or` filter selecting the rows after a cursor in a sort order
+ * @param {string} sortKey - Key of PICTURE_SORTS
+ * @param {{value: any, id: any}} cursor - From getPageCursor
+ * @returns {string} - e.g. `created_at.lt."2025-10-18",and(created_at.eq."2025-10-18",id.lt."42")`
+ */
+export const buildCursorFilter = (sortKey, cursor) => {
+  const sort = PICTURE_SORTS[sortKey] || PICTURE_SORTS[DEFAULT_PICTURE_SORT];
+  const op = sort.ascending ? 'gt' : 'lt';
+  const value = quoteFilterValue(cursor.value);
+  const id = quoteFilterValue(cursor.id);
+
+  return `${sort.column}.${op}.${value},and(${sort.column}.eq.${value},id.${op}.${id})`;
+};
+
+/**
+ * Names for pictures renamed together: "Kitchen 1", "Kitchen 2", ... (just "Kitchen" for one)
+ * @param {string} baseName - Name typed by the user
+ * @param {number} count - Number of pictures
+ * @returns {Array<string>}
+ */
+export const getNumberedPictureNames = (baseName, count) => {
+  const name = baseName.trim();
+  if (count === 1) return [name];
+  return Array.from({ length: count }, (_, i) => `${name} ${i + 1}`);
+};
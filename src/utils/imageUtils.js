@@ -0,0 +1,120 @@
+// Utility functions for image files: format detection, sizing and storage paths
+import { config } from '../config/env';
+
+const MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  heic: 'image/heic',
+};
+
+// Number of leading bytes getImageFormatFromBytes needs
+export const IMAGE_SIGNATURE_LENGTH = 12;
+
+const startsWith = (bytes, signature, offset = 0) =>
+  signature.every((byte, i) => bytes[offset + i] === byte);
+
+const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+
+/**
+ * Detect an image format from the file's first bytes instead of trusting its extension
+ * @param {Uint8Array|Array<number>} bytes - At least IMAGE_SIGNATURE_LENGTH leading bytes
+ * @returns {string|null} - 'jpg', 'png', 'webp', 'heic' or null if unknown
+ */
+export const getImageFormatFromBytes = (bytes) => {
+  if (!bytes || bytes.length < IMAGE_SIGNATURE_LENGTH) return null;
+
+  if (startsWith(bytes, [0xFF, 0xD8, 0xFF])) return 'jpg';
+  if (startsWith(bytes, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'png';
+  if (startsWith(bytes, ascii('RIFF')) && startsWith(bytes, ascii('WEBP'), 8)) return 'webp';
+  if (startsWith(bytes, ascii('ftyp'), 4) && ['heic', 'heix', 'mif1', 'msf1'].some(brand => startsWith(bytes, ascii(brand), 8))) {
+    return 'heic';
+  }
+
+  return null;
+};
+
+/**
+ * Whether the app accepts an image format (config.app.supportedImageFormats)
+ * @param {string|null} format - Format from getImageFormatFromBytes or a file extension
+ * @returns {boolean}
+ */
+export const isSupportedImageFormat = (format) => {
+  return !!format && config.app.supportedImageFormats.includes(format.toLowerCase());
+};
+
+/**
+ * MIME type for an image format
+ * @param {string} format - Format or file extension
+ * @returns {string} - MIME type, image/jpeg if unknown
+ */
+export const getImageMimeType = (format) => {
+  return MIME_TYPES[(format || '').toLowerCase()] || 'image/jpeg';
+};
+
+/**
+ * Scale dimensions down so the longest side fits, keeping the aspect ratio
+ * @param {number} width - Original width
+ * @param {number} height - Original height
+ * @param {number} maxDimension - Longest side allowed
+ * @returns {{width: number, height: number, resized: boolean}}
+ */
+export const fitWithin = (width, height, maxDimension) => {
+  const scale = maxDimension / Math.max(width, height);
+  if (!(scale < 1)) {
+    return { width, height, resized: false };
+  }
+
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+    resized: true,
+  };
+};
+
+/**
+ * Storage path of an image's thumbnail; thumbnails are always JPEG
+ * @param {string} filePath - Image path like "user-123/images/snapfind_1700000000.png"
+ * @returns {string|null} - Path like "user-123/thumbnails/snapfind_1700000000.jpg", or null for other paths
+ */
+export const getThumbnailPath = (filePath) => {
+  const match = (filePath || '').match(/^(.*)\/images\/([^/]+?)(\.[^./]+)?$/);
+  return match ? `${match[1]}/thumbnails/${match[2]}.jpg` : null;
+};
+
+// Helper function to extract file path from signed URL or direct path
+export const extractFilePathFromUrl = (url) => {
+  try {
+    if (!url) return null;
+    
+    // If it's already a direct path (no protocol), return as-is
+    if (!url.startsWith('http')) {
+      return url;
+    }
+    
+    // Extract the file path from signed URL
+    // Format: https://project.supabase.co/storage/v1/object/sign/images/user-123/file.jpg?token=...
+    const pathMatch = url.match(/\/storage\/v1\/object\/sign\/images\/([^?]+)/);
+    return pathMatch ? pathMatch[1] : null;
+  } catch (error) {
+    console.error('Error extracting file path from URL:', url, error);
+    return null;
+  }
+};
+
+/**
+ * Create a standardized storage reference for an image
+ * This should be used when saving objects to ensure consistent matching
+ * @param {string} imageUrl - The signed URL or file path
+ * @returns {string} - Standardized file path for storage
+ */
+export const createStorageReference = (imageUrl) => {
+  // If it's already a file path (no protocol), return as-is
+  if (!imageUrl.startsWith('http')) {
+    return imageUrl;
+  }
+  
+  // Extract file path from signed URL
+  return extractFilePathFromUrl(imageUrl) || imageUrl;
+};
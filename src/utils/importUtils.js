@@ -0,0 +1,247 @@
+// Utility functions for reading SnapFind export manifests and other apps' CSV inventories
+// Both are turned into the same list of import pictures, so preview and import don't care where they came from.
+import { EXPORT_FORMAT, EXPORT_VERSION } from './exportUtils';
+import { LOCATION_KINDS, getLocationPath } from './locationUtils';
+
+// Header names other inventory apps use, compared without case, spaces or punctuation
+const CSV_COLUMN_ALIASES = {
+  object_name: ['objectname', 'name', 'item', 'itemname', 'title', 'object'],
+  image: ['picturefile', 'image', 'imagefile', 'imageurl', 'photo', 'photos', 'photourl', 'picture', 'file'],
+  picture_name: ['picturename'],
+  description: ['description', 'notes', 'note'],
+  location: ['location', 'locationpath', 'room', 'place', 'area', 'folder', 'path'],
+  x_position: ['xposition'],
+  y_position: ['yposition'],
+  box_left: ['boxleft'],
+  box_top: ['boxtop'],
+  box_width: ['boxwidth'],
+  box_height: ['boxheight'],
+  confidence: ['confidence'],
+  has_ai_coordinates: ['hasaicoordinates'],
+};
+
+const LOCATION_SEPARATOR = /\s*[›>/\\|]\s*/;
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const toNumberOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// "images/snapfind_1.jpg" or "https://.../photo.png?token=..." → "snapfind_1" / "photo"
+const getBaseName = (reference) => reference.split('?')[0].split('/').pop().replace(/\.[^.]+$/, '');
+
+/**
+ * Parse CSV text (RFC 4180 quoting; comma, semicolon or tab separated)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows of cells, blank lines dropped
+ */
+export const parseCsv = (text) => {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  );
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Split a location path like "Kitchen › Drawer" or "Garage/Shelf 2" into names
+ * Paths are cut to the depth the location tree supports.
+ * @param {string} path - Location path
+ * @returns {Array<string>} - Names, outermost first
+ */
+export const splitLocationPath = (path) => {
+  if (!path) return [];
+  return path
+    .split(LOCATION_SEPARATOR)
+    .map(name => name.trim())
+    .filter(Boolean)
+    .slice(0, LOCATION_KINDS.length);
+};
+
+/**
+ * Turn a SnapFind export manifest into import pictures
+ * @param {Object} manifest - Parsed manifest.json
+ * @returns {Array} - Import pictures (see csvToImportPictures)
+ * @throws {Error} - If the manifest is not a SnapFind export or is from a newer version
+ */
+export const manifestToImportPictures = (manifest) => {
+  if (manifest?.format !== EXPORT_FORMAT || !Array.isArray(manifest.pictures)) {
+    throw new Error('This archive is not a SnapFind export.');
+  }
+
+  if (!Number.isInteger(manifest.version) || manifest.version > EXPORT_VERSION) {
+    throw new Error(`This export uses format version ${manifest.version}, which this version of the app can't read. Update the app and try again.`);
+  }
+
+  const locations = Array.isArray(manifest.locations) ? manifest.locations : [];
+
+  return manifest.pictures.map((picture, index) => ({
+    key: `picture_${index}`,
+    image: picture.file ? { type: 'archive', path: picture.file } : null,
+    picture_name: picture.picture_name || '',
+    description: picture.description || '',
+    location_names: getLocationPath(locations, picture.location_id)
+      .map(location => location.name)
+      .slice(0, LOCATION_KINDS.length),
+    objects: (picture.objects || [])
+      .filter(object => object.name && object.name.trim())
+      .map(object => ({
+        object_name: object.name.trim(),
+        x_position: toNumberOrNull(object.x_position),
+        y_position: toNumberOrNull(object.y_position),
+        box_left: toNumberOrNull(object.box?.left),
+        box_top: toNumberOrNull(object.box?.top),
+        box_width: toNumberOrNull(object.box?.width),
+        box_height: toNumberOrNull(object.box?.height),
+        confidence: toNumberOrNull(object.confidence),
+        has_ai_coordinates: !!object.has_ai_coordinates,
+      })),
+  }));
+};
+
+/**
+ * Turn CSV rows (one per object) into import pictures, grouping rows that share an image
+ * Images are paths inside the zip the CSV came in, or http(s) URLs. Rows without an image
+ * become pictures with image null, which can't be imported but still show in the preview.
+ * @param {string} text - CSV text with a header row
+ * @returns {Array} - Import pictures: { key, image: {type: 'archive'|'url', path}|null, picture_name,
+ *                    description, location_names, objects }
+ * @throws {Error} - If there is no column that looks like an item name
+ */
+export const csvToImportPictures = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+
+  const columnIndex = {};
+  Object.entries(CSV_COLUMN_ALIASES).forEach(([field, aliases]) => {
+    const index = header.findIndex(name => aliases.includes(normalizeHeader(name)));
+    if (index >= 0) columnIndex[field] = index;
+  });
+
+  if (columnIndex.object_name === undefined) {
+    throw new Error('Could not find an item name column in this CSV (for example "Name" or "Item").');
+  }
+
+  const cellOf = (row, field) => (columnIndex[field] !== undefined ? (row[columnIndex[field]] || '').trim() : '');
+
+  const pictures = [];
+  const picturesByImage = {};
+
+  rows.forEach((row, rowIndex) => {
+    const objectName = cellOf(row, 'object_name');
+    if (!objectName) return;
+
+    // Some apps list several photos in one cell; the first one is used
+    const imageReference = cellOf(row, 'image').split(/[;|]/)[0].trim();
+    const object = {
+      object_name: objectName,
+      x_position: toNumberOrNull(cellOf(row, 'x_position')),
+      y_position: toNumberOrNull(cellOf(row, 'y_position')),
+      box_left: toNumberOrNull(cellOf(row, 'box_left')),
+      box_top: toNumberOrNull(cellOf(row, 'box_top')),
+      box_width: toNumberOrNull(cellOf(row, 'box_width')),
+      box_height: toNumberOrNull(cellOf(row, 'box_height')),
+      confidence: toNumberOrNull(cellOf(row, 'confidence')),
+      has_ai_coordinates: cellOf(row, 'has_ai_coordinates').toLowerCase() === 'true',
+    };
+
+    if (imageReference && picturesByImage[imageReference]) {
+      picturesByImage[imageReference].objects.push(object);
+      return;
+    }
+
+    const picture = {
+      key: `row_${rowIndex}`,
+      image: imageReference
+        ? { type: /^https?:\/\//i.test(imageReference) ? 'url' : 'archive', path: imageReference }
+        : null,
+      picture_name: cellOf(row, 'picture_name') || (imageReference ? getBaseName(imageReference) : objectName),
+      description: cellOf(row, 'description'),
+      location_names: splitLocationPath(cellOf(row, 'location')),
+      objects: [object],
+    };
+
+    pictures.push(picture);
+    if (imageReference) {
+      picturesByImage[imageReference] = picture;
+    }
+  });
+
+  return pictures;
+};
+
+/**
+ * Fingerprint used to spot a picture that was already imported: its name and object names
+ * @param {string} pictureName - Picture name
+ * @param {Array<string>} objectNames - Names of the picture's objects
+ * @returns {string}
+ */
+export const getPictureFingerprint = (pictureName, objectNames) => {
+  const names = [...new Set(objectNames.map(name => name.trim().toLowerCase()))].sort();
+  return `${(pictureName || '').trim().toLowerCase()}|${names.join(',')}`;
+};
+
+/**
+ * Find the location at a path of names (case-insensitive), as far as it exists
+ * @param {Array} locations - All of the user's locations
+ * @param {Array<string>} names - Location names, outermost first
+ * @returns {{location: Object|null, missingNames: Array<string>}} - Deepest existing match and the
+ *          names below it that would have to be created
+ */
+export const resolveLocationNames = (locations, names) => {
+  let parent = null;
+
+  for (let i = 0; i < names.length; i++) {
+    const match = locations.find(location =>
+      (location.parent_id || null) === (parent?.id || null) &&
+      location.name.trim().toLowerCase() === names[i].toLowerCase()
+    );
+
+    if (!match) {
+      return { location: parent, missingNames: names.slice(i) };
+    }
+    parent = match;
+  }
+
+  return { location: parent, missingNames: [] };
+};
@@ -0,0 +1,117 @@
+// Utility functions for the home → room → furniture → container location tree
+
+// Location kinds, outermost first; a location's kind follows from its depth in the tree
+export const LOCATION_KINDS = ['home', 'room', 'furniture', 'container'];
+
+export const LOCATION_KIND_LABELS = {
+  home: 'Home',
+  room: 'Room',
+  furniture: 'Furniture',
+  container: 'Container',
+};
+
+export const LOCATION_KIND_ICONS = {
+  home: 'home',
+  room: 'bed',
+  furniture: 'file-tray-stacked',
+  container: 'cube',
+};
+
+const PATH_SEPARATOR = ' › ';
+
+/**
+ * Kind of a new location placed under a parent
+ * @param {Object|null} parent - Parent location, or null for a new home
+ * @returns {string|null} - One of LOCATION_KINDS, or null if the parent is already a container
+ */
+export const getChildKind = (parent) => {
+  if (!parent) return LOCATION_KINDS[0];
+  const index = LOCATION_KINDS.indexOf(parent.kind);
+  return index >= 0 && index < LOCATION_KINDS.length - 1 ? LOCATION_KINDS[index + 1] : null;
+};
+
+/**
+ * Flattens the location list into display order: each location followed by its children, by name
+ * @param {Array} locations - Locations with id, parent_id and name
+ * @returns {Array} - Locations with a depth (0 for homes)
+ */
+export const flattenLocationTree = (locations) => {
+  const childrenByParent = {};
+  locations.forEach(location => {
+    const parentKey = location.parent_id || 'root';
+    childrenByParent[parentKey] = [...(childrenByParent[parentKey] || []), location];
+  });
+
+  const flattened = [];
+  const visit = (parentKey, depth) => {
+    (childrenByParent[parentKey] || [])
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(location => {
+        flattened.push({ ...location, depth });
+        visit(location.id, depth + 1);
+      });
+  };
+  visit('root', 0);
+
+  return flattened;
+};
+
+/**
+ * Ancestors of a location, outermost first, ending with the location itself
+ * @param {Array} locations - All of the user's locations
+ * @param {string} locationId - Location ID
+ * @returns {Array} - Path of locations (empty if the location is unknown)
+ */
+export const getLocationPath = (locations, locationId) => {
+  const byId = {};
+  locations.forEach(location => {
+    byId[location.id] = location;
+  });
+
+  const path = [];
+  let current = byId[locationId];
+  while (current && !path.includes(current)) {
+    path.unshift(current);
+    current = byId[current.parent_id];
+  }
+  return path;
+};
+
+/**
+ * Human-readable path of a location ("Kitchen › Drawer 2")
+ * The home is left out when the user only has one, since it adds nothing.
+ * @param {Array} locations - All of the user's locations
+ * @param {string} locationId - Location ID
+ * @param {string} separator - Text between the path parts
+ * @returns {string} - Path text, or '' if there is no such location
+ */
+export const formatLocationPath = (locations, locationId, separator = PATH_SEPARATOR) => {
+  if (!locationId) return '';
+
+  const path = getLocationPath(locations, locationId);
+  const homeCount = locations.filter(location => !location.parent_id).length;
+  const visiblePath = homeCount === 1 && path.length > 1 ? path.slice(1) : path;
+
+  return visiblePath.map(location => location.name).join(separator);
+};
+
+/**
+ * IDs of a location and everything inside it
+ * @param {Array} locations - All of the user's locations
+ * @param {string} locationId - Location ID
+ * @returns {Set<string>} - The location's ID and its descendants' IDs
+ */
+export const getDescendantIds = (locations, locationId) => {
+  const ids = new Set([locationId]);
+  let added = true;
+  while (added) {
+    added = false;
+    locations.forEach(location => {
+      if (location.parent_id && ids.has(location.parent_id) && !ids.has(location.id)) {
+        ids.add(location.id);
+        added = true;
+      }
+    });
+  }
+  return ids;
+};
@@ -0,0 +1,35 @@
+// Utility functions for connectivity checks
+import NetInfo from '@react-native-community/netinfo';
+
+const isConnectedState = (state) => !!state.isConnected && state.isInternetReachable !== false;
+
+/**
+ * Check whether the device currently has a usable connection
+ * @returns {Promise<boolean>} - True if online
+ */
+export const isOnline = async () => {
+  try {
+    const state = await NetInfo.fetch();
+    return isConnectedState(state);
+  } catch (error) {
+    console.warn('⚠️ Could not read network state:', error);
+    return true; // Assume online and let the request itself fail
+  }
+};
+
+/**
+ * Call back whenever the device goes from offline to online
+ * @param {Function} onReconnect - Called with no arguments on reconnect
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToReconnect = (onReconnect) => {
+  let wasConnected = true;
+
+  return NetInfo.addEventListener(state => {
+    const connected = isConnectedState(state);
+    if (connected && !wasConnected) {
+      onReconnect();
+    }
+    wasConnected = connected;
+  });
+};
@@ -0,0 +1,270 @@
+// Utility functions for objects while they are reviewed or edited, before they are saved
+// Positions are percentages of the image size, like bounding boxes (see boundingBoxUtils)
+import {
+  getObjectBox,
+  boxToColumns,
+  normalizeConfidence,
+  getBoxCenter,
+  boxAroundPoint,
+  moveBox,
+  resizeBox,
+} from './boundingBoxUtils';
+
+// Size of the box given to an object added by tapping the picture, in percent
+export const TAPPED_OBJECT_BOX_SIZE = 20;
+
+const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+const clampPercent = (value) => Math.max(0, Math.min(100, value));
+
+let keyCounter = 0;
+
+// Key that identifies an object on the screen, even when several objects share a name
+const createObjectKey = () => `obj_${Date.now().toString(36)}_${keyCounter++}`;
+
+/**
+ * Editable copy of an AI detection ({ name, x, y, box, confidence }), a stored object row
+ * (object_name, x_position, ...) or a plain name from older detections
+ * @param {Object|string} source - Detection, object row or name
+ * @returns {Object} - { key, id, name, x, y, box, confidence, aiPlaced }; x and y are null
+ *          when the object has no position, id is null for objects that aren't saved yet
+ */
+export const toEditableObject = (source) => {
+  if (typeof source === 'string') {
+    return { key: createObjectKey(), id: null, name: source, x: null, y: null, box: null, confidence: null, aiPlaced: false };
+  }
+
+  const isRow = source.object_name !== undefined;
+  const x = isRow ? source.x_position : source.x;
+  const y = isRow ? source.y_position : source.y;
+  const box = getObjectBox(source);
+  const point = isNumber(x) && isNumber(y) ? { x, y } : box ? getBoxCenter(box) : null;
+
+  return {
+    key: createObjectKey(),
+    id: isRow ? source.id ?? null : null,
+    name: isRow ? source.object_name : source.name,
+    x: point ? point.x : null,
+    y: point ? point.y : null,
+    box,
+    confidence: normalizeConfidence(source.confidence),
+    aiPlaced: isRow ? !!source.has_ai_coordinates : !!point,
+  };
+};
+
+/**
+ * New object the user placed by tapping the picture, with a box around that point
+ * @param {string} name - Object name
+ * @param {number} x - Horizontal position in percent
+ * @param {number} y - Vertical position in percent
+ * @returns {Object} - Editable object
+ */
+export const createPlacedObject = (name, x, y) => {
+  const box = boxAroundPoint(clampPercent(x), clampPercent(y), TAPPED_OBJECT_BOX_SIZE);
+  return { ...toEditableObject(name), ...getBoxCenter(box), box };
+};
+
+/**
+ * Whether an object has a position on the picture
+ * @param {Object} obj - Editable object
+ * @returns {boolean}
+ */
+export const hasPosition = (obj) => obj.x !== null && obj.y !== null;
+
+/**
+ * Spread-out positions for objects without one, so their labels can be seen and dragged into place
+ * @param {number} index - Index among the objects without a position
+ * @param {number} total - Number of objects without a position
+ * @returns {{x: number, y: number}} - Percentages
+ */
+export const getFallbackPoint = (index, total) => {
+  const cols = Math.ceil(Math.sqrt(total));
+  const rows = Math.ceil(total / cols);
+  const col = index % cols;
+  const row = Math.floor(index / cols);
+
+  return {
+    x: 20 + (col / (cols - 1 || 1)) * 60,
+    y: 20 + (row / (rows - 1 || 1)) * 60,
+  };
+};
+
+/**
+ * Move an object by the user's drag; the position now comes from the user, not the AI
+ * @param {Object} obj - Editable object (with a position, or a fallback point spread in)
+ * @param {number} dx - Horizontal offset in percent
+ * @param {number} dy - Vertical offset in percent
+ * @returns {Object} - Moved object
+ */
+export const moveObject = (obj, dx, dy) => {
+  if (obj.box) {
+    const box = moveBox(obj.box, dx, dy);
+    return { ...obj, ...getBoxCenter(box), box, aiPlaced: false };
+  }
+
+  return { ...obj, x: clampPercent(obj.x + dx), y: clampPercent(obj.y + dy), aiPlaced: false };
+};
+
+/**
+ * Resize an object's box by the user's drag on its corner
+ * @param {Object} obj - Editable object with a box
+ * @param {number} dWidth - Width change in percent
+ * @param {number} dHeight - Height change in percent
+ * @returns {Object} - Resized object
+ */
+export const resizeObject = (obj, dWidth, dHeight) => {
+  const box = resizeBox(obj.box, dWidth, dHeight);
+  return { ...obj, ...getBoxCenter(box), box, aiPlaced: false };
+};
+
+/**
+ * Objects table columns for an editable object
+ * @param {Object} obj - Editable object
+ * @returns {Object} - object_name, x_position, y_position, box_*, confidence, has_ai_coordinates
+ */
+export const toObjectColumns = (obj) => ({
+  object_name: obj.name.toLowerCase().trim(),
+  x_position: obj.x,
+  y_position: obj.y,
+  ...boxToColumns(obj.box),
+  confidence: obj.confidence,
+  has_ai_coordinates: obj.aiPlaced && hasPosition(obj),
+});
+
+// Whether the user changed an object's name, position or box
+const hasObjectChanged = (original, edited) => {
+  const before = toObjectColumns(original);
+  const after = toObjectColumns(edited);
+  return Object.keys(after).some(column => after[column] !== before[column]);
+};
+
+/**
+ * Changes between the objects a picture had when editing started and the edited ones.
+ * Saved objects are matched by id, so renamed and moved objects keep their rows.
+ * @param {Array<Object>} originalObjects - Editable objects as loaded
+ * @param {Array<Object>} editedObjects - Editable objects as they are now
+ * @returns {{added: Array<Object>, updated: Array<Object>, removedIds: Array<string>}}
+ */
+export const diffObjectEdits = (originalObjects, editedObjects) => {
+  const originalsById = new Map(originalObjects
+    .filter(obj => obj.id !== null)
+    .map(obj => [String(obj.id), obj]));
+  const keptIds = new Set();
+  const added = [];
+  const updated = [];
+
+  editedObjects.forEach(obj => {
+    const original = obj.id !== null ? originalsById.get(String(obj.id)) : null;
+    if (!original) {
+      added.push(obj);
+      return;
+    }
+
+    keptIds.add(String(obj.id));
+    if (hasObjectChanged(original, obj)) {
+      updated.push(obj);
+    }
+  });
+
+  return {
+    added,
+    updated,
+    removedIds: [...originalsById.keys()].filter(id => !keptIds.has(id)),
+  };
+};
+
+/**
+ * Whether a diff from diffObjectEdits changes anything
+ * @param {Object} edits - { added, updated, removedIds }
+ * @returns {boolean}
+ */
+export const hasObjectEdits = (edits) =>
+  edits.added.length > 0 || edits.updated.length > 0 || edits.removedIds.length > 0;
+
+// Most names suggested at once while the user types a new object's name
+export const MAX_NAME_SUGGESTIONS = 8;
+
+/**
+ * Names to suggest while the user types a new object's name. Names the AI offered for this
+ * picture come first, then names the user already gave objects, most used first. Once the
+ * user types, names starting with the text rank above names that only contain it.
+ * @param {string} text - What the user typed so far
+ * @param {Object} sources - { aiLabels: Array<string>, objectCounts: { [name]: count } }
+ * @param {number} limit - Most suggestions returned
+ * @returns {Array<string>}
+ */
+export const getObjectNameSuggestions = (text, { aiLabels = [], objectCounts = {} } = {}, limit = MAX_NAME_SUGGESTIONS) => {
+  const query = text.toLowerCase().trim();
+  const candidates = new Map();
+
+  aiLabels.forEach(label => {
+    const name = label.toLowerCase().trim();
+    if (name && !candidates.has(name)) {
+      candidates.set(name, { name, fromAi: true, count: objectCounts[name] || 0 });
+    }
+  });
+  Object.entries(objectCounts).forEach(([name, count]) => {
+    if (!candidates.has(name)) {
+      candidates.set(name, { name, fromAi: false, count });
+    }
+  });
+
+  // 0: starts with the text, 1: contains it, -1: no match
+  const getMatch = (name) => {
+    if (!query || name.startsWith(query)) return 0;
+    return name.includes(query) ? 1 : -1;
+  };
+
+  return [...candidates.values()]
+    .map(candidate => ({ ...candidate, match: getMatch(candidate.name) }))
+    .filter(candidate => candidate.match !== -1 && candidate.name !== query)
+    .sort((a, b) =>
+      a.match - b.match ||
+      Number(b.fromAi) - Number(a.fromAi) ||
+      b.count - a.count ||
+      a.name.localeCompare(b.name)
+    )
+    .slice(0, limit)
+    .map(candidate => candidate.name);
+};
+
+const normalizeName = (name) => String(name || '').toLowerCase().trim();
+
+// Distance between two objects' positions in percent; objects without one are never near
+const getDistance = (a, b) => (hasPosition(a) && hasPosition(b)
+  ? Math.hypot(a.x - b.x, a.y - b.y)
+  : Infinity);
+
+/**
+ * Sort a new analysis of a saved picture against the picture's objects. A detection matches a
+ * saved object with its name or one of its alternative names; when several saved objects share
+ * the name, the nearest one is taken.
+ * @param {Array<Object>} savedObjects - Editable objects of the picture
+ * @param {Array<Object>} detections - Normalized detections from the new analysis
+ * @returns {{newObjects: Array<Object>, missingObjects: Array<Object>, unchangedObjects: Array<{saved: Object, detected: Object}>}}
+ *          - newObjects: editable objects found only now; missingObjects: saved objects not found this time
+ */
+export const compareDetections = (savedObjects, detections) => {
+  const unmatched = [...savedObjects];
+  const newObjects = [];
+  const unchangedObjects = [];
+
+  detections.forEach(detection => {
+    const detected = toEditableObject(detection);
+    const names = new Set([detected.name, ...(detection.alternatives || [])].map(normalizeName));
+    const candidates = unmatched.filter(obj => names.has(normalizeName(obj.name)));
+
+    if (candidates.length === 0) {
+      newObjects.push(detected);
+      return;
+    }
+
+    const saved = candidates.reduce((nearest, obj) =>
+      getDistance(obj, detected) < getDistance(nearest, detected) ? obj : nearest
+    );
+    unmatched.splice(unmatched.indexOf(saved), 1);
+    unchangedObjects.push({ saved, detected });
+  });
+
+  return { newObjects, missingObjects: unmatched, unchangedObjects };
+};
@@ -0,0 +1,29 @@
+// Utility functions for Supabase queries that can return more rows than one request allows
+
+export const QUERY_PAGE_SIZE = 500;
+
+/**
+ * Every row of a query, page by page; one request is capped at PostgREST's row limit
+ * The query must be ordered by a unique column last, so pages never overlap or skip rows.
+ * @param {Function} buildQuery - Returns a fresh query builder for each page
+ * @param {number} pageSize - Rows per request
+ * @returns {Promise<Array>} - All rows
+ * @throws {Error} - The first page error
+ */
+export const fetchAllRows = async (buildQuery, pageSize = QUERY_PAGE_SIZE) => {
+  const rows = [];
+
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await buildQuery().range(from, from + pageSize - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    rows.push(...(data || []));
+
+    if (!data || data.length < pageSize) {
+      return rows;
+    }
+  }
+};
@@ -0,0 +1,305 @@
+// Utility functions for fuzzy search over objects and pictures
+// Scoring is pure and runs on the device, so online and offline results are ranked the same way.
+
+// Words that mean the same thing when looking for an object
+const SYNONYM_GROUPS = [
+  ['glasses', 'spectacles', 'eyeglasses', 'specs'],
+  ['sunglasses', 'shades'],
+  ['phone', 'cellphone', 'cell phone', 'mobile', 'mobile phone', 'smartphone', 'iphone'],
+  ['sofa', 'couch', 'settee'],
+  ['tv', 'television', 'telly'],
+  ['laptop', 'notebook computer', 'macbook'],
+  ['remote', 'remote control', 'clicker'],
+  ['cup', 'mug'],
+  ['bag', 'backpack', 'rucksack', 'handbag', 'purse'],
+  ['key', 'keychain', 'keyring'],
+  ['wallet', 'billfold'],
+  ['headphones', 'earphones', 'earbuds', 'headset'],
+  ['charger', 'charging cable', 'power adapter', 'usb cable', 'power bank'],
+  ['shoe', 'sneaker', 'trainer'],
+  ['trash can', 'bin', 'garbage can', 'wastebasket'],
+  ['bottle', 'flask'],
+  ['lamp', 'light'],
+  ['watch', 'wristwatch'],
+  ['scissors', 'shears'],
+  ['tablet', 'ipad'],
+];
+
+// Spoken lead-ins that are not part of what is being searched for
+const FILLER_PHRASES = [
+  'where did i put', 'where did i leave', 'where have i put', 'where have i left',
+  'where is', 'where are', 'where s', 'have you seen', 'help me find', 'can you find',
+  'i am looking for', 'i m looking for', 'looking for', 'search for', 'show me', 'find',
+];
+
+const FILLER_WORDS = new Set([
+  'um', 'uh', 'er', 'hmm', 'like', 'please', 'hey', 'ok', 'okay', 'so', 'just', 'again',
+  'my', 'our', 'your', 'the', 'a', 'an', 'some', 'i', 'me', 'it', 'is', 'are',
+]);
+
+// Relevance scores, best first
+const SCORES = {
+  EXACT: 100,
+  STEM: 90,
+  SYNONYM: 80,
+  PREFIX: 60,
+  SUBSTRING: 50,
+  TYPO: 40, // minus 10 per edit
+};
+
+// A hit on the object itself beats a hit on the picture it is in; descriptions are free text
+export const FIELD_WEIGHTS = {
+  object_name: 1,
+  picture_name: 0.95,
+  description: 0.8,
+};
+
+/**
+ * Lowercases, strips accents and punctuation, and collapses whitespace
+ * @param {string} text - Raw text
+ * @returns {string} - Normalized text
+ */
+export const normalizeText = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+/**
+ * Reduces a word to a simple singular stem ("keys" → "key", "batteries" → "battery")
+ * The same rules run on the query and on object names, so they only need to be consistent.
+ * @param {string} word - Normalized word
+ * @returns {string} - Stem
+ */
+export const stemWord = (word) => {
+  if (word.length <= 3) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+
+  let stem = word;
+  if (/(ss|x|z|ch|sh)es$/.test(word)) {
+    stem = word.slice(0, -2);
+  } else if (word.endsWith('s') && !word.endsWith('ss')) {
+    stem = word.slice(0, -1);
+  }
+
+  // "knife"/"knives" and "shelf"/"shelves" meet at the "ve" form, so "glove"/"gloves" keep matching
+  if (stem.endsWith('ife')) return `${stem.slice(0, -2)}ve`;
+  if (/(l|r|ea|oa)f$/.test(stem)) return `${stem.slice(0, -1)}ve`;
+  return stem;
+};
+
+const stemPhrase = (text) => normalizeText(text).split(' ').filter(Boolean).map(stemWord).join(' ');
+
+/**
+ * Turns a spoken query into search terms by dropping lead-ins and filler words
+ * ("where did I put my passport" → "passport")
+ * @param {string} transcript - Speech-to-text result
+ * @returns {string} - Search terms (the normalized transcript if nothing is left)
+ */
+export const extractSearchTerms = (transcript) => {
+  const normalized = normalizeText(transcript);
+  let text = ` ${normalized} `;
+
+  FILLER_PHRASES.forEach(phrase => {
+    text = text.split(` ${phrase} `).join(' ');
+  });
+
+  const terms = text.split(' ').filter(word => word && !FILLER_WORDS.has(word));
+  return terms.length > 0 ? terms.join(' ') : normalized;
+};
+
+// Stemmed phrase → set of stemmed synonyms (including itself)
+const SYNONYMS = SYNONYM_GROUPS.reduce((map, group) => {
+  const stems = group.map(stemPhrase);
+  stems.forEach(stem => {
+    map[stem] = new Set([...(map[stem] || []), ...stems]);
+  });
+  return map;
+}, {});
+
+const getSynonyms = (stem) => SYNONYMS[stem] || new Set([stem]);
+
+/**
+ * Stems of a phrase and of all its synonyms
+ * @param {string} text - Word or phrase
+ * @returns {Array<string>} - Stemmed phrase first, then its synonyms
+ */
+export const getSynonymStems = (text) => {
+  const stem = stemPhrase(text);
+  return [stem, ...[...getSynonyms(stem)].filter(synonym => synonym !== stem)];
+};
+
+/**
+ * Terms the server looks for before the device ranks the results: the query and its words,
+ * plus their stems and synonyms. The server only narrows the candidates; scoreMatch decides.
+ * @param {string} query - What the user typed
+ * @returns {Array<string>} - Normalized terms, without duplicates
+ */
+export const getCandidateTerms = (query) => {
+  const normalized = normalizeText(query);
+  if (!normalized) return [];
+
+  const phrases = [normalized, ...normalized.split(' ')];
+  return [...new Set([...phrases, ...phrases.flatMap(getSynonymStems)])].filter(Boolean);
+};
+
+/**
+ * Edit distance between two strings, giving up once it exceeds maxDistance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Largest distance worth computing
+ * @returns {number} - Distance, or maxDistance + 1 if larger
+ */
+export const levenshtein = (a, b, maxDistance = 2) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Short words tolerate fewer typos, otherwise "cat" would match "hat"
+const allowedTypos = (length) => (length <= 3 ? 0 : length <= 6 ? 1 : 2);
+
+// Best score of one query word against the words of a name
+const scoreTerm = (term, nameStems) => {
+  const synonyms = getSynonyms(term);
+  let best = 0;
+
+  nameStems.forEach(stem => {
+    let score = 0;
+
+    if (stem === term) {
+      score = SCORES.STEM;
+    } else if (synonyms.has(stem)) {
+      score = SCORES.SYNONYM;
+    } else if (term.length >= 3 && stem.startsWith(term)) {
+      score = SCORES.PREFIX;
+    } else if (term.length >= 3 && stem.includes(term)) {
+      score = SCORES.SUBSTRING;
+    } else {
+      const maxTypos = allowedTypos(term.length);
+      const distance = maxTypos > 0 ? levenshtein(term, stem, maxTypos) : maxTypos + 1;
+      if (distance <= maxTypos) {
+        score = SCORES.TYPO - distance * 10;
+      }
+    }
+
+    best = Math.max(best, score);
+  });
+
+  return best;
+};
+
+/**
+ * Scores how well a name or text matches a search query (0 = no match, 100 = exact)
+ * Every query word must match something in the name.
+ * @param {string} query - What the user typed
+ * @param {string} name - Object name, picture name or description
+ * @returns {number} - Relevance score
+ */
+export const scoreMatch = (query, name) => {
+  const normalizedQuery = normalizeText(query);
+  const normalizedName = normalizeText(name);
+
+  if (!normalizedQuery || !normalizedName) return 0;
+  if (normalizedQuery === normalizedName) return SCORES.EXACT;
+
+  const queryStem = stemPhrase(normalizedQuery);
+  const nameStem = stemPhrase(normalizedName);
+
+  if (queryStem === nameStem) return SCORES.STEM;
+
+  // Multi-word synonyms such as "remote control" ↔ "clicker"
+  if (getSynonyms(queryStem).has(nameStem)) return SCORES.SYNONYM;
+
+  const nameStems = nameStem.split(' ');
+  const termScores = queryStem.split(' ').map(term => scoreTerm(term, nameStems));
+
+  if (termScores.some(score => score === 0)) return 0;
+
+  // Whole-phrase matches always rank above word-by-word ones
+  const average = termScores.reduce((sum, score) => sum + score, 0) / termScores.length;
+  return Math.min(average, SCORES.SYNONYM - 1);
+};
+
+// Best weighted score over the given fields
+const scoreFields = (query, item, fields) => {
+  return fields.reduce((best, field) => {
+    const score = scoreMatch(query, item[field]) * FIELD_WEIGHTS[field];
+    return score > best.match_score ? { match_score: score, matched_field: field } : best;
+  }, { match_score: 0, matched_field: null });
+};
+
+const byRelevance = (a, b) =>
+  b.match_score - a.match_score ||
+  new Date(b.created_at) - new Date(a.created_at);
+
+/**
+ * Filters and ranks objects by relevance to a query, newest first among equal scores
+ * @param {string} query - What the user typed
+ * @param {Array} objects - Objects with object_name and created_at
+ * @returns {Array} - Matching objects with match_score and matched_field, best first
+ */
+export const rankSearchResults = (query, objects) => {
+  return objects
+    .map(obj => ({ ...obj, ...scoreFields(query, obj, ['object_name']) }))
+    .filter(obj => obj.match_score > 0)
+    .sort(byRelevance);
+};
+
+/**
+ * Filters and ranks pictures by how well their name or description matches a query
+ * @param {string} query - What the user typed
+ * @param {Array} pictures - Pictures with picture_name, description and created_at
+ * @returns {Array} - Matching pictures with match_score and matched_field, best first
+ */
+export const rankPictureResults = (query, pictures) => {
+  return pictures
+    .map(picture => ({ ...picture, ...scoreFields(query, picture, ['picture_name', 'description']) }))
+    .filter(picture => picture.match_score > 0)
+    .sort(byRelevance);
+};
+
+/**
+ * Merges ranked result lists into one list ordered by relevance
+ * @param {...Array} lists - Ranked lists
+ * @returns {Array} - Combined list, best first
+ */
+export const mergeRankedResults = (...lists) => [].concat(...lists).sort(byRelevance);
+
+/**
+ * Splits text into segments, marking the words that match the query, for highlighting
+ * @param {string} query - What the user typed
+ * @param {string} text - Text to display
+ * @returns {Array<{text: string, highlighted: boolean}>} - Segments in order
+ */
+export const getHighlightSegments = (query, text) => {
+  const terms = stemPhrase(query).split(' ').filter(Boolean);
+
+  return String(text || '')
+    .split(/(\s+)/)
+    .filter(part => part.length > 0)
+    .map(part => {
+      const stems = stemPhrase(part).split(' ').filter(Boolean);
+      const highlighted = stems.length > 0 && terms.some(term => scoreTerm(term, stems) > 0);
+      return { text: part, highlighted };
+    });
+};
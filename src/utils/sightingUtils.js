@@ -0,0 +1,108 @@
+// Utility functions for following one object across pictures
+// Every saved object row is a sighting; sightings whose names mean the same item share an identity.
+import { getSynonymStems } from './searchUtils';
+import { formatLocationPath } from './locationUtils';
+
+/**
+ * Identity of an object across pictures ("Passport" and "passports" are the same item)
+ * @param {string} objectName - Object name
+ * @returns {string} - Identity key
+ */
+export const getObjectIdentityKey = (objectName) => getSynonymStems(objectName)[0];
+
+/**
+ * A LIKE pattern every name sharing this object's identity matches, so the server can narrow the
+ * rows before the device compares identity keys. Stemming only drops endings or turns them into
+ * "y" or "ve", so the longest stem without those appears in every spelling of the word.
+ * @param {string} objectName - Object name
+ * @returns {string|null} - Pattern for ilike, or null if the name has no letters or digits
+ */
+export const getSightingNamePattern = (objectName) => {
+  const words = (getObjectIdentityKey(objectName) || '').split(' ').filter(Boolean);
+  if (words.length === 0) return null;
+
+  const longest = words.reduce((a, b) => (b.length > a.length ? b : a));
+  return `%${longest.replace(/(y|ve)$/, '')}%`;
+};
+
+const newestFirst = (a, b) => new Date(b.created_at) - new Date(a.created_at);
+
+/**
+ * Collapses repeated sightings of the same object into one result per identity
+ * The result shows the newest sighting but keeps the best match score of the group.
+ * @param {Array} results - Ranked results; objects without result_type count as objects
+ * @returns {Array} - Results in the same order, object results with sightings (newest first)
+ *                    and sighting_count
+ */
+export const groupObjectSightings = (results) => {
+  const groups = {};
+  const grouped = [];
+
+  results.forEach(result => {
+    if (result.result_type === 'picture') {
+      grouped.push(result);
+      return;
+    }
+
+    const key = getObjectIdentityKey(result.object_name);
+    if (!groups[key]) {
+      groups[key] = { best: result, sightings: [] };
+      grouped.push(groups[key]);
+    }
+    groups[key].sightings.push(result);
+  });
+
+  return grouped.map(entry => {
+    if (!entry.sightings) return entry;
+
+    const sightings = [...entry.sightings].sort(newestFirst);
+    return {
+      ...sightings[0],
+      match_score: entry.best.match_score,
+      matched_field: entry.best.matched_field,
+      similarity: entry.best.similarity,
+      sightings,
+      sighting_count: sightings.length,
+    };
+  });
+};
+
+/**
+ * Short date for a sighting ("Oct 3", with the year if it isn't this year)
+ * @param {string} dateString - ISO date
+ * @returns {string}
+ */
+export const formatSightingDate = (dateString) => {
+  const date = new Date(dateString);
+  const options = { month: 'short', day: 'numeric' };
+  if (date.getFullYear() !== new Date().getFullYear()) {
+    options.year = 'numeric';
+  }
+  return date.toLocaleDateString(undefined, options);
+};
+
+/**
+ * Where a sighting was: the picture's location path, or else the picture name
+ * @param {Object} sighting - Object with location_id and picture_name
+ * @param {Array} locations - All of the user's locations
+ * @returns {string}
+ */
+export const getSightingPlace = (sighting, locations) => {
+  return formatLocationPath(locations, sighting.location_id) || sighting.picture_name || 'Untitled picture';
+};
+
+/**
+ * Marks sightings where the object was somewhere else than the time before
+ * @param {Array} sightings - Sightings, newest first
+ * @returns {Array} - Sightings with moved: true when the location differs from the previous one
+ */
+export const markMoves = (sightings) => {
+  return sightings.map((sighting, index) => {
+    const previous = sightings[index + 1];
+    const moved = !!previous &&
+      !!sighting.location_id &&
+      !!previous.location_id &&
+      sighting.location_id !== previous.location_id;
+    return { ...sighting, moved };
+  });
+};
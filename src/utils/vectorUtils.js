@@ -0,0 +1,43 @@
+// Utility functions for embedding vectors
+
+/**
+ * Scales a vector to unit length (zero vectors are returned unchanged)
+ * @param {Array<number>} vector - Vector
+ * @returns {Array<number>} - Unit vector
+ */
+export const normalizeVector = (vector) => {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length > 0 ? vector.map(value => value / length) : vector;
+};
+
+/**
+ * Cosine similarity between two vectors of the same length
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} - Similarity from -1 to 1 (0 if either vector is empty)
+ */
+export const cosineSimilarity = (a, b) => {
+  if (!a || !b || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA > 0 && normB > 0 ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+};
+
+/**
+ * Rounds vector values to keep stored indexes small
+ * @param {Array<number>} vector - Vector
+ * @param {number} digits - Decimal places to keep
+ * @returns {Array<number>} - Rounded vector
+ */
+export const roundVector = (vector, digits = 4) => {
+  const factor = Math.pow(10, digits);
+  return vector.map(value => Math.round(value * factor) / factor);
+};
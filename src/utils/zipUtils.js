@@ -0,0 +1,231 @@
+// Minimal zip pieces for archives handled one file at a time.
+// Writing: files are stored, not compressed, and the caller writes each header and file as soon as it has it.
+// Reading: the central directory lists every file and where it starts, so each one can be read on its own.
+// No Zip64: an archive must stay under 4 GB and 65535 files.
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const ZIP_VERSION = 20;
+const UTF8_NAMES_FLAG = 0x0800;
+const STORED = 0;
+
+export const MAX_ZIP_SIZE = 0xffffffff;
+export const MAX_ZIP_ENTRIES = 0xffff;
+
+// The end record is 22 bytes plus a comment of up to 65535 bytes
+export const MAX_END_OF_CENTRAL_DIRECTORY_SIZE = 22 + 0xffff;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 checksum, as stored in zip headers
+ * @param {Uint8Array} bytes - File contents
+ * @returns {number} - Unsigned checksum
+ */
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Date → MS-DOS time and date fields (local time, 2-second precision)
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * Bytes of a string written as UTF-8, for file names and files such as the manifest
+ * @param {string} text - Text contents
+ * @returns {Uint8Array}
+ */
+export const textToBytes = (text) => new TextEncoder().encode(text);
+
+/**
+ * Describe a file about to be added, with everything its headers need
+ * @param {string} name - Path inside the archive
+ * @param {Uint8Array} bytes - File contents
+ * @param {number} offset - Where its local header starts in the archive
+ * @param {Date} modifiedAt - Modification time to record
+ * @returns {Object} - Entry for buildLocalFileHeader and buildCentralDirectory
+ */
+export const createZipEntry = (name, bytes, offset, modifiedAt = new Date()) => ({
+  name: textToBytes(name),
+  crc: crc32(bytes),
+  size: bytes.length,
+  offset,
+  ...toDosDateTime(modifiedAt),
+});
+
+// The fields local and central headers share, from "version needed" to "extra field length"
+const writeCommonFields = (view, at, entry) => {
+  view.setUint16(at, ZIP_VERSION, true);
+  view.setUint16(at + 2, UTF8_NAMES_FLAG, true);
+  view.setUint16(at + 4, STORED, true);
+  view.setUint16(at + 6, entry.time, true);
+  view.setUint16(at + 8, entry.date, true);
+  view.setUint32(at + 10, entry.crc, true);
+  view.setUint32(at + 14, entry.size, true); // Compressed size: stored files are not compressed
+  view.setUint32(at + 18, entry.size, true);
+  view.setUint16(at + 22, entry.name.length, true);
+  view.setUint16(at + 24, 0, true);
+};
+
+/**
+ * Header written right before a file's contents
+ * @param {Object} entry - From createZipEntry
+ * @returns {Uint8Array}
+ */
+export const buildLocalFileHeader = (entry) => {
+  const header = new Uint8Array(30 + entry.name.length);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+  writeCommonFields(view, 4, entry);
+  header.set(entry.name, 30);
+  return header;
+};
+
+/**
+ * Central directory and end record, written after the last file
+ * @param {Array} entries - Every entry from createZipEntry, in archive order
+ * @param {number} offset - Where the central directory starts (the end of the last file)
+ * @returns {Uint8Array}
+ */
+export const buildCentralDirectory = (entries, offset) => {
+  const directorySize = entries.reduce((size, entry) => size + 46 + entry.name.length, 0);
+  const directory = new Uint8Array(directorySize + 22);
+  const view = new DataView(directory.buffer);
+  let at = 0;
+
+  entries.forEach(entry => {
+    view.setUint32(at, CENTRAL_HEADER_SIGNATURE, true);
+    view.setUint16(at + 4, ZIP_VERSION, true); // Version made by
+    writeCommonFields(view, at + 6, entry);
+    // Comment length, disk number and file attributes stay 0
+    view.setUint32(at + 42, entry.offset, true);
+    directory.set(entry.name, at + 46);
+    at += 46 + entry.name.length;
+  });
+
+  view.setUint32(at, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+  view.setUint16(at + 8, entries.length, true);
+  view.setUint16(at + 10, entries.length, true);
+  view.setUint32(at + 12, directorySize, true);
+  view.setUint32(at + 16, offset, true);
+  return directory;
+};
+
+// File name bytes as text; names without the UTF-8 flag are nearly always plain ASCII
+const bytesToText = (bytes) => {
+  try {
+    return decodeURIComponent(Array.from(bytes, byte => `%${byte.toString(16).padStart(2, '0')}`).join(''));
+  } catch (error) {
+    return String.fromCharCode(...bytes);
+  }
+};
+
+/**
+ * Find the central directory from the end of an archive
+ * @param {Uint8Array} tail - The last MAX_END_OF_CENTRAL_DIRECTORY_SIZE bytes of the archive (or all of it, if smaller)
+ * @returns {{entryCount: number, directorySize: number, directoryOffset: number}}
+ * @throws {Error} - If this is not a zip archive, or it needs Zip64
+ */
+export const readEndOfCentralDirectory = (tail) => {
+  const view = new DataView(tail.buffer, tail.byteOffset, tail.byteLength);
+
+  for (let at = tail.length - 22; at >= 0; at--) {
+    if (view.getUint32(at, true) !== END_OF_CENTRAL_DIRECTORY_SIGNATURE) continue;
+
+    const entryCount = view.getUint16(at + 10, true);
+    const directorySize = view.getUint32(at + 12, true);
+    const directoryOffset = view.getUint32(at + 16, true);
+
+    if (entryCount === MAX_ZIP_ENTRIES || directoryOffset === MAX_ZIP_SIZE) {
+      throw new Error('Zip64 archives (over 4 GB or 65535 files) are not supported.');
+    }
+
+    return { entryCount, directorySize, directoryOffset };
+  }
+
+  throw new Error('This file is not a zip archive.');
+};
+
+/**
+ * List the files in a central directory
+ * @param {Uint8Array} directory - The central directory, as located by readEndOfCentralDirectory
+ * @returns {Array<Object>} - { name, offset, compressedSize, record } per file, folders left out;
+ *          record is the file's central directory record, for buildSingleEntryArchive
+ */
+export const parseCentralDirectory = (directory) => {
+  const view = new DataView(directory.buffer, directory.byteOffset, directory.byteLength);
+  const entries = [];
+  let at = 0;
+
+  while (at + 46 <= directory.length && view.getUint32(at, true) === CENTRAL_HEADER_SIGNATURE) {
+    const nameLength = view.getUint16(at + 28, true);
+    const recordLength = 46 + nameLength + view.getUint16(at + 30, true) + view.getUint16(at + 32, true);
+    const name = bytesToText(directory.subarray(at + 46, at + 46 + nameLength));
+
+    if (!name.endsWith('/')) {
+      entries.push({
+        name,
+        offset: view.getUint32(at + 42, true),
+        compressedSize: view.getUint32(at + 20, true),
+        record: directory.slice(at, at + recordLength),
+      });
+    }
+
+    at += recordLength;
+  }
+
+  return entries;
+};
+
+/**
+ * Where a file's data starts, from the fixed part of its local header
+ * @param {Object} entry - From parseCentralDirectory
+ * @param {Uint8Array} localHeader - The first 30 bytes at entry.offset
+ * @returns {number} - Offset of the data in the archive
+ */
+export const getEntryDataOffset = (entry, localHeader) => {
+  const view = new DataView(localHeader.buffer, localHeader.byteOffset, localHeader.byteLength);
+
+  if (view.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+    throw new Error(`Damaged zip archive: no header for ${entry.name}`);
+  }
+
+  return entry.offset + 30 + view.getUint16(26, true) + view.getUint16(28, true);
+};
+
+/**
+ * A one-file archive holding a single entry of a bigger one, exactly as it was compressed,
+ * so a zip library can unpack it without loading the rest
+ * @param {Object} entry - From parseCentralDirectory
+ * @param {Uint8Array} localFile - The entry's local header and data, from entry.offset
+ * @returns {Uint8Array}
+ */
+export const buildSingleEntryArchive = (entry, localFile) => {
+  const archive = new Uint8Array(localFile.length + entry.record.length + 22);
+  const view = new DataView(archive.buffer);
+
+  archive.set(localFile, 0);
+  archive.set(entry.record, localFile.length);
+  view.setUint32(localFile.length + 42, 0, true); // The local header now starts the archive
+
+  const end = localFile.length + entry.record.length;
+  view.setUint32(end, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+  view.setUint16(end + 8, 1, true);
+  view.setUint16(end + 10, 1, true);
+  view.setUint32(end + 12, entry.record.length, true);
+  view.setUint32(end + 16, localFile.length, true);
+  return archive;
+};
@@ -0,0 +1,66 @@
+// Purge accounts whose deletion grace period is over (see "Account Deletion" in
+// docs/SUPABASE_SCHEMA.md). Runs daily from pg_cron and only acts with the service role key.
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+
+const BUCKET = 'images';
+const PAGE_SIZE = 100;
+
+const admin = createClient(
+  Deno.env.get('SUPABASE_URL')!,
+  Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!,
+);
+
+// Every file path under a folder, walking subfolders
+const listFiles = async (folder: string): Promise<string[]> => {
+  const paths: string[] = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await admin.storage.from(BUCKET).list(folder, { limit: PAGE_SIZE, offset });
+    if (error) throw error;
+
+    for (const entry of data) {
+      const path = `${folder}/${entry.name}`;
+      // Folders have no id
+      paths.push(...(entry.id ? [path] : await listFiles(path)));
+    }
+
+    if (data.length < PAGE_SIZE) return paths;
+  }
+};
+
+Deno.serve(async (req) => {
+  if (req.headers.get('Authorization') !== `Bearer ${Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')}`) {
+    return new Response('Forbidden', { status: 403 });
+  }
+
+  const { data: due, error } = await admin
+    .from('account_deletions')
+    .select('user_id')
+    .lte('purge_after', new Date().toISOString());
+  if (error) return new Response(error.message, { status: 500 });
+
+  const results = [];
+  for (const { user_id } of due) {
+    try {
+      const paths = await listFiles(`user-${user_id}`);
+      for (let i = 0; i < paths.length; i += PAGE_SIZE) {
+        const { error: removeError } = await admin.storage.from(BUCKET).remove(paths.slice(i, i + PAGE_SIZE));
+        if (removeError) throw removeError;
+      }
+
+      const { error: purgeError } = await admin.rpc('purge_user_data', { p_user_id: user_id });
+      if (purgeError) throw purgeError;
+
+      const { error: deleteError } = await admin.auth.admin.deleteUser(user_id);
+      if (deleteError) throw deleteError;
+
+      results.push({ user_id, files: paths.length, deleted: true });
+    } catch (err) {
+      // Left in account_deletions, so the next run retries it
+      results.push({ user_id, deleted: false, error: err instanceof Error ? err.message : String(err) });
+    }
+  }
+
+  return Response.json({ results });
+});